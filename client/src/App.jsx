@@ -2,6 +2,12 @@ import React, { useCallback, useEffect, useMemo, useRef, useState } from "react"
 import { marked } from "marked";
 import "./App.css";
 import ReviewsPage from "./components/Reviews/ReviewsPage.jsx";
+import FeedbackQueuePage from "./components/Feedback/FeedbackQueuePage.jsx";
+import AnswerFeedback from "./components/Feedback/AnswerFeedback.jsx";
+import AnswerCard from "./components/Answer/AnswerCard.jsx";
+import DocViewerPage from "./components/Docs/DocViewerPage.jsx";
+import { parseDocAnchor } from "./components/Docs/docAnchors.js";
+import LoginPage from "./components/Auth/LoginPage.jsx";
 
 // LOCAL TESTING: http://localhost:5050
 // PRODUCTION: https://nebius-token-compliance-call-tool.onrender.com
@@ -10,7 +16,7 @@ const API_BASE = "https://nebius-token-compliance-call-tool.onrender.com";
 // ✅ UI label for your cloud model (you are using Claude)
 const CLOUD_PROVIDER_LABEL = "Claude";
 
-// ✅ INPUT LIMIT (saves money by preventing huge prompts)
+// ✅ INPUT LIMIT (saves money by preventing huge prompts) - keep in sync with the server's MAX_QUESTION_CHARS
 const MAX_USER_INPUT_CHARS = 1200;
 
 // public assets
@@ -58,6 +64,13 @@ const TRAINING_GUIDE_JSON_PATH = `${ASSETS_BASE}/hotelplanner_training_guide.jso
 // ✅ RPP Protection Guide JSON
 const RPP_PROTECTION_GUIDE_JSON_PATH = `${ASSETS_BASE}/rpp_protection_guide.json`;
 
+// ✅ SSE variant of /api/claude (tokens stream into the bubble)
+const STREAM_ENDPOINT = "/api/claude/stream";
+
+// ✅ Conversation memory: thread + server conversation id survive reloads
+const MAX_SAVED_MESSAGES = 60;
+const MAX_HISTORY_TURNS = 10; // sent with each question so the server can rebuild a thread it lost
+
 // --- QA Master Intro (fixed text) --------------------------------------------
 const QA_MASTER_INTRO = `I’m here to support your QA needs.
 Share the guest issue or agent question, and I’ll provide the correct compliant procedure—clear, concise, and on script.`;
@@ -136,7 +149,25 @@ async function fetchWithTimeout(url, options = {}, timeoutMs = 45000) {
   }
 }
 
-async function postToAnyEndpoint({ base, paths, payload, timeoutMs }) {
+// ✅ Session token from POST /api/auth/login - sent on every API call
+function authHeaders(token) {
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// 401 from the auth middleware (not a provider key problem): the agent must sign in again
+function isSessionError(e) {
+  const code = e?.body?.code;
+  return e?.status === 401 && (code === "auth_required" || code === "auth_expired");
+}
+
+function loadSavedAuth() {
+  const saved = tryLoadLocal("cc_auth", null);
+  if (!saved?.token || !saved?.user) return null;
+  if (saved.expiresAt && Date.parse(saved.expiresAt) <= Date.now()) return null;
+  return saved;
+}
+
+async function postToAnyEndpoint({ base, paths, payload, timeoutMs, headers = {} }) {
   let lastErr = null;
   const cleanBase = String(base || "").replace(/\/+$/, "");
   for (const p of paths) {
@@ -147,7 +178,7 @@ async function postToAnyEndpoint({ base, paths, payload, timeoutMs }) {
         url,
         {
           method: "POST",
-          headers: { "Content-Type": "application/json" },
+          headers: { "Content-Type": "application/json", ...headers },
           body: JSON.stringify(payload),
         },
         timeoutMs
@@ -175,6 +206,91 @@ async function postToAnyEndpoint({ base, paths, payload, timeoutMs }) {
   throw lastErr || new Error("No endpoint responded.");
 }
 
+// SSE over fetch (EventSource can't POST). Resolves with the "done" payload; "error" events throw
+// with the same status codes the JSON route would have returned, so send() maps them the same way.
+const STREAM_ERROR_STATUS = { error401: 401, errorNoCredits: 402, rateLimit: 429, timeout: 504 };
+
+async function streamFromEndpoint({ base, path, payload, timeoutMs, onEvent, headers = {} }) {
+  const url = String(base || "").replace(/\/+$/, "") + path;
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), timeoutMs);
+
+  try {
+    log("STREAM ->", url);
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "text/event-stream", ...headers },
+      body: JSON.stringify(payload),
+      signal: ctrl.signal,
+      cache: "no-store",
+    });
+
+    const contentType = res.headers.get("content-type") || "";
+    if (!res.ok || !contentType.includes("text/event-stream") || !res.body) {
+      const isJson = contentType.includes("application/json");
+      const body = isJson ? await res.json().catch(() => null) : await res.text().catch(() => "");
+      const detailText = normalizeWs(isJson ? safeString(body) : body) || res.statusText;
+      const error = new Error(`HTTP ${res.status} on ${path}: ${detailText}`);
+      error.status = res.ok ? 502 : res.status;
+      error.body = body;
+      error.path = path;
+      throw error;
+    }
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let done = null;
+
+    for (;;) {
+      const { value, done: finished } = await reader.read();
+      if (finished) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let sep;
+      while ((sep = buffer.indexOf("\n\n")) >= 0) {
+        const block = buffer.slice(0, sep);
+        buffer = buffer.slice(sep + 2);
+
+        let event = "message";
+        let data = "";
+        for (const line of block.split("\n")) {
+          if (line.startsWith("event:")) event = line.slice(6).trim();
+          else if (line.startsWith("data:")) data += line.slice(5).trim();
+        }
+
+        let parsed = null;
+        try {
+          parsed = data ? JSON.parse(data) : null;
+        } catch {
+          parsed = { text: data };
+        }
+
+        if (event === "error") {
+          const error = new Error(parsed?.error || "Stream error");
+          error.status = STREAM_ERROR_STATUS[parsed?.kind] || parsed?.status || 500;
+          error.body = parsed;
+          error.path = path;
+          throw error;
+        }
+        if (event === "done") done = parsed;
+        onEvent?.(event, parsed);
+      }
+    }
+
+    if (!done) {
+      const error = new Error(`Stream ended early on ${path}`);
+      error.status = 502;
+      error.path = path;
+      throw error;
+    }
+    log("STREAM <-", { path, provider: done?.provider });
+    return { ok: true, status: 200, path, body: done };
+  } finally {
+    clearTimeout(t);
+  }
+}
+
 function pickAnswerFromBody(body) {
   if (body == null) return "";
   if (typeof body === "string") return body;
@@ -273,22 +389,59 @@ const DOC_META = [
 ];
 
 const RESOURCES = [
-  { label: "Service Matrix 2026 (.xlsx)", href: MATRIX_PUBLIC_PATH, fileName: "Service Matrix's 2026.xlsx" },
-  { label: "Training Guide (JSON)", href: TRAINING_GUIDE_JSON_PATH, fileName: "hotelplanner_training_guide.json" },
-  { label: "RPP Protection Guide (JSON)", href: RPP_PROTECTION_GUIDE_JSON_PATH, fileName: "rpp_protection_guide.json" },
-  { label: "QA Voice (.xlsx)", href: QA_VOICE_XLSX_PATH, fileName: "qa-voice.xlsx" },
-  { label: "QA Groups (.xlsx)", href: QA_GROUP_XLSX_PATH, fileName: "qa-group.xlsx" },
+  { label: "Service Matrix 2026 (.xlsx)", href: MATRIX_PUBLIC_PATH, fileName: "Service Matrix's 2026.xlsx", view: "#matrix" },
+  {
+    label: "Training Guide (JSON)",
+    href: TRAINING_GUIDE_JSON_PATH,
+    fileName: "hotelplanner_training_guide.json",
+    view: "#training",
+  },
+  {
+    label: "RPP Protection Guide (JSON)",
+    href: RPP_PROTECTION_GUIDE_JSON_PATH,
+    fileName: "rpp_protection_guide.json",
+    view: "#rpp",
+  },
+  { label: "QA Voice (.xlsx)", href: QA_VOICE_XLSX_PATH, fileName: "qa-voice.xlsx", view: "#qaVoice" },
+  { label: "QA Groups (.xlsx)", href: QA_GROUP_XLSX_PATH, fileName: "qa-group.xlsx", view: "#qaGroup" },
 ];
 
-function buildPayload({ question, mode, docs }) {
+function buildPayload({ question, mode, docs, conversationId, history }) {
   return {
     question,
     mode,
     docs,
+    conversationId: conversationId || undefined,
+    history: history || [],
     client: { app: "Call Center Compliance App", ts: nowIso(), ui: "react" },
   };
 }
 
+function introMessage() {
+  return { id: genId(), role: "assistant", text: QA_MASTER_INTRO, ts: Date.now() };
+}
+
+// finished user/assistant turns only (no loading bubbles, errors or the intro)
+function isConversationTurn(m) {
+  const text = normalizeWs(m.text);
+  return (m.role === "user" || m.role === "assistant") && !m.kind && !!text && text !== normalizeWs(QA_MASTER_INTRO);
+}
+
+function historyFromMessages(messages) {
+  return messages
+    .filter(isConversationTurn)
+    .slice(-MAX_HISTORY_TURNS)
+    .map((m) => ({ role: m.role, content: normalizeWs(m.text) }));
+}
+
+function messagesFromConversation(conversation) {
+  const turns = Array.isArray(conversation?.turns) ? conversation.turns : [];
+  return [
+    introMessage(),
+    ...turns.map((t) => ({ id: genId(), role: t.role, text: t.content, ts: Date.parse(t.ts) || Date.now() })),
+  ];
+}
+
 function build404Message({ apiBase, attemptedPath }) {
   const base = String(apiBase || "").replace(/\/+$/, "");
   return normalizeWs(`
@@ -319,6 +472,20 @@ function isNoCreditsError(e) {
   return hit && (status === 400 || status === 402 || status === 403);
 }
 
+// 429 from the server's own limits: { code: "rate_limited" | "budget_exceeded", scope, retryAfterSec }
+function describeLimit(body) {
+  const wait = Number(body?.retryAfterSec || 0);
+  const waitText = !wait ? "" : wait >= 3600 ? ` (resets in ~${Math.ceil(wait / 3600)}h)` : ` - try again in ${wait}s`;
+  if (body?.code === "budget_exceeded") {
+    const who = body.scope === "call_center" ? body.callCenter || "Your call center" : "You";
+    return `💸 Daily AI budget reached: ${who}${waitText}.`;
+  }
+  if (body?.code === "rate_limited") {
+    return `⏳ Rate limit (429): ${body.scope === "call_center" ? "call center" : "per user"}${waitText}.`;
+  }
+  return "⏳ Rate limit (429).";
+}
+
 function buildNoCreditsMessage() {
   return normalizeWs(`
 💳 No credits available.
@@ -338,17 +505,20 @@ function isServerWakingUpError(e) {
   return msg.includes("network") || msg.includes("failed to fetch") || msg.includes("load failed");
 }
 
-function MessageBubble({ m, isIntro }) {
+// feedback: { apiBase, token, onSaved(messageId, feedback), onSessionExpired } - answers with an audit request id only
+function MessageBubble({ m, isIntro, feedback }) {
   const isUser = m.role === "user";
   const isAssistant = m.role === "assistant";
+  // finished QA Master answers the server could parse get the card; streaming / free text stays markdown
+  const structured = !m.kind && m.meta?.structured?.decision ? m.meta.structured : null;
 
   const html = useMemo(() => {
-    if (!isAssistant) return "";
+    if (!isAssistant || structured) return "";
     const raw = normalizeWs(m.text);
     if (!raw) return "";
     marked.setOptions({ gfm: true, breaks: true, mangle: false, headerIds: false });
     return stripDangerousHtml(marked.parse(raw));
-  }, [m.text, isAssistant]);
+  }, [m.text, isAssistant, structured]);
 
   return (
     <div className={`cc-msg ${isUser ? "cc-user" : "cc-assistant"} ${isIntro ? "cc-intro" : ""}`}>
@@ -401,7 +571,32 @@ function MessageBubble({ m, isIntro }) {
         ) : m.kind === "error" ? (
           <div className="cc-error">{normalizeWs(m.text)}</div>
         ) : isAssistant ? (
-          <div className="cc-answer" dangerouslySetInnerHTML={{ __html: html }} />
+          <>
+            {structured ? (
+              <AnswerCard
+                structured={structured}
+                citations={m.meta.citations}
+                citationCheck={m.meta.citationCheck}
+                docVersion={m.meta.docVersion}
+                fullText={normalizeWs(m.text)}
+              />
+            ) : (
+              <div
+                className={`cc-answer ${m.kind === "streaming" ? "cc-answerStreaming" : ""}`}
+                dangerouslySetInnerHTML={{ __html: html }}
+              />
+            )}
+            {feedback && !m.kind && m.meta?.requestId ? (
+              <AnswerFeedback
+                apiBase={feedback.apiBase}
+                token={feedback.token}
+                requestId={m.meta.requestId}
+                value={m.feedback}
+                onSaved={(fb) => feedback.onSaved(m.id, fb)}
+                onSessionExpired={feedback.onSessionExpired}
+              />
+            ) : null}
+          </>
         ) : (
           <div className="cc-bubbleText">{normalizeWs(m.text)}</div>
         )}
@@ -423,13 +618,21 @@ function ResourcePopover({ open, onClose }) {
           </button>
         </div>
         <div className="cc-popoverBody">
-          <div className="cc-popoverHint">Download compliance files:</div>
+          <div className="cc-popoverHint">View compliance files in the browser or download them:</div>
           <div className="cc-resourceList">
             {RESOURCES.map((r) => (
-              <a key={r.href} className="cc-resourceItem" href={r.href} download={r.fileName} target="_blank" rel="noreferrer">
+              <div key={r.href} className="cc-resourceItem">
                 <div className="cc-resourceName">{r.label}</div>
                 <div className="cc-resourceSub">{r.fileName}</div>
-              </a>
+                <div className="cc-resourceActions">
+                  <a className="cc-resourceAction" href={r.view} onClick={onClose}>
+                    View
+                  </a>
+                  <a className="cc-resourceAction" href={r.href} download={r.fileName} target="_blank" rel="noreferrer">
+                    Download
+                  </a>
+                </div>
+              </div>
             ))}
           </div>
         </div>
@@ -444,10 +647,14 @@ export default function App() {
   const threadEndRef = useRef(null);
 
   const [activePage, setActivePage] = useState(() => {
+    if (parseDocAnchor(window.location.hash)) return "docs";
     const saved = tryLoadLocal("cc_activePage", "chat");
-    return saved === "reviews" ? "reviews" : "chat";
+    return saved === "reviews" || saved === "feedback" || saved === "docs" ? saved : "chat";
   });
 
+  // #matrix/row/42, #training/<chunk_id> ... (see components/Docs/docAnchors.js)
+  const [viewerAnchor, setViewerAnchor] = useState(() => parseDocAnchor(window.location.hash));
+
   const [mode, setMode] = useState(() => {
     const saved = tryLoadLocal("cc_mode", "cloud");
     return saved === "local" || saved === "cloud" ? saved : "cloud";
@@ -471,7 +678,15 @@ export default function App() {
   const [health, setHealth] = useState({ ok: null, last: null });
   const [resourcesOpen, setResourcesOpen] = useState(false);
 
-  const [messages, setMessages] = useState(() => [{ id: genId(), role: "assistant", text: QA_MASTER_INTRO, ts: Date.now() }]);
+  const [auth, setAuth] = useState(loadSavedAuth);
+  const [authNotice, setAuthNotice] = useState("");
+
+  const [conversationId, setConversationId] = useState(() => tryLoadLocal("cc_conversationId", null));
+
+  const [messages, setMessages] = useState(() => {
+    const saved = tryLoadLocal("cc_messages", null);
+    return Array.isArray(saved) && saved.length ? saved : [introMessage()];
+  });
 
   useAutoResizeTextarea(textareaRef, input);
 
@@ -498,6 +713,104 @@ export default function App() {
   useEffect(() => trySaveLocal("cc_docs", { ...docs, matrix: true }), [docs]);
   useEffect(() => trySaveLocal("cc_activePage", activePage), [activePage]);
 
+  // ✅ Deep links: citation / resource links just set the hash, this opens the viewer on it
+  useEffect(() => {
+    const onHash = () => {
+      const anchor = parseDocAnchor(window.location.hash);
+      if (!anchor) return;
+      setViewerAnchor(anchor);
+      setActivePage("docs");
+    };
+    window.addEventListener("hashchange", onHash);
+    return () => window.removeEventListener("hashchange", onHash);
+  }, []);
+
+  // leaving the viewer drops its hash, so a reload doesn't jump back into it
+  useEffect(() => {
+    if (activePage !== "docs" && parseDocAnchor(window.location.hash)) {
+      window.history.replaceState(null, "", window.location.pathname + window.location.search);
+      setViewerAnchor(null);
+    }
+  }, [activePage]);
+  useEffect(() => trySaveLocal("cc_conversationId", conversationId), [conversationId]);
+  useEffect(() => trySaveLocal("cc_auth", auth), [auth]);
+  useEffect(() => {
+    // in-flight bubbles are not saved - a reload mid-answer just drops them
+    const keep = messages.filter((m) => !m.kind || m.kind.startsWith("error"));
+    trySaveLocal("cc_messages", keep.slice(-MAX_SAVED_MESSAGES));
+  }, [messages]);
+
+  // ✅ Resume: id saved but thread missing locally (cleared storage / other tab) -> load it from the server
+  useEffect(() => {
+    if (!conversationId || !auth?.token) return;
+    if (messages.some(isConversationTurn)) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const base = String(API_BASE || "").replace(/\/+$/, "");
+        const res = await fetchWithTimeout(
+          `${base}/api/conversations/${encodeURIComponent(conversationId)}`,
+          { headers: authHeaders(auth.token) },
+          15000
+        );
+        if (res.status === 404) {
+          if (!cancelled) setConversationId(null);
+          return;
+        }
+        const body = await res.json().catch(() => null);
+        if (!cancelled && res.ok && body?.conversation) setMessages(messagesFromConversation(body.conversation));
+      } catch (e) {
+        warn("conversation resume failed:", asHumanError(e));
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [auth?.token]); // mount + after sign-in only
+
+  // ✅ Sign out: the thread belongs to this user, so it is not left behind for the next person
+  const signOut = useCallback((notice = "") => {
+    setAuth(null);
+    setAuthNotice(notice);
+    setConversationId(null);
+    setMessages([introMessage()]);
+    setBanner(null);
+  }, []);
+
+  const onSignedIn = useCallback((session) => {
+    setAuth(session);
+    setAuthNotice("");
+  }, []);
+
+  // ✅ Answer feedback is kept on the message so the bar still shows what was sent after a reload
+  const feedbackProps = useMemo(
+    () =>
+      auth?.token
+        ? {
+            apiBase: API_BASE,
+            token: auth.token,
+            onSaved: (messageId, fb) =>
+              setMessages((prev) => prev.map((m) => (m.id === messageId ? { ...m, feedback: fb } : m))),
+            onSessionExpired: (notice) => signOut(notice),
+          }
+        : null,
+    [auth?.token, signOut]
+  );
+
+  const canReviewFeedback = auth?.user?.role === "qa_lead" || auth?.user?.role === "admin";
+
+  // an agent signing in on a browser a QA lead left on the queue page
+  useEffect(() => {
+    if (auth?.token && activePage === "feedback" && !canReviewFeedback) setActivePage("chat");
+  }, [auth?.token, activePage, canReviewFeedback]);
+
+  const startNewConversation = useCallback(() => {
+    if (isSending) return;
+    setConversationId(null);
+    setMessages([introMessage()]);
+    setBanner(null);
+  }, [isSending]);
+
   const probeDocs = useCallback(async () => {
     const results = {};
     for (const d of DOC_META) {
@@ -607,6 +920,8 @@ export default function App() {
 
     setIsSending(true);
 
+    const history = historyFromMessages(messages);
+
     addMessage({ id: genId(), role: "user", text: question, ts: Date.now() });
     addMessage({ id: genId(), role: "assistant", kind: "loading", text: "", thinkingText: pickFunnyLoadingLine(), ts: Date.now() });
     setInput("");
@@ -615,13 +930,49 @@ export default function App() {
       question,
       mode,
       docs: { ...docsForPayload, _availability: docAvail, _activeDocsLabel: activeDocsLabel },
+      conversationId,
+      history,
     });
 
     // ✅ IMPORTANT: keep only the route your server actually supports
     const endpoints = ["/api/claude"];
 
+    // ✅ Streaming first (Decision line shows up in seconds); older servers without the route fall back to JSON
+    let streamedText = "";
+
     try {
-      const result = await postToAnyEndpoint({ base: API_BASE, paths: endpoints, payload, timeoutMs: 65000 });
+      let result;
+      try {
+        result = await streamFromEndpoint({
+          base: API_BASE,
+          path: STREAM_ENDPOINT,
+          payload,
+          timeoutMs: 65000,
+          headers: authHeaders(auth?.token),
+          onEvent: (event, data) => {
+            if (event === "meta" && data?.conversationId) setConversationId(data.conversationId);
+            if (event === "repair") {
+              // server is re-asking for the sections the model left out; "done" brings the full answer
+              replaceLastAssistant({ kind: "streaming", text: `${streamedText}\n\n_🔧 Completing missing sections…_` });
+              return;
+            }
+            if (event !== "delta" || !data?.text) return;
+            streamedText += data.text;
+            replaceLastAssistant({ kind: "streaming", text: streamedText });
+          },
+        });
+      } catch (e) {
+        if (e?.status !== 404 || streamedText) throw e;
+        warn("stream route missing, falling back to JSON:", e?.path);
+        result = await postToAnyEndpoint({
+          base: API_BASE,
+          paths: endpoints,
+          payload,
+          timeoutMs: 65000,
+          headers: authHeaders(auth?.token),
+        });
+      }
+      if (result?.body?.conversationId) setConversationId(result.body.conversationId);
       const answerText = pickAnswerFromBody(result?.body);
       const finalText = normalizeWs(answerText) || "No answer returned.";
 
@@ -629,7 +980,16 @@ export default function App() {
         kind: undefined,
         text: finalText,
         ts: Date.now(),
-        meta: { endpoint: result?.path, status: result?.status, provider: result?.body?.provider || "claude" },
+        meta: {
+          endpoint: result?.path,
+          status: result?.status,
+          provider: result?.body?.provider || "claude",
+          requestId: result?.body?.requestId || null,
+          structured: result?.body?.structured || null,
+          citations: Array.isArray(result?.body?.citations) ? result.body.citations : [],
+          citationCheck: result?.body?.citationCheck || null,
+          docVersion: result?.body?.docVersion || null,
+        },
       });
 
       setHealth((h) => ({ ...h, ok: true, last: Date.now() }));
@@ -637,8 +997,31 @@ export default function App() {
       errlog("send() error:", e);
       const status = e?.status;
 
-      // ✅ NEW: Render sleeping / cold start message with your GIF
-      if (isServerWakingUpError(e)) {
+      // ✅ Session expired / account disabled: back to the sign-in screen, question kept in the box
+      if (isSessionError(e)) {
+        setMessages((prev) => prev.slice(0, -2));
+        setInput(question);
+        setAuth(null);
+        setAuthNotice(normalizeWs(e?.body?.error) || "Please sign in again.");
+        return;
+      }
+
+      // ✅ Stream broke mid-answer: keep what the agent already sees instead of swapping it for an error
+      if (streamedText && status !== 401 && !isNoCreditsError(e)) {
+        const reason =
+          status === 429
+            ? "rate limit (429)"
+            : status === 504 || isAbort(e)
+            ? "timed out"
+            : normalizeWs(e?.message || asHumanError(e));
+        replaceLastAssistant({
+          kind: undefined,
+          text: `${normalizeWs(streamedText)}\n\n---\n⚠️ Answer interrupted: ${reason}. Verify against the docs before acting.`,
+          ts: Date.now(),
+        });
+        setBanner({ type: "error", title: "✂️ Answer interrupted", sub: reason });
+      } else if (isServerWakingUpError(e)) {
+        // ✅ NEW: Render sleeping / cold start message with your GIF
         replaceLastAssistant({
           kind: "loading",
           text: "",
@@ -660,7 +1043,7 @@ export default function App() {
       } else {
         const friendly =
           status === 429
-            ? "⏳ Rate limit (429)."
+            ? describeLimit(e?.body)
             : status === 413
             ? "📦 Request too large (413)."
             : isAbort(e)
@@ -669,15 +1052,17 @@ export default function App() {
             ? `⚠️ Server error (HTTP ${status}).`
             : "⚠️ Network error.";
 
-        replaceLastAssistant({ kind: "error", text: `${friendly}\n\n${normalizeWs(e?.message || asHumanError(e))}`, ts: Date.now() });
-        setBanner({ type: "error", title: "🧯 Error", sub: normalizeWs(e?.message || asHumanError(e)) });
+        // server-side limit errors carry a readable message in the JSON body
+        const detail = normalizeWs(e?.body?.code ? e.body.error : e?.message || asHumanError(e));
+        replaceLastAssistant({ kind: "error", text: `${friendly}\n\n${detail}`, ts: Date.now() });
+        setBanner({ type: "error", title: status === 429 ? friendly : "🧯 Error", sub: detail });
       }
 
       setHealth((h) => ({ ...h, ok: false, last: Date.now() }));
     } finally {
       setIsSending(false);
     }
-  }, [input, isSending, docs, mode, addMessage, replaceLastAssistant, docAvail, activeDocsLabel]);
+  }, [input, isSending, docs, mode, addMessage, replaceLastAssistant, docAvail, activeDocsLabel, conversationId, messages, auth]);
 
   const onKeyDown = useCallback(
     (e) => {
@@ -691,6 +1076,16 @@ export default function App() {
 
   const remainingChars = MAX_USER_INPUT_CHARS - (input?.length || 0);
 
+  if (!auth?.token) {
+    return (
+      <ErrorBoundary>
+        <div className="cc-root">
+          <LoginPage apiBase={API_BASE} notice={authNotice} onSignedIn={onSignedIn} />
+        </div>
+      </ErrorBoundary>
+    );
+  }
+
   return (
     <ErrorBoundary>
       <div className="cc-root">
@@ -721,6 +1116,30 @@ export default function App() {
               Reviews
             </button>
 
+            {canReviewFeedback ? (
+              <button
+                className={`cc-navItem ${activePage === "feedback" ? "cc-navItemPill is-active" : ""}`}
+                type="button"
+                onClick={() => {
+                  setActivePage("feedback");
+                  setResourcesOpen(false);
+                }}
+              >
+                QA Queue
+              </button>
+            ) : null}
+
+            <button
+              className={`cc-navItem ${activePage === "docs" ? "cc-navItemPill is-active" : ""}`}
+              type="button"
+              onClick={() => {
+                setActivePage("docs");
+                setResourcesOpen(false);
+              }}
+            >
+              Docs
+            </button>
+
             <button className={`cc-navItem ${resourcesOpen ? "cc-navItemPill is-active" : ""}`} type="button" onClick={() => setResourcesOpen(true)}>
               Resources
             </button>
@@ -732,18 +1151,52 @@ export default function App() {
             </div>
 
             <div className="cc-navSpacer" />
+
+            <div className="cc-navUser" title={auth.user.email}>
+              <span>{auth.user.name || auth.user.email}</span>
+              <span className="cc-navRole">{String(auth.user.role || "").replace("_", " ")}</span>
+              <button className="cc-navSignOut" type="button" onClick={() => signOut()} disabled={isSending}>
+                Sign out
+              </button>
+            </div>
           </div>
         </div>
 
         <ResourcePopover open={resourcesOpen} onClose={() => setResourcesOpen(false)} />
 
         {/* ✅ PAGE SWITCH */}
-        {activePage === "reviews" ? (
+        {activePage === "feedback" && canReviewFeedback ? (
+          <div className="cc-main">
+            <div className="cc-thread">
+              <div className="cc-threadInner">
+                <FeedbackQueuePage apiBase={API_BASE} token={auth.token} onSessionExpired={(notice) => signOut(notice)} />
+              </div>
+            </div>
+          </div>
+        ) : activePage === "docs" ? (
+          <div className="cc-main">
+            <div className="cc-thread">
+              <div className="cc-threadInner">
+                <DocViewerPage
+                  apiBase={API_BASE}
+                  token={auth.token}
+                  anchor={viewerAnchor}
+                  onSessionExpired={(notice) => signOut(notice)}
+                />
+              </div>
+            </div>
+          </div>
+        ) : activePage === "reviews" ? (
           <div className="cc-main">
             <div className="cc-thread">
               <div className="cc-threadInner">
                 {/* ✅ FIX: pass apiBase so ReviewsPage never crashes on undefined */}
-                <ReviewsPage apiBase={API_BASE} />
+                <ReviewsPage
+                  apiBase={API_BASE}
+                  token={auth.token}
+                  user={auth.user}
+                  onSessionExpired={(notice) => signOut(notice)}
+                />
               </div>
             </div>
           </div>
@@ -773,7 +1226,7 @@ export default function App() {
                   </div>
 
                   {messages.map((m) => (
-                    <MessageBubble key={m.id} m={m} isIntro={m.id === firstAssistantId} />
+                    <MessageBubble key={m.id} m={m} isIntro={m.id === firstAssistantId} feedback={feedbackProps} />
                   ))}
 
                   <div ref={threadEndRef} />
@@ -792,6 +1245,15 @@ export default function App() {
                   <button className={`cc-chip ${mode === "local" ? "is-active" : ""}`} type="button" onClick={() => setModeSafe("local")}>
                     Local
                   </button>
+                  <button
+                    className="cc-chip"
+                    type="button"
+                    onClick={startNewConversation}
+                    disabled={isSending}
+                    title="Start a new conversation (the assistant forgets this thread)"
+                  >
+                    New chat
+                  </button>
                 </div>
 
                 <div className="cc-docRow">
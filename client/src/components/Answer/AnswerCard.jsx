@@ -0,0 +1,202 @@
+import React, { useState } from "react";
+import { citationAnchor } from "../Docs/docAnchors.js";
+
+const RISK_LABELS = { low: "Low risk", medium: "Medium risk", high: "High risk" };
+
+function norm(s) {
+  return String(s ?? "").trim();
+}
+
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    // older browsers / http: hidden textarea + execCommand
+    const ta = document.createElement("textarea");
+    ta.value = text;
+    ta.setAttribute("readonly", "");
+    ta.style.position = "fixed";
+    ta.style.opacity = "0";
+    document.body.appendChild(ta);
+    ta.select();
+    const ok = document.execCommand("copy");
+    document.body.removeChild(ta);
+    return ok;
+  }
+}
+
+// "Service Matrix 2026 — Voice Matrix • 36" for the citation button
+function citationLabel(c) {
+  const doc = c.docLabel || c.doc || "Doc";
+  const where = [c.section, c.ref].map(norm).filter(Boolean).join(" • ");
+  return where ? `${doc} — ${where}` : doc;
+}
+
+function sourceLine(source) {
+  if (!source) return "";
+  if (source.sheetName) return `${source.sheetName}, row ${source.rowNumber}`;
+  if (source.chunkId) {
+    return [source.file, source.slide ? `slide ${source.slide}` : "", source.chunkId].filter(Boolean).join(" • ");
+  }
+  if (source.coverageReasonId) return `Coverage reason ${source.coverageReasonId}`;
+  if (source.categoryId) return `Category ${source.categoryId}`;
+  return source.file || "";
+}
+
+/**
+ * One QA Master answer as a card: Decision banner, tickable Steps, copyable Say lines, Don't-say lines,
+ * citations that open their source row / slide (with a link into the document viewer), and the Compliance Risk chip.
+ * structured = the server's parsed answer; citations = the server's checked citations (with source text);
+ * docVersion = the document version the answer was built from ({ id, fingerprint }).
+ */
+export default function AnswerCard({ structured, citations, citationCheck, docVersion, fullText }) {
+  const [checked, setChecked] = useState(() => new Set());
+  const [copied, setCopied] = useState(-1);
+  const [openCitation, setOpenCitation] = useState(-1);
+  const [showFull, setShowFull] = useState(false);
+
+  const risk = structured.complianceRisk || {};
+  const refs =
+    Array.isArray(citations) && citations.length
+      ? citations
+      : (structured.citations || []).map((raw) => ({ raw, doc: raw, valid: null }));
+  const unverified = citationCheck && !["verified", "no-citation-available"].includes(citationCheck.verdict);
+
+  function toggleStep(i) {
+    setChecked((prev) => {
+      const next = new Set(prev);
+      if (next.has(i)) next.delete(i);
+      else next.add(i);
+      return next;
+    });
+  }
+
+  async function copyLine(i, text) {
+    if (await copyText(text)) {
+      setCopied(i);
+      setTimeout(() => setCopied((cur) => (cur === i ? -1 : cur)), 1500);
+    }
+  }
+
+  return (
+    <div className="cc-ac">
+      {unverified ? (
+        <div className="cc-acWarn">
+          ⚠️ {citationCheck.invalid || 0} of {citationCheck.total || 0} citation(s) could not be found in the loaded
+          docs. Verify before acting.
+        </div>
+      ) : null}
+
+      {structured.acknowledge ? <div className="cc-acAck">{structured.acknowledge}</div> : null}
+
+      <div className="cc-acDecision">
+        <div className="cc-acDecisionLabel">Decision</div>
+        <div className="cc-acDecisionText">{structured.decision || "—"}</div>
+        {risk.level ? (
+          <span className={`cc-acRisk is-${risk.level}`} title={risk.reason || ""}>
+            {RISK_LABELS[risk.level] || risk.level}
+          </span>
+        ) : null}
+      </div>
+
+      {structured.steps?.length ? (
+        <div className="cc-acSection">
+          <div className="cc-acTitle">
+            Steps
+            <span className="cc-acCount">
+              {checked.size}/{structured.steps.length}
+            </span>
+          </div>
+          <ol className="cc-acSteps">
+            {structured.steps.map((step, i) => (
+              <li key={i} className={checked.has(i) ? "is-done" : ""}>
+                <label>
+                  <input type="checkbox" checked={checked.has(i)} onChange={() => toggleStep(i)} />
+                  <span>{step}</span>
+                </label>
+              </li>
+            ))}
+          </ol>
+        </div>
+      ) : null}
+
+      {structured.sayLines?.length || structured.dontSayLines?.length ? (
+        <div className="cc-acSection">
+          <div className="cc-acTitle">Script</div>
+          {structured.sayLines.map((line, i) => (
+            <div key={`say-${i}`} className="cc-acSay">
+              <span className="cc-acSayText">“{line}”</span>
+              <button className="cc-acCopy" type="button" onClick={() => copyLine(i, line)}>
+                {copied === i ? "Copied ✓" : "Copy"}
+              </button>
+            </div>
+          ))}
+          {structured.dontSayLines.map((line, i) => (
+            <div key={`dont-${i}`} className="cc-acDont">
+              🚫 Don’t say: “{line}”
+            </div>
+          ))}
+        </div>
+      ) : null}
+
+      {refs.length ? (
+        <div className="cc-acSection">
+          <div className="cc-acTitle">Citations</div>
+          <div className="cc-acCitations">
+            {refs.map((c, i) => (
+              <button
+                key={`${c.raw}-${i}`}
+                className={`cc-acCite ${c.valid === false ? "is-invalid" : ""} ${openCitation === i ? "is-open" : ""}`}
+                type="button"
+                onClick={() => setOpenCitation(openCitation === i ? -1 : i)}
+                title={c.valid === false ? c.reason || "Not found in the loaded docs" : c.raw}
+              >
+                {c.valid === false ? "⚠️ " : "📄 "}
+                {citationLabel(c)}
+              </button>
+            ))}
+          </div>
+          {openCitation >= 0 && refs[openCitation] ? (
+            <div className="cc-acSource">
+              <div className="cc-acSourceHead">
+                <span>{sourceLine(refs[openCitation].source) || refs[openCitation].raw}</span>
+                {citationAnchor(refs[openCitation]) ? (
+                  <a className="cc-acOpen" href={citationAnchor(refs[openCitation])}>
+                    Open in viewer ↗
+                  </a>
+                ) : null}
+              </div>
+              <div className="cc-acSourceText">
+                {refs[openCitation].sourceText ||
+                  refs[openCitation].reason ||
+                  "Source text not available for this citation."}
+              </div>
+            </div>
+          ) : null}
+        </div>
+      ) : null}
+
+      {risk.reason || structured.missingInfo?.length || docVersion ? (
+        <div className="cc-acFoot">
+          {risk.reason ? <div>⚖️ {risk.reason}</div> : null}
+          {structured.missingInfo?.length ? <div>❓ Missing info: {structured.missingInfo.join(", ")}</div> : null}
+          {docVersion ? (
+            <div className="cc-acVersion" title={`Document fingerprint ${docVersion.fingerprint}`}>
+              📚 Docs {docVersion.id}
+            </div>
+          ) : null}
+        </div>
+      ) : null}
+
+      {fullText ? (
+        <div className="cc-acFull">
+          <button className="cc-acToggle" type="button" onClick={() => setShowFull((v) => !v)}>
+            {showFull ? "Hide full answer" : "Show full answer"}
+          </button>
+          {showFull ? <div className="cc-bubbleText cc-acRaw">{fullText}</div> : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import React, { useState } from "react";
+
+function norm(s) {
+  return String(s ?? "").trim();
+}
+
+export default function LoginPage({ apiBase, notice, onSignedIn }) {
+  const BASE = String(apiBase || import.meta.env?.VITE_API_BASE || "http://localhost:5050").replace(/\/+$/, "");
+
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  async function submit(e) {
+    e?.preventDefault?.();
+    setError("");
+
+    const em = norm(email);
+    if (!em || !password) return setError("Enter your email and password.");
+
+    setLoading(true);
+    try {
+      const res = await fetch(`${BASE}/api/auth/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email: em, password }),
+        cache: "no-store",
+      });
+      const body = await res.json().catch(() => null);
+
+      if (!res.ok || !body?.token) {
+        setError(body?.error || `Sign in failed (HTTP ${res.status})`);
+        return;
+      }
+      setPassword("");
+      onSignedIn?.({ token: body.token, expiresAt: body.expiresAt, user: body.user });
+    } catch (err) {
+      setError("Server not reachable. It may be waking up - try again in a moment.");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="cc-loginWrap">
+      <form className="rv-card cc-loginCard" onSubmit={submit}>
+        <img className="cc-loginLogo" src="/hp-logo.png" alt="HotelPlanner" />
+        <div className="rv-title">Sign in</div>
+        <div className="rv-sub">CCCT - Call Center Compliance Tool</div>
+
+        {notice ? <div className="rv-alert is-err">{notice}</div> : null}
+        {error ? <div className="rv-alert is-err">{error}</div> : null}
+
+        <div className="rv-field">
+          <label className="rv-label" htmlFor="cc-login-email">
+            Email
+          </label>
+          <input
+            id="cc-login-email"
+            className="rv-input"
+            type="email"
+            autoComplete="username"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="name@company.com"
+            disabled={loading}
+            autoFocus
+          />
+        </div>
+
+        <div className="rv-field">
+          <label className="rv-label" htmlFor="cc-login-password">
+            Password
+          </label>
+          <input
+            id="cc-login-password"
+            className="rv-input"
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            disabled={loading}
+          />
+        </div>
+
+        <button className="rv-btn" type="submit" disabled={loading}>
+          {loading ? "Signing in…" : "Sign in"}
+        </button>
+
+        <div className="rv-hint">No account? Ask your QA lead or an admin to create one.</div>
+      </form>
+    </div>
+  );
+}
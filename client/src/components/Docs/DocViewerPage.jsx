@@ -0,0 +1,533 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { DOC_VIEWS, docAnchor } from "./docAnchors.js";
+
+const ROUTING_COLS = [
+  { key: "slack", label: "Slack" },
+  { key: "refundQueue", label: "Refund Q" },
+  { key: "ticket", label: "Ticket" },
+  { key: "supervisor", label: "Supervisor" },
+];
+
+function norm(s) {
+  return String(s ?? "").trim();
+}
+
+function matches(q, ...fields) {
+  if (!q) return true;
+  return fields.some((f) => String(f ?? "").toLowerCase().includes(q));
+}
+
+// the matrix cell is in the tooltip; "Yes*" = yes with a condition
+const FLAG_TEXT = { yes: "Yes", conditional: "Yes*", no: "No", none: "None" };
+
+function routingText(flag) {
+  return FLAG_TEXT[flag?.value] || "—";
+}
+
+function timeWindowText(tw) {
+  if (!tw) return "";
+  const rel = String(tw.relative_to || "start of stay").replace(/_/g, " ");
+  return `${tw.value} ${tw.unit} ${tw.direction || "before"} ${rel}`;
+}
+
+// the criterion a sheet row belongs to: its own row or the guideline rows under it
+function criterionForRow(criteria, row) {
+  let hit = null;
+  for (const c of criteria) if (c.rowNumber <= row) hit = c;
+  return hit;
+}
+
+function targetId(anchor, data, trainingDoc) {
+  if (!anchor) return "";
+  if (anchor.view === "matrix" && anchor.row) {
+    const sheet = anchor.sheet || data?.sheets?.[0]?.slug;
+    return sheet ? `dv-matrix-${sheet}-${anchor.row}` : "";
+  }
+  if ((anchor.view === "qaVoice" || anchor.view === "qaGroup") && anchor.row) {
+    const c = criterionForRow(data?.criteria || [], anchor.row);
+    return c ? `dv-${anchor.view}-${c.rowNumber}` : "";
+  }
+  if (anchor.view === "training" && trainingDoc) {
+    const focus = trainingDoc.focus || {};
+    if (focus.chunkId) return `dv-chunk-${focus.chunkId}`;
+    const slide = anchor.slide || focus.slide;
+    return slide ? `dv-slide-${slide}` : "";
+  }
+  if (anchor.view === "rpp") {
+    if (anchor.reason) return `dv-rpp-${anchor.reason}`;
+    if (anchor.category) return `dv-rppcat-${anchor.category}`;
+  }
+  return "";
+}
+
+/**
+ * In-browser viewer for the compliance docs (agents on locked-down PCs can't open the xlsx / JSON downloads).
+ * Driven by the URL hash - `anchor` is the parsed hash from App, every link here just sets window.location.hash.
+ */
+export default function DocViewerPage({ apiBase, token, onSessionExpired, anchor }) {
+  const BASE = useMemo(
+    () => String(apiBase || import.meta.env?.VITE_API_BASE || "http://localhost:5050").replace(/\/+$/, ""),
+    [apiBase]
+  );
+
+  const view = anchor?.view || "matrix";
+  const [payloads, setPayloads] = useState({}); // view -> server payload (cached for the session)
+  const [trainingDoc, setTrainingDoc] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [search, setSearch] = useState("");
+  const [sheet, setSheet] = useState(""); // matrix sheet slug picked with the tabs
+
+  const abortRef = useRef(null);
+  const docAbortRef = useRef(null);
+
+  async function fetchJson(url, options = {}) {
+    const res = await fetch(url, {
+      ...options,
+      headers: {
+        ...(options.headers || {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        "Content-Type": "application/json",
+      },
+      cache: "no-store",
+    });
+    const body = await res.json().catch(() => null);
+    if (!res.ok) {
+      const msg = body?.error || `Request failed (HTTP ${res.status})`;
+      if (res.status === 401) onSessionExpired?.(String(msg));
+      const e = new Error(String(msg));
+      e.status = res.status;
+      throw e;
+    }
+    return body;
+  }
+
+  async function loadView(v, { force = false } = {}) {
+    if (!force && payloads[v]) return;
+    if (abortRef.current) abortRef.current.abort();
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+
+    setError("");
+    setLoading(true);
+    try {
+      const body = await fetchJson(`${BASE}/api/docs/view/${encodeURIComponent(v)}`, { signal: ctrl.signal });
+      setPayloads((prev) => ({ ...prev, [v]: body }));
+    } catch (e) {
+      if (e?.name !== "AbortError") setError(e?.message || "Failed to load document");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function loadTrainingDoc({ chunk, file }) {
+    if (docAbortRef.current) docAbortRef.current.abort();
+    const ctrl = new AbortController();
+    docAbortRef.current = ctrl;
+
+    setError("");
+    try {
+      const qs = new URLSearchParams(chunk ? { chunk } : { file });
+      const body = await fetchJson(`${BASE}/api/docs/view/training?${qs.toString()}`, { signal: ctrl.signal });
+      setTrainingDoc(body?.document || null);
+    } catch (e) {
+      if (e?.name !== "AbortError") {
+        setTrainingDoc(null);
+        setError(e?.message || "Failed to load training document");
+      }
+    }
+  }
+
+  useEffect(() => {
+    loadView(view);
+    return () => abortRef.current?.abort?.();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [BASE, view]);
+
+  // a deep link must not land on a row the search box is hiding
+  useEffect(() => {
+    if (anchor?.row || anchor?.chunk || anchor?.reason || anchor?.category) setSearch("");
+    if (anchor?.view === "matrix" && anchor.sheet) setSheet(anchor.sheet);
+  }, [anchor]);
+
+  useEffect(() => {
+    if (view !== "training") return undefined;
+    if (anchor?.chunk) loadTrainingDoc({ chunk: anchor.chunk });
+    else if (anchor?.file) loadTrainingDoc({ file: anchor.file });
+    else setTrainingDoc(null);
+    return () => docAbortRef.current?.abort?.();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [BASE, view, anchor?.chunk, anchor?.file]);
+
+  const data = payloads[view] || null;
+  const target = targetId(anchor, data, trainingDoc);
+
+  useEffect(() => {
+    if (!target) return;
+    const el = document.getElementById(target);
+    if (el) el.scrollIntoView({ behavior: "smooth", block: "center" });
+  }, [target, data, trainingDoc]);
+
+  const q = norm(search).toLowerCase();
+
+  return (
+    <div className="rv-wrap dv-wrap">
+      <div className="rv-card">
+        <div className="rv-head">
+          <div>
+            <div className="rv-title">Documents</div>
+            <div className="rv-sub">
+              The compliance docs the answers cite. Row numbers and chunk ids are links - copy one to share the exact
+              source.
+            </div>
+          </div>
+
+          <div className="rv-tabs">
+            {DOC_VIEWS.map((t) => (
+              <a key={t.view} className={`rv-tab dv-tab ${view === t.view ? "is-active" : ""}`} href={`#${t.view}`}>
+                {t.label}
+              </a>
+            ))}
+          </div>
+        </div>
+
+        {error ? <div className="rv-alert is-err">{error}</div> : null}
+
+        <div className="rv-listHead">
+          <div className="rv-listTitle">{DOC_VIEWS.find((t) => t.view === view)?.label}</div>
+          <div className="rv-listTools">
+            <input
+              className="rv-input rv-inputSm"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder={view === "training" ? "Filter documents…" : "Search…"}
+            />
+            <button
+              className="rv-btn rv-btnGhost"
+              type="button"
+              onClick={() => loadView(view, { force: true })}
+              disabled={loading}
+            >
+              {loading ? "Loading…" : "Reload"}
+            </button>
+          </div>
+        </div>
+
+        {!data ? (
+          <div className="rv-empty">{loading ? "Loading…" : "Not loaded."}</div>
+        ) : view === "matrix" ? (
+          <MatrixView data={data} sheet={sheet} onSheet={setSheet} q={q} target={target} />
+        ) : view === "qaVoice" || view === "qaGroup" ? (
+          <RubricView view={view} data={data} q={q} target={target} />
+        ) : view === "training" ? (
+          <TrainingView data={data} doc={trainingDoc} q={q} target={target} anchor={anchor} />
+        ) : (
+          <RppView data={data} q={q} target={target} />
+        )}
+
+        <div className="rv-footNote">
+          API: <span className="rv-mono">{BASE}</span>
+          {data?.matrixSource ? ` • matrix from ${data.matrixSource}` : ""}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function MatrixView({ data, sheet, onSheet, q, target }) {
+  const sheets = data.sheets || [];
+  const active = sheets.find((s) => s.slug === sheet) || sheets[0];
+  if (!active) return <div className="rv-empty">No sheets in the Service Matrix.</div>;
+
+  const rows = active.scenarios.filter((s) => matches(q, s.issue, s.instructions, s.section, s.routingSummary));
+
+  return (
+    <>
+      {sheets.length > 1 ? (
+        <div className="rv-tabs dv-subTabs">
+          {sheets.map((s) => (
+            <button
+              key={s.slug}
+              className={`rv-tab ${s.slug === active.slug ? "is-active" : ""}`}
+              type="button"
+              onClick={() => onSheet(s.slug)}
+            >
+              {s.sheetName} <span className="dv-count">{s.scenarios.length}</span>
+            </button>
+          ))}
+        </div>
+      ) : null}
+
+      {active.notes.length ? (
+        <details className="dv-notes">
+          <summary>Sheet notes ({active.notes.length})</summary>
+          {active.notes.map((n) => (
+            <div key={n.rowNumber} className="dv-note">
+              <span className="rv-mono">#{n.rowNumber}</span> {n.text}
+            </div>
+          ))}
+        </details>
+      ) : null}
+
+      <div className="dv-tableWrap">
+        <table className="dv-table">
+          <thead>
+            <tr>
+              <th>Row</th>
+              <th>Issue</th>
+              <th>Instructions</th>
+              {ROUTING_COLS.map((c) => (
+                <th key={c.key}>{c.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((s) => {
+              const id = `dv-matrix-${active.slug}-${s.rowNumber}`;
+              return (
+                <tr key={s.id} id={id} className={target === id ? "is-target" : ""}>
+                  <td>
+                    <a className="dv-link rv-mono" href={docAnchor({ view: "matrix", sheet: active.slug, row: s.rowNumber })}>
+                      {s.rowNumber}
+                    </a>
+                  </td>
+                  <td>
+                    <div className="dv-issue">{s.issue}</div>
+                    {s.section ? <div className="rv-hint">{s.section}</div> : null}
+                  </td>
+                  <td className="dv-pre">{s.instructions}</td>
+                  {ROUTING_COLS.map((c) => (
+                    <td key={c.key} className="dv-flag" title={s.routing?.[c.key]?.raw || ""}>
+                      {routingText(s.routing?.[c.key])}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {!rows.length ? <div className="rv-empty">No rows match.</div> : null}
+      </div>
+    </>
+  );
+}
+
+function RubricView({ view, data, q, target }) {
+  const criteria = (data.criteria || []).filter((c) =>
+    matches(q, c.id, c.criterion, ...Object.values(c.guidelines || {}))
+  );
+
+  return (
+    <>
+      <div className="rv-hint dv-meta">
+        {data.form} • {data.assessment}
+        {data.passingScore ? ` • passing score ${data.passingScore}%` : ""}
+      </div>
+      <div className="rv-list">
+        {criteria.map((c) => {
+          const id = `dv-${view}-${c.rowNumber}`;
+          return (
+            <div key={c.id} id={id} className={`rv-item ${target === id ? "is-target" : ""}`}>
+              <div className="rv-itemTop">
+                <div className="rv-itemName">
+                  {c.id}. {c.criterion}
+                </div>
+                <span className="rv-pill">
+                  {c.points ?? "—"} pts • {c.percent}%
+                </span>
+              </div>
+              {["Yes", "No", "N/A"].map((v) =>
+                c.guidelines?.[v] ? (
+                  <div key={v} className="dv-guideline">
+                    <span className={`rv-pill dv-verdict is-${v === "N/A" ? "na" : v.toLowerCase()}`}>{v}</span>
+                    <span className="dv-pre">{c.guidelines[v]}</span>
+                  </div>
+                ) : null
+              )}
+              <a className="dv-link rv-hint" href={docAnchor({ view, row: c.rowNumber })}>
+                {data.sheetName} row {c.rowNumber}
+              </a>
+            </div>
+          );
+        })}
+        {!criteria.length ? <div className="rv-empty">No criteria match.</div> : null}
+      </div>
+    </>
+  );
+}
+
+function ChunkList({ chunks, target, open }) {
+  if (!chunks.length) return null;
+  return (
+    <details className="dv-chunks" open={open}>
+      <summary>
+        {chunks.length} chunk{chunks.length === 1 ? "" : "s"}
+      </summary>
+      {chunks.map((c) => {
+        const id = `dv-chunk-${c.id}`;
+        return (
+          <div key={c.id} id={id} className={`dv-chunk ${target === id ? "is-target" : ""}`}>
+            <a className="dv-link rv-mono" href={docAnchor({ view: "training", chunk: c.id })}>
+              {c.id}
+            </a>{" "}
+            <span className="dv-pre">{c.text}</span>
+          </div>
+        );
+      })}
+    </details>
+  );
+}
+
+function TrainingView({ data, doc, q, target, anchor }) {
+  const documents = (data.documents || []).filter((d) => matches(q, d.file));
+  const folders = [];
+  for (const d of documents) {
+    let f = folders.find((x) => x.name === d.folder);
+    if (!f) folders.push((f = { name: d.folder, docs: [] }));
+    f.docs.push(d);
+  }
+  const focusSlide = anchor?.slide || doc?.focus?.slide || null;
+
+  return (
+    <div className="dv-split">
+      <div className="dv-side">
+        {folders.map((f) => (
+          <div key={f.name} className="dv-folder">
+            <div className="dv-folderName">{f.name || "Documents"}</div>
+            {f.docs.map((d) => (
+              <a
+                key={d.file}
+                className={`dv-docLink ${doc?.file === d.file ? "is-active" : ""}`}
+                href={docAnchor({ view: "training", file: d.file })}
+              >
+                {d.name}
+                <span className="dv-count">{d.slides ? `${d.slides} slides` : d.ext}</span>
+              </a>
+            ))}
+          </div>
+        ))}
+        {!folders.length ? <div className="rv-hint">No documents match.</div> : null}
+      </div>
+
+      <div className="dv-body">
+        {!doc ? (
+          <div className="rv-empty">Pick a document - or open a training citation from an answer.</div>
+        ) : (
+          <>
+            <div className="rv-itemName">{doc.name}</div>
+            <div className="rv-hint dv-meta">{doc.folder}</div>
+
+            {doc.slides.map((s) => {
+              const id = `dv-slide-${s.slide}`;
+              return (
+                <div key={s.slide} id={id} className={`rv-item dv-slide ${target === id ? "is-target" : ""}`}>
+                  <div className="rv-itemTop">
+                    <div className="rv-itemName">{s.title || `Slide ${s.slide}`}</div>
+                    <a className="dv-link rv-pill" href={docAnchor({ view: "training", file: doc.file, slide: s.slide })}>
+                      Slide {s.slide}
+                    </a>
+                  </div>
+                  <ul className="dv-bullets">
+                    {s.bullets.map((b, i) => (
+                      <li key={i} style={{ marginLeft: `${b.level * 16}px` }}>
+                        {b.text}
+                      </li>
+                    ))}
+                  </ul>
+                  {s.notes ? <div className="rv-hint dv-pre">📝 {s.notes}</div> : null}
+                  <ChunkList chunks={s.chunks} target={target} open={focusSlide === s.slide} />
+                </div>
+              );
+            })}
+
+            {doc.paragraphs.length ? (
+              <div className="rv-item">
+                {doc.paragraphs.map((p, i) => (
+                  <p key={i} className="dv-para">
+                    {p}
+                  </p>
+                ))}
+              </div>
+            ) : null}
+
+            {doc.sheets.map((sh) => (
+              <div key={sh.name} className="dv-tableWrap">
+                <div className="rv-hint">{sh.name}</div>
+                <table className="dv-table">
+                  <tbody>
+                    {sh.rows.map((r, i) => (
+                      <tr key={i}>
+                        {r.map((v, j) => (
+                          <td key={j}>{v}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ))}
+
+            {doc.chunks.length ? (
+              <div className="rv-item">
+                <div className="rv-itemName">Other chunks</div>
+                <ChunkList chunks={doc.chunks} target={target} open={!focusSlide && !!doc.focus?.chunkId} />
+              </div>
+            ) : null}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function RppView({ data, q, target }) {
+  const categories = (data.categories || [])
+    .map((c) => ({
+      ...c,
+      reasons: c.reasons.filter((r) => matches(q, r.title, r.triggerSummary, r.policyText, ...r.keywords)),
+    }))
+    .filter((c) => c.reasons.length || matches(q, c.name, c.description));
+
+  return (
+    <div className="rv-list">
+      {categories.map((c) => {
+        const catId = `dv-rppcat-${c.id}`;
+        return (
+          <div key={c.id} id={catId} className={`dv-category ${target === catId ? "is-target" : ""}`}>
+            <a className="dv-link rv-itemName" href={docAnchor({ view: "rpp", category: c.id })}>
+              {c.name}
+            </a>
+            {c.description ? <div className="rv-hint">{c.description}</div> : null}
+
+            {c.reasons.map((r) => {
+              const id = `dv-rpp-${r.id}`;
+              return (
+                <div key={r.id} id={id} className={`rv-item ${target === id ? "is-target" : ""}`}>
+                  <div className="rv-itemTop">
+                    <a className="dv-link rv-itemName" href={docAnchor({ view: "rpp", reason: r.id })}>
+                      {r.title}
+                    </a>
+                    {r.timeWindow ? <span className="rv-pill">⏱ {timeWindowText(r.timeWindow)}</span> : null}
+                  </div>
+                  {r.triggerSummary ? <div className="rv-hint">{r.triggerSummary}</div> : null}
+                  <div className="rv-itemComment">{r.policyText}</div>
+                  {r.coveredParties.length ? (
+                    <div className="rv-itemMeta">
+                      Covered:{" "}
+                      {r.coveredParties.map((p) => (
+                        <span key={p} className="rv-pill">
+                          {p.replace(/_/g, " ")}
+                        </span>
+                      ))}
+                    </div>
+                  ) : null}
+                </div>
+              );
+            })}
+          </div>
+        );
+      })}
+      {!categories.length ? <div className="rv-empty">No coverage reasons match.</div> : null}
+    </div>
+  );
+}
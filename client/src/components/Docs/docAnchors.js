@@ -0,0 +1,107 @@
+// Viewer deep links live in the URL hash so they can be pasted into tickets / Slack:
+//   #matrix/row/42  #matrix/ticket-matrix/row/35  #qaVoice/row/12  #qaGroup/row/8
+//   #training/<chunk_id>  #training/file/<relative path>/slide/3  #rpp/<reason id>  #rpp/category/<id>
+
+export const DOC_VIEWS = [
+  { view: "matrix", label: "Service Matrix" },
+  { view: "qaVoice", label: "QA Voice" },
+  { view: "qaGroup", label: "QA Groups" },
+  { view: "training", label: "Training Guide" },
+  { view: "rpp", label: "RPP Guide" },
+];
+
+const VIEW_KEYS = new Set(DOC_VIEWS.map((v) => v.view));
+
+// same as the server's sheet slug ("Voice Matrix" -> "voice-matrix")
+export function sheetSlug(name) {
+  return String(name ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function decode(s) {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return s;
+  }
+}
+
+function positive(n) {
+  const v = Number(n);
+  return Number.isInteger(v) && v > 0 ? v : null;
+}
+
+/** "#matrix/voice-matrix/row/36" -> { view: "matrix", sheet: "voice-matrix", row: 36 }; null when not a viewer link. */
+export function parseDocAnchor(hash) {
+  const parts = String(hash || "")
+    .replace(/^#\/?/, "")
+    .split("/")
+    .filter(Boolean)
+    .map(decode);
+  const [view, ...rest] = parts;
+  if (!VIEW_KEYS.has(view)) return null;
+
+  if (view === "matrix" || view === "qaVoice" || view === "qaGroup") {
+    const i = rest.indexOf("row");
+    const row = i >= 0 ? positive(rest[i + 1]) : null;
+    const sheet = view === "matrix" && i !== 0 && rest.length ? rest[0] : null;
+    return { view, sheet, row };
+  }
+
+  if (view === "training") {
+    if (rest[0] === "file") {
+      const i = rest.indexOf("slide");
+      return { view, file: rest[1] || null, slide: i > 0 ? positive(rest[i + 1]) : null, chunk: null };
+    }
+    return { view, chunk: rest[0] || null, file: null, slide: null };
+  }
+
+  // rpp
+  if (rest[0] === "category") return { view, category: rest[1] || null, reason: null };
+  return { view, reason: rest[0] || null, category: null };
+}
+
+/** Inverse of parseDocAnchor. */
+export function docAnchor(a) {
+  if (!a || !VIEW_KEYS.has(a.view)) return "";
+  const enc = encodeURIComponent;
+
+  if (a.view === "matrix" || a.view === "qaVoice" || a.view === "qaGroup") {
+    const sheet = a.view === "matrix" && a.sheet ? `/${enc(a.sheet)}` : "";
+    return a.row ? `#${a.view}${sheet}/row/${a.row}` : `#${a.view}${sheet}`;
+  }
+  if (a.view === "training") {
+    if (a.chunk) return `#training/${enc(a.chunk)}`;
+    if (a.file) return `#training/file/${enc(a.file)}${a.slide ? `/slide/${a.slide}` : ""}`;
+    return "#training";
+  }
+  if (a.reason) return `#rpp/${enc(a.reason)}`;
+  if (a.category) return `#rpp/category/${enc(a.category)}`;
+  return "#rpp";
+}
+
+/** Viewer link for a checked citation (the server's { docKey, source }); "" when it can't be located. */
+export function citationAnchor(c) {
+  const src = c?.source;
+  if (!src) return "";
+  const docKey = src.docKey || c.docKey;
+
+  if (docKey === "matrix" && src.rowNumber) {
+    const sheet = src.scenarioId ? src.scenarioId.split(":")[0] : sheetSlug(src.sheetName);
+    return docAnchor({ view: "matrix", sheet, row: src.rowNumber });
+  }
+  if ((docKey === "qaVoice" || docKey === "qaGroup") && src.rowNumber) {
+    return docAnchor({ view: docKey, row: src.rowNumber });
+  }
+  if (docKey === "trainingGuide" || docKey === "trainingChunks") {
+    if (src.chunkId) return docAnchor({ view: "training", chunk: src.chunkId });
+    if (src.file) return docAnchor({ view: "training", file: src.file, slide: src.slide });
+  }
+  if (docKey === "rppGuide") {
+    return docAnchor({ view: "rpp", reason: src.coverageReasonId, category: src.categoryId });
+  }
+  return "";
+}
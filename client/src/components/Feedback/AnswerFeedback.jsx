@@ -0,0 +1,201 @@
+import React, { useState } from "react";
+
+const VERDICTS = [
+  { key: "helpful", label: "👍 Helpful" },
+  { key: "wrong", label: "👎 Wrong" },
+  { key: "unsafe", label: "⚠️ Unsafe" },
+];
+
+function norm(s) {
+  return String(s ?? "").trim();
+}
+
+function verdictLabel(key) {
+  return VERDICTS.find((v) => v.key === key)?.label || key;
+}
+
+// Thumbs / correction bar under one assistant answer; `value` is the feedback already sent for it
+export default function AnswerFeedback({ apiBase, token, requestId, value, onSaved, onSessionExpired }) {
+  const BASE = String(apiBase || import.meta.env?.VITE_API_BASE || "http://localhost:5050").replace(/\/+$/, "");
+
+  const [verdict, setVerdict] = useState(value?.verdict || "");
+  const [formOpen, setFormOpen] = useState(false);
+  const [correction, setCorrection] = useState(value?.correction || "");
+  const [matrixRow, setMatrixRow] = useState(value?.matrixRow || null);
+  const [matrixQuery, setMatrixQuery] = useState("");
+  const [matrixResults, setMatrixResults] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  async function fetchJson(url, options = {}) {
+    const res = await fetch(url, {
+      ...options,
+      headers: {
+        ...(options.headers || {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        "Content-Type": "application/json",
+      },
+      cache: "no-store",
+    });
+    const body = await res.json().catch(() => null);
+    if (!res.ok) {
+      const msg = body?.error || `Request failed (HTTP ${res.status})`;
+      if (res.status === 401) onSessionExpired?.(String(msg));
+      throw new Error(String(msg));
+    }
+    return body;
+  }
+
+  async function submit(nextVerdict) {
+    setError("");
+    setSaving(true);
+    try {
+      const data = await fetchJson(`${BASE}/api/feedback`, {
+        method: "POST",
+        body: JSON.stringify({
+          requestId,
+          verdict: nextVerdict,
+          correction: nextVerdict === "helpful" ? "" : norm(correction),
+          matrixRow: nextVerdict === "helpful" ? null : matrixRow?.scenarioId || null,
+        }),
+      });
+      const fb = data.feedback;
+      setVerdict(fb.verdict);
+      setFormOpen(false);
+      onSaved?.({ verdict: fb.verdict, correction: fb.correction, matrixRow: fb.matrixRow, id: fb.id });
+    } catch (e) {
+      setError(e?.message || "Failed to send feedback");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function searchMatrix(e) {
+    e?.preventDefault?.();
+    const q = norm(matrixQuery);
+    if (!q) return;
+    setError("");
+    try {
+      const data = await fetchJson(`${BASE}/api/matrix/search?${new URLSearchParams({ q, limit: "5" })}`);
+      setMatrixResults(Array.isArray(data?.results) ? data.results : []);
+    } catch (err) {
+      setError(err?.message || "Matrix search failed");
+    }
+  }
+
+  function pick(key) {
+    if (key === "helpful") return submit("helpful");
+    setVerdict(key);
+    setFormOpen(true);
+  }
+
+  const sent = value?.verdict && !formOpen;
+
+  return (
+    <div className="cc-fb">
+      <div className="cc-fbRow">
+        {sent ? (
+          <span className="cc-fbThanks">
+            Feedback sent: <b>{verdictLabel(value.verdict)}</b>
+            {value.verdict === "helpful" ? "" : " - QA will review it."}
+          </span>
+        ) : (
+          <span className="cc-fbAsk">Was this answer right?</span>
+        )}
+        {VERDICTS.map((v) => (
+          <button
+            key={v.key}
+            className={`cc-fbBtn ${verdict === v.key ? "is-active" : ""} ${v.key !== "helpful" ? "is-bad" : ""}`}
+            type="button"
+            onClick={() => pick(v.key)}
+            disabled={saving}
+            aria-pressed={verdict === v.key}
+          >
+            {v.label}
+          </button>
+        ))}
+      </div>
+
+      {formOpen ? (
+        <div className="cc-fbForm">
+          <textarea
+            className="rv-input rv-textarea"
+            rows={3}
+            value={correction}
+            onChange={(e) => setCorrection(e.target.value)}
+            placeholder={
+              verdict === "unsafe"
+                ? "What makes it unsafe? What should the agent do instead?"
+                : "What should the answer have said?"
+            }
+            maxLength={2000}
+            disabled={saving}
+          />
+
+          <div className="cc-fbMatrix">
+            {matrixRow ? (
+              <span className="rv-pill">
+                Correct row: {matrixRow.sheetName} #{matrixRow.rowNumber} - {matrixRow.issue}
+                <button className="cc-fbClear" type="button" onClick={() => setMatrixRow(null)} aria-label="Remove matrix row">
+                  ✕
+                </button>
+              </span>
+            ) : (
+              <form className="rv-row" onSubmit={searchMatrix}>
+                <input
+                  className="rv-input rv-inputSm"
+                  value={matrixQuery}
+                  onChange={(e) => setMatrixQuery(e.target.value)}
+                  placeholder="Correct Service Matrix row (optional) - search…"
+                  disabled={saving}
+                />
+                <button className="rv-btn rv-btnGhost" type="submit" disabled={saving || !norm(matrixQuery)}>
+                  Find
+                </button>
+              </form>
+            )}
+            {!matrixRow && matrixResults.length ? (
+              <div className="cc-fbResults">
+                {matrixResults.map((s) => (
+                  <button
+                    key={s.id}
+                    className="cc-fbResult"
+                    type="button"
+                    onClick={() => {
+                      setMatrixRow({ scenarioId: s.id, sheetName: s.sheetName, rowNumber: s.rowNumber, issue: s.issue });
+                      setMatrixResults([]);
+                    }}
+                  >
+                    <b>
+                      {s.sheetName} #{s.rowNumber}
+                    </b>{" "}
+                    {s.issue}
+                  </button>
+                ))}
+              </div>
+            ) : null}
+          </div>
+
+          <div className="rv-row">
+            <button className="rv-btn" type="button" onClick={() => submit(verdict)} disabled={saving}>
+              {saving ? "Sending…" : `Send "${verdictLabel(verdict)}"`}
+            </button>
+            <button
+              className="rv-btn rv-btnGhost"
+              type="button"
+              onClick={() => {
+                setFormOpen(false);
+                setVerdict(value?.verdict || "");
+              }}
+              disabled={saving}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : null}
+
+      {error ? <div className="rv-alert is-err">{error}</div> : null}
+    </div>
+  );
+}
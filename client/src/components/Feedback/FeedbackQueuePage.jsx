@@ -0,0 +1,280 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+
+const STATUS_TABS = [
+  { key: "open", label: "Open" },
+  { key: "resolved", label: "Resolved" },
+  { key: "dismissed", label: "Dismissed" },
+  { key: "all", label: "All" },
+];
+
+const VERDICT_FILTERS = [
+  { key: "wrong,unsafe", label: "Wrong + Unsafe" },
+  { key: "unsafe", label: "Unsafe only" },
+  { key: "wrong", label: "Wrong only" },
+  { key: "helpful", label: "Helpful" },
+  { key: "all", label: "All verdicts" },
+];
+
+const VERDICT_LABELS = { helpful: "👍 Helpful", wrong: "👎 Wrong", unsafe: "⚠️ Unsafe" };
+
+function norm(s) {
+  return String(s ?? "").trim();
+}
+
+// QA leads: answers agents flagged as wrong / unsafe, and the scenarios that keep getting flagged
+export default function FeedbackQueuePage({ apiBase, token, onSessionExpired }) {
+  const BASE = useMemo(
+    () => String(apiBase || import.meta.env?.VITE_API_BASE || "http://localhost:5050").replace(/\/+$/, ""),
+    [apiBase]
+  );
+
+  const [status, setStatus] = useState("open");
+  const [verdict, setVerdict] = useState("wrong,unsafe");
+  const [search, setSearch] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [data, setData] = useState({ items: [], total: 0, counts: {}, scenarios: [] });
+  const [notes, setNotes] = useState({}); // feedback id -> note being typed
+
+  const abortRef = useRef(null);
+
+  async function fetchJson(url, options = {}) {
+    const res = await fetch(url, {
+      ...options,
+      headers: {
+        ...(options.headers || {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        "Content-Type": "application/json",
+      },
+      cache: "no-store",
+    });
+    const body = await res.json().catch(() => null);
+    if (!res.ok) {
+      const msg = body?.error || `Request failed (HTTP ${res.status})`;
+      if (res.status === 401) onSessionExpired?.(String(msg));
+      const e = new Error(String(msg));
+      e.status = res.status;
+      throw e;
+    }
+    return body;
+  }
+
+  async function load() {
+    if (abortRef.current) abortRef.current.abort();
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+
+    setError("");
+    setLoading(true);
+    try {
+      const qs = new URLSearchParams({ status, verdict });
+      if (norm(search)) qs.set("q", norm(search));
+      const body = await fetchJson(`${BASE}/api/feedback?${qs.toString()}`, { signal: ctrl.signal });
+      setData({
+        items: Array.isArray(body?.items) ? body.items : [],
+        total: body?.total || 0,
+        counts: body?.counts || {},
+        scenarios: Array.isArray(body?.scenarios) ? body.scenarios : [],
+      });
+    } catch (e) {
+      if (e?.name !== "AbortError") setError(e?.message || "Failed to load feedback");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function setItemStatus(id, nextStatus) {
+    setError("");
+    try {
+      await fetchJson(`${BASE}/api/feedback/${encodeURIComponent(id)}/status`, {
+        method: "POST",
+        body: JSON.stringify({ status: nextStatus, note: norm(notes[id]) }),
+      });
+      setNotes((prev) => ({ ...prev, [id]: "" }));
+      await load();
+    } catch (e) {
+      setError(e?.message || "Failed to update feedback");
+    }
+  }
+
+  useEffect(() => {
+    load();
+    return () => abortRef.current?.abort?.();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [BASE, status, verdict]);
+
+  const { counts, scenarios, items } = data;
+
+  return (
+    <div className="rv-wrap">
+      <div className="rv-card">
+        <div className="rv-head">
+          <div>
+            <div className="rv-title">QA Queue</div>
+            <div className="rv-sub">
+              Answers agents marked wrong or unsafe. Fix the docs or the prompt, then resolve - or dismiss when the answer
+              was right.
+            </div>
+          </div>
+
+          <div className="rv-tabs">
+            {STATUS_TABS.map((t) => (
+              <button
+                key={t.key}
+                className={`rv-tab ${status === t.key ? "is-active" : ""}`}
+                type="button"
+                onClick={() => setStatus(t.key)}
+              >
+                {t.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {error ? <div className="rv-alert is-err">{error}</div> : null}
+
+        <div className="rv-stats">
+          <div className="rv-stat">
+            <div className="rv-statLabel">Open</div>
+            <div className="rv-statVal">{counts.open || 0}</div>
+          </div>
+          <div className="rv-stat">
+            <div className="rv-statLabel">Wrong / Unsafe</div>
+            <div className="rv-statVal">
+              {counts.wrong || 0}
+              <span className="rv-statSmall"> / {counts.unsafe || 0}</span>
+            </div>
+          </div>
+          <div className="rv-stat rv-statWide">
+            <div className="rv-statLabel">Most flagged scenarios</div>
+            {scenarios.length ? (
+              <div className="rv-fbScenarios">
+                {scenarios.slice(0, 6).map((s) => (
+                  <div key={s.scenarioId || s.issue} className="rv-fbScenario" title={s.scenarioId || ""}>
+                    <span className="rv-fbScenarioName">{s.issue}</span>
+                    <span className="rv-fbScenarioCounts">
+                      {s.wrong}👎 {s.unsafe}⚠️{s.open ? ` • ${s.open} open` : ""}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="rv-hint">Nothing flagged yet.</div>
+            )}
+          </div>
+        </div>
+
+        <div className="rv-listHead">
+          <div className="rv-listTitle">
+            {data.total} item{data.total === 1 ? "" : "s"}
+          </div>
+          <div className="rv-listTools">
+            <select
+              className="rv-input rv-inputSm"
+              value={verdict}
+              onChange={(e) => setVerdict(e.target.value)}
+              disabled={loading}
+            >
+              {VERDICT_FILTERS.map((v) => (
+                <option key={v.key} value={v.key}>
+                  {v.label}
+                </option>
+              ))}
+            </select>
+
+            <input
+              className="rv-input rv-inputSm"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && load()}
+              placeholder="Search question, answer, correction…"
+              disabled={loading}
+            />
+
+            <button className="rv-btn rv-btnGhost" type="button" onClick={load} disabled={loading}>
+              {loading ? "Refreshing…" : "Refresh"}
+            </button>
+          </div>
+        </div>
+
+        <div className="rv-list">
+          {items.length ? (
+            items.map((f) => (
+              <div key={f.id} className="rv-item">
+                <div className="rv-itemTop">
+                  <div className="rv-itemLeft">
+                    <div className="rv-itemName">{f.ask?.question || "(no question)"}</div>
+                    <div className="rv-itemMeta">
+                      <span className={`rv-pill rv-fbVerdict is-${f.verdict}`}>{VERDICT_LABELS[f.verdict] || f.verdict}</span>
+                      <span className="rv-pill">{f.user?.callCenter || "Unassigned"}</span>
+                      <span className="rv-dot">•</span>
+                      <span>{f.user?.name || f.user?.email}</span>
+                      <span className="rv-dot">•</span>
+                      <span className="rv-date">{f.updatedAt ? new Date(f.updatedAt).toLocaleString() : ""}</span>
+                    </div>
+                    <div className="rv-itemEmail">
+                      {f.ask?.resolution || "-"} • {f.ask?.provider || "-"}
+                      {f.ask?.scenario ? ` • closest row: ${f.ask.scenario.issue || f.ask.scenario.scenarioId}` : ""}
+                      {" • "}
+                      <span className="rv-mono">{f.requestId}</span>
+                    </div>
+                  </div>
+                  <span className="rv-pill">{f.status}</span>
+                </div>
+
+                {f.correction ? <div className="rv-itemComment">✏️ {f.correction}</div> : null}
+                {f.matrixRow ? (
+                  <div className="rv-itemComment">
+                    📌 Correct row: {f.matrixRow.sheetName} #{f.matrixRow.rowNumber} - {f.matrixRow.issue}
+                  </div>
+                ) : null}
+
+                <details className="rv-fbAnswer">
+                  <summary>Answer the agent got</summary>
+                  <pre>{f.ask?.answer || ""}</pre>
+                </details>
+
+                {f.note || f.reviewedBy ? (
+                  <div className="rv-hint">
+                    {f.status} by {f.reviewedBy || "-"}
+                    {f.note ? `: ${f.note}` : ""}
+                  </div>
+                ) : null}
+
+                <div className="rv-row">
+                  <input
+                    className="rv-input rv-inputSm"
+                    value={notes[f.id] || ""}
+                    onChange={(e) => setNotes((prev) => ({ ...prev, [f.id]: e.target.value }))}
+                    placeholder="Note (what was fixed / why dismissed)"
+                    maxLength={1000}
+                  />
+                  {f.status === "open" ? (
+                    <>
+                      <button className="rv-btn" type="button" onClick={() => setItemStatus(f.id, "resolved")}>
+                        Resolve
+                      </button>
+                      <button className="rv-btn rv-btnGhost" type="button" onClick={() => setItemStatus(f.id, "dismissed")}>
+                        Dismiss
+                      </button>
+                    </>
+                  ) : (
+                    <button className="rv-btn rv-btnGhost" type="button" onClick={() => setItemStatus(f.id, "open")}>
+                      Reopen
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))
+          ) : (
+            <div className="rv-empty">{loading ? "Loading…" : "Nothing here."}</div>
+          )}
+        </div>
+
+        <div className="rv-footNote">
+          API: <span className="rv-mono">{BASE}</span>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,344 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+
+const BUCKETS = [
+  { key: "month", label: "Monthly", periods: [3, 6, 12, 24] },
+  { key: "week", label: "Weekly", periods: [4, 8, 12, 26] },
+];
+
+const DATE_FIELDS = [
+  { key: "createdAt", label: "First submitted" },
+  { key: "updatedAt", label: "Last edited" },
+];
+
+const STARS = [5, 4, 3, 2, 1];
+
+function fmtAvg(avg) {
+  return avg === null || avg === undefined ? "-" : avg.toFixed(2);
+}
+
+function fmtDelta(n, digits = 0) {
+  if (n === null || n === undefined) return "";
+  if (n === 0) return "±0";
+  return `${n > 0 ? "▲ +" : "▼ "}${n.toFixed(digits)}`;
+}
+
+function deltaClass(n) {
+  return `rv-delta ${n > 0 ? "is-up" : n < 0 ? "is-down" : ""}`;
+}
+
+function periodLabel(point, bucket) {
+  if (!point) return "-";
+  if (bucket === "week") return `Week of ${point.key}`;
+  const d = new Date(point.from);
+  return d.toLocaleDateString(undefined, { month: "long", year: "numeric", timeZone: "UTC" });
+}
+
+// call center names are free text: don't let Excel run one as a formula
+function csvCell(v) {
+  let s = String(v ?? "");
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function scorecardCsv(stats) {
+  const cur = stats.comparison.current;
+  const prev = stats.comparison.previous;
+  const head = [
+    "callCenter",
+    "responses",
+    "withComment",
+    "avg",
+    ...STARS.map((s) => `${s}star`),
+    `responses_${cur.key}`,
+    `avg_${cur.key}`,
+    ...(prev ? [`responses_${prev.key}`, `avg_${prev.key}`] : []),
+  ];
+  const rows = stats.callCenters.map((c) => [
+    c.callCenter,
+    c.responses,
+    c.withComment,
+    c.avg ?? "",
+    ...STARS.map((s) => c.histogram[s]),
+    c.comparison.current.responses,
+    c.comparison.current.avg ?? "",
+    ...(prev ? [c.comparison.previous.responses, c.comparison.previous.avg ?? ""] : []),
+  ]);
+  return [head, ...rows].map((r) => r.map(csvCell).join(",")).join("\n");
+}
+
+function Histogram({ histogram, total }) {
+  return (
+    <div className="rv-histogram">
+      {STARS.map((s) => {
+        const n = histogram?.[s] || 0;
+        return (
+          <div key={s} className="rv-histRow">
+            <span className="rv-histLabel">{s}★</span>
+            <span className="rv-histTrack">
+              <span className="rv-histBar" style={{ width: `${total ? (n / total) * 100 : 0}%` }} />
+            </span>
+            <span className="rv-histCount">{n}</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function TrendChart({ trend, bucket }) {
+  const max = Math.max(1, ...trend.map((p) => p.responses));
+  return (
+    <div className="rv-trend">
+      {trend.map((p) => (
+        <div
+          key={p.key}
+          className="rv-trendCol"
+          title={`${periodLabel(p, bucket)}: ${p.responses} • ${fmtAvg(p.avg)}★`}
+        >
+          <div className="rv-trendAvg">{p.avg === null ? "" : `${p.avg.toFixed(1)}★`}</div>
+          <div className="rv-trendTrack">
+            <div className="rv-trendBar" style={{ height: `${(p.responses / max) * 100}%` }} />
+          </div>
+          <div className="rv-trendCount">{p.responses}</div>
+          <div className="rv-trendKey">{bucket === "month" ? p.key.slice(2) : p.key.slice(5)}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// QA leads / vendor management: per-center scorecards from GET /api/reviews/stats (published reviews only)
+export default function ReviewDashboard({ apiBase, token, callCenters, onSessionExpired }) {
+  const BASE = useMemo(
+    () => String(apiBase || import.meta.env?.VITE_API_BASE || "http://localhost:5050").replace(/\/+$/, ""),
+    [apiBase]
+  );
+
+  const [bucket, setBucket] = useState("month");
+  const [periods, setPeriods] = useState(12);
+  const [dateField, setDateField] = useState("createdAt");
+  const [callCenter, setCallCenter] = useState("All");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [stats, setStats] = useState(null);
+
+  const abortRef = useRef(null);
+
+  async function load() {
+    if (abortRef.current) abortRef.current.abort();
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+
+    setError("");
+    setLoading(true);
+    try {
+      const qs = new URLSearchParams({ bucket, periods: String(periods), dateField });
+      if (callCenter !== "All") qs.set("callCenter", callCenter);
+      const res = await fetch(`${BASE}/api/reviews/stats?${qs.toString()}`, {
+        signal: ctrl.signal,
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        cache: "no-store",
+      });
+      const body = await res.json().catch(() => null);
+      if (!res.ok) {
+        const msg = body?.error || `Request failed (HTTP ${res.status})`;
+        if (res.status === 401) onSessionExpired?.(String(msg));
+        throw new Error(String(msg));
+      }
+      setStats(body);
+    } catch (e) {
+      if (e?.name !== "AbortError") setError(e?.message || "Failed to load review stats");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function downloadCsv() {
+    if (!stats) return;
+    const blob = new Blob([scorecardCsv(stats)], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `review-scorecards-${stats.comparison.current.key}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  useEffect(() => {
+    load();
+    return () => abortRef.current?.abort?.();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [BASE, bucket, periods, dateField, callCenter]);
+
+  const periodOptions = BUCKETS.find((b) => b.key === bucket).periods;
+  const cmp = stats?.comparison;
+
+  return (
+    <div>
+      <div className="rv-listHead">
+        <div className="rv-listTitle">Scorecards</div>
+        <div className="rv-listTools">
+          <select
+            className="rv-input rv-inputSm"
+            value={bucket}
+            onChange={(e) => {
+              const next = BUCKETS.find((b) => b.key === e.target.value);
+              setBucket(next.key);
+              if (!next.periods.includes(periods)) setPeriods(next.periods[2]);
+            }}
+            disabled={loading}
+          >
+            {BUCKETS.map((b) => (
+              <option key={b.key} value={b.key}>
+                {b.label}
+              </option>
+            ))}
+          </select>
+          <select
+            className="rv-input rv-inputSm"
+            value={periods}
+            onChange={(e) => setPeriods(Number(e.target.value))}
+            disabled={loading}
+          >
+            {periodOptions.map((n) => (
+              <option key={n} value={n}>
+                Last {n} {bucket === "month" ? "months" : "weeks"}
+              </option>
+            ))}
+          </select>
+          <select
+            className="rv-input rv-inputSm"
+            value={dateField}
+            onChange={(e) => setDateField(e.target.value)}
+            disabled={loading}
+          >
+            {DATE_FIELDS.map((f) => (
+              <option key={f.key} value={f.key}>
+                By {f.label.toLowerCase()}
+              </option>
+            ))}
+          </select>
+          <select
+            className="rv-input rv-inputSm"
+            value={callCenter}
+            onChange={(e) => setCallCenter(e.target.value)}
+            disabled={loading}
+          >
+            <option value="All">All Call Centers</option>
+            {callCenters.map((cc) => (
+              <option key={cc} value={cc}>
+                {cc}
+              </option>
+            ))}
+          </select>
+          <button className="rv-btn rv-btnGhost" type="button" onClick={load} disabled={loading}>
+            {loading ? "Refreshing…" : "Refresh"}
+          </button>
+          <button
+            className="rv-btn rv-btnGhost"
+            type="button"
+            onClick={downloadCsv}
+            disabled={!stats?.callCenters?.length}
+          >
+            Download CSV
+          </button>
+        </div>
+      </div>
+
+      {error ? <div className="rv-alert is-err">{error}</div> : null}
+
+      {stats ? (
+        <>
+          <div className="rv-stats">
+            <div className="rv-stat">
+              <div className="rv-statLabel">
+                {periodLabel(cmp.current, bucket)}
+                {cmp.current.partial ? " (so far)" : ""}
+              </div>
+              <div className="rv-statVal">
+                {fmtAvg(cmp.current.avg)}
+                <span className="rv-statSmall"> / 5</span>
+              </div>
+              <div className="rv-hint">
+                {cmp.current.responses} response{cmp.current.responses === 1 ? "" : "s"}
+                {cmp.delta ? (
+                  <span className={deltaClass(cmp.delta.avg)}>
+                    {" "}
+                    {fmtDelta(cmp.delta.avg, 2)}★ {fmtDelta(cmp.delta.responses)} responses
+                  </span>
+                ) : null}
+              </div>
+            </div>
+            <div className="rv-stat">
+              <div className="rv-statLabel">{periodLabel(cmp.previous, bucket)}</div>
+              <div className="rv-statVal">
+                {fmtAvg(cmp.previous?.avg)}
+                <span className="rv-statSmall"> / 5</span>
+              </div>
+              <div className="rv-hint">
+                {cmp.previous ? `${cmp.previous.responses} response${cmp.previous.responses === 1 ? "" : "s"}` : ""}
+              </div>
+            </div>
+            <div className="rv-stat rv-statWide">
+              <div className="rv-statLabel">
+                Whole range • {stats.overall.responses} responses ({stats.overall.withComment} with comments) •{" "}
+                {fmtAvg(stats.overall.avg)}★
+              </div>
+              <Histogram histogram={stats.overall.histogram} total={stats.overall.responses} />
+            </div>
+          </div>
+
+          <div className="rv-item">
+            <div className="rv-statLabel">Responses per {bucket} (bar) and average stars</div>
+            <TrendChart trend={stats.trend} bucket={bucket} />
+          </div>
+
+          <div className="rv-list">
+            {stats.callCenters.length ? (
+              stats.callCenters.map((c) => (
+                <div key={c.callCenter} className="rv-item">
+                  <div className="rv-itemTop">
+                    <div className="rv-itemLeft">
+                      <div className="rv-itemName">{c.callCenter}</div>
+                      <div className="rv-itemMeta">
+                        <span className="rv-pill">{fmtAvg(c.avg)}★</span>
+                        <span>
+                          {c.responses} response{c.responses === 1 ? "" : "s"} • {c.withComment} with comments
+                        </span>
+                      </div>
+                      <div className="rv-itemEmail">
+                        {periodLabel(c.comparison.current, bucket)}: {c.comparison.current.responses} •{" "}
+                        {fmtAvg(c.comparison.current.avg)}★
+                        {c.comparison.previous
+                          ? ` vs ${c.comparison.previous.responses} • ${fmtAvg(c.comparison.previous.avg)}★`
+                          : ""}
+                        {c.comparison.delta?.avg !== null && c.comparison.delta?.avg !== undefined ? (
+                          <span className={deltaClass(c.comparison.delta.avg)}>
+                            {" "}
+                            {fmtDelta(c.comparison.delta.avg, 2)}★
+                          </span>
+                        ) : null}
+                      </div>
+                    </div>
+                    <Histogram histogram={c.histogram} total={c.responses} />
+                  </div>
+                  <TrendChart trend={c.trend} bucket={bucket} />
+                </div>
+              ))
+            ) : (
+              <div className="rv-empty">{loading ? "Loading…" : "No published reviews in this range."}</div>
+            )}
+          </div>
+
+          <div className="rv-footNote">
+            {new Date(stats.from).toLocaleDateString(undefined, { timeZone: "UTC" })} –{" "}
+            {new Date(Date.parse(stats.to) - 1).toLocaleDateString(undefined, { timeZone: "UTC" })} (UTC) • published
+            reviews only
+          </div>
+        </>
+      ) : (
+        <div className="rv-empty">{loading ? "Loading…" : "No data."}</div>
+      )}
+    </div>
+  );
+}
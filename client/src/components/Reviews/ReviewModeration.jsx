@@ -0,0 +1,339 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import StarRating from "./StarRating.jsx";
+import useInfiniteScroll from "./useInfiniteScroll.js";
+
+const STATUS_TABS = [
+  { key: "pending", label: "Pending" },
+  { key: "published", label: "Published" },
+  { key: "hidden", label: "Hidden" },
+  { key: "deleted", label: "Deleted" },
+  { key: "changes", label: "Changes" },
+];
+
+const PAGE_SIZE = 50;
+
+const ACTION_LABELS = {
+  created: "Created",
+  edited: "Edited",
+  moderated: "Moderated",
+  deleted: "Deleted",
+  restored: "Restored",
+};
+
+function norm(s) {
+  return String(s ?? "").trim();
+}
+
+function when(ts) {
+  return ts ? new Date(ts).toLocaleString() : "";
+}
+
+function changeText(c) {
+  const show = (v) => (v === null || v === "" ? "∅" : String(v));
+  return `${c.field}: ${show(c.before)} → ${show(c.after)}`;
+}
+
+function HistoryList({ history }) {
+  if (!history) return <div className="rv-hint">Loading…</div>;
+  if (!history.length) return <div className="rv-hint">No revisions recorded.</div>;
+  return (
+    <div className="rv-history">
+      {history.map((h) => (
+        <div key={`${h.reviewId}#${h.revision}`} className="rv-historyRow">
+          <div className="rv-historyTop">
+            <span className="rv-mono">r{h.revision}</span>
+            <span className="rv-pill">{ACTION_LABELS[h.action] || h.action}</span>
+            <span>{h.by || "-"}</span>
+            <span className="rv-dot">•</span>
+            <span className="rv-date">{when(h.at)}</span>
+          </div>
+          {h.changes?.length ? <div className="rv-hint">{h.changes.map(changeText).join(" • ")}</div> : null}
+          {h.note ? <div className="rv-hint">“{h.note}”</div> : null}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// QA leads: publish / hide new and edited reviews, soft delete and restore, and who changed what when
+export default function ReviewModeration({ apiBase, token, callCenters, onSessionExpired }) {
+  const BASE = useMemo(
+    () => String(apiBase || import.meta.env?.VITE_API_BASE || "http://localhost:5050").replace(/\/+$/, ""),
+    [apiBase]
+  );
+
+  const [status, setStatus] = useState("pending");
+  const [callCenter, setCallCenter] = useState("All");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [data, setData] = useState({ reviews: [], total: 0, nextCursor: null, counts: {}, history: [] });
+  const [notes, setNotes] = useState({}); // reviewId -> note being typed
+  const [histories, setHistories] = useState({}); // reviewId -> revisions (loaded when opened)
+
+  const abortRef = useRef(null);
+
+  async function fetchJson(url, options = {}) {
+    const res = await fetch(url, {
+      ...options,
+      headers: {
+        ...(options.headers || {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        "Content-Type": "application/json",
+      },
+      cache: "no-store",
+    });
+    const body = await res.json().catch(() => null);
+    if (!res.ok) {
+      const msg = body?.error || `Request failed (HTTP ${res.status})`;
+      if (res.status === 401) onSessionExpired?.(String(msg));
+      const e = new Error(String(msg));
+      e.status = res.status;
+      throw e;
+    }
+    return body;
+  }
+
+  async function load({ more = false } = {}) {
+    if (abortRef.current) abortRef.current.abort();
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+
+    setError("");
+    setLoading(true);
+    try {
+      const qs = new URLSearchParams();
+      if (callCenter !== "All") qs.set("callCenter", callCenter);
+      if (status === "changes") {
+        const body = await fetchJson(`${BASE}/api/reviews/history?${qs.toString()}`, { signal: ctrl.signal });
+        setData((prev) => ({ ...prev, history: Array.isArray(body?.history) ? body.history : [] }));
+      } else {
+        qs.set("status", status);
+        qs.set("limit", String(PAGE_SIZE));
+        if (more) qs.set("cursor", data.nextCursor);
+        const body = await fetchJson(`${BASE}/api/reviews?${qs.toString()}`, { signal: ctrl.signal });
+        const rows = Array.isArray(body?.reviews) ? body.reviews : [];
+        setData((prev) => ({
+          ...prev,
+          reviews: more ? [...prev.reviews, ...rows] : rows,
+          total: body?.total || 0,
+          nextCursor: body?.nextCursor || null,
+          counts: body?.counts || {},
+        }));
+      }
+      if (!more) setHistories({});
+      setLoading(false);
+    } catch (e) {
+      // a newer request (tab / filter changed) aborted this one and owns the loading state now
+      if (e?.name === "AbortError") return;
+      setError(e?.message || "Failed to load reviews");
+      setLoading(false);
+    }
+  }
+
+  async function act(reviewId, action, nextStatus) {
+    setError("");
+    const id = encodeURIComponent(reviewId);
+    const note = norm(notes[reviewId]);
+    try {
+      if (action === "delete") {
+        await fetchJson(`${BASE}/api/reviews/${id}`, { method: "DELETE", body: JSON.stringify({ reason: note }) });
+      } else if (action === "restore") {
+        await fetchJson(`${BASE}/api/reviews/${id}/restore`, { method: "POST" });
+      } else {
+        await fetchJson(`${BASE}/api/reviews/${id}/moderate`, {
+          method: "POST",
+          body: JSON.stringify({ status: nextStatus, note }),
+        });
+      }
+      setNotes((prev) => ({ ...prev, [reviewId]: "" }));
+      await load();
+    } catch (e) {
+      setError(e?.message || "Failed to update review");
+    }
+  }
+
+  async function openHistory(reviewId) {
+    if (histories[reviewId]) return;
+    try {
+      const body = await fetchJson(`${BASE}/api/reviews/${encodeURIComponent(reviewId)}/history`);
+      setHistories((prev) => ({ ...prev, [reviewId]: Array.isArray(body?.history) ? body.history : [] }));
+    } catch (e) {
+      setError(e?.message || "Failed to load review history");
+    }
+  }
+
+  useEffect(() => {
+    load();
+    return () => abortRef.current?.abort?.();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [BASE, status, callCenter]);
+
+  const moreRef = useInfiniteScroll(() => load({ more: true }), status !== "changes" && !!data.nextCursor && !loading);
+
+  const { reviews, counts, history } = data;
+
+  return (
+    <div>
+      <div className="rv-listHead">
+        <div className="rv-tabs">
+          {STATUS_TABS.map((t) => (
+            <button
+              key={t.key}
+              className={`rv-tab ${status === t.key ? "is-active" : ""}`}
+              type="button"
+              onClick={() => setStatus(t.key)}
+            >
+              {t.label}
+              {t.key in counts ? ` (${counts[t.key]})` : ""}
+            </button>
+          ))}
+        </div>
+        <div className="rv-listTools">
+          <select
+            className="rv-input rv-inputSm"
+            value={callCenter}
+            onChange={(e) => setCallCenter(e.target.value)}
+            disabled={loading}
+          >
+            <option value="All">All Call Centers</option>
+            {callCenters.map((cc) => (
+              <option key={cc} value={cc}>
+                {cc}
+              </option>
+            ))}
+          </select>
+          <button className="rv-btn rv-btnGhost" type="button" onClick={() => load()} disabled={loading}>
+            {loading ? "Refreshing…" : "Refresh"}
+          </button>
+        </div>
+      </div>
+
+      {error ? <div className="rv-alert is-err">{error}</div> : null}
+
+      {status === "changes" ? (
+        <div className="rv-list">
+          {history.length ? (
+            <div className="rv-item">
+              <div className="rv-hint">Latest review changes, newest first.</div>
+              <div className="rv-history">
+                {history.map((h) => (
+                  <div key={`${h.reviewId}#${h.revision}`} className="rv-historyRow">
+                    <div className="rv-historyTop">
+                      <span className="rv-pill">{ACTION_LABELS[h.action] || h.action}</span>
+                      <span className="rv-pill">{h.callCenter || "Unknown"}</span>
+                      <span>{h.by || "-"}</span>
+                      <span className="rv-dot">•</span>
+                      <span className="rv-date">{when(h.at)}</span>
+                      <span className="rv-mono">
+                        {h.reviewId.slice(0, 8)} r{h.revision}
+                      </span>
+                    </div>
+                    {h.changes?.length ? (
+                      <div className="rv-hint">{h.changes.map(changeText).join(" • ")}</div>
+                    ) : null}
+                    {h.note ? <div className="rv-hint">“{h.note}”</div> : null}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ) : (
+            <div className="rv-empty">{loading ? "Loading…" : "No changes recorded yet."}</div>
+          )}
+        </div>
+      ) : (
+        <div className="rv-list">
+          {reviews.length ? (
+            reviews.map((r) => (
+              <div key={r.reviewId} className="rv-item">
+                <div className="rv-itemTop">
+                  <div className="rv-itemLeft">
+                    <div className="rv-itemName">{r.name || "(no name)"}</div>
+                    <div className="rv-itemMeta">
+                      <span className="rv-pill">{r.callCenter || "Unknown"}</span>
+                      <span className={`rv-pill rv-status is-${r.deletedAt ? "deleted" : r.status}`}>
+                        {r.deletedAt ? "deleted" : r.status}
+                      </span>
+                      <span className="rv-dot">•</span>
+                      <span className="rv-date">{when(r.updatedAt)}</span>
+                      <span className="rv-dot">•</span>
+                      <span className="rv-mono">r{r.revision}</span>
+                    </div>
+                    <div className="rv-itemEmail">{r.email || ""}</div>
+                  </div>
+                  <StarRating value={Number(r.stars) || 0} readOnly />
+                </div>
+
+                {r.comment ? <div className="rv-itemComment">{r.comment}</div> : null}
+
+                {r.deletedAt ? (
+                  <div className="rv-hint">
+                    Deleted by {r.deletedBy || "-"} {when(r.deletedAt)}
+                    {r.deleteReason ? `: ${r.deleteReason}` : ""}
+                  </div>
+                ) : r.moderatedBy ? (
+                  <div className="rv-hint">
+                    Last moderated by {r.moderatedBy} {when(r.moderatedAt)}
+                    {r.moderationNote ? `: ${r.moderationNote}` : ""}
+                  </div>
+                ) : null}
+
+                <details className="rv-fbAnswer" onToggle={(e) => e.currentTarget.open && openHistory(r.reviewId)}>
+                  <summary>History</summary>
+                  <HistoryList history={histories[r.reviewId]} />
+                </details>
+
+                <div className="rv-row">
+                  {r.deletedAt ? (
+                    <button className="rv-btn" type="button" onClick={() => act(r.reviewId, "restore")}>
+                      Restore
+                    </button>
+                  ) : (
+                    <>
+                      <input
+                        className="rv-input rv-inputSm"
+                        value={notes[r.reviewId] || ""}
+                        onChange={(e) => setNotes((prev) => ({ ...prev, [r.reviewId]: e.target.value }))}
+                        placeholder="Note (why published / hidden / deleted)"
+                        maxLength={1000}
+                      />
+                      {r.status !== "published" ? (
+                        <button
+                          className="rv-btn"
+                          type="button"
+                          onClick={() => act(r.reviewId, "moderate", "published")}
+                        >
+                          Publish
+                        </button>
+                      ) : null}
+                      {r.status !== "hidden" ? (
+                        <button
+                          className="rv-btn rv-btnGhost"
+                          type="button"
+                          onClick={() => act(r.reviewId, "moderate", "hidden")}
+                        >
+                          Hide
+                        </button>
+                      ) : null}
+                      <button className="rv-btn rv-btnGhost" type="button" onClick={() => act(r.reviewId, "delete")}>
+                        Delete
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            ))
+          ) : (
+            <div className="rv-empty">{loading ? "Loading…" : "Nothing here."}</div>
+          )}
+          <div ref={moreRef} />
+          {reviews.length && data.total > reviews.length ? (
+            <div className="rv-hint rv-listMore">
+              Showing {reviews.length} of {data.total}
+              {loading ? " • loading more…" : ""}
+            </div>
+          ) : null}
+        </div>
+      )}
+    </div>
+  );
+}
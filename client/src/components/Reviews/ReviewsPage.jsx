@@ -1,7 +1,17 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import StarRating from "./StarRating.jsx";
+import ReviewModeration from "./ReviewModeration.jsx";
+import ReviewDashboard from "./ReviewDashboard.jsx";
+import useInfiniteScroll from "./useInfiniteScroll.js";
 
-const CALL_CENTERS = ["Buwelo", "Concentrix", "WNS", "Ideal", "TEP", "Hotel-Planner"];
+const SORTS = [
+  { key: "date:desc", label: "Newest first" },
+  { key: "date:asc", label: "Oldest first" },
+  { key: "stars:desc", label: "Highest rated" },
+  { key: "stars:asc", label: "Lowest rated" },
+];
+
+const PAGE_SIZE = 25;
 
 
 function norm(s) {
@@ -14,13 +24,8 @@ function isEmail(s) {
   const e = norm(s);
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e);
 }
-function averageStars(rows) {
-  if (!rows.length) return 0;
-  const sum = rows.reduce((a, r) => a + (Number(r.stars) || 0), 0);
-  return Math.round((sum / rows.length) * 10) / 10;
-}
 
-export default function ReviewsPage({ apiBase }) {
+export default function ReviewsPage({ apiBase, token, user, onSessionExpired }) {
   const BASE = useMemo(
     () =>
       String(apiBase || import.meta.env?.VITE_API_BASE || "http://localhost:5050").replace(
@@ -30,21 +35,32 @@ export default function ReviewsPage({ apiBase }) {
     [apiBase]
   );
 
-  const [tab, setTab] = useState("view"); // view | write
+  const [tab, setTab] = useState("view"); // view | write | moderate | dashboard
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [okMsg, setOkMsg] = useState("");
-  const [reviews, setReviews] = useState([]);
-
-  const [callCenter, setCallCenter] = useState(CALL_CENTERS[0]);
-  const [name, setName] = useState("");
-  const [email, setEmail] = useState("");
+  // one server page after another (infinite scroll); total / summary cover every match
+  const [page, setPage] = useState({ reviews: [], total: 0, nextCursor: null, summary: null });
+
+  // active call centers from the server registry (GET /api/call-centers) - vendors are added there, not here
+  const [callCenters, setCallCenters] = useState([]);
+  const [callCenter, setCallCenter] = useState("");
+  // the server takes the email from the sign-in token; agents only see their own review
+  const email = user?.email || "";
+  const canViewAll = user?.role === "qa_lead" || user?.role === "admin";
+  const [name, setName] = useState(user?.name || "");
   const [stars, setStars] = useState(5);
   const [comment, setComment] = useState("");
 
-  // view filters
+  // view filters (applied by the server)
   const [filterCC, setFilterCC] = useState("All");
   const [search, setSearch] = useState("");
+  const [query, setQuery] = useState(""); // search, debounced
+  const [sortKey, setSortKey] = useState(SORTS[0].key);
+  const [minStars, setMinStars] = useState("");
+  const [maxStars, setMaxStars] = useState("");
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
 
   const abortRef = useRef(null);
 
@@ -58,6 +74,7 @@ export default function ReviewsPage({ apiBase }) {
       signal: ctrl.signal,
       headers: {
         ...(options.headers || {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
         "Content-Type": "application/json",
       },
       cache: "no-store",
@@ -69,6 +86,7 @@ export default function ReviewsPage({ apiBase }) {
 
     if (!res.ok) {
       const msg = (body && body.error) || (typeof body === "string" ? body : "Request failed");
+      if (res.status === 401) onSessionExpired?.(String(msg));
       const e = new Error(String(msg));
       e.status = res.status;
       throw e;
@@ -76,17 +94,39 @@ export default function ReviewsPage({ apiBase }) {
     return body;
   }
 
-  async function loadAll() {
+  function listQuery() {
+    const [sort, order] = sortKey.split(":");
+    // QA leads see what is live here (the queue is under Moderation); agents see their own in any state
+    const qs = new URLSearchParams({ sort, order, limit: String(PAGE_SIZE) });
+    if (canViewAll) qs.set("status", "published");
+    if (filterCC !== "All") qs.set("callCenter", filterCC);
+    if (query) qs.set("q", query);
+    if (minStars) qs.set("minStars", minStars);
+    if (maxStars) qs.set("maxStars", maxStars);
+    if (fromDate) qs.set("from", fromDate);
+    if (toDate) qs.set("to", toDate);
+    return qs;
+  }
+
+  async function loadPage({ more = false } = {}) {
     setError("");
-    setOkMsg("");
     setLoading(true);
     try {
-      const url = `${BASE}/api/reviews`;
-      const data = await fetchJson(url);
-      setReviews(Array.isArray(data?.reviews) ? data.reviews : []);
+      const qs = listQuery();
+      if (more) qs.set("cursor", page.nextCursor);
+      const data = await fetchJson(`${BASE}/api/reviews?${qs.toString()}`);
+      const rows = Array.isArray(data?.reviews) ? data.reviews : [];
+      setPage((prev) => ({
+        reviews: more ? [...prev.reviews, ...rows] : rows,
+        total: data?.total || 0,
+        nextCursor: data?.nextCursor || null,
+        summary: data?.summary || null,
+      }));
+      setLoading(false);
     } catch (e) {
+      // a newer request (filters changed) aborted this one and owns the loading state now
+      if (e?.name === "AbortError") return;
       setError(e?.message || "Failed to load reviews");
-    } finally {
       setLoading(false);
     }
   }
@@ -95,7 +135,7 @@ export default function ReviewsPage({ apiBase }) {
     setError("");
     setOkMsg("");
     const em = norm(email);
-    if (!isEmail(em)) return setError("Please enter a valid email first.");
+    if (!isEmail(em)) return setError("Your account has no valid email - ask an admin to fix it.");
 
     setLoading(true);
     try {
@@ -132,7 +172,7 @@ export default function ReviewsPage({ apiBase }) {
 
     if (!cc) return setError("Please select a call center.");
     if (!nm) return setError("Please enter your name.");
-    if (!isEmail(em)) return setError("Please enter a valid email.");
+    if (!isEmail(em)) return setError("Your account has no valid email - ask an admin to fix it.");
     if (!Number.isFinite(st) || st < 1 || st > 5) return setError("Rating must be 1 to 5.");
 
     setLoading(true);
@@ -140,12 +180,14 @@ export default function ReviewsPage({ apiBase }) {
       const url = `${BASE}/api/reviews/upsert`;
       const data = await fetchJson(url, {
         method: "POST",
-        body: JSON.stringify({ callCenter: cc, name: nm, email: em, stars: st, comment: cm }),
+        body: JSON.stringify({ callCenter: cc, name: nm, stars: st, comment: cm }),
       });
 
-      setOkMsg(data?.action === "updated" ? "Review updated ✅" : "Review saved ✅");
+      if (data?.action === "unchanged") setOkMsg("Nothing changed.");
+      else if (data?.review?.status === "pending") setOkMsg("Review saved ✅ A QA lead will publish it shortly.");
+      else setOkMsg(data?.action === "updated" ? "Review updated ✅" : "Review saved ✅");
       setTab("view");
-      await loadAll();
+      await loadPage();
     } catch (e) {
       setError(e?.message || "Failed to save review");
     } finally {
@@ -153,55 +195,51 @@ export default function ReviewsPage({ apiBase }) {
     }
   }
 
+  async function loadCallCenters() {
+    try {
+      const res = await fetch(`${BASE}/api/call-centers`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        cache: "no-store",
+      });
+      const body = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(body?.error || `Request failed (HTTP ${res.status})`);
+      const names = (Array.isArray(body?.callCenters) ? body.callCenters : []).map((c) => c.name);
+      setCallCenters(names);
+      // start on the agent's own call center when the registry knows it
+      const own = names.find((n) => normKey(n) === normKey(user?.callCenter));
+      setCallCenter((prev) => (names.includes(prev) ? prev : own || names[0] || ""));
+    } catch (e) {
+      setError(e?.message || "Failed to load call centers");
+    }
+  }
+
   useEffect(() => {
-    loadAll();
-    return () => abortRef.current?.abort?.();
+    loadCallCenters();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [BASE]);
 
-  const stats = useMemo(() => {
-    const rows = Array.isArray(reviews) ? reviews : [];
-    const avg = averageStars(rows);
-    const counts = CALL_CENTERS.map((cc) => {
-      const list = rows.filter((r) => normKey(r.callCenter) === normKey(cc));
-      return { callCenter: cc, count: list.length, avg: averageStars(list) };
-    });
-    return { total: rows.length, avg, counts };
-  }, [reviews]);
-
-  const filtered = useMemo(() => {
-    let rows = Array.isArray(reviews) ? [...reviews] : [];
-
-    // newest first
-    rows.sort((a, b) => {
-      const da = new Date(a.updatedAt || a.createdAt || 0).getTime();
-      const db = new Date(b.updatedAt || b.createdAt || 0).getTime();
-      return db - da;
-    });
+  useEffect(() => {
+    const t = setTimeout(() => setQuery(norm(search)), 300);
+    return () => clearTimeout(t);
+  }, [search]);
 
-    if (filterCC !== "All") {
-      rows = rows.filter((r) => normKey(r.callCenter) === normKey(filterCC));
-    }
+  useEffect(() => {
+    loadPage();
+    return () => abortRef.current?.abort?.();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [BASE, filterCC, query, sortKey, minStars, maxStars, fromDate, toDate]);
 
-    const q = normKey(search);
-    if (q) {
-      rows = rows.filter((r) => {
-        const hay = [
-          r.name,
-          r.email,
-          r.callCenter,
-          r.comment,
-          String(r.stars ?? ""),
-        ]
-          .map((x) => String(x ?? ""))
-          .join(" ")
-          .toLowerCase();
-        return hay.includes(q);
-      });
-    }
+  const moreRef = useInfiniteScroll(() => loadPage({ more: true }), tab === "view" && !!page.nextCursor && !loading);
 
-    return rows;
-  }, [reviews, filterCC, search]);
+  const stats = useMemo(() => {
+    const byCenter = page.summary?.byCallCenter || [];
+    const names = callCenters.length ? callCenters : byCenter.map((c) => c.callCenter);
+    const counts = names.map((cc) => {
+      const x = byCenter.find((c) => normKey(c.callCenter) === normKey(cc));
+      return { callCenter: cc, count: x?.total || 0, avg: x?.avgStars || 0 };
+    });
+    return { total: page.total, avg: page.summary?.avgStars || 0, counts };
+  }, [page, callCenters]);
 
   return (
     <div className="rv-wrap">
@@ -210,8 +248,9 @@ export default function ReviewsPage({ apiBase }) {
           <div>
             <div className="rv-title">Reviews</div>
             <div className="rv-sub">
-              Rate the tool and your experience (1–5 stars). You can edit anytime using the same
-              Call Center + Email.
+              Rate the tool and your experience (1–5 stars). You can edit your review for each Call
+              Center anytime.
+              {canViewAll ? "" : " You see your own reviews here; QA leads see everyone's."}
             </div>
           </div>
 
@@ -230,13 +269,45 @@ export default function ReviewsPage({ apiBase }) {
             >
               Write / Edit
             </button>
+            {canViewAll ? (
+              <button
+                className={`rv-tab ${tab === "moderate" ? "is-active" : ""}`}
+                type="button"
+                onClick={() => setTab("moderate")}
+              >
+                Moderation
+              </button>
+            ) : null}
+            {canViewAll ? (
+              <button
+                className={`rv-tab ${tab === "dashboard" ? "is-active" : ""}`}
+                type="button"
+                onClick={() => setTab("dashboard")}
+              >
+                Dashboard
+              </button>
+            ) : null}
           </div>
         </div>
 
         {error ? <div className="rv-alert is-err">{error}</div> : null}
         {okMsg ? <div className="rv-alert is-ok">{okMsg}</div> : null}
 
-        {tab === "write" ? (
+        {tab === "dashboard" ? (
+          <ReviewDashboard
+            apiBase={BASE}
+            token={token}
+            callCenters={callCenters}
+            onSessionExpired={onSessionExpired}
+          />
+        ) : tab === "moderate" ? (
+          <ReviewModeration
+            apiBase={BASE}
+            token={token}
+            callCenters={callCenters}
+            onSessionExpired={onSessionExpired}
+          />
+        ) : tab === "write" ? (
           <div className="rv-grid">
             <div className="rv-field">
               <label className="rv-label">Call Center</label>
@@ -246,7 +317,7 @@ export default function ReviewsPage({ apiBase }) {
                 onChange={(e) => setCallCenter(e.target.value)}
                 disabled={loading}
               >
-                {CALL_CENTERS.map((cc) => (
+                {callCenters.map((cc) => (
                   <option key={cc} value={cc}>
                     {cc}
                   </option>
@@ -267,19 +338,13 @@ export default function ReviewsPage({ apiBase }) {
 
             <div className="rv-field">
               <label className="rv-label">Email</label>
-              <input
-                className="rv-input"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                placeholder="name@company.com"
-                disabled={loading}
-              />
+              <input className="rv-input" value={email} readOnly disabled title="From your sign-in" />
               <div className="rv-row">
                 <button
                   className="rv-btn rv-btnGhost"
                   type="button"
                   onClick={findMine}
-                  disabled={loading || !email.trim()}
+                  disabled={loading || !email}
                 >
                   Find My Review
                 </button>
@@ -313,8 +378,7 @@ export default function ReviewsPage({ apiBase }) {
                 className="rv-btn rv-btnGhost"
                 type="button"
                 onClick={() => {
-                  setName("");
-                  setEmail("");
+                  setName(user?.name || "");
                   setStars(5);
                   setComment("");
                   setOkMsg("");
@@ -330,7 +394,7 @@ export default function ReviewsPage({ apiBase }) {
           <div>
             <div className="rv-stats">
               <div className="rv-stat">
-                <div className="rv-statLabel">Total Reviews</div>
+                <div className="rv-statLabel">{query || filterCC !== "All" ? "Matching Reviews" : "Total Reviews"}</div>
                 <div className="rv-statVal">{stats.total}</div>
               </div>
               <div className="rv-stat">
@@ -357,7 +421,7 @@ export default function ReviewsPage({ apiBase }) {
             </div>
 
             <div className="rv-listHead">
-              <div className="rv-listTitle">Latest</div>
+              <div className="rv-listTitle">{canViewAll ? "Latest" : "My Reviews"}</div>
               <div className="rv-listTools">
                 <select
                   className="rv-input rv-inputSm"
@@ -366,30 +430,104 @@ export default function ReviewsPage({ apiBase }) {
                   disabled={loading}
                 >
                   <option value="All">All Call Centers</option>
-                  {CALL_CENTERS.map((cc) => (
+                  {callCenters.map((cc) => (
                     <option key={cc} value={cc}>
                       {cc}
                     </option>
                   ))}
                 </select>
 
+                <select
+                  className="rv-input rv-inputSm"
+                  value={sortKey}
+                  onChange={(e) => setSortKey(e.target.value)}
+                  disabled={loading}
+                >
+                  {SORTS.map((x) => (
+                    <option key={x.key} value={x.key}>
+                      {x.label}
+                    </option>
+                  ))}
+                </select>
+
+                {/* typing keeps focus: the search box is never disabled, requests are debounced instead */}
                 <input
                   className="rv-input rv-inputSm"
                   value={search}
                   onChange={(e) => setSearch(e.target.value)}
-                  placeholder="Search name, email, comment…"
-                  disabled={loading}
+                  placeholder="Search name or comment…"
                 />
 
-                <button className="rv-btn rv-btnGhost" type="button" onClick={loadAll} disabled={loading}>
+                <button className="rv-btn rv-btnGhost" type="button" onClick={() => loadPage()} disabled={loading}>
                   {loading ? "Refreshing…" : "Refresh"}
                 </button>
               </div>
             </div>
 
+            <div className="rv-row rv-filters">
+              <label className="rv-hint">Stars</label>
+              <select
+                className="rv-input rv-inputSm"
+                value={minStars}
+                onChange={(e) => setMinStars(e.target.value)}
+                disabled={loading}
+              >
+                <option value="">Any</option>
+                {[1, 2, 3, 4, 5].map((n) => (
+                  <option key={n} value={n} disabled={maxStars && n > Number(maxStars)}>
+                    from {n}★
+                  </option>
+                ))}
+              </select>
+              <select
+                className="rv-input rv-inputSm"
+                value={maxStars}
+                onChange={(e) => setMaxStars(e.target.value)}
+                disabled={loading}
+              >
+                <option value="">Any</option>
+                {[1, 2, 3, 4, 5].map((n) => (
+                  <option key={n} value={n} disabled={minStars && n < Number(minStars)}>
+                    to {n}★
+                  </option>
+                ))}
+              </select>
+              <label className="rv-hint">Updated</label>
+              <input
+                className="rv-input rv-inputSm"
+                type="date"
+                value={fromDate}
+                max={toDate || undefined}
+                onChange={(e) => setFromDate(e.target.value)}
+                title="From (inclusive)"
+              />
+              <input
+                className="rv-input rv-inputSm"
+                type="date"
+                value={toDate}
+                min={fromDate || undefined}
+                onChange={(e) => setToDate(e.target.value)}
+                title="To (inclusive)"
+              />
+              {minStars || maxStars || fromDate || toDate ? (
+                <button
+                  className="rv-btn rv-btnGhost"
+                  type="button"
+                  onClick={() => {
+                    setMinStars("");
+                    setMaxStars("");
+                    setFromDate("");
+                    setToDate("");
+                  }}
+                >
+                  Clear filters
+                </button>
+              ) : null}
+            </div>
+
             <div className="rv-list">
-              {filtered.length ? (
-                filtered.map((r) => (
+              {page.reviews.length ? (
+                page.reviews.map((r) => (
                   <div
                     key={r.reviewId || `${r.email}-${r.callCenter}-${r.updatedAt || r.createdAt}`}
                     className="rv-item"
@@ -399,6 +537,11 @@ export default function ReviewsPage({ apiBase }) {
                         <div className="rv-itemName">{r.name || "(no name)"}</div>
                         <div className="rv-itemMeta">
                           <span className="rv-pill">{r.callCenter || "Unknown"}</span>
+                          {r.status && r.status !== "published" ? (
+                            <span className={`rv-pill rv-status is-${r.status}`}>
+                              {r.status === "pending" ? "awaiting approval" : r.status}
+                            </span>
+                          ) : null}
                           <span className="rv-dot">•</span>
                           <span className="rv-date">
                             {r.updatedAt ? new Date(r.updatedAt).toLocaleString() : ""}
@@ -412,8 +555,15 @@ export default function ReviewsPage({ apiBase }) {
                   </div>
                 ))
               ) : (
-                <div className="rv-empty">No reviews yet.</div>
+                <div className="rv-empty">{loading ? "Loading…" : "No reviews found."}</div>
               )}
+              <div ref={moreRef} />
+              {page.reviews.length ? (
+                <div className="rv-hint rv-listMore">
+                  Showing {page.reviews.length} of {page.total}
+                  {page.nextCursor ? (loading ? " • loading more…" : " • scroll for more") : ""}
+                </div>
+              ) : null}
             </div>
 
             <div className="rv-footNote">
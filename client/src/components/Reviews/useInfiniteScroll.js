@@ -0,0 +1,21 @@
+import { useEffect, useRef } from "react";
+
+// Calls onMore when the returned ref's element (put it after the last row) scrolls near the viewport.
+// Pass enabled=false while a page is loading or when there is no next page.
+export default function useInfiniteScroll(onMore, enabled) {
+  const ref = useRef(null);
+  const onMoreRef = useRef(onMore);
+  onMoreRef.current = onMore;
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el || !enabled || typeof IntersectionObserver === "undefined") return undefined;
+    const io = new IntersectionObserver((entries) => entries.some((e) => e.isIntersecting) && onMoreRef.current(), {
+      rootMargin: "200px",
+    });
+    io.observe(el);
+    return () => io.disconnect();
+  }, [enabled]);
+
+  return ref;
+}
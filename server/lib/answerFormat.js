@@ -0,0 +1,208 @@
+// server/lib/answerFormat.js
+// The QA Master response contract: parse an answer into a typed object, list missing sections, build the re-ask
+
+import { ANSWER_SECTIONS } from "./promptBuilder.js";
+
+// what models actually write instead of the exact headings (Llama likes "Script:" and "Do's and Don'ts")
+const SECTION_PATTERNS = {
+  acknowledge: /^acknowledge(?:ment)?/,
+  decision: /^(?:final\s+)?decision/,
+  steps: /^(?:action\s+)?steps|^procedure/,
+  script: /^do\s*(?:'s)?\s*(?:\/|and|&)\s*don['’]?t(?:'s|s)?(?:\s+script)?|^(?:agent\s+)?script/,
+  citations: /^citations?|^sources?/,
+  qualityCheck: /^quality\s+check/,
+};
+
+function clean(s) {
+  return String(s ?? "")
+    .replace(/[\u200b-\u200d\ufeff]/g, "")
+    .trim();
+}
+
+// "## **Decision:** text" -> { key: "decision", rest: "text" }; null for ordinary lines
+function matchHeading(line) {
+  const bare = clean(line)
+    .replace(/^#+\s*/, "")
+    .replace(/\*\*|__/g, "")
+    .trim();
+  const lowered = bare.toLowerCase();
+
+  for (const [key, re] of Object.entries(SECTION_PATTERNS)) {
+    const m = lowered.match(re);
+    if (!m) continue;
+    // label, optional "(agent lines)", then ":" or end of line - "Steps to follow are..." is not a heading
+    const after = bare.slice(m[0].length).replace(/^\s*\([^)]*\)/, "");
+    const colon = after.match(/^\s*:\s*(.*)$/);
+    if (colon) return { key, rest: colon[1].trim() };
+    if (!after.trim()) return { key, rest: "" };
+  }
+  return null;
+}
+
+/**
+ * Split an answer at its section headings: { [key]: lines[] } plus the keys in the order they appeared.
+ * The first occurrence of a heading wins; text before the first heading is ignored.
+ */
+export function splitSections(answer) {
+  const sections = {};
+  const order = [];
+  let current = null;
+
+  for (const line of String(answer || "").split(/\r?\n/)) {
+    const h = matchHeading(line);
+    if (h && !sections[h.key]) {
+      current = h.key;
+      order.push(h.key);
+      sections[current] = h.rest ? [h.rest] : [];
+      continue;
+    }
+    if (current) sections[current].push(line);
+  }
+  return { sections, order };
+}
+
+function stripBullet(line) {
+  return clean(line).replace(/^(?:[-*•]|\d+[.)])\s+/, "");
+}
+
+function stripQuotes(s) {
+  return clean(s).replace(/^["“]\s*|\s*["”]$/g, "");
+}
+
+function textOf(lines = []) {
+  return lines.map(stripBullet).filter(Boolean).join(" ");
+}
+
+// numbered / bulleted items; wrapped lines are glued to the item above
+function listItems(lines = []) {
+  const items = [];
+  for (const line of lines) {
+    const t = clean(line);
+    if (!t) continue;
+    if (/^(?:[-*•]|\d+[.)])\s+/.test(t) || !items.length) items.push(stripBullet(t));
+    else items[items.length - 1] += ` ${t}`;
+  }
+  return items;
+}
+
+function parseScript(lines = []) {
+  const sayLines = [];
+  const dontSayLines = [];
+  for (const line of lines) {
+    const t = stripBullet(line);
+    const dont = t.match(/^(?:don['’]?t|do\s+not|never)\s+say\s*:\s*(.*)$|^avoid\s*:\s*(.*)$/i);
+    if (dont) {
+      dontSayLines.push(stripQuotes(dont[1] ?? dont[2]));
+      continue;
+    }
+    const say = t.match(/^(?:do\s+)?say\s*:\s*(.*)$/i);
+    if (say) sayLines.push(stripQuotes(say[1]));
+  }
+  return { sayLines: sayLines.filter(Boolean), dontSayLines: dontSayLines.filter(Boolean) };
+}
+
+function parseCitationLines(lines = []) {
+  const text = lines.join("\n");
+  const refs = text.match(/\[[^[\]]+\]/g);
+  if (refs) return refs;
+  return /no citation available/i.test(text) ? [] : listItems(lines);
+}
+
+// "Compliance Risk: Medium - guest may dispute" / "Missing Info Needed: itinerary #, check-in date"
+function parseQualityCheck(lines = []) {
+  let complianceRisk = { level: null, reason: "" };
+  const missingInfo = [];
+  let inMissing = false;
+
+  for (const line of lines) {
+    const t = stripBullet(line);
+    if (!t) continue;
+
+    const risk = t.match(/^compliance\s+risk\s*:\s*(.*)$/i);
+    if (risk) {
+      inMissing = false;
+      const level = risk[1].match(/\b(low|medium|high)\b/i);
+      complianceRisk = {
+        level: level ? level[1].toLowerCase() : null,
+        reason: clean(risk[1].replace(/^\**\s*(low|medium|high)\**\s*(?:[-—–:+]|\bbecause\b)?\s*/i, "")),
+      };
+      continue;
+    }
+
+    const missing = t.match(/^missing\s+info(?:rmation)?(?:\s+needed)?\s*:\s*(.*)$/i);
+    if (missing) {
+      inMissing = true;
+      missingInfo.push(...splitList(missing[1]));
+      continue;
+    }
+    if (inMissing && /^(?:[-*•]|\d+[.)])\s+/.test(clean(line))) missingInfo.push(...splitList(t));
+  }
+
+  return { complianceRisk, missingInfo };
+}
+
+function splitList(s) {
+  const t = stripQuotes(s).replace(/\s*\(verify before acting\)\s*$/i, "");
+  if (!t || /^none\.?$/i.test(t)) return [];
+  return t
+    .split(/\s*[,;]\s*/)
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Required sections that are missing. An answer that says "NO CITATION AVAILABLE" is allowed to stop there
+ * (the prompt tells the model to), so QUALITY CHECK is not required after it.
+ */
+export function missingSections(split) {
+  const stopped = /no citation available/i.test((split.sections.citations || []).join("\n"));
+  return ANSWER_SECTIONS.map((s) => s.key).filter(
+    (k) => !split.sections[k] && !(stopped && k === "qualityCheck")
+  );
+}
+
+/**
+ * @typedef {object} StructuredAnswer
+ * @property {string} acknowledge
+ * @property {string} decision
+ * @property {string[]} steps
+ * @property {string[]} sayLines
+ * @property {string[]} dontSayLines
+ * @property {string[]} citations       raw "[Doc: ... | ... | ...]" references
+ * @property {{ level: "low" | "medium" | "high" | null, reason: string }} complianceRisk
+ * @property {string[]} missingInfo
+ * @property {string[]} missingSections keys of ANSWER_SECTIONS the answer did not have
+ * @property {boolean} complete
+ */
+
+/** @returns {StructuredAnswer} */
+export function parseAnswer(answer) {
+  const split = splitSections(answer);
+  const { sections } = split;
+  const missing = missingSections(split);
+
+  return {
+    acknowledge: textOf(sections.acknowledge),
+    decision: textOf(sections.decision),
+    steps: listItems(sections.steps),
+    ...parseScript(sections.script),
+    citations: parseCitationLines(sections.citations),
+    ...parseQualityCheck(sections.qualityCheck),
+    missingSections: missing,
+    complete: !missing.length,
+  };
+}
+
+/**
+ * The follow-up turn sent when sections are missing: names exactly what is missing and asks for the whole
+ * answer again in the contract, without new facts.
+ */
+export function buildRepairQuestion(missing) {
+  const headings = ANSWER_SECTIONS.filter((s) => missing.includes(s.key)).map((s) => `"${s.heading}"`);
+  const all = ANSWER_SECTIONS.map((s) => s.heading).join(" / ");
+  return [
+    `Your answer above is missing the required section(s): ${headings.join(", ")}.`,
+    `Rewrite the COMPLETE answer in the OUTPUT FORMAT, every section in this order with these exact headings: ${all}.`,
+    "Keep the same decision, steps and citations. Do not add facts that are not in the documents.",
+  ].join("\n");
+}
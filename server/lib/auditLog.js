@@ -0,0 +1,234 @@
+// server/lib/auditLog.js
+// Append-only ask audit log (one JSONL file per UTC day), filtering, CSV export and answer diffs
+
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import path from "path";
+import readline from "readline";
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function dayOf(ts) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+function addDays(day, n) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// "req_1760000000000_ab12" -> the UTC day it was written (falls back to scanning when unreadable)
+function dayFromRequestId(requestId) {
+  const m = String(requestId || "").match(/^[a-z]+_(\d{13})/);
+  return m ? dayOf(Number(m[1])) : null;
+}
+
+function lower(v) {
+  return String(v ?? "").toLowerCase();
+}
+
+/**
+ * Entry filter from query params: from/to (YYYY-MM-DD), user, callCenter, provider, resolution,
+ * status ("ok" | "error"), route, q (text in question or answer).
+ */
+export function auditFilter({ user, callCenter, provider, resolution, status, route, q } = {}) {
+  const text = lower(q).trim();
+  return (e) => {
+    if (user && lower(e.user?.email) !== lower(user)) return false;
+    if (callCenter && lower(e.callCenter) !== lower(callCenter)) return false;
+    if (provider && lower(e.provider) !== lower(provider)) return false;
+    if (resolution && lower(e.resolution) !== lower(resolution)) return false;
+    if (route && lower(e.route) !== lower(route)) return false;
+    if (status === "ok" && !e.ok) return false;
+    if (status === "error" && e.ok) return false;
+    if (text && !lower(e.request?.question).includes(text) && !lower(e.answer).includes(text)) return false;
+    return true;
+  };
+}
+
+/**
+ * @param {{ dir: string }} opts
+ */
+export function createAuditLog({ dir }) {
+  let writing = Promise.resolve();
+
+  const fileFor = (day) => path.join(dir, `audit-${day}.jsonl`);
+
+  async function* readDay(day) {
+    let stream;
+    try {
+      await fs.access(fileFor(day));
+      stream = createReadStream(fileFor(day), { encoding: "utf8" });
+    } catch {
+      return;
+    }
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch {
+        // a torn last line (crash mid-write) is skipped, never fatal
+      }
+    }
+  }
+
+  async function listDays() {
+    try {
+      return (await fs.readdir(dir))
+        .map((f) => f.match(/^audit-(\d{4}-\d{2}-\d{2})\.jsonl$/)?.[1])
+        .filter(Boolean)
+        .sort();
+    } catch (e) {
+      if (e.code === "ENOENT") return [];
+      throw e;
+    }
+  }
+
+  return {
+    /** Entries are only ever appended - never rewritten or deleted by the server. */
+    append(entry) {
+      const line = `${JSON.stringify(entry)}\n`;
+      const day = dayOf(entry.ts || Date.now());
+      writing = writing
+        .catch(() => {})
+        .then(async () => {
+          await fs.mkdir(dir, { recursive: true });
+          await fs.appendFile(fileFor(day), line, "utf8");
+        });
+      return writing;
+    },
+
+    /**
+     * Newest first. `from` / `to` default to the last 7 days; `limit` caps the result (max 5000).
+     * Returns { entries, truncated }.
+     */
+    async query({ from, to, limit = 200, ...filters } = {}) {
+      const today = dayOf(Date.now());
+      const end = DAY_RE.test(to || "") ? to : today;
+      const start = DAY_RE.test(from || "") ? from : addDays(end, -6);
+      const max = Math.max(1, Math.min(5000, Number(limit) || 200));
+      const match = auditFilter(filters);
+
+      const days = (await listDays()).filter((d) => d >= start && d <= end).reverse();
+      const entries = [];
+      let truncated = false;
+
+      for (const day of days) {
+        const dayEntries = [];
+        for await (const e of readDay(day)) if (match(e)) dayEntries.push(e);
+        dayEntries.reverse();
+
+        for (const e of dayEntries) {
+          if (entries.length >= max) {
+            truncated = true;
+            break;
+          }
+          entries.push(e);
+        }
+        if (truncated) break;
+      }
+      return { entries, truncated, from: start, to: end };
+    },
+
+    async get(requestId) {
+      const day = dayFromRequestId(requestId);
+      const days = day ? [day] : (await listDays()).reverse();
+      for (const d of days) {
+        for await (const e of readDay(d)) if (e.requestId === requestId) return e;
+      }
+      return null;
+    },
+  };
+}
+
+// -------------------- export --------------------
+
+export const AUDIT_CSV_COLUMNS = [
+  ["requestId", (e) => e.requestId],
+  ["ts", (e) => e.ts],
+  ["route", (e) => e.route],
+  ["user", (e) => e.user?.email],
+  ["role", (e) => e.user?.role],
+  ["callCenter", (e) => e.callCenter],
+  ["status", (e) => e.status],
+  ["resolution", (e) => e.resolution],
+  ["provider", (e) => e.provider],
+  ["model", (e) => e.model],
+  ["latencyMs", (e) => e.latencyMs],
+  ["inputTokens", (e) => (e.usage || []).reduce((n, u) => n + (u.inputTokens || 0), 0)],
+  ["outputTokens", (e) => (e.usage || []).reduce((n, u) => n + (u.outputTokens || 0), 0)],
+  ["docs", (e) => Object.keys(e.request?.docs || {}).filter((k) => e.request.docs[k]).join(" ")],
+  ["docVersion", (e) => e.docVersion?.id],
+  ["question", (e) => e.request?.question],
+  ["answer", (e) => e.answer],
+  ["citationVerdict", (e) => e.citationCheck?.verdict],
+  ["citations", (e) => (e.citations || []).map((c) => c.raw).join(" ")],
+  ["error", (e) => e.error],
+  ["replayOf", (e) => e.replayOf],
+];
+
+// questions and answers are typed by agents: text that Excel would run as a formula (=, +, -, @, tab, CR first)
+// gets a leading ' so it opens as text. Numbers are left alone.
+function csvCell(v) {
+  let s = v === undefined || v === null ? "" : String(v);
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(entries, columns = AUDIT_CSV_COLUMNS) {
+  const header = columns.map(([name]) => name).join(",");
+  const rows = entries.map((e) => columns.map(([, get]) => csvCell(get(e))).join(","));
+  return `${[header, ...rows].join("\r\n")}\r\n`;
+}
+
+export function toJsonl(entries) {
+  return entries.map((e) => JSON.stringify(e)).join("\n") + (entries.length ? "\n" : "");
+}
+
+// -------------------- diff --------------------
+
+/**
+ * Line diff (LCS) between two answers: [{ op: " " | "-" | "+", line }].
+ */
+export function diffLines(before, after) {
+  const a = String(before || "").split("\n");
+  const b = String(after || "").split("\n");
+  const n = a.length;
+  const m = b.length;
+
+  // answers are short (tens of lines), so the O(n*m) table is fine
+  const lcs = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      out.push({ op: " ", line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ op: "-", line: a[i++] });
+    } else {
+      out.push({ op: "+", line: b[j++] });
+    }
+  }
+  while (i < n) out.push({ op: "-", line: a[i++] });
+  while (j < m) out.push({ op: "+", line: b[j++] });
+  return out;
+}
+
+export function diffSummary(lines) {
+  return {
+    added: lines.filter((l) => l.op === "+").length,
+    removed: lines.filter((l) => l.op === "-").length,
+    unchanged: lines.filter((l) => l.op === " ").length,
+  };
+}
@@ -0,0 +1,282 @@
+// server/lib/auth.js
+// Login tokens (HS256 JWT), scrypt password hashes, file-backed user store and role checks
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// each role can do everything the roles before it can
+export const ROLES = ["agent", "qa_lead", "admin"];
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SCRYPT_KEYLEN = 64;
+const SCRYPT_COST = 16384;
+
+function authError(message, status = 401, code = "auth_required") {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+function b64url(buf) {
+  return Buffer.from(buf).toString("base64url");
+}
+
+function normEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+export function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+export function hasRole(user, minRole) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(minRole);
+}
+
+// -------------------- tokens --------------------
+
+/**
+ * @param {object} claims e.g. { sub: email, role }
+ * @param {string} secret
+ * @param {{ ttlSec?: number, now?: number }} opts
+ */
+export function signToken(claims, secret, { ttlSec = 12 * 3600, now = Date.now() } = {}) {
+  const iat = Math.floor(now / 1000);
+  const header = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = b64url(JSON.stringify({ ...claims, iat, exp: iat + ttlSec }));
+  const sig = crypto.createHmac("sha256", secret).update(`${header}.${payload}`).digest("base64url");
+  return `${header}.${payload}.${sig}`;
+}
+
+/**
+ * Returns the claims of a valid, unexpired token; throws a 401 error otherwise.
+ */
+export function verifyToken(token, secret, { now = Date.now() } = {}) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) throw authError("Invalid session token");
+
+  const [header, payload, sig] = parts;
+  const expected = crypto.createHmac("sha256", secret).update(`${header}.${payload}`).digest();
+  const given = Buffer.from(sig, "base64url");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw authError("Invalid session token");
+  }
+
+  let claims;
+  try {
+    const h = JSON.parse(Buffer.from(header, "base64url").toString("utf8"));
+    if (h.alg !== "HS256") throw new Error("alg");
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    throw authError("Invalid session token");
+  }
+
+  if (!claims.exp || claims.exp * 1000 <= now) throw authError("Session expired - please sign in again", 401, "auth_expired");
+  return claims;
+}
+
+// -------------------- passwords --------------------
+
+// "scrypt$<cost>$<salt>$<hash>" so the cost can be raised later without breaking stored hashes
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN, { N: SCRYPT_COST });
+  return `scrypt$${SCRYPT_COST}$${b64url(salt)}$${b64url(hash)}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, cost, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "base64url");
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, "base64url"), expected.length, {
+    N: Number(cost) || SCRYPT_COST,
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// -------------------- users --------------------
+
+/** The user fields that leave the server (never the password hash). */
+export function publicUser(user) {
+  if (!user) return null;
+  return {
+    email: user.email,
+    name: user.name || "",
+    role: user.role,
+    callCenter: user.callCenter || "",
+  };
+}
+
+/**
+ * Users live in one JSON file ({ users: [...] }), loaded once and kept in memory.
+ * With a `callCenters` registry (lib/callCenters.js) a user can only be put in an active center, stored under its
+ * display name.
+ * @param {{ file: string, callCenters?: object | null }} opts
+ */
+export function createUserStore({ file, callCenters = null }) {
+  let users = null; // email -> user
+  let loading = null; // promise, kept once it succeeds (requests arriving together share the first read)
+  let writing = Promise.resolve();
+
+  function load() {
+    if (!loading) {
+      loading = (async () => {
+        try {
+          const data = JSON.parse(await fs.readFile(file, "utf8"));
+          users = new Map((data.users || []).map((u) => [normEmail(u.email), u]));
+        } catch (e) {
+          if (e.code !== "ENOENT") throw e;
+          users = new Map();
+        }
+        return users;
+      })().catch((e) => {
+        loading = null;
+        throw e;
+      });
+    }
+    return loading;
+  }
+
+  async function save() {
+    const snapshot = JSON.stringify({ users: Array.from(users.values()) }, null, 2);
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, snapshot, "utf8");
+        await fs.rename(tmp, file);
+      });
+    return writing;
+  }
+
+  async function checkedCallCenter(callCenter) {
+    const cc = String(callCenter ?? "").trim();
+    if (!cc || !callCenters) return cc;
+    const center = await callCenters.resolve(cc);
+    if (!center) throw authError(`Unknown call center: ${cc}`, 400, "invalid_user");
+    if (!center.active) throw authError(`${center.name} is no longer an active call center`, 400, "invalid_user");
+    return center.name;
+  }
+
+  return {
+    load,
+
+    async get(email) {
+      return (await load()).get(normEmail(email)) || null;
+    },
+
+    async list() {
+      return Array.from((await load()).values());
+    },
+
+    /**
+     * Create or update a user. `password` is hashed here; omit it to keep the current one.
+     * A new password bumps `tokenVersion`, which signs the user out everywhere.
+     */
+    async upsert({ email, name, role, callCenter, password, disabled }) {
+      const key = normEmail(email);
+      if (!EMAIL_RE.test(key)) throw authError("Invalid email", 400, "invalid_user");
+
+      const map = await load();
+      const existing = map.get(key);
+      const nextRole = role ?? existing?.role ?? "agent";
+      if (!isValidRole(nextRole)) throw authError(`Invalid role (use ${ROLES.join(", ")})`, 400, "invalid_user");
+      if (!existing && !password) throw authError("Missing field: password", 400, "invalid_user");
+      if (password !== undefined && String(password).length < 8) {
+        throw authError("Password must be at least 8 characters", 400, "invalid_user");
+      }
+
+      const cc = callCenter === undefined ? existing?.callCenter : await checkedCallCenter(callCenter);
+
+      const ts = new Date().toISOString();
+      const user = {
+        email: key,
+        name: String(name ?? existing?.name ?? "").trim(),
+        role: nextRole,
+        callCenter: String(cc ?? "").trim(),
+        passwordHash: password ? hashPassword(password) : existing.passwordHash,
+        tokenVersion: (existing?.tokenVersion || 0) + (existing && password ? 1 : 0),
+        disabled: disabled ?? existing?.disabled ?? false,
+        createdAt: existing?.createdAt || ts,
+        updatedAt: ts,
+      };
+      map.set(key, user);
+      await save();
+      return { action: existing ? "updated" : "created", user };
+    },
+  };
+}
+
+// -------------------- express --------------------
+
+/**
+ * With a `callCenters` registry the signed-in user's call center is read back as the registry's display name, so
+ * every spelling saved before the registry existed ("concentrix ", "Concentrix") is one center to the limits.
+ * @param {{ secret: string, users: ReturnType<typeof createUserStore>, ttlSec?: number,
+ *           callCenters?: object | null }} opts
+ */
+export function createAuth({ secret, users, ttlSec = 12 * 3600, callCenters = null }) {
+  // a registry that can't be read leaves the stored spelling rather than signing everyone out
+  async function signedInUser(user) {
+    const out = publicUser(user);
+    if (!callCenters || !out.callCenter) return out;
+    const center = await callCenters.resolve(out.callCenter).catch(() => null);
+    return center ? { ...out, callCenter: center.name } : out;
+  }
+
+  async function login(email, password) {
+    const user = await users.get(email);
+    // same message for unknown email and wrong password
+    if (!user || user.disabled || !verifyPassword(password, user.passwordHash)) {
+      throw authError("Invalid email or password", 401, "invalid_credentials");
+    }
+    const token = signToken({ sub: user.email, role: user.role, ver: user.tokenVersion || 0 }, secret, { ttlSec });
+    return {
+      token,
+      expiresAt: new Date(Date.now() + ttlSec * 1000).toISOString(),
+      user: await signedInUser(user),
+    };
+  }
+
+  // The role comes from the user store, not the token, so role changes and disabling apply immediately
+  async function authenticate(req) {
+    const header = String(req.headers.authorization || "");
+    const m = header.match(/^Bearer\s+(.+)$/i);
+    if (!m) throw authError("Sign in required");
+
+    const claims = verifyToken(m[1].trim(), secret);
+    const user = await users.get(claims.sub);
+    if (!user || user.disabled) throw authError("Account not found or disabled");
+    // issued before the last password change (or reset)
+    if ((claims.ver || 0) !== (user.tokenVersion || 0)) {
+      throw authError("Session expired - please sign in again", 401, "auth_expired");
+    }
+    return signedInUser(user);
+  }
+
+  /** Middleware: 401 without a valid token, 403 when the user's role is below `minRole`. */
+  function requireRole(minRole = "agent") {
+    return async (req, res, next) => {
+      try {
+        req.user = await authenticate(req);
+      } catch (e) {
+        return res.status(e.status || 401).json({ ok: false, error: e.message, code: e.code || "auth_required" });
+      }
+      if (!hasRole(req.user, minRole)) {
+        return res.status(403).json({
+          ok: false,
+          error: `Requires role: ${minRole}`,
+          code: "forbidden",
+          role: req.user.role,
+        });
+      }
+      next();
+    };
+  }
+
+  return { login, authenticate, requireRole };
+}
@@ -0,0 +1,227 @@
+// server/lib/callCenters.js
+// Call center registry (id, display name, aliases, active flag, site / timezone) - what reviews may be filed under
+
+import fs from "fs/promises";
+import path from "path";
+
+// what the registry starts with when there is no file yet (the list the client used to hard-code)
+export const DEFAULT_CALL_CENTERS = [
+  { id: "buwelo", name: "Buwelo" },
+  { id: "concentrix", name: "Concentrix" },
+  { id: "wns", name: "WNS" },
+  { id: "ideal", name: "Ideal" },
+  { id: "tep", name: "TEP" },
+  { id: "hotel-planner", name: "Hotel-Planner" },
+];
+
+const ID_RE = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const MAX_ALIASES = 20;
+
+function callCenterError(message, status = 400) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+function norm(s) {
+  return String(s ?? "").trim();
+}
+
+function foldAccents(s) {
+  return norm(s)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+/** Matching key: case, accents, spaces and punctuation do not count ("hotel planner " = "Hotel-Planner"). */
+export function callCenterKey(s) {
+  return foldAccents(s).replace(/[^a-z0-9]/g, "");
+}
+
+function slug(s) {
+  return foldAccents(s)
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+}
+
+function validTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function normalizeCenter(c = {}) {
+  return {
+    id: norm(c.id).toLowerCase(),
+    name: norm(c.name),
+    aliases: Array.isArray(c.aliases) ? c.aliases.map(norm).filter(Boolean) : [],
+    active: c.active !== false,
+    site: norm(c.site),
+    timezone: norm(c.timezone),
+    createdAt: norm(c.createdAt),
+    updatedAt: norm(c.updatedAt),
+  };
+}
+
+// every spelling a center answers to
+function keysOf(c) {
+  return [c.id, c.name, ...c.aliases].map(callCenterKey).filter(Boolean);
+}
+
+/**
+ * Registry in one JSON file ({ callCenters: [...] }), loaded once and kept in memory, written tmp-then-rename.
+ * Seeded with DEFAULT_CALL_CENTERS until the first change is saved.
+ * @param {{ file: string, now?: () => number }} opts
+ */
+export function createCallCenterRegistry({ file, now = () => Date.now() }) {
+  let centers = null; // id -> center
+  let byKey = null; // callCenterKey -> center
+  let loading = null; // promise, kept once it succeeds (requests arriving together share the first read)
+  let writing = Promise.resolve();
+
+  function index() {
+    byKey = new Map();
+    for (const c of centers.values()) for (const k of keysOf(c)) if (!byKey.has(k)) byKey.set(k, c);
+  }
+
+  function load() {
+    if (!loading) {
+      loading = (async () => {
+        let list = DEFAULT_CALL_CENTERS;
+        try {
+          list = JSON.parse(await fs.readFile(file, "utf8")).callCenters || [];
+        } catch (e) {
+          if (e.code !== "ENOENT") throw e;
+        }
+        centers = new Map(list.map(normalizeCenter).map((c) => [c.id, c]));
+        index();
+        return centers;
+      })().catch((e) => {
+        loading = null;
+        throw e;
+      });
+    }
+    return loading;
+  }
+
+  async function save() {
+    index();
+    const snapshot = JSON.stringify({ callCenters: Array.from(centers.values()) }, null, 2);
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, snapshot, "utf8");
+        await fs.rename(tmp, file);
+      });
+    return writing;
+  }
+
+  // a name / alias may only point at one center
+  function assertKeysFree(center) {
+    for (const k of keysOf(center)) {
+      const other = byKey.get(k);
+      if (other && other.id !== center.id) {
+        throw callCenterError(`"${k}" already names call center ${other.name} (${other.id})`, 409);
+      }
+    }
+  }
+
+  return {
+    /** Display-name order; inactive centers only with includeInactive. */
+    async list({ includeInactive = false } = {}) {
+      return Array.from((await load()).values())
+        .filter((c) => includeInactive || c.active)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    async get(id) {
+      return (await load()).get(norm(id).toLowerCase()) || null;
+    },
+
+    /** The center an id, name or alias refers to (any case / spacing / punctuation), or null. */
+    async resolve(input) {
+      await load();
+      return byKey.get(callCenterKey(input)) || null;
+    },
+
+    /** Synchronous resolve over the current registry, for filtering many rows at once. */
+    async resolver() {
+      await load();
+      const snapshot = byKey;
+      return (input) => snapshot.get(callCenterKey(input)) || null;
+    },
+
+    /**
+     * Create (no id, or an unknown one) or update (known id; fields left out keep their value).
+     * Renaming keeps the old name as an alias, so reviews filed under it still count for the center.
+     */
+    async upsert({ id, name, aliases, active, site, timezone }) {
+      const map = await load();
+      const key = norm(id).toLowerCase();
+      const existing = key ? map.get(key) : null;
+      const nm = name === undefined ? existing?.name : norm(name);
+      if (!nm) throw callCenterError("Missing field: name");
+
+      const newId = existing ? existing.id : key || slug(nm);
+      if (!ID_RE.test(newId)) throw callCenterError("Invalid id (lowercase letters, digits and dashes, max 40)");
+      if (aliases !== undefined && !Array.isArray(aliases)) throw callCenterError("aliases must be a list");
+      const tz = timezone === undefined ? existing?.timezone || "" : norm(timezone);
+      if (tz && !validTimezone(tz)) {
+        throw callCenterError(`Unknown timezone: ${tz} (use an IANA name like Asia/Manila)`);
+      }
+
+      let list = aliases === undefined ? existing?.aliases || [] : aliases.map(norm).filter(Boolean);
+      if (existing && callCenterKey(existing.name) !== callCenterKey(nm)) list = [...list, existing.name];
+      const seen = new Set([callCenterKey(newId), callCenterKey(nm)]);
+      list = list.filter((a) => {
+        const k = callCenterKey(a);
+        if (!k || seen.has(k)) return false;
+        seen.add(k);
+        return true;
+      });
+      if (list.length > MAX_ALIASES) throw callCenterError(`Too many aliases (max ${MAX_ALIASES})`);
+
+      const ts = new Date(now()).toISOString();
+      const center = normalizeCenter({
+        ...(existing || {}),
+        id: newId,
+        name: nm,
+        aliases: list,
+        active: active === undefined ? existing?.active ?? true : active !== false && active !== "false",
+        site: site === undefined ? existing?.site : site,
+        timezone: tz,
+        createdAt: existing?.createdAt || ts,
+        updatedAt: ts,
+      });
+      assertKeysFree(center);
+
+      map.set(center.id, center);
+      await save();
+      return { action: existing ? "updated" : "created", callCenter: center };
+    },
+
+    /**
+     * Drop a center from the registry. Reviews already filed under it keep their call center name;
+     * deactivating (active: false) is usually what you want - it only stops new reviews.
+     */
+    async remove(id) {
+      const map = await load();
+      const center = map.get(norm(id).toLowerCase());
+      if (!center) throw callCenterError("Call center not found", 404);
+      map.delete(center.id);
+      await save();
+      return center;
+    },
+
+    describe() {
+      return { file, count: centers ? centers.size : null };
+    },
+  };
+}
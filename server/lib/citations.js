@@ -0,0 +1,339 @@
+// server/lib/citations.js
+// Citation checking: parse the "Citations:" block of an answer and resolve every
+// [Doc | Sheet/Section | Row/Cell] reference against the documents actually loaded in DOCUMENT_CACHE.
+
+const TRAINING_ID_RE = /\b(chunk_\d{3,6}|script_\d{3}|[\w.-]+\.(?:pptx|docx|xlsx)::chunk\d+)\b/i;
+
+const DOC_KINDS = [
+  { key: "matrix", label: "Service Matrix 2026", test: /matrix/i },
+  { key: "qaVoice", label: "QA Voice", test: /qa\s*[-_]?\s*voice|voice\s*qa/i },
+  { key: "qaGroup", label: "QA Groups", test: /qa\s*[-_]?\s*group|group[s]?\s*qa/i },
+  { key: "rppGuide", label: "RPP Protection Guide", test: /\brpp\b|protection\s*(guide|plan)/i },
+  { key: "trainingGuide", label: "Training Guide", test: /training/i },
+];
+
+function clean(s) {
+  return String(s ?? "")
+    .replace(/[\u200b-\u200d\ufeff]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function lower(s) {
+  return clean(s).toLowerCase();
+}
+
+function rowText(row) {
+  return (Array.isArray(row) ? row : [row])
+    .map(clean)
+    .filter(Boolean)
+    .join(" | ");
+}
+
+function truncate(s, n = 600) {
+  const t = String(s || "");
+  return t.length > n ? `${t.slice(0, n)}…` : t;
+}
+
+function classifyDoc(name) {
+  return DOC_KINDS.find((d) => d.test.test(String(name || ""))) || null;
+}
+
+// "Doc: X | Sheet/Section: Y | Row/Cell: Z" -> { doc, section, ref }
+function parseFields(inner) {
+  const parts = inner.split("|").map(clean);
+  const out = { doc: "", section: "", ref: "" };
+
+  parts.forEach((p, i) => {
+    const m = p.match(/^([A-Za-z/ ]+?)\s*:\s*(.*)$/);
+    const label = m ? lower(m[1]) : "";
+    const value = m ? clean(m[2]) : p;
+
+    if (/^doc/.test(label)) out.doc = value;
+    else if (/sheet|section/.test(label)) out.section = value;
+    else if (/row|cell|slide|ref|chunk/.test(label)) out.ref = value;
+    else if (i === 0 && !out.doc) out.doc = value;
+    else if (i === 1 && !out.section) out.section = value;
+    else if (!out.ref) out.ref = value;
+  });
+
+  return out;
+}
+
+/**
+ * Pull the bracketed references out of an answer's "Citations:" block.
+ * Falls back to scanning the whole answer for "[Doc: ...]" when the block header is missing.
+ */
+export function parseCitations(answer) {
+  const text = String(answer || "");
+  const header = text.search(/^\s*#*\s*\**citations\**\s*:?\s*$/im);
+
+  let block = "";
+  if (header >= 0) {
+    const after = text.slice(header).split(/\r?\n/).slice(1);
+    const lines = [];
+    for (const line of after) {
+      if (/^\s*#*\s*\**(quality check|compliance risk|missing info)/i.test(line)) break;
+      lines.push(line);
+    }
+    block = lines.join("\n");
+  } else {
+    block = (text.match(/\[Doc:[^\]]+\]/gi) || []).join("\n");
+  }
+
+  const none = /no citation available/i.test(block);
+  const citations = [...block.matchAll(/\[([^[\]]+)\]/g)].map((m) => ({
+    raw: m[0],
+    ...parseFields(m[1]),
+  }));
+
+  return { citations, noCitationAvailable: none && !citations.length };
+}
+
+function pickSheets(workbook, section, parsedSections = []) {
+  const names = Object.keys(workbook || {}).filter((n) => n !== "__meta");
+  const sec = lower(section);
+
+  const byName = names
+    .filter((n) => sec.includes(lower(n)))
+    .sort((a, b) => b.length - a.length);
+  if (byName.length) return byName;
+
+  const bySection = parsedSections.filter((p) => p.section && sec.includes(lower(p.section))).map((p) => p.sheetName);
+  if (bySection.length) return Array.from(new Set(bySection));
+
+  return names.length === 1 ? names : [];
+}
+
+function parseRowRef(ref) {
+  const r = clean(ref);
+  const criterion = r.match(/^(?:criteria|criterion|#)?\s*(\d+\.\d+)$/i);
+  if (criterion) return { criterion: criterion[1], rows: [] };
+
+  const cell = r.match(/\b([A-Z]{1,2})(\d{1,5})\b/);
+  if (cell) return { criterion: null, rows: [Number(cell[2])], column: cell[1] };
+
+  const nums = (r.match(/\d+/g) || []).map(Number);
+  if (/-|–|to/.test(r) && nums.length >= 2) return { criterion: null, rows: [nums[0], nums[nums.length - 1]] };
+  return { criterion: null, rows: nums.slice(0, 1) };
+}
+
+function resolveWorkbookCitation(c, kind, ctx) {
+  const workbook = ctx.docs?.[kind.key];
+  if (!workbook) return { status: "invalid", reason: `${kind.label} is not loaded` };
+
+  const scenarios = kind.key === "matrix" ? ctx.matrix?.scenarios || [] : [];
+  const sheets = pickSheets(workbook, `${c.section} ${c.ref}`, scenarios);
+  if (!sheets.length) return { status: "invalid", reason: `Unknown sheet/section "${c.section}"` };
+
+  const { criterion, rows } = parseRowRef(c.ref);
+
+  if (criterion) {
+    for (const sheetName of sheets) {
+      const idx = (workbook[sheetName] || []).findIndex(
+        (row) => Array.isArray(row) && clean(row[0]) === criterion
+      );
+      if (idx >= 0) {
+        return {
+          status: "valid",
+          source: { docKey: kind.key, sheetName, rowNumber: idx + 1, criterion },
+          sourceText: rowText(workbook[sheetName][idx]),
+        };
+      }
+    }
+    return { status: "invalid", reason: `Criterion ${criterion} not found in ${sheets.join(", ")}` };
+  }
+
+  if (!rows.length) return { status: "invalid", reason: `No row/cell reference in "${c.ref}"` };
+
+  for (const sheetName of sheets) {
+    const data = workbook[sheetName] || [];
+    const found = rows.map((n) => data[n - 1]).filter((row) => rowText(row));
+    if (found.length !== rows.length) continue;
+
+    const scenario = scenarios.find((s) => s.sheetName === sheetName && s.rowNumber === rows[0]);
+    return {
+      status: "valid",
+      source: {
+        docKey: kind.key,
+        sheetName,
+        rowNumber: rows[0],
+        ...(rows.length > 1 ? { rowEnd: rows[rows.length - 1] } : {}),
+        ...(scenario ? { scenarioId: scenario.id } : {}),
+      },
+      sourceText: scenario
+        ? `${scenario.issue} — ${scenario.instructions} (${scenario.routingSummary})`
+        : rowText(found[0]),
+    };
+  }
+
+  return {
+    status: "invalid",
+    reason: `Row ${rows.join("-")} is empty or does not exist in ${sheets.join(", ")}`,
+  };
+}
+
+function resolveTrainingCitation(c, ctx) {
+  const guide = ctx.docs?.trainingGuide;
+  const jsonl = ctx.docs?.trainingChunks || [];
+  if (!guide && !jsonl.length) return { status: "invalid", reason: "Training Guide is not loaded" };
+
+  const hay = `${c.section} | ${c.ref}`;
+  const idMatch = hay.match(TRAINING_ID_RE);
+
+  if (idMatch) {
+    const id = idMatch[1];
+    const kbChunks = guide?.knowledge_base?.chunks || [];
+    const chunk = kbChunks.find((x) => x.chunk_id === id);
+    if (chunk) {
+      return {
+        status: "valid",
+        source: { docKey: "trainingGuide", chunkId: id, file: chunk.source?.file, slide: chunk.source?.slide ?? null },
+        sourceText: clean(chunk.text),
+      };
+    }
+    const line = jsonl.find((x) => x.id === id);
+    if (line) {
+      return {
+        status: "valid",
+        source: { docKey: "trainingChunks", chunkId: id, file: line.source_rel },
+        sourceText: truncate(clean(line.text)),
+      };
+    }
+    const script = /^script_(\d+)$/i.exec(id);
+    const sc = script ? guide?.knowledge_base?.scripts?.[Number(script[1]) - 1] : null;
+    if (sc) {
+      return {
+        status: "valid",
+        source: { docKey: "trainingGuide", chunkId: id, file: sc.source?.file, slide: sc.source?.slide ?? null },
+        sourceText: clean(sc.text),
+      };
+    }
+    return { status: "invalid", reason: `Training chunk ${id} does not exist` };
+  }
+
+  const slideMatch = hay.match(/slide\s*#?\s*(\d+)/i);
+  if (!slideMatch) return { status: "invalid", reason: "No chunk id or slide number to check" };
+  const slide = Number(slideMatch[1]);
+
+  const sec = lower(c.section).replace(/\.(pptx|docx|xlsx)\b/g, "");
+  const docs = (guide?.documents || []).filter((d) => {
+    const base = lower(String(d.relative_path || d.filename || "").split(/[\\/]/).pop()).replace(
+      /\.(pptx|docx|xlsx)$/,
+      ""
+    );
+    return base && (sec.includes(base) || base.includes(sec.replace(/\s+/g, "-")));
+  });
+  if (!docs.length) return { status: "invalid", reason: `Unknown training document "${c.section}"` };
+
+  for (const d of docs) {
+    const s = (d.content?.slides || []).find((x) => x.slide_number === slide);
+    if (s) {
+      return {
+        status: "valid",
+        source: { docKey: "trainingGuide", file: d.relative_path, slide },
+        sourceText: truncate(
+          [s.title, ...(s.bullets || []).map((b) => b.text)].map(clean).filter(Boolean).join(" • ")
+        ),
+      };
+    }
+  }
+  return { status: "invalid", reason: `Slide ${slide} not found in ${docs.map((d) => d.relative_path).join(", ")}` };
+}
+
+function resolveRppCitation(c, ctx) {
+  const guide = ctx.docs?.rppGuide;
+  if (!guide) return { status: "invalid", reason: "RPP Protection Guide is not loaded" };
+
+  const hay = lower(`${c.section} | ${c.ref}`);
+  const reasons = guide.coverage_reasons || [];
+  const hit =
+    reasons.find((r) => hay.includes(lower(r.id))) ||
+    reasons.find((r) => hay.includes(lower(r.title)));
+  if (hit) {
+    return {
+      status: "valid",
+      source: { docKey: "rppGuide", coverageReasonId: hit.id, categoryId: hit.category_id },
+      sourceText: hit.policy_text,
+    };
+  }
+
+  const cat = (guide.categories || []).find((x) => hay.includes(lower(x.id)) || hay.includes(lower(x.name)));
+  if (cat) {
+    return {
+      status: "valid",
+      source: { docKey: "rppGuide", categoryId: cat.id },
+      sourceText: cat.description,
+    };
+  }
+  return { status: "invalid", reason: "No matching coverage reason or category" };
+}
+
+export function resolveCitation(c, ctx) {
+  const kind = classifyDoc(c.doc);
+  if (!kind) return { ...c, docKey: null, status: "invalid", valid: false, reason: `Unknown document "${c.doc}"` };
+
+  let r;
+  try {
+    r =
+      kind.key === "trainingGuide"
+        ? resolveTrainingCitation(c, ctx)
+        : kind.key === "rppGuide"
+        ? resolveRppCitation(c, ctx)
+        : resolveWorkbookCitation(c, kind, ctx);
+  } catch (e) {
+    r = { status: "invalid", reason: `Citation check error: ${e.message}` };
+  }
+
+  return {
+    ...c,
+    docKey: kind.key,
+    docLabel: kind.label,
+    status: r.status,
+    valid: r.status === "valid",
+    reason: r.reason || null,
+    source: r.source || null,
+    sourceText: r.sourceText || null,
+  };
+}
+
+/**
+ * Check every citation in an answer.
+ * @param {string} answer
+ * @param {{ docs: object, matrix?: { scenarios: object[] } }} ctx
+ * @returns {{ citations: object[], summary: { total, valid, invalid }, verdict: string }}
+ */
+export function verifyCitations(answer, ctx) {
+  const { citations, noCitationAvailable } = parseCitations(answer);
+  const resolved = citations.map((c) => resolveCitation(c, ctx));
+  const valid = resolved.filter((c) => c.valid).length;
+  const invalid = resolved.length - valid;
+
+  const verdict = !resolved.length
+    ? noCitationAvailable
+      ? "no-citation-available"
+      : "missing"
+    : invalid
+    ? "unverified"
+    : "verified";
+
+  return { citations: resolved, summary: { total: resolved.length, valid, invalid }, verdict };
+}
+
+/**
+ * Put a visible warning on top of answers whose citations could not be verified.
+ */
+export function flagUnverifiedAnswer(answer, check) {
+  if (check.verdict === "verified" || check.verdict === "no-citation-available") return answer;
+
+  const head =
+    check.verdict === "missing"
+      ? "⚠️ CITATION CHECK: this answer has no citations. Do not act on it without confirming in the docs."
+      : `⚠️ CITATION CHECK: ${check.summary.invalid} of ${check.summary.total} citation(s) could not be found in the loaded docs. Treat the uncited parts as unverified.`;
+
+  const details = check.citations
+    .filter((c) => !c.valid)
+    .map((c) => `> - ${c.raw} → ${c.reason}`);
+
+  return [`> ${head}`, ...details, "", String(answer || "")].join("\n");
+}
@@ -0,0 +1,113 @@
+// server/lib/contextBuilder.js
+// Document context sent to the model: relevant matrix rows, top training chunks, rubric rows, RPP guide
+
+import { searchMatrix, formatScenarioForPrompt } from "./serviceMatrix.js";
+import { searchTraining, formatTrainingHit } from "./trainingIndex.js";
+
+export const CONTEXT_MAX_CHARS = 12000;
+
+/**
+ * @typedef {object} DocState
+ * @property {object} docs      raw documents by key (qaVoice, qaGroup, matrix, trainingGuide, rppGuide, ...)
+ * @property {{ scenarios: object[], notes: object[] }} matrix  parsed Service Matrix
+ * @property {object | null} training  BM25 index over training guide chunks
+ */
+
+export function extractRelevantMatrixRows(matrixIndex, question = "") {
+  try {
+    const { scenarios, notes } = matrixIndex;
+    if (!scenarios.length) return "NOT FOUND IN DOCS (matrix not loaded)";
+
+    const noteLines = notes.map((n) => `[Sheet: ${n.sheetName} | Row: ${n.rowNumber}] NOTE: ${n.text}`);
+    const matches = searchMatrix(scenarios, question, { limit: 12 });
+
+    if (!matches.length) {
+      // fallback if no keyword hit: give the model the scenario index so it can ask the right question
+      const index = scenarios.map(
+        (s) => `[Sheet: ${s.sheetName} | Row: ${s.rowNumber}] ${s.issue} -> ${s.routingSummary}`
+      );
+      return [...noteLines, ...index].join("\n");
+    }
+
+    return [...noteLines, ...matches.map(formatScenarioForPrompt)].join("\n");
+  } catch (e) {
+    return `NOT FOUND IN DOCS (matrix parse error: ${e.message})`;
+  }
+}
+
+export function extractRelevantTrainingChunks(
+  trainingIndex,
+  question = "",
+  { maxChars = CONTEXT_MAX_CHARS, k = 12 } = {}
+) {
+  const hits = searchTraining(trainingIndex, question, { k });
+  if (!hits.length) return "NOT FOUND IN DOCS (no training guide chunk matched the question)";
+
+  const lines = [];
+  let used = 0;
+  for (const h of hits) {
+    const line = formatTrainingHit(h);
+    if (used + line.length > maxChars) break;
+    lines.push(line);
+    used += line.length + 1;
+  }
+  return lines.join("\n");
+}
+
+// Rubric rows keep their sheet + row number so the model can cite them and citations can be checked
+export function formatWorkbookRows(workbook, maxChars = CONTEXT_MAX_CHARS) {
+  const lines = [];
+  let used = 0;
+  for (const [sheetName, rows] of Object.entries(workbook || {})) {
+    if (!Array.isArray(rows)) continue;
+    for (let i = 0; i < rows.length; i++) {
+      const cells = (Array.isArray(rows[i]) ? rows[i] : [rows[i]])
+        .map((v) => String(v ?? "").replace(/\s+/g, " ").trim())
+        .filter(Boolean);
+      if (!cells.length) continue;
+      const line = `[Sheet: ${sheetName} | Row: ${i + 1}] ${cells.join(" | ")}`;
+      if (used + line.length > maxChars) return lines.join("\n");
+      lines.push(line);
+      used += line.length + 1;
+    }
+  }
+  return lines.join("\n");
+}
+
+/**
+ * @param {DocState} state
+ * @param {object} docsSelection  client toggles ({ qaVoice, qaGroup, trainingGuide, rpp | rppGuide })
+ * @param {string} question       retrieval query (question plus the last user turn for follow-ups)
+ * @param {{ trainingTopK?: number }} opts
+ */
+export function buildContext(state, docsSelection = {}, question = "", { trainingTopK = 12 } = {}) {
+  const { docs = {}, matrix, training } = state;
+  const parts = [];
+
+  // ✅ Matrix ALWAYS included
+  const wantMatrix = true;
+
+  if (docsSelection.qaVoice && docs.qaVoice) {
+    parts.push(`QA VOICE RUBRIC:\n${formatWorkbookRows(docs.qaVoice, CONTEXT_MAX_CHARS)}`);
+  }
+  if (docsSelection.qaGroup && docs.qaGroup) {
+    parts.push(`QA GROUPS RUBRIC:\n${formatWorkbookRows(docs.qaGroup, CONTEXT_MAX_CHARS)}`);
+  }
+  if (wantMatrix && docs.matrix) {
+    parts.push(`SERVICE MATRIX 2026:\n${extractRelevantMatrixRows(matrix, question)}`);
+  }
+  if (docsSelection.trainingGuide && training?.docs.length) {
+    parts.push(
+      `TRAINING GUIDE (top matching chunks):\n${extractRelevantTrainingChunks(training, question, {
+        maxChars: CONTEXT_MAX_CHARS,
+        k: trainingTopK,
+      })}`
+    );
+  }
+  // the client sends this toggle as "rpp"
+  if ((docsSelection.rppGuide || docsSelection.rpp) && docs.rppGuide) {
+    parts.push(`RPP PROTECTION GUIDE (JSON):\n${JSON.stringify(docs.rppGuide).slice(0, CONTEXT_MAX_CHARS)}`);
+  }
+
+  return parts.join("\n\n---\n\n") || "NOT FOUND IN DOCS";
+}
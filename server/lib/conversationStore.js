@@ -0,0 +1,145 @@
+// server/lib/conversationStore.js
+// File-backed conversation memory for the ask API (one JSON file per conversation id)
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+const ID_RE = /^[A-Za-z0-9_-]{8,80}$/;
+const ROLES = new Set(["user", "assistant"]);
+
+function genId() {
+  try {
+    return `conv_${crypto.randomUUID()}`;
+  } catch {
+    return `conv_${Date.now()}_${crypto.randomBytes(6).toString("hex")}`;
+  }
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+export function isValidConversationId(id) {
+  return ID_RE.test(String(id || ""));
+}
+
+// conversations saved before sign-in existed have no owner and stay readable by whoever holds the id
+export function isOwnedBy(conv, owner) {
+  return !conv?.owner || conv.owner === owner;
+}
+
+/**
+ * Keep only well-formed { role: "user" | "assistant", content } turns (client-supplied history is untrusted).
+ */
+export function sanitizeTurns(raw, { maxContentChars = 8000 } = {}) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((t) => t && ROLES.has(t.role) && String(t.content ?? "").trim())
+    .map((t) => ({
+      role: t.role,
+      content: String(t.content).trim().slice(0, maxContentChars),
+      ...(t.ts ? { ts: String(t.ts) } : {}),
+    }));
+}
+
+/**
+ * The slice of a conversation that is sent to a provider: the last `maxTurns` turns, trimmed to `maxChars`
+ * in total (oldest dropped first), always starting with a user turn so Anthropic's role alternation holds.
+ */
+export function boundedHistory(turns, { maxTurns = 6, maxChars = 6000 } = {}) {
+  const recent = (turns || []).slice(-Math.max(0, maxTurns));
+
+  const out = [];
+  let used = 0;
+  for (let i = recent.length - 1; i >= 0; i--) {
+    const content = recent[i].content;
+    if (used + content.length > maxChars) break;
+    used += content.length;
+    out.unshift({ role: recent[i].role, content });
+  }
+
+  // drop leading assistant turns and collapse same-role neighbours (a failed call leaves a lone user turn)
+  while (out.length && out[0].role !== "user") out.shift();
+  return out.filter((t, i) => i === out.length - 1 || t.role !== out[i + 1].role);
+}
+
+/**
+ * @param {{ dir: string, maxStoredTurns?: number }} opts
+ */
+export function createConversationStore({ dir, maxStoredTurns = 200 }) {
+  const queues = new Map(); // id -> pending write promise (serialises writes per conversation)
+
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+
+  async function read(id) {
+    if (!isValidConversationId(id)) return null;
+    try {
+      return JSON.parse(await fs.readFile(fileFor(id), "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  async function write(conv) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = fileFor(conv.id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(conv, null, 2), "utf8");
+    await fs.rename(tmp, file);
+  }
+
+  function serialised(id, fn) {
+    const prev = queues.get(id) || Promise.resolve();
+    const next = prev.catch(() => {}).then(fn);
+    queues.set(id, next);
+    // clean up on both outcomes without a second promise that could reject unhandled (the caller gets `next`)
+    const done = () => {
+      if (queues.get(id) === next) queues.delete(id);
+    };
+    next.then(done, done);
+    return next;
+  }
+
+  return {
+    newId: genId,
+
+    get: read,
+
+    /**
+     * Return the stored conversation, creating it (seeded with client-supplied turns) when it doesn't exist -
+     * e.g. after a redeploy wiped the disk but the browser still has the thread.
+     * Someone else's conversation id is never resumed: a fresh conversation is started instead.
+     */
+    ensure(id, seedTurns = [], { owner = null } = {}) {
+      const convId = isValidConversationId(id) ? id : genId();
+      return serialised(convId, async () => {
+        const existing = await read(convId);
+        if (existing && isOwnedBy(existing, owner)) return existing;
+
+        const conv = {
+          id: existing ? genId() : convId,
+          owner,
+          createdAt: nowIso(),
+          updatedAt: nowIso(),
+          turns: sanitizeTurns(seedTurns).slice(-maxStoredTurns),
+        };
+        await write(conv);
+        return conv;
+      });
+    },
+
+    append(id, turns) {
+      return serialised(id, async () => {
+        const conv = (await read(id)) || { id, createdAt: nowIso(), turns: [] };
+        conv.turns = [...conv.turns, ...sanitizeTurns(turns).map((t) => ({ ts: nowIso(), ...t }))].slice(
+          -maxStoredTurns
+        );
+        conv.updatedAt = nowIso();
+        await write(conv);
+        return conv;
+      });
+    },
+  };
+}
@@ -0,0 +1,231 @@
+// server/lib/docRefresh.js
+// Background document refresh: one load at a time, atomic cache swap, per-document last-good fallback, schedules
+
+/**
+ * Loads every source into a fresh cache object and swaps it in only once the whole load is done, so requests keep
+ * answering from the previous docs while a refresh runs (stale-while-revalidate).
+ * A source that fails keeps its last good copy (marked stale) instead of dropping out of the cache.
+ *
+ * @param {{
+ *   sources: { key: string, name: string, file?: string }[],
+ *   loadDoc: (doc) => Promise<{ data: any, meta?: object, from?: string }>,
+ *   onSwap?: (cache: object, report: object) => Promise<void> | void,
+ *   intervalsMs?: { [key: string]: number },  // per source key, "*" = every other source; 0 / missing = not scheduled
+ *   now?: () => number,
+ * }} opts
+ */
+export function createDocRefresher({ sources, loadDoc, onSwap = () => {}, intervalsMs = {}, now = () => Date.now() }) {
+  const known = new Set(sources.map((d) => d.key));
+  const status = new Map(); // key -> per-document status
+  const metas = new Map(); // key -> meta of the copy currently cached (merged into cache.__meta)
+  const nextDue = new Map(); // key -> ms timestamp of the next scheduled refresh
+  let cache = {};
+  let running = null;
+  let queued = null; // follow-up run for refreshes asked for while one was running
+  let lastRefresh = null;
+  let timer = null;
+  let scheduled = false;
+
+  const iso = (t) => new Date(t).toISOString();
+
+  function intervalFor(key) {
+    const ms = Number(intervalsMs[key] ?? intervalsMs["*"] ?? 0);
+    return Number.isFinite(ms) && ms > 0 ? ms : 0;
+  }
+
+  function docStatus(doc) {
+    if (!status.has(doc.key)) {
+      status.set(doc.key, {
+        key: doc.key,
+        name: doc.name,
+        loaded: false,
+        stale: false,
+        from: null,
+        lastAttemptAt: null,
+        lastSuccessAt: null,
+        lastError: null,
+        lastErrorAt: null,
+        failures: 0,
+        ms: null,
+      });
+    }
+    return status.get(doc.key);
+  }
+
+  async function runLoad(keys, reason) {
+    const startedAt = now();
+    const prev = cache;
+    const next = {};
+    const results = [];
+
+    for (const doc of sources) {
+      if (keys && !keys.includes(doc.key)) {
+        if (prev[doc.key] !== undefined) next[doc.key] = prev[doc.key];
+        continue;
+      }
+
+      const s = docStatus(doc);
+      const t0 = now();
+      s.lastAttemptAt = iso(t0);
+      const every = intervalFor(doc.key);
+      if (scheduled && every) nextDue.set(doc.key, t0 + every);
+
+      try {
+        const { data, meta = null, from = doc.file || null } = await loadDoc(doc);
+        next[doc.key] = data;
+        metas.set(doc.key, meta);
+        Object.assign(s, { loaded: true, stale: false, from, lastSuccessAt: iso(now()), lastError: null, failures: 0 });
+        s.ms = now() - t0;
+        results.push({ key: doc.key, name: doc.name, ok: true, from, ms: s.ms });
+      } catch (e) {
+        const error = e?.message || String(e);
+        const kept = prev[doc.key] !== undefined;
+        if (kept) next[doc.key] = prev[doc.key];
+        Object.assign(s, { stale: kept, lastError: error, lastErrorAt: iso(now()), failures: s.failures + 1 });
+        s.ms = now() - t0;
+        results.push({ key: doc.key, name: doc.name, ok: false, error, stale: kept, ms: s.ms });
+      }
+    }
+
+    const meta = Object.assign({}, ...sources.filter((d) => next[d.key] !== undefined).map((d) => metas.get(d.key)));
+    if (Object.keys(meta).length) next.__meta = meta;
+
+    // nothing new came in: keep the current cache object rather than rebuilding indexes over the same docs
+    const swapped = results.some((r) => r.ok) || Object.keys(prev).length === 0;
+    const report = {
+      reason: reason || "refresh",
+      keys: keys || sources.map((d) => d.key),
+      startedAt: iso(startedAt),
+      finishedAt: null,
+      swapped,
+      results,
+    };
+
+    if (swapped) {
+      await onSwap(next, report);
+      cache = next;
+    }
+    report.finishedAt = iso(now());
+    lastRefresh = report;
+    return report;
+  }
+
+  function start(keys, reason) {
+    const run = runLoad(keys, reason).finally(() => {
+      if (running === run) running = null;
+    });
+    running = run;
+    return run;
+  }
+
+  function checkKeys(keys) {
+    if (!keys) return null;
+    const list = [...new Set(keys)];
+    const unknown = list.filter((k) => !known.has(k));
+    if (unknown.length) {
+      const e = new Error(`Unknown document(s): ${unknown.join(", ")} (expected ${[...known].join(", ")})`);
+      e.status = 400;
+      throw e;
+    }
+    return list;
+  }
+
+  function scheduleNext() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (!nextDue.size) return;
+
+    const at = Math.min(...nextDue.values());
+    timer = setTimeout(() => {
+      timer = null;
+      const t = now();
+      const due = [...nextDue].filter(([, when]) => when <= t).map(([key]) => key);
+      // push the due ones forward now so a slow load does not fire them again
+      for (const key of due) nextDue.set(key, t + intervalFor(key));
+      const run = due.length ? refresh({ keys: due, reason: "schedule" }) : Promise.resolve();
+      run.catch(() => {}).then(() => scheduled && timer === null && scheduleNext());
+    }, Math.max(0, at - now()));
+    timer.unref?.();
+  }
+
+  /**
+   * Reload `keys` (default: every source). When a load is already running, one follow-up run is queued that covers
+   * every key asked for in the meantime - bursts of webhook calls collapse into at most two loads.
+   * Resolves with the refresh report of the run that covered the request.
+   */
+  function refresh({ keys, reason } = {}) {
+    const list = checkKeys(keys);
+    if (!running) return start(list, reason);
+
+    if (!queued) {
+      const q = { all: false, keys: new Set(), reasons: [] };
+      q.promise = running
+        .catch(() => {})
+        .then(() => {
+          queued = null;
+          return start(q.all ? null : [...q.keys], q.reasons.join(", "));
+        });
+      queued = q;
+    }
+    if (!list) queued.all = true;
+    else list.forEach((k) => queued.keys.add(k));
+    if (reason && !queued.reasons.includes(reason)) queued.reasons.push(reason);
+    return queued.promise;
+  }
+
+  return {
+    refresh,
+
+    /** The cache, loading it first when it is empty. A load already running is awaited instead of retried. */
+    async ensureLoaded() {
+      if (running) {
+        await running.catch(() => {});
+        return cache;
+      }
+      if (!Object.keys(cache).length) await refresh({ reason: "first use" });
+      return cache;
+    },
+
+    current() {
+      return cache;
+    },
+
+    loading() {
+      return !!running;
+    },
+
+    /** Start the background schedule (no-op when no source has an interval). */
+    startSchedule() {
+      scheduled = true;
+      const t = now();
+      for (const doc of sources) {
+        const every = intervalFor(doc.key);
+        if (every && !nextDue.has(doc.key)) nextDue.set(doc.key, t + every);
+      }
+      scheduleNext();
+    },
+
+    stopSchedule() {
+      scheduled = false;
+      if (timer) clearTimeout(timer);
+      timer = null;
+      nextDue.clear();
+    },
+
+    status() {
+      return {
+        loading: !!running,
+        queued: queued ? { all: queued.all, keys: [...queued.keys] } : null,
+        lastRefresh,
+        schedule: sources
+          .filter((d) => intervalFor(d.key))
+          .map((d) => ({
+            key: d.key,
+            everyMinutes: intervalFor(d.key) / 60000,
+            nextAt: nextDue.has(d.key) ? iso(nextDue.get(d.key)) : null,
+          })),
+        docs: sources.map((d) => ({ ...docStatus(d) })),
+      };
+    },
+  };
+}
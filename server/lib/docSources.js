@@ -0,0 +1,122 @@
+// server/lib/docSources.js
+// The compliance documents (file names + kinds), local file lookup/parsing and the derived indexes
+
+import fs from "fs";
+import path from "path";
+import xlsx from "xlsx";
+import { parseMatrix } from "./serviceMatrix.js";
+import { buildTrainingIndex } from "./trainingIndex.js";
+
+export const DOC_SOURCES = [
+  { key: "qaVoice", file: "qa-voice.xlsx", name: "QA Voice", kind: "excel" },
+  { key: "qaGroup", file: "qa-group.xlsx", name: "QA Groups", kind: "excel" },
+  { key: "matrix", file: "Service Matrix's 2026.xlsx", name: "Service Matrix", kind: "excel" },
+  {
+    key: "trainingGuide",
+    file: "hotelplanner_training_guide.json",
+    name: "Training Guide",
+    kind: "json",
+  },
+  {
+    key: "trainingChunks",
+    file: "training_guide.chunks.jsonl",
+    name: "Training Guide Chunks",
+    kind: "jsonl",
+  },
+  {
+    key: "rppGuide",
+    file: "rpp_protection_guide.json",
+    name: "RPP Protection Guide",
+    kind: "json",
+  },
+];
+
+// Repo paths, in lookup order:
+// - client/public/Assets/*  (source of truth)
+// - server/data/*           (fallback)
+// - client/public/*         (root public files, e.g. training_guide.chunks.jsonl)
+export function localDocDirs(serverDir) {
+  return [
+    path.join(serverDir, "../client/public/Assets"),
+    path.join(serverDir, "data"),
+    path.join(serverDir, "../client/public"),
+  ];
+}
+
+function existsFile(p) {
+  try {
+    return fs.existsSync(p) && fs.statSync(p).isFile();
+  } catch {
+    return false;
+  }
+}
+
+export function resolveLocalDocPath(fileName, dirs) {
+  for (const dir of dirs) {
+    const p = path.join(dir, fileName);
+    if (existsFile(p)) return p;
+  }
+  return null;
+}
+
+// { [sheetName]: rows[][] }
+export function parseWorkbook(workbook) {
+  const result = {};
+  workbook.SheetNames.forEach((sheetName) => {
+    const sheet = workbook.Sheets[sheetName];
+    result[sheetName] = xlsx.utils.sheet_to_json(sheet, { header: 1 });
+  });
+  return result;
+}
+
+export function parseJsonl(raw) {
+  return String(raw || "")
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter(Boolean)
+    .map((l) => {
+      try {
+        return JSON.parse(l);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/** Parse one document from a local file path according to its kind. */
+export function readDocumentFile(doc, filePath) {
+  if (doc.kind === "excel") return parseWorkbook(xlsx.readFile(filePath));
+  const raw = fs.readFileSync(filePath, "utf-8");
+  return doc.kind === "jsonl" ? parseJsonl(raw) : JSON.parse(raw);
+}
+
+/** Parsed matrix + training index for a set of raw documents (what buildContext and citations need). */
+export function buildDocState(docs) {
+  return {
+    docs,
+    matrix: parseMatrix(docs.matrix),
+    training: buildTrainingIndex({ trainingGuide: docs.trainingGuide, trainingChunks: docs.trainingChunks }),
+  };
+}
+
+/**
+ * Every document from local files only (no network) - used by offline tools like the golden harness.
+ * `overrides` maps a doc key to a different file, e.g. { matrix: "/tmp/Service Matrix draft.xlsx" }.
+ * Returns { state, loaded: [key], missing: [key] }.
+ */
+export function loadLocalDocState(dirs, overrides = {}) {
+  const docs = {};
+  const loaded = [];
+  const missing = [];
+  for (const doc of DOC_SOURCES) {
+    const filePath = overrides[doc.key] || resolveLocalDocPath(doc.file, dirs);
+    if (!filePath || !existsFile(filePath)) {
+      missing.push(doc.key);
+      continue;
+    }
+    docs[doc.key] = readDocumentFile(doc, filePath);
+    loaded.push(doc.key);
+  }
+  return { state: buildDocState(docs), loaded, missing };
+}
@@ -0,0 +1,283 @@
+// server/lib/docVersions.js
+// Fingerprint every document load, keep the versions (with a Service Matrix snapshot each) and diff matrix rows
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { formatRoutingFlag } from "./serviceMatrix.js";
+
+export const ROUTING_FLAGS = ["slack", "refundQueue", "ticket", "supervisor"];
+const SCENARIO_FIELDS = ["section", "instructions"];
+
+function versionError(message, status = 400) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+function hash(text) {
+  return crypto.createHash("sha256").update(String(text ?? "")).digest("hex").slice(0, 12);
+}
+
+function lower(s) {
+  return String(s ?? "").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+/**
+ * Content hash per loaded document plus one fingerprint over all of them.
+ * `__meta` (where the matrix came from) is not content and is left out.
+ */
+export function fingerprintDocs(docs = {}) {
+  const hashes = {};
+  for (const key of Object.keys(docs).filter((k) => k !== "__meta").sort()) {
+    hashes[key] = hash(JSON.stringify(docs[key]));
+  }
+  return { fingerprint: hash(JSON.stringify(hashes)), docs: hashes };
+}
+
+// what is kept per version to diff against later
+export function matrixSnapshot(scenarios = []) {
+  return scenarios.map((s) => ({
+    id: s.id,
+    sheetName: s.sheetName,
+    rowNumber: s.rowNumber,
+    section: s.section || "",
+    issue: s.issue,
+    instructions: s.instructions || "",
+    routing: s.routing || {},
+  }));
+}
+
+// Scenarios are matched by sheet + issue text, not by row: inserting a row would otherwise "change" every row below.
+// Renaming an issue therefore shows up as one removed + one added scenario.
+function keyed(scenarios) {
+  const out = new Map();
+  for (const s of scenarios) {
+    const base = `${s.sheetName}|${lower(s.issue)}`;
+    let key = base;
+    for (let n = 2; out.has(key); n++) key = `${base}#${n}`;
+    out.set(key, s);
+  }
+  return out;
+}
+
+function rowRef(s) {
+  return { id: s.id, sheetName: s.sheetName, rowNumber: s.rowNumber, issue: s.issue };
+}
+
+/**
+ * Row-level diff of two matrix snapshots.
+ * changed = instructions / section or Slack / Refund Queue / Ticket / Supervisor flags differ;
+ * moved = same content at a different row number.
+ */
+export function diffMatrix(before = [], after = []) {
+  const prev = keyed(before);
+  const next = keyed(after);
+  const added = [];
+  const removed = [];
+  const changed = [];
+  const moved = [];
+
+  for (const [key, s] of next) if (!prev.has(key)) added.push(rowRef(s));
+
+  for (const [key, s] of prev) {
+    const n = next.get(key);
+    if (!n) {
+      removed.push(rowRef(s));
+      continue;
+    }
+
+    const fields = SCENARIO_FIELDS.filter((f) => (s[f] || "") !== (n[f] || "")).map((f) => ({
+      field: f,
+      before: s[f] || "",
+      after: n[f] || "",
+    }));
+    const flags = ROUTING_FLAGS.map((f) => ({
+      flag: f,
+      before: formatRoutingFlag(s.routing?.[f]),
+      after: formatRoutingFlag(n.routing?.[f]),
+    })).filter((f) => f.before !== f.after);
+
+    if (fields.length || flags.length) {
+      changed.push({ ...rowRef(n), previousId: s.id, previousRow: s.rowNumber, fields, flags });
+    } else if (s.rowNumber !== n.rowNumber) {
+      moved.push({ ...rowRef(n), previousId: s.id, previousRow: s.rowNumber });
+    }
+  }
+
+  return {
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      moved: moved.length,
+      flagChanges: changed.reduce((sum, c) => sum + c.flags.length, 0),
+    },
+    added,
+    removed,
+    changed,
+    moved,
+  };
+}
+
+function docChanges(before = {}, after = {}) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const out = { changed: [], added: [], removed: [] };
+  for (const k of [...keys].sort()) {
+    if (!before[k]) out.added.push(k);
+    else if (!after[k]) out.removed.push(k);
+    else if (before[k] !== after[k]) out.changed.push(k);
+  }
+  return out;
+}
+
+/** What answers are stamped with. */
+export function versionStamp(version) {
+  return version ? { id: version.id, fingerprint: version.fingerprint } : null;
+}
+
+/**
+ * Versions live in `dir`: versions.json ({ versions: [...] }, oldest first) + matrix-<id>.json per version.
+ * A load with the same fingerprint as the latest version does not create a new one (loads / lastLoadedAt go up).
+ * @param {{ dir: string, maxVersions?: number, now?: () => number }} opts
+ */
+export function createDocVersionStore({ dir, maxVersions = 50, now = () => Date.now() }) {
+  const indexFile = path.join(dir, "versions.json");
+  const snapshotFile = (id) => path.join(dir, `matrix-${id}.json`);
+  let versions = null;
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (versions) return versions;
+    try {
+      versions = JSON.parse(await fs.readFile(indexFile, "utf8")).versions || [];
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+      versions = [];
+    }
+    return versions;
+  }
+
+  async function writeJson(file, data) {
+    await fs.mkdir(dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data), "utf8");
+    await fs.rename(tmp, file);
+  }
+
+  // serialized like every other store: one write at a time, a failed one never blocks the next
+  function queue(task) {
+    const run = writing.catch(() => {}).then(task);
+    writing = run;
+    return run;
+  }
+
+  async function readSnapshot(id) {
+    try {
+      return JSON.parse(await fs.readFile(snapshotFile(id), "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  async function find(id) {
+    const list = await load();
+    const v = list.find((x) => x.id === id);
+    if (!v) throw versionError(`Doc version not found: ${id}`, 404);
+    return v;
+  }
+
+  return {
+    /**
+     * Record one document load.
+     * @param {{ docs: object, scenarios: object[], source?: object, counts?: object }} load
+     * @returns the version the load is now running on
+     */
+    record({ docs, scenarios = [], source = {}, counts = {} }) {
+      return queue(async () => {
+        const list = await load();
+        const { fingerprint, docs: hashes } = fingerprintDocs(docs);
+        const ts = new Date(now()).toISOString();
+        const latest = list[list.length - 1];
+
+        if (latest && latest.fingerprint === fingerprint) {
+          latest.loads = (latest.loads || 1) + 1;
+          latest.lastLoadedAt = ts;
+          await writeJson(indexFile, { versions: list });
+          return latest;
+        }
+
+        const snapshot = matrixSnapshot(scenarios);
+        const prevSnapshot = latest ? await readSnapshot(latest.id) : null;
+        const seq = (latest?.seq || 0) + 1;
+        const version = {
+          id: `v${seq}`,
+          seq,
+          fingerprint,
+          docs: hashes,
+          createdAt: ts,
+          lastLoadedAt: ts,
+          loads: 1,
+          source,
+          counts: { ...counts, scenarios: snapshot.length },
+          changes: latest
+            ? {
+                from: latest.id,
+                docs: docChanges(latest.docs, hashes),
+                matrix: prevSnapshot ? diffMatrix(prevSnapshot, snapshot).summary : null,
+              }
+            : null,
+        };
+
+        await writeJson(snapshotFile(version.id), snapshot);
+        list.push(version);
+        const dropped = list.splice(0, Math.max(0, list.length - maxVersions));
+        await writeJson(indexFile, { versions: list });
+        for (const v of dropped) await fs.rm(snapshotFile(v.id), { force: true });
+        return version;
+      });
+    },
+
+    /** Newest first. */
+    async list({ limit = 50 } = {}) {
+      const list = await load();
+      return list.slice(-Math.max(1, limit)).reverse();
+    },
+
+    async latest() {
+      const list = await load();
+      return list[list.length - 1] || null;
+    },
+
+    async get(id) {
+      return (await load()).find((v) => v.id === id) || null;
+    },
+
+    /**
+     * Diff two versions: which documents changed plus the matrix row diff.
+     * `to` defaults to the latest version, `from` to the version before `to`.
+     */
+    async diff({ from, to } = {}) {
+      const list = await load();
+      if (!list.length) throw versionError("No doc versions recorded yet", 404);
+
+      const toV = to ? await find(to) : list[list.length - 1];
+      let fromV;
+      if (from) fromV = await find(from);
+      else {
+        fromV = list[list.indexOf(toV) - 1];
+        if (!fromV) throw versionError(`${toV.id} is the oldest version kept - pass from=`, 400);
+      }
+
+      const [a, b] = await Promise.all([readSnapshot(fromV.id), readSnapshot(toV.id)]);
+      return {
+        from: { id: fromV.id, fingerprint: fromV.fingerprint, createdAt: fromV.createdAt },
+        to: { id: toV.id, fingerprint: toV.fingerprint, createdAt: toV.createdAt },
+        identical: fromV.fingerprint === toV.fingerprint,
+        docs: docChanges(fromV.docs, toV.docs),
+        matrix: a && b ? diffMatrix(a, b) : null,
+      };
+    },
+  };
+}
@@ -0,0 +1,208 @@
+// server/lib/docViewer.js
+// Read-only views of the loaded documents for the in-app viewer (matrix table, rubric criteria, training slides, RPP reasons)
+
+import { slug } from "./serviceMatrix.js";
+import { parseRubric } from "./qaScoring.js";
+
+function clean(s) {
+  return String(s ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function baseName(file) {
+  return String(file || "")
+    .split(/[\\/]/)
+    .pop();
+}
+
+function folderName(file) {
+  const parts = String(file || "").split(/[\\/]/);
+  return parts.length > 1 ? parts.slice(0, -1).join("/") : "";
+}
+
+function sheetNames(workbook) {
+  return Object.keys(workbook || {}).filter((s) => s !== "__meta" && Array.isArray(workbook[s]));
+}
+
+/**
+ * Service Matrix as sheets of scenario rows + the free-text notes above each table.
+ * `slug` is the sheet part of scenario ids ("voice-matrix:36") and of the viewer anchors (#matrix/voice-matrix/row/36).
+ */
+export function matrixView(matrixDoc, matrixIndex = {}) {
+  const scenarios = matrixIndex.scenarios || [];
+  const notes = matrixIndex.notes || [];
+
+  const sheets = sheetNames(matrixDoc).map((sheetName) => ({
+    sheetName,
+    slug: slug(sheetName),
+    scenarios: scenarios
+      .filter((s) => s.sheetName === sheetName)
+      .map((s) => ({
+        id: s.id,
+        rowNumber: s.rowNumber,
+        section: s.section,
+        issue: s.issue,
+        instructions: s.instructions,
+        routing: s.routing,
+        routingSummary: s.routingSummary,
+      })),
+    notes: notes.filter((n) => n.sheetName === sheetName).map((n) => ({ rowNumber: n.rowNumber, text: n.text })),
+  }));
+
+  return { sheets, totalScenarios: scenarios.length };
+}
+
+/** QA workbook as its scoring criteria (same parse the scorer uses), rows kept for #qaVoice/row/N anchors. */
+export function rubricView(workbook, { name = "" } = {}) {
+  const rubric = parseRubric(workbook, { name });
+  return {
+    name: rubric.name,
+    form: rubric.form,
+    assessment: rubric.assessment,
+    sheetName: rubric.sheetName,
+    passingScore: rubric.passingScore,
+    criteria: rubric.criteria.map((c) => ({
+      id: c.id,
+      criterion: c.criterion,
+      points: c.points,
+      percent: c.percent,
+      rowNumber: c.rowNumber,
+      guidelines: c.guidelines,
+    })),
+  };
+}
+
+/** RPP guide grouped by category: [{ id, name, description, reasons: [...] }] (reasons without a category last). */
+export function rppView(guide) {
+  const reasons = (guide?.coverage_reasons || []).map((r) => ({
+    id: r.id,
+    title: r.title,
+    categoryId: r.category_id || null,
+    coveredParties: Array.isArray(r.covered_parties) ? r.covered_parties : [],
+    triggerSummary: r.trigger_summary || "",
+    timeWindow: r.time_window || null,
+    policyText: r.policy_text || "",
+    keywords: Array.isArray(r.keywords) ? r.keywords : [],
+  }));
+
+  const categories = (guide?.categories || []).map((c) => ({
+    id: c.id,
+    name: c.name,
+    description: c.description || "",
+    reasons: reasons.filter((r) => r.categoryId === c.id),
+  }));
+
+  const known = new Set(categories.map((c) => c.id));
+  const other = reasons.filter((r) => !known.has(r.categoryId));
+  if (other.length) categories.push({ id: "other", name: "Other", description: "", reasons: other });
+
+  return { plan: guide?.plan || null, categories, totalReasons: reasons.length };
+}
+
+// training index entries (kb chunks, scripts, JSONL chunks) that belong to one guide document
+function chunksForFile(index, relPath) {
+  const base = baseName(relPath);
+  return (index?.docs || []).filter((d) =>
+    d.origin === "chunks_jsonl" ? baseName(d.source.file) === base : d.source.file === relPath
+  );
+}
+
+/** The training documents for the viewer's sidebar. */
+export function trainingDocuments(guide, index) {
+  return (guide?.documents || []).map((d) => {
+    const c = d.content || {};
+    return {
+      file: d.relative_path,
+      name: baseName(d.relative_path),
+      folder: folderName(d.relative_path),
+      ext: String(d.ext || "").replace(/^\./, ""),
+      slides: (c.slides || []).length,
+      chunks: chunksForFile(index, d.relative_path).length,
+    };
+  });
+}
+
+// the guide document a chunk id (or JSONL "file.pptx::chunk3" id) belongs to, plus the slide to focus.
+// Chunks too short for the index can still be cited - those land on their slide instead of the chunk.
+function findChunkDocument(guide, index, chunkId) {
+  const docs = guide?.documents || [];
+  const entry = (index?.docs || []).find((d) => d.id === chunkId);
+  if (entry) {
+    const doc =
+      entry.origin === "chunks_jsonl"
+        ? docs.find((d) => baseName(d.relative_path) === baseName(entry.source.file))
+        : docs.find((d) => d.relative_path === entry.source.file);
+    return doc ? { doc, focus: { slide: entry.source.slide ?? null, chunkId: entry.id } } : null;
+  }
+
+  const raw = (guide?.knowledge_base?.chunks || []).find((c) => c.chunk_id === chunkId);
+  const doc = raw ? docs.find((d) => d.relative_path === raw.source?.file) : null;
+  return doc ? { doc, focus: { slide: raw.source?.slide ?? null, chunkId: null } } : null;
+}
+
+function chunkSummary(d) {
+  return { id: d.id, kind: d.kind, origin: d.origin, text: d.text };
+}
+
+/**
+ * One training document by file (relative path or base name) or by chunk id, slide by slide with the chunk ids
+ * that cite each slide. Non-slide documents come back as paragraphs / sheets.
+ * `focus` tells the viewer which slide / chunk to scroll to. Returns null when nothing matches.
+ */
+export function trainingDocument(guide, index, { file, chunk } = {}) {
+  let doc = null;
+  let focus = { slide: null, chunkId: null };
+
+  if (chunk) {
+    const hit = findChunkDocument(guide, index, chunk);
+    if (!hit) return null;
+    ({ doc, focus } = hit);
+  } else if (file) {
+    const docs = guide?.documents || [];
+    doc = docs.find((d) => d.relative_path === file) || docs.find((d) => baseName(d.relative_path) === baseName(file));
+    if (!doc) return null;
+  } else {
+    return null;
+  }
+
+  const c = doc.content || {};
+  const chunks = chunksForFile(index, doc.relative_path);
+  const bySlide = new Map();
+  const loose = [];
+  for (const d of chunks) {
+    const n = d.source.slide;
+    if (n === null || n === undefined) loose.push(chunkSummary(d));
+    else {
+      if (!bySlide.has(n)) bySlide.set(n, []);
+      bySlide.get(n).push(chunkSummary(d));
+    }
+  }
+
+  const slides = (c.slides || []).map((s) => ({
+    slide: s.slide_number,
+    title: clean(s.title),
+    bullets: (s.bullets || []).map((b) => ({ level: b.level || 0, text: clean(b.text) })).filter((b) => b.text),
+    notes: clean(s.notes),
+    chunks: bySlide.get(s.slide_number) || [],
+  }));
+
+  // chunks pointing at slides the document no longer has still need to be reachable
+  const known = new Set(slides.map((s) => s.slide));
+  for (const [n, list] of bySlide) if (!known.has(n)) loose.push(...list);
+
+  return {
+    file: doc.relative_path,
+    name: baseName(doc.relative_path),
+    folder: folderName(doc.relative_path),
+    ext: String(doc.ext || "").replace(/^\./, ""),
+    slides,
+    paragraphs: (c.paragraphs || []).map((p) => clean(p.text)).filter(Boolean),
+    sheets: (c.sheets || []).map((sh) => ({
+      name: sh.name,
+      rows: (sh.data || []).filter((r) => Array.isArray(r) && r.some((v) => clean(v))).map((r) => r.map(clean)),
+    })),
+    chunks: loose,
+    focus,
+  };
+}
@@ -0,0 +1,195 @@
+// server/lib/feedbackStore.js
+// Per-answer feedback (helpful / wrong / unsafe + correction) tied to audit request ids, and the QA queue summary
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+export const FEEDBACK_VERDICTS = ["helpful", "wrong", "unsafe"];
+export const FEEDBACK_STATUSES = ["open", "resolved", "dismissed"];
+
+const CORRECTION_MAX_CHARS = 2000;
+const NOTE_MAX_CHARS = 1000;
+const NO_SCENARIO = "(no matrix scenario)";
+
+function feedbackError(message, status = 400) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+function normEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+// wrong / unsafe answers are what the QA queue is for; "helpful" is only counted
+export function needsReview(item) {
+  return item.verdict !== "helpful";
+}
+
+/**
+ * Feedback lives in one JSON file ({ feedback: [...] }), loaded once and kept in memory.
+ * One item per (requestId, user): rating the same answer again updates it.
+ * @param {{ file: string }} opts
+ */
+export function createFeedbackStore({ file }) {
+  let items = null; // id -> item
+  let loading = null; // promise, kept once it succeeds (requests arriving together share the first read)
+  let writing = Promise.resolve();
+
+  function load() {
+    if (!loading) {
+      loading = (async () => {
+        try {
+          const data = JSON.parse(await fs.readFile(file, "utf8"));
+          items = new Map((data.feedback || []).map((f) => [f.id, f]));
+        } catch (e) {
+          if (e.code !== "ENOENT") throw e;
+          items = new Map();
+        }
+        return items;
+      })().catch((e) => {
+        loading = null;
+        throw e;
+      });
+    }
+    return loading;
+  }
+
+  async function save() {
+    const snapshot = JSON.stringify({ feedback: Array.from(items.values()) }, null, 2);
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, snapshot, "utf8");
+        await fs.rename(tmp, file);
+      });
+    return writing;
+  }
+
+  return {
+    async get(id) {
+      return (await load()).get(id) || null;
+    },
+
+    /**
+     * Newest first. filters: status ("all" or one of FEEDBACK_STATUSES), verdicts (array),
+     * callCenter, email, requestId, q (question / answer / correction text).
+     */
+    async list({ status, verdicts, callCenter, email, requestId, q } = {}) {
+      const text = String(q || "").trim().toLowerCase();
+      const cc = String(callCenter || "").trim().toLowerCase();
+      return Array.from((await load()).values())
+        .filter((f) => !status || status === "all" || f.status === status)
+        .filter((f) => !verdicts?.length || verdicts.includes(f.verdict))
+        .filter((f) => !cc || String(f.user.callCenter || "").toLowerCase() === cc)
+        .filter((f) => !email || f.user.email === normEmail(email))
+        .filter((f) => !requestId || f.requestId === requestId)
+        .filter(
+          (f) =>
+            !text ||
+            [f.ask.question, f.ask.answer, f.correction, f.matrixRow?.issue, f.ask.scenario?.issue]
+              .join(" ")
+              .toLowerCase()
+              .includes(text)
+        )
+        .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+    },
+
+    /**
+     * @param {{ requestId: string, verdict: string, correction?: string, matrixRow?: object | null,
+     *           user: { email, name, callCenter }, ask: object }} input
+     */
+    async submit({ requestId, verdict, correction = "", matrixRow = null, user, ask }) {
+      if (!FEEDBACK_VERDICTS.includes(verdict)) {
+        throw feedbackError(`Invalid verdict (use ${FEEDBACK_VERDICTS.join(", ")})`);
+      }
+      const text = String(correction || "").trim();
+      if (text.length > CORRECTION_MAX_CHARS) {
+        throw feedbackError(`Correction too long (max ${CORRECTION_MAX_CHARS} chars)`);
+      }
+
+      const map = await load();
+      const email = normEmail(user.email);
+      const existing = Array.from(map.values()).find((f) => f.requestId === requestId && f.user.email === email);
+      const ts = new Date().toISOString();
+
+      // changing the verdict (or the correction) puts a closed item back in the queue
+      const changed = !existing || existing.verdict !== verdict || existing.correction !== text;
+      const item = {
+        id: existing?.id || `fb_${Date.now()}_${crypto.randomBytes(3).toString("hex")}`,
+        requestId,
+        verdict,
+        correction: text,
+        matrixRow,
+        user: { email, name: user.name || "", callCenter: user.callCenter || "" },
+        ask,
+        status: changed ? "open" : existing.status,
+        note: changed ? "" : existing.note,
+        reviewedBy: changed ? null : existing.reviewedBy,
+        reviewedAt: changed ? null : existing.reviewedAt,
+        createdAt: existing?.createdAt || ts,
+        updatedAt: ts,
+      };
+      map.set(item.id, item);
+      await save();
+      return { action: existing ? "updated" : "created", item };
+    },
+
+    /** QA lead decision on one item: resolved (docs / prompt fixed), dismissed (answer was fine) or reopened. */
+    async setStatus(id, { status, note = "", by }) {
+      if (!FEEDBACK_STATUSES.includes(status)) {
+        throw feedbackError(`Invalid status (use ${FEEDBACK_STATUSES.join(", ")})`);
+      }
+      const text = String(note || "").trim();
+      if (text.length > NOTE_MAX_CHARS) throw feedbackError(`Note too long (max ${NOTE_MAX_CHARS} chars)`);
+
+      const map = await load();
+      const existing = map.get(id);
+      if (!existing) throw feedbackError("Feedback not found", 404);
+
+      const ts = new Date().toISOString();
+      const item = {
+        ...existing,
+        status,
+        note: text,
+        reviewedBy: status === "open" ? null : normEmail(by),
+        reviewedAt: status === "open" ? null : ts,
+        updatedAt: ts,
+      };
+      map.set(id, item);
+      await save();
+      return item;
+    },
+  };
+}
+
+/**
+ * Which scenarios keep getting flagged: one row per matrix scenario the answers were built on (or closest to,
+ * else the row the agent said was correct), most wrong + unsafe first.
+ */
+export function feedbackByScenario(items) {
+  const rows = new Map();
+  for (const f of items) {
+    const s = f.ask?.scenario || f.matrixRow || null;
+    const key = s?.scenarioId || NO_SCENARIO;
+    const row = rows.get(key) || {
+      scenarioId: s?.scenarioId || null,
+      issue: s?.issue || s?.scenarioId || NO_SCENARIO,
+      helpful: 0,
+      wrong: 0,
+      unsafe: 0,
+      open: 0,
+      lastAt: null,
+    };
+    row[f.verdict] += 1;
+    if (f.status === "open" && needsReview(f)) row.open += 1;
+    if (!row.lastAt || f.updatedAt > row.lastAt) row.lastAt = f.updatedAt;
+    rows.set(key, row);
+  }
+  return Array.from(rows.values())
+    .filter((r) => r.wrong + r.unsafe > 0)
+    .sort((a, b) => b.wrong + b.unsafe - (a.wrong + a.unsafe) || b.unsafe - a.unsafe);
+}
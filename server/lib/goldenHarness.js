@@ -0,0 +1,433 @@
+// server/lib/goldenHarness.js
+// Golden-question regression runs: each question goes through the real context builder + system prompt and a
+// stubbed or recorded provider (never the network), then the answer is checked and diffed against a baseline
+
+import crypto from "crypto";
+import fs from "fs";
+import { buildContext } from "./contextBuilder.js";
+import { buildSystemPrompt, ANSWER_SECTIONS } from "./promptBuilder.js";
+import { resolveFromMatrix, buildMatrixAnswer } from "./matrixAnswer.js";
+import { verifyCitations } from "./citations.js";
+import { splitSections } from "./answerFormat.js";
+import { diffLines, diffSummary } from "./auditLog.js";
+
+// same defaults as the server (MATRIX_FIRST_MIN_CONFIDENCE, TRAINING_TOP_K) and the client doc toggles
+export const GOLDEN_DEFAULTS = {
+  docs: { matrix: true, trainingGuide: true, rpp: true, qaVoice: true, qaGroup: false },
+  matrixFirst: true,
+  minConfidence: 0.85,
+  trainingTopK: 12,
+};
+
+function lower(s) {
+  return String(s ?? "").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+export function shortHash(text) {
+  return crypto.createHash("sha256").update(String(text ?? "")).digest("hex").slice(0, 12);
+}
+
+/**
+ * Read a golden set file: { version, description?, defaults?, questions: [{ id, question, docs?, matrixFirst?,
+ * expect: { resolution?, sections?, decision?, citations?, context?, citationVerdict? } }] }.
+ */
+export function loadGoldenSet(file) {
+  const set = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(set.questions) || !set.questions.length) throw new Error(`${file}: no questions`);
+
+  const ids = new Set();
+  for (const q of set.questions) {
+    if (!q.id || !String(q.question || "").trim()) throw new Error(`${file}: every question needs an id and text`);
+    if (ids.has(q.id)) throw new Error(`${file}: duplicate question id "${q.id}"`);
+    ids.add(q.id);
+  }
+  return set;
+}
+
+// -------------------- answer sections --------------------
+
+/** Which of ANSWER_SECTIONS the answer has, in order, and the text under each heading. */
+export function answerSections(answer) {
+  const { sections, order } = splitSections(answer);
+  return {
+    present: order,
+    missing: ANSWER_SECTIONS.map((s) => s.key).filter((k) => !sections[k]),
+    text: Object.fromEntries(Object.entries(sections).map(([k, lines]) => [k, lines.join("\n").trim()])),
+  };
+}
+
+// -------------------- providers --------------------
+
+// "[Sheet: Voice Matrix | Row: 36] Issue: ..." search hits the context builder put under SERVICE MATRIX 2026
+// (notes and the no-hit scenario index are skipped)
+function matrixRowsInPrompt(systemPrompt) {
+  const block = String(systemPrompt || "").split("SERVICE MATRIX 2026:")[1] || "";
+  const section = block.split("\n---\n")[0];
+  return [...section.matchAll(/^\[Sheet: ([^|\]]+) \| Row: (\d+)\] (?:\([^)]*\) )?Issue:/gm)].map((m) => ({
+    sheetName: m[1].trim(),
+    rowNumber: Number(m[2]),
+  }));
+}
+
+/**
+ * Heading lines of the system prompt's OUTPUT FORMAT block, in order (everything that is not a bullet,
+ * a numbered step or a "(...)" note, which may run over several lines).
+ */
+export function promptOutputHeadings(systemPrompt) {
+  const text = String(systemPrompt || "");
+  const at = text.lastIndexOf("OUTPUT FORMAT");
+  if (at < 0) return [];
+  const block = text.slice(text.indexOf("\n", at) + 1).split(/^Now answer/m)[0];
+
+  const headings = [];
+  let openNotes = 0;
+  for (const line of block.split("\n").map((l) => l.trim())) {
+    if (openNotes > 0 || line.startsWith("(")) {
+      openNotes += (line.match(/\(/g) || []).length - (line.match(/\)/g) || []).length;
+      continue;
+    }
+    if (line && !/^(?:[-*•]|\d+[.)])/.test(line)) headings.push(line);
+  }
+  return headings;
+}
+
+const NOT_FOUND_ANSWER = [
+  "Acknowledge:",
+  "- I understand the situation.",
+  "Decision:",
+  "- NOT FOUND IN DOCS",
+  "Steps:",
+  "1) Ask the guest which reservation and issue this is about.",
+  "Do/Don’t Script (agent lines):",
+  `- Say: "Let me verify your reservation details before we continue."`,
+  "Citations:",
+  "- No citation available",
+  "QUALITY CHECK",
+  "- Compliance Risk: High — no matching document row.",
+].join("\n");
+
+// section bodies of `answer` under the prompt's own headings: a heading renamed or dropped in the prompt
+// is renamed or dropped in the stub answer too, so the section checks see it
+function withPromptHeadings(answer, systemPrompt) {
+  const { sections } = splitSections(answer);
+  const out = [];
+  for (const heading of promptOutputHeadings(systemPrompt)) {
+    const key = splitSections(heading).order[0];
+    out.push(heading, ...(key && sections[key] ? sections[key].filter((l) => l.trim()) : []), "");
+  }
+  return out.join("\n").trim();
+}
+
+/**
+ * Deterministic stand-in for the model: answers with the first Service Matrix scenario the context builder put in
+ * the prompt, rendered like a matrix-first answer but laid out with the headings of the prompt's OUTPUT FORMAT.
+ * A retrieval change therefore shows up as a different answer, a heading change as a failed section check.
+ */
+export function createStubProvider(state) {
+  const scenarios = state.matrix?.scenarios || [];
+  return {
+    id: "stub",
+    async call({ systemPrompt }) {
+      const rows = matrixRowsInPrompt(systemPrompt);
+      const scenario = rows
+        .map((r) => scenarios.find((s) => s.sheetName === r.sheetName && s.rowNumber === r.rowNumber))
+        .find(Boolean);
+
+      const answer = scenario ? buildMatrixAnswer(scenario) : NOT_FOUND_ANSWER;
+      return { answer: withPromptHeadings(answer, systemPrompt), provider: "stub", model: null };
+    },
+  };
+}
+
+/**
+ * Replays answers captured from a real provider (scripts/golden.js --record).
+ * recordings: { [caseId]: { answer, provider, model, promptHash, recordedAt } }.
+ * A recording made from a different prompt is still used but marked stale.
+ */
+export function createRecordedProvider(recordings = {}) {
+  return {
+    id: "recorded",
+    async call({ caseId, systemPrompt }) {
+      const rec = recordings[caseId];
+      if (!rec) {
+        const e = new Error(`No recorded answer for "${caseId}" (run the golden CLI with --record)`);
+        e.code = "NO_RECORDING";
+        throw e;
+      }
+      return {
+        answer: rec.answer,
+        provider: rec.provider || "recorded",
+        model: rec.model || null,
+        stale: rec.promptHash !== shortHash(systemPrompt),
+      };
+    },
+  };
+}
+
+// -------------------- checks --------------------
+
+function citationMatches(c, target) {
+  if (!c.valid) return false;
+  if (target.doc && c.docKey !== target.doc) return false;
+  if (target.sheet && !lower(c.section).includes(lower(target.sheet))) return false;
+  if (target.row !== undefined && !new RegExp(`\\b${Number(target.row)}\\b`).test(String(c.ref))) return false;
+  return true;
+}
+
+function describeTarget(t) {
+  return [t.doc, t.sheet, t.row].filter((v) => v !== undefined && v !== "").join(" / ");
+}
+
+/**
+ * @returns {{ name: string, ok: boolean, detail: string }[]}
+ */
+export function checkAnswer({ answer, context, resolution, citationCheck }, expect = {}) {
+  const checks = [];
+  const sections = answerSections(answer);
+
+  const required = expect.sections || ANSWER_SECTIONS.map((s) => s.key);
+  const missing = required.filter((k) => !sections.present.includes(k));
+  checks.push({
+    name: "sections",
+    ok: !missing.length,
+    detail: missing.length ? `missing: ${missing.join(", ")}` : `${required.length} present`,
+  });
+
+  if (expect.resolution) {
+    checks.push({
+      name: "resolution",
+      ok: resolution === expect.resolution,
+      detail: `expected ${expect.resolution}, got ${resolution}`,
+    });
+  }
+
+  for (const want of expect.decision || []) {
+    const ok = lower(sections.text.decision).includes(lower(want));
+    checks.push({ name: "decision", ok, detail: `${ok ? "has" : "missing"} "${want}"` });
+  }
+
+  for (const target of expect.citations || []) {
+    const ok = citationCheck.citations.some((c) => citationMatches(c, target));
+    checks.push({ name: "citation", ok, detail: `${ok ? "cites" : "does not cite"} ${describeTarget(target)}` });
+  }
+
+  if (expect.citationVerdict) {
+    checks.push({
+      name: "citationVerdict",
+      ok: citationCheck.verdict === expect.citationVerdict,
+      detail: `expected ${expect.citationVerdict}, got ${citationCheck.verdict}`,
+    });
+  }
+
+  for (const want of expect.context || []) {
+    const ok = context !== null && lower(context).includes(lower(want));
+    checks.push({
+      name: "context",
+      ok,
+      detail: context === null ? "no context (matrix-first)" : `${ok ? "has" : "missing"} "${want}"`,
+    });
+  }
+
+  return checks;
+}
+
+// -------------------- runs --------------------
+
+/**
+ * One golden question through the same path /api/ask takes: matrix-first when it is confident enough,
+ * otherwise context builder -> system prompt -> provider.
+ * @param {import("./contextBuilder.js").DocState} state
+ */
+export async function runGoldenCase(state, item, { provider, defaults = {} } = {}) {
+  const opts = { ...GOLDEN_DEFAULTS, ...defaults };
+  const docs = { ...opts.docs, ...(item.docs || {}) };
+  const matrixFirst = item.matrixFirst ?? opts.matrixFirst;
+  const expect = item.expect || {};
+  const citationCtx = { docs: state.docs, matrix: state.matrix };
+
+  let answer;
+  let resolution;
+  let providerId;
+  let model = null;
+  let context = null;
+  let systemPrompt = null;
+  let stale = false;
+  let scenarioId = null;
+  let error = null;
+
+  const matrixResolution = matrixFirst
+    ? resolveFromMatrix(state.matrix.scenarios, item.question, { minConfidence: opts.minConfidence })
+    : null;
+
+  if (matrixResolution?.matched) {
+    answer = buildMatrixAnswer(matrixResolution.scenario);
+    resolution = "matrix-first";
+    providerId = "matrix";
+    scenarioId = matrixResolution.scenario.id;
+  } else {
+    context = buildContext(state, docs, item.question, { trainingTopK: opts.trainingTopK });
+    systemPrompt = buildSystemPrompt(context);
+    resolution = "model";
+    try {
+      const out = await provider.call({ caseId: item.id, question: item.question, systemPrompt, history: [] });
+      answer = out.answer;
+      providerId = out.provider;
+      model = out.model || null;
+      stale = !!out.stale;
+    } catch (e) {
+      answer = "";
+      providerId = provider.id;
+      error = e.message;
+    }
+  }
+
+  const citationCheck = verifyCitations(answer, citationCtx);
+  const checks = error
+    ? [{ name: "provider", ok: false, detail: error }]
+    : checkAnswer({ answer, context, resolution, citationCheck }, expect);
+
+  return {
+    id: item.id,
+    question: item.question,
+    resolution,
+    provider: providerId,
+    model,
+    scenarioId,
+    confidence: matrixResolution?.confidence ?? null,
+    stale,
+    passed: checks.every((c) => c.ok),
+    checks,
+    citationVerdict: citationCheck.verdict,
+    answer,
+    answerHash: shortHash(answer),
+    contextHash: context === null ? null : shortHash(context),
+    // the whole system prompt: any edit to the promptBuilder template changes it
+    promptHash: systemPrompt === null ? null : shortHash(systemPrompt),
+  };
+}
+
+/**
+ * Run a whole golden set. `docsInfo` is whatever the caller wants stamped on the report (e.g. which matrix file).
+ */
+export async function runGoldenSet(state, set, { provider, only, docsInfo = {} } = {}) {
+  const questions = only?.length ? set.questions.filter((q) => only.includes(q.id)) : set.questions;
+  const results = [];
+  for (const item of questions) {
+    results.push(await runGoldenCase(state, item, { provider, defaults: set.defaults }));
+  }
+
+  const failed = results.filter((r) => !r.passed).length;
+  return {
+    set: { version: set.version, questions: questions.length },
+    ranAt: new Date().toISOString(),
+    provider: provider.id,
+    docs: { matrixHash: shortHash(JSON.stringify(state.docs.matrix || null)), ...docsInfo },
+    summary: {
+      total: results.length,
+      passed: results.length - failed,
+      failed,
+      stale: results.filter((r) => r.stale).length,
+    },
+    results,
+  };
+}
+
+// -------------------- diff report --------------------
+
+/**
+ * What changed per question between a saved baseline report and a new one.
+ * A regression is a question that passed in the baseline and fails now.
+ */
+export function diffReports(baseline, current) {
+  const before = new Map((baseline?.results || []).map((r) => [r.id, r]));
+  const after = new Map((current?.results || []).map((r) => [r.id, r]));
+
+  const changed = [];
+  for (const [id, r] of after) {
+    const b = before.get(id);
+    if (!b) continue;
+
+    const answerChanged = b.answerHash !== r.answerHash;
+    const lines = answerChanged ? diffLines(b.answer, r.answer) : [];
+    const entry = {
+      id,
+      regression: b.passed && !r.passed,
+      fixed: !b.passed && r.passed,
+      resolution: { before: b.resolution, after: r.resolution },
+      scenario: { before: b.scenarioId, after: r.scenarioId },
+      citationVerdict: { before: b.citationVerdict, after: r.citationVerdict },
+      contextChanged: b.contextHash !== r.contextHash,
+      promptChanged: (b.promptHash ?? null) !== (r.promptHash ?? null),
+      answerChanged,
+      summary: diffSummary(lines),
+      lines: lines.filter((l) => l.op !== " "),
+    };
+    if (
+      entry.regression ||
+      entry.fixed ||
+      entry.answerChanged ||
+      entry.contextChanged ||
+      entry.promptChanged ||
+      b.resolution !== r.resolution
+    ) {
+      changed.push(entry);
+    }
+  }
+
+  return {
+    baselineAt: baseline?.ranAt || null,
+    matrixChanged: (baseline?.docs?.matrixHash || null) !== (current?.docs?.matrixHash || null),
+    added: [...after.keys()].filter((id) => !before.has(id)),
+    removed: [...before.keys()].filter((id) => !after.has(id)),
+    regressions: changed.filter((c) => c.regression).length,
+    promptChanges: changed.filter((c) => c.promptChanged).length,
+    changed,
+  };
+}
+
+/** Plain-text report for the CLI / CI logs. */
+export function formatReport(report, diff = null) {
+  const out = [];
+  const { summary } = report;
+  out.push(
+    `Golden set v${report.set.version ?? "?"} • provider ${report.provider} • matrix ${report.docs.matrixHash}` +
+      (report.docs.matrixFile ? ` (${report.docs.matrixFile})` : "")
+  );
+  out.push(
+    `${summary.failed ? "❌" : "✅"} ${summary.passed}/${summary.total} passed` +
+      (summary.stale ? ` • ${summary.stale} stale recording(s)` : "")
+  );
+  out.push("");
+
+  for (const r of report.results) {
+    const where = r.scenarioId ? ` → ${r.scenarioId}` : "";
+    out.push(`${r.passed ? "✅" : "❌"} ${r.id} [${r.resolution}/${r.provider}${where}]${r.stale ? " (stale)" : ""}`);
+    for (const c of r.checks.filter((c) => !c.ok)) out.push(`   - ${c.name}: ${c.detail}`);
+  }
+
+  if (diff) {
+    out.push("");
+    out.push(
+      `Diff vs baseline (${diff.baselineAt || "none"})${diff.matrixChanged ? " • matrix changed" : ""}` +
+        (diff.promptChanges ? ` • system prompt changed for ${diff.promptChanges} question(s)` : "")
+    );
+    if (diff.added.length) out.push(`+ new questions: ${diff.added.join(", ")}`);
+    if (diff.removed.length) out.push(`- removed questions: ${diff.removed.join(", ")}`);
+    if (!diff.changed.length) out.push("No answer changes.");
+
+    for (const c of diff.changed) {
+      const tags = [
+        c.regression ? "REGRESSION" : null,
+        c.fixed ? "fixed" : null,
+        c.resolution.before !== c.resolution.after ? `${c.resolution.before} → ${c.resolution.after}` : null,
+        c.scenario.before !== c.scenario.after ? `row ${c.scenario.before || "-"} → ${c.scenario.after || "-"}` : null,
+        c.contextChanged ? "context changed" : null,
+        c.promptChanged && !c.contextChanged ? "system prompt changed" : null,
+      ].filter(Boolean);
+      out.push(`✏️ ${c.id}${tags.length ? ` (${tags.join(", ")})` : ""}: +${c.summary.added} / -${c.summary.removed} lines`);
+      for (const l of c.lines) out.push(`   ${l.op} ${l.line}`);
+    }
+  }
+
+  return out.join("\n");
+}
@@ -1,66 +1,79 @@
 // server/lib/googleSheetsReviews.js
-// Google Sheets (Service Account) storage for Reviews
+// Google Sheets (Service Account) storage adapter for Reviews - rows cached in memory, header checked once,
+// revisions appended to a second tab
 
-import crypto from "crypto";
 import { google } from "googleapis";
 
-const DEFAULT_SPREADSHEET_ID = "1XhSTbGSuQrR2wGW2yf_TCS1CD0TTOr-swoonByCdhUU";
-const DEFAULT_TAB_NAME = "reviews";
-
-function mustEnv(name, fallback = "") {
-  const v = process.env[name];
-  if (v != null && String(v).trim() !== "") return String(v);
-  if (fallback) return fallback;
-  throw new Error(`Missing required env var: ${name}`);
-}
-
-function cleanPrivateKey(key) {
-  return String(key || "").replace(/\\n/g, "\n");
-}
+// the first 8 columns are the original sheet layout; moderation / soft delete columns come after them
+export const SHEET_COLUMNS = [
+  "reviewId",
+  "callCenter",
+  "name",
+  "email",
+  "stars",
+  "comment",
+  "createdAt",
+  "updatedAt",
+  "status",
+  "revision",
+  "moderatedBy",
+  "moderatedAt",
+  "moderationNote",
+  "deletedAt",
+  "deletedBy",
+  "deleteReason",
+];
+
+export const HISTORY_COLUMNS = ["reviewId", "revision", "action", "by", "at", "callCenter", "note", "changes"];
+
+const columnLetter = (n) => String.fromCharCode(64 + n);
+const LAST_COLUMN = columnLetter(SHEET_COLUMNS.length); // "P"
+const HISTORY_LAST_COLUMN = columnLetter(HISTORY_COLUMNS.length);
 
 function norm(s) {
-  return String(s || "").trim();
+  return String(s ?? "").trim();
 }
+
 function normKey(s) {
   return norm(s).toLowerCase();
 }
 
-function genId() {
-  try {
-    return crypto.randomUUID();
-  } catch {
-    return `${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
-  }
+function toInt(v, def = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.trunc(n) : def;
 }
 
-function nowIso() {
-  return new Date().toISOString();
+// cells come back as strings; typing (revision, default status) is left to the store's normalizeReview
+function rowToReview(row) {
+  const r = Array.isArray(row) ? row : [];
+  const out = Object.fromEntries(SHEET_COLUMNS.map((c, i) => [c, norm(r[i])]));
+  out.stars = toInt(out.stars, 0);
+  return out;
 }
 
-function toInt(v, def = 0) {
-  const n = Number(v);
-  return Number.isFinite(n) ? Math.trunc(n) : def;
+function reviewToRow(review) {
+  return SHEET_COLUMNS.map((c) => String(review[c] ?? ""));
 }
 
-function clamp(n, a, b) {
-  return Math.max(a, Math.min(b, n));
+function rowToHistory(row) {
+  const r = Array.isArray(row) ? row : [];
+  return Object.fromEntries(HISTORY_COLUMNS.map((c, i) => [c, norm(r[i])]));
 }
 
-function validateEmail(email) {
-  const e = norm(email);
-  if (!e) return false;
-  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e);
+function historyToRow(h) {
+  return HISTORY_COLUMNS.map((c) => (c === "changes" ? JSON.stringify(h.changes || []) : String(h[c] ?? "")));
 }
 
-function required(v, label) {
-  const s = norm(v);
-  if (!s) throw new Error(`Missing field: ${label}`);
-  return s;
+// "reviews!A12:H12" -> 12
+function firstRowOf(updatedRange) {
+  const m = String(updatedRange || "").match(/![A-Z]+(\d+)/);
+  return m ? Number(m[1]) : null;
 }
 
-function getSheetsClient() {
-  const clientEmail = mustEnv("GOOGLE_SHEETS_CLIENT_EMAIL");
-  const privateKey = cleanPrivateKey(mustEnv("GOOGLE_SHEETS_PRIVATE_KEY"));
+function getSheetsClient({ clientEmail, privateKey }) {
+  if (!clientEmail || !norm(privateKey)) {
+    throw new Error("Google Sheets credentials missing (GOOGLE_SHEETS_CLIENT_EMAIL / GOOGLE_SHEETS_PRIVATE_KEY)");
+  }
 
   const auth = new google.auth.JWT({
     email: clientEmail,
@@ -71,173 +84,215 @@ function getSheetsClient() {
   return google.sheets({ version: "v4", auth });
 }
 
-async function ensureHeaderRow({ sheets, spreadsheetId, tabName }) {
-  const range = `${tabName}!A1:H1`;
-  const res = await sheets.spreadsheets.values.get({ spreadsheetId, range });
-  const row = (res.data.values && res.data.values[0]) || [];
-
-  const header = [
-    "reviewId",
-    "callCenter",
-    "name",
-    "email",
-    "stars",
-    "comment",
-    "createdAt",
-    "updatedAt",
-  ];
-
-  const normalized = row.map((c) => normKey(c));
-  const ok = header.every((h, i) => normKey(h) === (normalized[i] || ""));
-
-  if (!ok) {
-    await sheets.spreadsheets.values.update({
-      spreadsheetId,
-      range,
-      valueInputOption: "RAW",
-      requestBody: { values: [header] },
-    });
+/**
+ * Reviews in one sheet tab (row 1 = header, one review per row), revisions in `historyTabName` (created if missing).
+ * Rows are read once per `cacheTtlMs` (edits made directly in the sheet show up after that) and kept with their
+ * row numbers, so an upsert writes one row instead of re-reading the whole tab.
+ * @param {{ spreadsheetId: string, tabName?: string, historyTabName?: string, clientEmail?: string,
+ *           privateKey?: string, cacheTtlMs?: number, client?: object, now?: () => number }} opts
+ *           `client` = a googleapis sheets client
+ */
+export function createSheetsReviewAdapter({
+  spreadsheetId,
+  tabName = "reviews",
+  historyTabName = `${tabName}_history`,
+  clientEmail,
+  privateKey,
+  cacheTtlMs = 60000,
+  client = null,
+  now = () => Date.now(),
+}) {
+  let sheets = client;
+  let headerChecked = null; // promise, kept once it succeeds
+  let historyTabReady = null; // promise, kept once it succeeds
+  let cache = null; // { rows: Map(reviewId -> { review, rowNumber }), nextRow, loadedAt }
+  let historyCache = null; // { entries, loadedAt }
+  let writing = Promise.resolve();
+
+  function spreadsheets() {
+    if (!spreadsheetId) throw new Error("Missing required env var: GOOGLE_SHEETS_SPREADSHEET_ID");
+    if (!sheets) sheets = getSheetsClient({ clientEmail, privateKey });
+    return sheets.spreadsheets;
   }
-}
 
-async function readAllRows({ sheets, spreadsheetId, tabName }) {
-  const range = `${tabName}!A2:H`;
-  const res = await sheets.spreadsheets.values.get({ spreadsheetId, range });
-  const values = res.data.values || [];
-
-  return values.map((r) => {
-    const row = Array.isArray(r) ? r : [];
-    return {
-      reviewId: norm(row[0]),
-      callCenter: norm(row[1]),
-      name: norm(row[2]),
-      email: norm(row[3]),
-      stars: toInt(row[4], 0),
-      comment: norm(row[5]),
-      createdAt: norm(row[6]),
-      updatedAt: norm(row[7]),
-    };
-  });
-}
-
-export async function listReviews({ email, callCenter } = {}) {
-  const spreadsheetId = process.env.GOOGLE_SHEETS_SPREADSHEET_ID || DEFAULT_SPREADSHEET_ID;
-  const tabName = process.env.GOOGLE_SHEETS_TAB_NAME || DEFAULT_TAB_NAME;
+  function api() {
+    return spreadsheets().values;
+  }
 
-  const sheets = getSheetsClient();
-  await ensureHeaderRow({ sheets, spreadsheetId, tabName });
-  const rows = await readAllRows({ sheets, spreadsheetId, tabName });
+  function ensureHeaderRow() {
+    if (!headerChecked) {
+      headerChecked = (async () => {
+        const range = `${tabName}!A1:${LAST_COLUMN}1`;
+        const res = await api().get({ spreadsheetId, range });
+        const row = (res.data.values && res.data.values[0]) || [];
+        const ok = SHEET_COLUMNS.every((h, i) => normKey(h) === normKey(row[i]));
+        if (!ok) {
+          await api().update({
+            spreadsheetId,
+            range,
+            valueInputOption: "RAW",
+            requestBody: { values: [SHEET_COLUMNS] },
+          });
+        }
+      })().catch((e) => {
+        headerChecked = null;
+        throw e;
+      });
+    }
+    return headerChecked;
+  }
 
-  let filtered = rows;
-  if (email) {
-    const e = normKey(email);
-    filtered = filtered.filter((x) => normKey(x.email) === e);
+  function ensureHistoryTab() {
+    if (!historyTabReady) {
+      historyTabReady = (async () => {
+        const meta = await spreadsheets().get({ spreadsheetId, fields: "sheets.properties.title" });
+        const titles = (meta.data.sheets || []).map((s) => s.properties?.title);
+        if (titles.includes(historyTabName)) return;
+        await spreadsheets().batchUpdate({
+          spreadsheetId,
+          requestBody: { requests: [{ addSheet: { properties: { title: historyTabName } } }] },
+        });
+        await api().update({
+          spreadsheetId,
+          range: `${historyTabName}!A1:${HISTORY_LAST_COLUMN}1`,
+          valueInputOption: "RAW",
+          requestBody: { values: [HISTORY_COLUMNS] },
+        });
+      })().catch((e) => {
+        historyTabReady = null;
+        throw e;
+      });
+    }
+    return historyTabReady;
   }
-  if (callCenter) {
-    const c = normKey(callCenter);
-    filtered = filtered.filter((x) => normKey(x.callCenter) === c);
+
+  async function historyEntries() {
+    if (historyCache && now() - historyCache.loadedAt < cacheTtlMs) return historyCache.entries;
+    await ensureHistoryTab();
+    const res = await api().get({ spreadsheetId, range: `${historyTabName}!A2:${HISTORY_LAST_COLUMN}` });
+    historyCache = { entries: (res.data.values || []).map(rowToHistory).filter((h) => h.reviewId), loadedAt: now() };
+    return historyCache.entries;
   }
 
-  const sorted = [...filtered].sort((a, b) => {
-    const au = Date.parse(a.updatedAt || a.createdAt || "") || 0;
-    const bu = Date.parse(b.updatedAt || b.createdAt || "") || 0;
-    return bu - au;
-  });
+  async function readRows() {
+    await ensureHeaderRow();
+    const res = await api().get({ spreadsheetId, range: `${tabName}!A2:${LAST_COLUMN}` });
+    const values = res.data.values || [];
+    const rows = new Map();
+    values.forEach((r, i) => {
+      const review = rowToReview(r);
+      if (review.reviewId) rows.set(review.reviewId, { review, rowNumber: i + 2 }); // header row is 1
+    });
+    cache = { rows, nextRow: values.length + 2, loadedAt: now() };
+    return cache;
+  }
 
-  return { reviews: sorted };
-}
+  async function rows() {
+    if (cache && now() - cache.loadedAt < cacheTtlMs) return cache;
+    return readRows();
+  }
 
-export async function upsertReview({ callCenter, name, email, stars, comment }) {
-  const spreadsheetId = process.env.GOOGLE_SHEETS_SPREADSHEET_ID || DEFAULT_SPREADSHEET_ID;
-  const tabName = process.env.GOOGLE_SHEETS_TAB_NAME || DEFAULT_TAB_NAME;
-
-  const cc = required(callCenter, "Call center");
-  const nm = required(name, "Name");
-  const em = required(email, "Email");
-  if (!validateEmail(em)) throw new Error("Invalid email");
-
-  const st = clamp(toInt(stars, 0), 1, 5);
-  const cm = norm(comment);
-
-  const sheets = getSheetsClient();
-  await ensureHeaderRow({ sheets, spreadsheetId, tabName });
-
-  const rows = await readAllRows({ sheets, spreadsheetId, tabName });
-  const keyEmail = normKey(em);
-  const keyCC = normKey(cc);
-
-  const foundIndex = rows.findIndex(
-    (r) => normKey(r.email) === keyEmail && normKey(r.callCenter) === keyCC
-  );
-
-  const ts = nowIso();
-
-  if (foundIndex >= 0) {
-    const rowNumber = foundIndex + 2; // header row is 1
-    const existing = rows[foundIndex];
-    const updated = {
-      reviewId: existing.reviewId || genId(),
-      callCenter: cc,
-      name: nm,
-      email: em,
-      stars: st,
-      comment: cm,
-      createdAt: existing.createdAt || ts,
-      updatedAt: ts,
-    };
-
-    const range = `${tabName}!A${rowNumber}:H${rowNumber}`;
-    await sheets.spreadsheets.values.update({
-      spreadsheetId,
-      range,
-      valueInputOption: "RAW",
-      requestBody: {
-        values: [[
-          updated.reviewId,
-          updated.callCenter,
-          updated.name,
-          updated.email,
-          String(updated.stars),
-          updated.comment,
-          updated.createdAt,
-          updated.updatedAt,
-        ]],
-      },
-    });
+  // the cached row number is checked before writing: rows inserted or deleted by hand in the sheet move reviews
+  async function rowStillHolds(rowNumber, reviewId) {
+    const res = await api().get({ spreadsheetId, range: `${tabName}!A${rowNumber}` });
+    return norm(res.data.values?.[0]?.[0]) === reviewId;
+  }
 
-    return { review: updated, action: "updated" };
+  async function writeAll(list) {
+    let c = await rows();
+    const updates = [];
+    const appends = [];
+    for (const review of list) {
+      let hit = c.rows.get(review.reviewId);
+      if (hit && !(await rowStillHolds(hit.rowNumber, review.reviewId))) {
+        c = await readRows();
+        hit = c.rows.get(review.reviewId);
+      }
+      if (hit) updates.push({ review, rowNumber: hit.rowNumber });
+      else appends.push(review);
+    }
+
+    if (updates.length) {
+      await api().batchUpdate({
+        spreadsheetId,
+        requestBody: {
+          valueInputOption: "RAW",
+          data: updates.map((u) => ({
+            range: `${tabName}!A${u.rowNumber}:${LAST_COLUMN}${u.rowNumber}`,
+            values: [reviewToRow(u.review)],
+          })),
+        },
+      });
+      for (const u of updates) c.rows.set(u.review.reviewId, { review: { ...u.review }, rowNumber: u.rowNumber });
+    }
+
+    if (appends.length) {
+      const res = await api().append({
+        spreadsheetId,
+        range: `${tabName}!A:${LAST_COLUMN}`,
+        valueInputOption: "RAW",
+        insertDataOption: "INSERT_ROWS",
+        requestBody: { values: appends.map(reviewToRow) },
+      });
+      const first = firstRowOf(res.data?.updates?.updatedRange);
+      if (first) {
+        appends.forEach((review, i) => c.rows.set(review.reviewId, { review: { ...review }, rowNumber: first + i }));
+        c.nextRow = Math.max(c.nextRow, first + appends.length);
+      } else {
+        cache = null; // row numbers unknown - read the tab again next time
+      }
+    }
+    return list.length;
   }
 
-  const created = {
-    reviewId: genId(),
-    callCenter: cc,
-    name: nm,
-    email: em,
-    stars: st,
-    comment: cm,
-    createdAt: ts,
-    updatedAt: ts,
-  };
+  return {
+    backend: "sheets",
 
-  const range = `${tabName}!A:H`;
-  await sheets.spreadsheets.values.append({
-    spreadsheetId,
-    range,
-    valueInputOption: "RAW",
-    insertDataOption: "INSERT_ROWS",
-    requestBody: {
-      values: [[
-        created.reviewId,
-        created.callCenter,
-        created.name,
-        created.email,
-        String(created.stars),
-        created.comment,
-        created.createdAt,
-        created.updatedAt,
-      ]],
+    async all() {
+      await writing.catch(() => {});
+      return Array.from((await rows()).rows.values()).map((x) => ({ ...x.review }));
+    },
+
+    putMany(list) {
+      const run = writing.catch(() => {}).then(() => writeAll(list));
+      writing = run;
+      return run;
+    },
+
+    async allHistory() {
+      await writing.catch(() => {});
+      return [...(await historyEntries())];
     },
-  });
 
-  return { review: created, action: "created" };
+    appendHistory(entries) {
+      const run = writing
+        .catch(() => {})
+        .then(async () => {
+          await ensureHistoryTab();
+          await api().append({
+            spreadsheetId,
+            range: `${historyTabName}!A:${HISTORY_LAST_COLUMN}`,
+            valueInputOption: "RAW",
+            insertDataOption: "INSERT_ROWS",
+            requestBody: { values: entries.map(historyToRow) },
+          });
+          if (historyCache) historyCache.entries.push(...entries.map((h) => rowToHistory(historyToRow(h))));
+          return entries.length;
+        });
+      writing = run;
+      return run;
+    },
+
+    describe() {
+      return {
+        backend: "sheets",
+        spreadsheetId,
+        tabName,
+        historyTabName,
+        cacheTtlSec: Math.round(cacheTtlMs / 1000),
+        cachedRows: cache ? cache.rows.size : null,
+        cachedAt: cache ? new Date(cache.loadedAt).toISOString() : null,
+      };
+    },
+  };
 }
@@ -0,0 +1,169 @@
+// server/lib/matrixAnswer.js
+// "Matrix-first" answers: when a question clearly maps to one Service Matrix scenario,
+// answer straight from the row (no LLM) in the same output format the system prompt requires.
+
+import { searchMatrix, tokenize, formatRoutingFlag, ROUTING_LABELS } from "./serviceMatrix.js";
+
+const MATRIX_DOC_NAME = "Service Matrix 2026";
+
+// a token-overlap match needs at least this much of the issue and of the question behind it to answer alone:
+// "hotel" alone is not "Hotel Calls", and a long chargeback question is not the one scenario phrase it mentions
+const MIN_ISSUE_TOKENS = 2;
+const MIN_QUERY_COVERAGE = 0.5;
+const WEAK_MATCH_CAP = 0.5;
+
+const VERIFICATION_FIELDS =
+  "Itinerary/confirmation #, guest name, hotel name, check-in, check-out, destination/city";
+
+function clean(s) {
+  return String(s ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function issueKey(s) {
+  return tokenize(s).join(" ");
+}
+
+function tidyStep(s) {
+  return clean(s).replace(/^[,;:\s]+|[,;\s]+$/g, "");
+}
+
+/**
+ * Split a matrix "Instructions" cell into ordered steps.
+ * The sheet numbers steps inline ("1. Call Supplier, 2. If unconfirmed...") and sometimes restarts or
+ * repeats numbers per branch ("(Prepaid) 1. ... (Pay at Hotel) 1. ..."), so steps are renumbered and
+ * branch labels are carried onto each step of that branch.
+ */
+export function splitInstructionSteps(instructions) {
+  const text = clean(instructions);
+  if (!text) return [];
+
+  const marker = /(?:^|(?<=[\s,.;)]))(?:\(([A-Za-z][A-Za-z ]{2,24})\)\s*)?(\d{1,2})\.\s*(?=\S)/g;
+  const hits = [...text.matchAll(marker)];
+
+  if (!hits.length) {
+    return text
+      .split(/(?<=[.;])\s+(?=[A-Z*(])/)
+      .map(tidyStep)
+      .filter(Boolean);
+  }
+
+  const steps = [];
+  const preamble = tidyStep(text.slice(0, hits[0].index));
+  let branch = "";
+
+  // "(Prepaid)" right before the first step belongs to it, not to a stand-alone step
+  const lead = preamble.match(/^(.*?)\(([A-Za-z][A-Za-z ]{2,24})\)$/);
+  if (lead) {
+    branch = lead[2];
+    if (tidyStep(lead[1])) steps.push(tidyStep(lead[1]));
+  } else if (preamble) {
+    steps.push(preamble);
+  }
+
+  hits.forEach((h, i) => {
+    if (h[1]) branch = h[1];
+    const end = i + 1 < hits.length ? hits[i + 1].index : text.length;
+    const body = tidyStep(text.slice(h.index + h[0].length, end));
+    if (!body) return;
+    steps.push(branch ? `(${branch}) ${body}` : body);
+  });
+
+  return steps;
+}
+
+/**
+ * Decide whether the matrix alone can answer the question.
+ * Returns { matched, confidence, scenario, alternatives, reason }.
+ */
+export function resolveFromMatrix(scenarios, question, { minConfidence = 0.8, sheet } = {}) {
+  const ranked = searchMatrix(scenarios, question, { limit: 12, sheet });
+
+  // Voice Matrix and Ticket Matrix repeat the same scenarios - keep the first (sheet order) per issue
+  const distinct = [];
+  const seen = new Set();
+  for (const s of ranked) {
+    const k = issueKey(s.issue);
+    if (seen.has(k)) continue;
+    seen.add(k);
+    distinct.push(s);
+  }
+
+  const [best, runnerUp] = distinct;
+  if (!best) return { matched: false, confidence: 0, scenario: null, alternatives: [], reason: "no match" };
+
+  const { issueCoverage, queryCoverage, exact, score } = best.match;
+  // even a verbatim scenario phrase only settles the question when it is most of what was asked
+  let confidence = exact ? 0.6 + queryCoverage * 0.4 : issueCoverage * 0.6 + queryCoverage * 0.4;
+  let reason = exact ? "verbatim scenario match" : "token overlap";
+
+  if (!exact && (new Set(tokenize(best.issue)).size < MIN_ISSUE_TOKENS || queryCoverage < MIN_QUERY_COVERAGE)) {
+    confidence = Math.min(confidence, WEAK_MATCH_CAP);
+    reason += "; too little of the question matches the scenario";
+  }
+
+  if (runnerUp && runnerUp.match.score >= score * 0.8) {
+    confidence *= 0.75;
+    reason += `; close runner-up "${runnerUp.issue}"`;
+  }
+
+  confidence = Math.round(Math.min(1, confidence) * 100) / 100;
+
+  return {
+    matched: confidence >= minConfidence,
+    confidence,
+    scenario: best,
+    alternatives: distinct.slice(1, 4).map((s) => ({
+      id: s.id,
+      issue: s.issue,
+      sheetName: s.sheetName,
+      rowNumber: s.rowNumber,
+      score: s.match.score,
+    })),
+    reason,
+  };
+}
+
+export function matrixCitation(scenario) {
+  const section = scenario.section ? `${scenario.sheetName} / ${scenario.section}` : scenario.sheetName;
+  return `[Doc: ${MATRIX_DOC_NAME} | Sheet/Section: ${section} | Row/Cell: ${scenario.rowNumber}]`;
+}
+
+function decisionLine(scenario) {
+  const routing = Object.keys(ROUTING_LABELS)
+    .map((k) => `${ROUTING_LABELS[k]}: ${formatRoutingFlag(scenario.routing?.[k])}`)
+    .join(" | ");
+  return `${scenario.issue} → ${routing}`;
+}
+
+/**
+ * Render a matrix scenario in the QA Master output format (Acknowledge / Decision / Steps / Script /
+ * Citations / Quality Check). Decision and steps come from the row; the rows have no agent lines, so the
+ * script section says so instead of making some up.
+ */
+export function buildMatrixAnswer(scenario) {
+  const steps = splitInstructionSteps(scenario.instructions);
+  const issue = scenario.issue.replace(/\s+/g, " ").trim();
+
+  return [
+    "Acknowledge:",
+    `- I understand — this is the Service Matrix scenario "${issue}", so here is the exact procedure.`,
+    "",
+    "Decision:",
+    `- ${decisionLine(scenario)}`,
+    "",
+    "Steps:",
+    ...steps.map((s, i) => `${i + 1}) ${s}`),
+    "",
+    "Do/Don’t Script (agent lines):",
+    "- The Service Matrix row has no agent lines for this scenario - follow the steps above.",
+    "",
+    "Citations:",
+    `- ${matrixCitation(scenario)}`,
+    "",
+    "QUALITY CHECK",
+    "- Compliance Risk: Low — decision and steps taken from the Service Matrix row cited above.",
+    `- Missing Info Needed: ${VERIFICATION_FIELDS} (verify before acting)`,
+  ].join("\n");
+}
@@ -0,0 +1,164 @@
+// server/lib/providerChain.js
+// Ordered provider failover + per-provider circuit breaker
+
+const CREDITS_RE = /credit|billing|insufficient|balance|quota|余额/i;
+const NETWORK_RE = /fetch failed|network|socket|econnreset|econnrefused|etimedout|enotfound|timeout/i;
+
+/**
+ * Parse AI_PROVIDER_CHAIN ("anthropic, nebius,kimi"). Falls back to the primary provider followed by the rest
+ * of the known providers, so backups are used whenever their keys are set.
+ */
+export function parseProviderChain(raw, { primary, known }) {
+  const list = String(raw || "")
+    .split(",")
+    .map((p) => p.trim().toLowerCase())
+    .filter(Boolean);
+
+  const chain = list.length ? list : [primary, ...known];
+  return Array.from(new Set(chain)).filter((p) => known.includes(p));
+}
+
+/**
+ * Errors worth trying the next provider for: rate limits, credits/billing, auth problems with *this*
+ * provider's key, timeouts, 5xx and network failures. Plain 400s (bad request) would fail everywhere.
+ */
+export function isRetryableProviderError(e) {
+  const status = Number(e?.status || 0);
+  const msg = String(e?.message || "");
+  if (status === 401 || status === 402 || status === 403 || status === 408 || status === 429) return true;
+  if (status >= 500) return true;
+  if (CREDITS_RE.test(msg)) return true;
+  if (!status && NETWORK_RE.test(msg)) return true;
+  return false;
+}
+
+/**
+ * closed -> (failureThreshold consecutive failures) -> open -> (cooldownMs) -> half_open -> one trial call:
+ * success closes it, failure re-opens it.
+ */
+export function createCircuitBreaker({ failureThreshold = 3, cooldownMs = 60000, now = () => Date.now() } = {}) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = null;
+  let lastError = null;
+  let trialInFlight = false;
+
+  function refresh() {
+    if (state === "open" && now() - openedAt >= cooldownMs) {
+      state = "half_open";
+      trialInFlight = false;
+    }
+  }
+
+  return {
+    canRequest() {
+      refresh();
+      if (state === "closed") return true;
+      if (state === "half_open" && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+
+    recordSuccess() {
+      state = "closed";
+      failures = 0;
+      openedAt = null;
+      lastError = null;
+      trialInFlight = false;
+    },
+
+    // the call ended without saying anything about the provider's health (bad request, client abort):
+    // counts stay as they are, only a half-open trial slot is freed for the next request
+    recordNeutral() {
+      trialInFlight = false;
+    },
+
+    recordFailure(e) {
+      refresh();
+      failures += 1;
+      lastError = { status: e?.status || null, message: String(e?.message || e || "").slice(0, 300), at: now() };
+      if (state === "half_open" || failures >= failureThreshold) {
+        state = "open";
+        openedAt = now();
+      }
+      trialInFlight = false;
+    },
+
+    snapshot() {
+      refresh();
+      return {
+        state,
+        failures,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+        retryAt: state === "open" ? new Date(openedAt + cooldownMs).toISOString() : null,
+        lastError: lastError ? { ...lastError, at: new Date(lastError.at).toISOString() } : null,
+      };
+    },
+  };
+}
+
+/**
+ * Try each provider in order until one answers.
+ * @param {string[]} chain provider ids in priority order
+ * @param {(provider: string) => Promise<any>} attempt
+ * @param {{ breakers: Record<string, ReturnType<typeof createCircuitBreaker>>,
+ *           isConfigured: (p: string) => boolean,
+ *           canFailover?: () => boolean,
+ *           onFailover?: (info: { from: string, error: Error }) => void }} opts
+ * @returns {Promise<{ provider: string, result: any, attempts: object[] }>}
+ */
+export async function runWithFailover(chain, attempt, { breakers, isConfigured, canFailover = () => true, onFailover }) {
+  const attempts = [];
+  let lastError = null;
+
+  for (const provider of chain) {
+    if (!isConfigured(provider)) {
+      attempts.push({ provider, ok: false, skipped: "not_configured" });
+      continue;
+    }
+    const breaker = breakers[provider];
+    if (breaker && !breaker.canRequest()) {
+      attempts.push({ provider, ok: false, skipped: "circuit_open" });
+      continue;
+    }
+
+    const startedAt = Date.now();
+    try {
+      const result = await attempt(provider);
+      breaker?.recordSuccess();
+      attempts.push({ provider, ok: true, ms: Date.now() - startedAt });
+      return { provider, result, attempts };
+    } catch (e) {
+      const retryable = isRetryableProviderError(e);
+      // a bad request is not a sign of health either: a provider answering 4xx to every call must not reset
+      // its failure count each time
+      if (retryable) breaker?.recordFailure(e);
+      else breaker?.recordNeutral();
+
+      attempts.push({
+        provider,
+        ok: false,
+        status: e?.status || null,
+        error: String(e?.message || e).slice(0, 300),
+        ms: Date.now() - startedAt,
+      });
+      lastError = e;
+
+      if (!retryable || !canFailover()) {
+        e.attempts = attempts;
+        throw e;
+      }
+      onFailover?.({ from: provider, error: e });
+    }
+  }
+
+  const e =
+    lastError ||
+    Object.assign(new Error("No AI provider available (all skipped: missing key or circuit open)"), {
+      status: 503,
+    });
+  e.attempts = attempts;
+  throw e;
+}
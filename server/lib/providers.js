@@ -0,0 +1,295 @@
+// server/lib/providers.js
+// Provider registry: each AI provider is declared by kind, base URL, auth, model and parameter mapping
+
+const DEFAULT_PARAMS = { temperature: 0.2, maxTokens: 1500 };
+
+// generic param name -> wire name; override per provider when an endpoint uses different names
+const OPENAI_PARAM_MAP = { temperature: "temperature", maxTokens: "max_tokens" };
+
+function trimSlash(url) {
+  return String(url || "").replace(/\/+$/, "");
+}
+
+function httpError(message, status) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+function authHeaders(def) {
+  if (!def.apiKey || def.auth === "none") return {};
+  if (def.auth === "x-api-key") return { "x-api-key": def.apiKey };
+  return { Authorization: `Bearer ${def.apiKey}` };
+}
+
+function mapParams(def) {
+  const params = { ...DEFAULT_PARAMS, ...(def.params || {}) };
+  const map = { ...OPENAI_PARAM_MAP, ...(def.paramMap || {}) };
+  const out = {};
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null || !map[key]) continue;
+    out[map[key]] = value;
+  }
+  return out;
+}
+
+// OpenAI-style { prompt_tokens, completion_tokens } -> { inputTokens, outputTokens }
+function openAIUsage(u) {
+  if (!u) return null;
+  return { inputTokens: u.prompt_tokens || 0, outputTokens: u.completion_tokens || 0 };
+}
+
+function chatMessages(question, systemPrompt, history) {
+  return [{ role: "system", content: systemPrompt }, ...(history || []), { role: "user", content: question }];
+}
+
+// ---- kind: "openai-compatible" (Nebius, Kimi, llama.cpp / Ollama / vLLM / LM Studio, ...) ----
+
+async function openAIRequest(def, { question, systemPrompt, history, signal, stream }) {
+  const response = await fetch(`${trimSlash(def.baseUrl)}/chat/completions`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...authHeaders(def) },
+    body: JSON.stringify({
+      model: def.model,
+      messages: chatMessages(question, systemPrompt, history),
+      ...mapParams(def),
+      ...(stream ? { stream: true } : {}),
+      ...(stream && def.streamUsage !== false ? { stream_options: { include_usage: true } } : {}),
+      ...(def.extraBody || {}),
+    }),
+    signal,
+  });
+
+  if (!response.ok) {
+    const err = await response.json().catch(() => ({}));
+    throw httpError(err.error?.message || `${def.label} API error: ${response.status}`, response.status);
+  }
+  return response;
+}
+
+async function openAICall(def, opts) {
+  const response = await openAIRequest(def, opts);
+  const data = await response.json();
+  const usage = openAIUsage(data.usage);
+  if (usage) opts.onUsage?.(usage);
+  return data.choices?.[0]?.message?.content || "No response";
+}
+
+async function openAIStream(def, { onDelta, onUsage, ...opts }) {
+  const response = await openAIRequest(def, { ...opts, stream: true });
+
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let full = "";
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const data = line.trim();
+      if (!data.startsWith("data:")) continue;
+      const payload = data.slice(5).trim();
+      if (payload === "[DONE]") return full || "No response";
+
+      let json;
+      try {
+        json = JSON.parse(payload);
+      } catch {
+        continue;
+      }
+      if (json.error) {
+        const status = json.error.code === 429 || json.error.type === "rate_limit_error" ? 429 : 502;
+        throw httpError(json.error.message || `${def.label} stream error`, status);
+      }
+
+      // usage arrives on the last chunk (stream_options.include_usage); Moonshot puts it on the choice
+      const usage = openAIUsage(json.usage || json.choices?.[0]?.usage);
+      if (usage) onUsage?.(usage);
+
+      const text = json.choices?.[0]?.delta?.content || "";
+      if (text) {
+        full += text;
+        onDelta(text);
+      }
+    }
+  }
+
+  return full || "No response";
+}
+
+// ---- kind: "anthropic" (Messages API via the official SDK) ----
+
+async function anthropicClient(def) {
+  const { default: Anthropic } = await import("@anthropic-ai/sdk");
+  return new Anthropic({ apiKey: def.apiKey, ...(def.baseUrl ? { baseURL: def.baseUrl } : {}) });
+}
+
+function anthropicBody(def, { question, systemPrompt, history }) {
+  const params = { ...DEFAULT_PARAMS, ...(def.params || {}) };
+  return {
+    model: def.model,
+    max_tokens: params.maxTokens,
+    temperature: params.temperature,
+    system: systemPrompt,
+    messages: [...(history || []), { role: "user", content: question }],
+  };
+}
+
+async function anthropicCall(def, opts) {
+  const anthropic = await anthropicClient(def);
+  const msg = await anthropic.messages.create(anthropicBody(def, opts), { signal: opts.signal });
+  if (msg.usage) opts.onUsage?.({ inputTokens: msg.usage.input_tokens || 0, outputTokens: msg.usage.output_tokens || 0 });
+  return msg.content[0]?.text || "No response";
+}
+
+async function anthropicStream(def, { onDelta, onUsage, ...opts }) {
+  const anthropic = await anthropicClient(def);
+  const stream = await anthropic.messages.create({ ...anthropicBody(def, opts), stream: true }, { signal: opts.signal });
+
+  let full = "";
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  for await (const event of stream) {
+    if (event.type === "message_start") usage.inputTokens = event.message?.usage?.input_tokens || 0;
+    if (event.type === "message_delta") usage.outputTokens = event.usage?.output_tokens || 0;
+    if (event.type === "content_block_delta" && event.delta?.type === "text_delta") {
+      full += event.delta.text;
+      onDelta(event.delta.text);
+    }
+  }
+  if (usage.inputTokens || usage.outputTokens) onUsage?.(usage);
+  return full || "No response";
+}
+
+const KINDS = {
+  "openai-compatible": { call: openAICall, stream: openAIStream },
+  anthropic: { call: anthropicCall, stream: anthropicStream },
+};
+
+/**
+ * @typedef {object} ProviderDef
+ * @property {string} id
+ * @property {string} label
+ * @property {"openai-compatible" | "anthropic"} kind
+ * @property {string} [baseUrl]     OpenAI-compatible: ".../v1" (chat/completions is appended)
+ * @property {string} [apiKey]
+ * @property {"bearer" | "x-api-key" | "none"} [auth]
+ * @property {boolean} [requiresKey] false for keyless local servers (configured = baseUrl set)
+ * @property {string} model
+ * @property {{ temperature?: number, maxTokens?: number }} [params]
+ * @property {Record<string, string>} [paramMap] generic param -> request field
+ * @property {object} [extraBody]   merged into every request body
+ * @property {boolean} [streamUsage] send stream_options.include_usage (default true)
+ */
+
+/**
+ * @param {ProviderDef[]} defs
+ */
+export function createProviderRegistry(defs) {
+  const byId = new Map();
+  for (const def of defs) {
+    if (!KINDS[def.kind]) throw new Error(`Unknown provider kind "${def.kind}" for ${def.id}`);
+    byId.set(def.id, def);
+  }
+
+  function get(id) {
+    const def = byId.get(id);
+    if (!def) throw new Error(`Unknown provider: ${id}`);
+    return def;
+  }
+
+  function isConfigured(id) {
+    const def = byId.get(id);
+    if (!def) return false;
+    if (def.requiresKey === false) return !!def.baseUrl && !!def.model;
+    return !!def.apiKey;
+  }
+
+  return {
+    ids: () => Array.from(byId.keys()),
+    has: (id) => byId.has(id),
+    isConfigured,
+    model: (id) => byId.get(id)?.model || null,
+    label: (id) => byId.get(id)?.label || id,
+    describe: (id) => {
+      const def = get(id);
+      return {
+        id,
+        label: def.label,
+        kind: def.kind,
+        baseUrl: def.baseUrl || null,
+        model: def.model,
+        configured: isConfigured(id),
+      };
+    },
+
+    /** @param {{ question, systemPrompt, history?, signal?, onUsage?: ({ inputTokens, outputTokens }) => void }} opts */
+    call(id, opts) {
+      const def = get(id);
+      return KINDS[def.kind].call(def, opts);
+    },
+
+    /** @param {{ question, systemPrompt, history?, signal?, onDelta: (text) => void, onUsage? }} opts */
+    stream(id, opts) {
+      const def = get(id);
+      return KINDS[def.kind].stream(def, opts);
+    },
+  };
+}
+
+function envNumber(env, name) {
+  const v = env[name];
+  if (v === undefined || String(v).trim() === "") return undefined;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+/**
+ * The providers this server knows about, configured from env.
+ * "local" is any OpenAI-compatible server (llama.cpp, Ollama, vLLM, LM Studio) - no key needed.
+ */
+export function providersFromEnv(env = process.env) {
+  return createProviderRegistry([
+    {
+      id: "nebius",
+      label: "Nebius",
+      kind: "openai-compatible",
+      baseUrl: env.NEBIUS_BASE_URL || "https://api.tokenfactory.nebius.com/v1",
+      apiKey: env.NEBIUS_API_KEY || "",
+      model: env.NEBIUS_MODEL || "meta-llama/Meta-Llama-3.1-70B-Instruct",
+    },
+    {
+      id: "kimi",
+      label: "Kimi",
+      kind: "openai-compatible",
+      baseUrl: env.KIMI_BASE_URL || "https://api.moonshot.cn/v1",
+      apiKey: env.KIMI_API_KEY || "",
+      model: env.KIMI_MODEL || "moonshot-v1-8k",
+      streamUsage: false,
+    },
+    {
+      id: "anthropic",
+      label: "Anthropic",
+      kind: "anthropic",
+      baseUrl: env.ANTHROPIC_BASE_URL || "",
+      apiKey: env.ANTHROPIC_API_KEY || "",
+      model: env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20240620",
+    },
+    {
+      id: "local",
+      label: "Local model",
+      kind: "openai-compatible",
+      baseUrl: env.LOCAL_LLM_BASE_URL || "",
+      apiKey: env.LOCAL_LLM_API_KEY || "",
+      auth: env.LOCAL_LLM_API_KEY ? "bearer" : "none",
+      requiresKey: false,
+      model: env.LOCAL_LLM_MODEL || "",
+      params: {
+        temperature: envNumber(env, "LOCAL_LLM_TEMPERATURE") ?? DEFAULT_PARAMS.temperature,
+        maxTokens: envNumber(env, "LOCAL_LLM_MAX_TOKENS") ?? DEFAULT_PARAMS.maxTokens,
+      },
+      ...(env.LOCAL_LLM_MAX_TOKENS_PARAM ? { paramMap: { maxTokens: env.LOCAL_LLM_MAX_TOKENS_PARAM } } : {}),
+    },
+  ]);
+}
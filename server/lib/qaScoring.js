@@ -0,0 +1,270 @@
+// server/lib/qaScoring.js
+// Call transcript scoring against the QA Voice / QA Groups rubric ("HP Client form / Service Assessment")
+
+const VERDICTS = ["Yes", "No", "N/A"];
+
+// Sheet column labels of the Service Assessment block (columns A-F)
+const FORM_COLUMNS = {
+  criterion: "Hotel Planner | Service Assessment",
+  points: "#",
+  percent: "%",
+  verdict: "Criteria",
+  guideline: "Guideline",
+};
+
+function clean(v) {
+  return String(v ?? "")
+    .replace(/\r/g, "")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\s*\n\s*/g, "\n")
+    .trim();
+}
+
+function num(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(String(v).replace("%", "").trim());
+  return Number.isFinite(n) ? n : null;
+}
+
+// 1.1, "2.2" -> "1.1" / "2.2"; section rows ("5.- CLOSING") and questions are not criteria
+function criterionId(v) {
+  const s = clean(v);
+  return /^\d+\.\d+$/.test(s) ? s : null;
+}
+
+function normalizeVerdict(v) {
+  const s = clean(v).toLowerCase().replace(/\s+/g, "");
+  if (s === "yes" || s === "y") return "Yes";
+  if (s === "no" || s === "n") return "No";
+  if (s === "n/a" || s === "na" || s === "notapplicable") return "N/A";
+  return null;
+}
+
+function round(n, dp = 2) {
+  const f = 10 ** dp;
+  return Math.round(n * f) / f;
+}
+
+function findPassingScore(rows) {
+  for (const row of rows) {
+    for (const cell of row || []) {
+      const m = String(cell ?? "").match(/PASSING SCORE\s*(?:IS\s*)?=?\s*\/?\s*>\s*(\d+(?:\.\d+)?)\s*%/i);
+      if (m) return Number(m[1]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the Service Assessment block (columns A-F) of a QA workbook into criteria.
+ * @param {{ [sheetName]: any[][] }} workbook parsed workbook from loadDocuments()
+ * @param {{ name?: string }} opts document name for citations ("QA Voice" / "QA Groups")
+ */
+export function parseRubric(workbook, { name = "" } = {}) {
+  const sheetName = Object.keys(workbook || {}).find((s) => s !== "__meta" && Array.isArray(workbook[s]));
+  const rows = sheetName ? workbook[sheetName] : [];
+
+  let form = "";
+  let assessment = "";
+  const criteria = [];
+  let current = null;
+
+  rows.forEach((row, i) => {
+    const r = Array.isArray(row) ? row : [];
+    const rowNumber = i + 1;
+
+    if (!form && /client form/i.test(clean(r[0]))) form = clean(r[0]);
+    if (!assessment && /service assessment/i.test(clean(r[1]))) {
+      assessment = clean(r[1]);
+      return;
+    }
+
+    const id = criterionId(r[0]);
+    if (id) {
+      current = {
+        id,
+        criterion: clean(r[1]),
+        points: num(r[2]),
+        percent: num(r[3]),
+        rowNumber,
+        guidelines: {},
+      };
+      criteria.push(current);
+    } else if (clean(r[0])) {
+      // section heading / sub-total row ends the previous criterion
+      current = null;
+      return;
+    }
+
+    const verdict = normalizeVerdict(r[4]);
+    if (current && verdict && clean(r[5])) {
+      const prev = current.guidelines[verdict];
+      current.guidelines[verdict] = prev ? `${prev}\n${clean(r[5])}` : clean(r[5]);
+    }
+  });
+
+  // weights come from the "%" column; when the sheet leaves it blank, "#" points are used instead
+  const useSheetPercent = criteria.length > 0 && criteria.every((c) => c.percent !== null);
+  const totalPoints = criteria.reduce((sum, c) => sum + (c.points || 0), 0);
+  for (const c of criteria) {
+    c.weight = useSheetPercent ? c.percent : c.points || 0;
+    c.percent = useSheetPercent ? c.percent : totalPoints ? round(((c.points || 0) / totalPoints) * 100) : 0;
+  }
+
+  return {
+    name,
+    form: form || "HP Client form",
+    assessment: assessment || "Hotel Planner | Service Assessment",
+    sheetName: sheetName || null,
+    weightSource: useSheetPercent ? "%" : "#",
+    passingScore: findPassingScore(rows),
+    criteria,
+  };
+}
+
+/**
+ * System prompt asking the model for per-criterion verdicts only - the score is computed here, not by the model.
+ */
+export function buildScoringPrompt(rubric) {
+  const lines = rubric.criteria.map((c) => {
+    const g = VERDICTS.filter((v) => c.guidelines[v])
+      .map((v) => `    ${v}: ${c.guidelines[v].replace(/\n/g, " ")}`)
+      .join("\n");
+    return `${c.id} ${c.criterion}\n${g}`;
+  });
+
+  return `
+You are a HotelPlanner QA analyst scoring ONE call transcript against the "${rubric.name || rubric.assessment}" rubric.
+
+RUBRIC (criterion id, criterion, then the guideline for each verdict):
+${lines.join("\n\n")}
+
+RULES
+1) Give every criterion exactly one verdict: "Yes", "No" or "N/A", applying the guideline text literally.
+2) Use "N/A" ONLY when the N/A guideline for that criterion applies.
+3) Evidence must be short VERBATIM quotes copied from the transcript (no paraphrasing). Quotes are checked.
+4) If the transcript does not show the behaviour required for "Yes", the verdict is "No".
+5) Do not compute a score.
+
+Respond with JSON only, no prose, in this shape:
+{"criteria":[{"id":"1.1","verdict":"Yes","evidence":["..."],"reason":"one sentence"}]}
+  `.trim();
+}
+
+/**
+ * Pull the JSON verdicts out of the model reply (tolerates ```json fences and leading prose).
+ * Returns { [criterionId]: { verdict, evidence[], reason } }.
+ */
+export function parseScoringResponse(text) {
+  const raw = String(text || "");
+  const start = raw.indexOf("{");
+  const end = raw.lastIndexOf("}");
+  if (start < 0 || end <= start) {
+    const e = new Error("Model did not return JSON verdicts");
+    e.status = 502;
+    throw e;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw.slice(start, end + 1));
+  } catch {
+    const e = new Error("Model returned malformed JSON verdicts");
+    e.status = 502;
+    throw e;
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed.criteria || [];
+  const out = {};
+  for (const item of list) {
+    const id = criterionId(item?.id);
+    if (!id) continue;
+    out[id] = {
+      verdict: normalizeVerdict(item.verdict),
+      evidence: (Array.isArray(item.evidence) ? item.evidence : [item.evidence])
+        .map((q) => clean(q))
+        .filter(Boolean),
+      reason: clean(item.reason),
+    };
+  }
+  return out;
+}
+
+function quoteKey(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Combine model verdicts with the rubric into the HP Client form result.
+ * Missing verdicts count as "No" and unverifiable evidence marks the line for human review.
+ */
+export function scoreTranscript(rubric, verdicts, transcript) {
+  const haystack = ` ${quoteKey(transcript)} `;
+
+  const criteria = rubric.criteria.map((c) => {
+    const v = verdicts[c.id] || {};
+    const assessed = !!v.verdict;
+    const verdict = v.verdict || "No";
+
+    const evidence = (v.evidence || []).map((quote) => ({
+      quote,
+      found: !!quoteKey(quote) && haystack.includes(` ${quoteKey(quote)} `),
+    }));
+
+    const reviewReasons = [];
+    if (!assessed) reviewReasons.push("No verdict returned - scored as No");
+    // a "No" can rest on something missing from the call; a "Yes" must be backed by a real quote
+    if (verdict === "Yes" && !evidence.some((e) => e.found)) {
+      reviewReasons.push("No evidence quote found in the transcript");
+    }
+    if (evidence.some((e) => !e.found)) reviewReasons.push("Some evidence quotes are not in the transcript");
+    if (verdict === "N/A" && !c.guidelines["N/A"]) {
+      reviewReasons.push("Rubric has no N/A guideline for this criterion");
+    }
+    if (/^always applies/i.test(c.guidelines["N/A"] || "") && verdict === "N/A") {
+      reviewReasons.push("Rubric says this criterion always applies");
+    }
+
+    const possible = verdict === "N/A" ? 0 : c.weight;
+    return {
+      id: c.id,
+      criterion: c.criterion,
+      points: c.points,
+      percent: c.percent,
+      verdict,
+      guideline: c.guidelines[verdict] || "",
+      evidence,
+      reason: v.reason || "",
+      earned: verdict === "Yes" ? c.weight : 0,
+      possible,
+      needsReview: reviewReasons.length > 0,
+      reviewReasons,
+      citation: `[Doc: ${rubric.name} | Sheet/Section: ${rubric.sheetName} | Row/Cell: ${c.id}]`,
+    };
+  });
+
+  const earned = criteria.reduce((s, c) => s + c.earned, 0);
+  const possible = criteria.reduce((s, c) => s + c.possible, 0);
+  const percent = possible ? round((earned / possible) * 100, 1) : null;
+
+  return {
+    form: rubric.form,
+    assessment: rubric.assessment,
+    rubric: rubric.name,
+    sheetName: rubric.sheetName,
+    columns: FORM_COLUMNS,
+    weightSource: rubric.weightSource,
+    criteria,
+    score: {
+      earned: round(earned),
+      possible: round(possible),
+      percent,
+      passingScore: rubric.passingScore,
+      pass: percent !== null && rubric.passingScore !== null ? percent >= rubric.passingScore : null,
+    },
+    needsReview: criteria.some((c) => c.needsReview),
+  };
+}
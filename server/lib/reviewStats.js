@@ -0,0 +1,168 @@
+// server/lib/reviewStats.js
+// Call center scorecards from reviews: averages, star histograms, weekly / monthly trend and a period comparison
+
+export const STATS_BUCKETS = ["week", "month"];
+export const STATS_DATE_FIELDS = ["createdAt", "updatedAt"];
+
+const DEFAULT_PERIODS = { week: 12, month: 12 };
+const MAX_PERIODS = 104;
+const DAY_MS = 86400000;
+
+function statsError(message, status = 400) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+function norm(s) {
+  return String(s ?? "").trim();
+}
+
+function normKey(s) {
+  return norm(s).toLowerCase();
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function parseTime(v, label) {
+  if (v === undefined || v === null || v === "") return null;
+  const t = typeof v === "number" ? v : Date.parse(v);
+  if (!Number.isFinite(t)) throw statsError(`Invalid ${label} date`);
+  return t;
+}
+
+// buckets are UTC: months start on the 1st, weeks on Monday
+export function bucketStart(t, bucket) {
+  const d = new Date(t);
+  if (bucket === "month") return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+  const day = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+  return day - ((d.getUTCDay() + 6) % 7) * DAY_MS;
+}
+
+function shiftBucket(start, bucket, n) {
+  if (bucket === "week") return start + n * 7 * DAY_MS;
+  const d = new Date(start);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + n, 1);
+}
+
+// "2026-03" for months, the Monday ("2026-03-02") for weeks
+export function bucketKey(start, bucket) {
+  const iso = new Date(start).toISOString();
+  return bucket === "month" ? iso.slice(0, 7) : iso.slice(0, 10);
+}
+
+function emptyAgg() {
+  return { responses: 0, withComment: 0, sum: 0, histogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } };
+}
+
+function add(agg, r) {
+  const stars = Math.max(1, Math.min(5, Number(r.stars) || 0));
+  agg.responses++;
+  agg.sum += stars;
+  agg.histogram[stars]++;
+  if (norm(r.comment)) agg.withComment++;
+}
+
+function summary(agg) {
+  return {
+    responses: agg.responses,
+    withComment: agg.withComment,
+    avg: agg.responses ? round2(agg.sum / agg.responses) : null,
+    histogram: { ...agg.histogram },
+  };
+}
+
+function delta(current, previous) {
+  return {
+    responses: current.responses - previous.responses,
+    avg: current.avg === null || previous.avg === null ? null : round2(current.avg - previous.avg),
+  };
+}
+
+/**
+ * Scorecards over the reviews whose `dateField` falls in [from, to], widened to whole buckets.
+ * Without `from` the range is the last `periods` buckets up to `to` (default now).
+ * `comparison` is the last bucket of the range against the one before it (the last one may still be running:
+ * `current.partial`).
+ * @param {object[]} reviews normalized reviews (lib/reviewStore.js)
+ * @param {{ bucket?: "week"|"month", dateField?: "createdAt"|"updatedAt", from?: string, to?: string,
+ *           periods?: number, now?: number }} opts
+ */
+export function reviewStats(reviews, { bucket = "month", dateField = "createdAt", from, to, periods, now } = {}) {
+  if (!STATS_BUCKETS.includes(bucket)) throw statsError(`Invalid bucket (use ${STATS_BUCKETS.join(" or ")})`);
+  if (!STATS_DATE_FIELDS.includes(dateField)) {
+    throw statsError(`Invalid dateField (use ${STATS_DATE_FIELDS.join(" or ")})`);
+  }
+  const nowMs = now ?? Date.now();
+  const toMs = parseTime(to, "to") ?? nowMs;
+  const fromMs = parseTime(from, "from");
+  if (fromMs !== null && fromMs > toMs) throw statsError("from must be before to");
+
+  const last = bucketStart(toMs, bucket);
+  const count = Math.max(1, Math.trunc(Number(periods) || DEFAULT_PERIODS[bucket]));
+  const first = fromMs !== null ? bucketStart(fromMs, bucket) : shiftBucket(last, bucket, -(count - 1));
+
+  const starts = [];
+  for (let s = first; s <= last; s = shiftBucket(s, bucket, 1)) {
+    starts.push(s);
+    if (starts.length > MAX_PERIODS) throw statsError(`Too many ${bucket}s in range (max ${MAX_PERIODS})`);
+  }
+  const end = shiftBucket(last, bucket, 1);
+  const index = new Map(starts.map((s, i) => [s, i]));
+
+  const overall = emptyAgg();
+  const trend = starts.map(() => emptyAgg());
+  const centers = new Map(); // normKey -> { callCenter, agg, trend }
+
+  for (const r of reviews) {
+    const t = Date.parse(r[dateField] || r.createdAt || "");
+    if (!Number.isFinite(t) || t < first || t >= end) continue;
+    const i = index.get(bucketStart(t, bucket));
+    const key = normKey(r.callCenter) || "unknown";
+    if (!centers.has(key)) {
+      centers.set(key, { callCenter: norm(r.callCenter) || "Unknown", agg: emptyAgg(), trend: starts.map(emptyAgg) });
+    }
+    const c = centers.get(key);
+    add(overall, r);
+    add(trend[i], r);
+    add(c.agg, r);
+    add(c.trend[i], r);
+  }
+
+  const point = (agg, i) => ({
+    key: bucketKey(starts[i], bucket),
+    from: new Date(starts[i]).toISOString(),
+    ...summary(agg),
+  });
+  const compare = (list) => {
+    const current = point(list[list.length - 1], list.length - 1);
+    const previous = list.length > 1 ? point(list[list.length - 2], list.length - 2) : null;
+    return {
+      current: { ...current, partial: end > nowMs },
+      previous,
+      delta: previous ? delta(current, previous) : null,
+    };
+  };
+
+  const callCenters = Array.from(centers.values())
+    .map((c) => ({
+      callCenter: c.callCenter,
+      ...summary(c.agg),
+      trend: c.trend.map(point),
+      comparison: compare(c.trend),
+    }))
+    .sort((a, b) => b.responses - a.responses || a.callCenter.localeCompare(b.callCenter));
+
+  return {
+    bucket,
+    dateField,
+    from: new Date(first).toISOString(),
+    to: new Date(end).toISOString(),
+    overall: summary(overall),
+    trend: trend.map(point),
+    comparison: compare(trend),
+    callCenters,
+  };
+}
@@ -0,0 +1,662 @@
+// server/lib/reviewStore.js
+// Call center reviews behind one storage interface: local JSON file or Google Sheets (lib/googleSheetsReviews.js),
+// with moderation states, soft delete and a revision history (who changed what, when) per review
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { createSheetsReviewAdapter } from "./googleSheetsReviews.js";
+import { reviewStats } from "./reviewStats.js";
+
+export const REVIEW_BACKENDS = ["file", "sheets"];
+export const REVIEW_STATUSES = ["pending", "published", "hidden"];
+export const REVIEW_SORTS = ["date", "stars"];
+
+// what an author can change; every change to one of these (or to status / deletion) is a new revision
+const CONTENT_FIELDS = ["callCenter", "name", "stars", "comment"];
+const NOTE_MAX_CHARS = 1000;
+
+function reviewError(message, status = 400) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+function norm(s) {
+  return String(s ?? "").trim();
+}
+
+function normKey(s) {
+  return norm(s).toLowerCase();
+}
+
+function toInt(v, def = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.trunc(n) : def;
+}
+
+function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
+
+function validateEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(norm(email));
+}
+
+function required(v, label) {
+  const s = norm(v);
+  if (!s) throw reviewError(`Missing field: ${label}`);
+  return s;
+}
+
+function note(v) {
+  const s = norm(v);
+  if (s.length > NOTE_MAX_CHARS) throw reviewError(`Note too long (max ${NOTE_MAX_CHARS} chars)`);
+  return s;
+}
+
+function genId() {
+  try {
+    return crypto.randomUUID();
+  } catch {
+    return `${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
+  }
+}
+
+/**
+ * One stored review with every field present and typed (what adapters read back and write).
+ * Rows written before moderation existed have no status - they were already visible, so they count as published.
+ */
+export function normalizeReview(r = {}) {
+  const status = normKey(r.status);
+  return {
+    reviewId: norm(r.reviewId),
+    callCenter: norm(r.callCenter),
+    name: norm(r.name),
+    email: norm(r.email),
+    stars: toInt(r.stars, 0),
+    comment: norm(r.comment),
+    createdAt: norm(r.createdAt),
+    updatedAt: norm(r.updatedAt),
+    status: REVIEW_STATUSES.includes(status) ? status : "published",
+    revision: Math.max(1, toInt(r.revision, 1)),
+    moderatedBy: norm(r.moderatedBy),
+    moderatedAt: norm(r.moderatedAt),
+    moderationNote: norm(r.moderationNote),
+    deletedAt: norm(r.deletedAt),
+    deletedBy: norm(r.deletedBy),
+    deleteReason: norm(r.deleteReason),
+  };
+}
+
+/** One revision: { reviewId, revision, action, by, at, callCenter, note, changes: [{ field, before, after }] } */
+export function normalizeHistoryEntry(h = {}) {
+  let changes = h.changes;
+  if (typeof changes === "string") {
+    try {
+      changes = JSON.parse(changes || "[]");
+    } catch {
+      changes = [];
+    }
+  }
+  return {
+    reviewId: norm(h.reviewId),
+    revision: toInt(h.revision, 0),
+    action: norm(h.action),
+    by: norm(h.by),
+    at: norm(h.at),
+    callCenter: norm(h.callCenter),
+    note: norm(h.note),
+    changes: Array.isArray(changes) ? changes : [],
+  };
+}
+
+function reviewTime(r) {
+  return Date.parse(r.updatedAt || r.createdAt || "") || 0;
+}
+
+// case- and accent-insensitive: "José" matches "jose"
+function foldText(s) {
+  return String(s ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+// every word (or "quoted phrase") of q must appear in the name or the comment
+function searchTerms(q) {
+  const terms = [];
+  String(q ?? "").replace(/"([^"]+)"|(\S+)/g, (_, phrase, word) => {
+    const t = foldText(phrase || word).trim();
+    if (t) terms.push(t);
+    return "";
+  });
+  return terms;
+}
+
+function parseDate(v, label, { endOfDay = false } = {}) {
+  const s = norm(v);
+  if (!s) return null;
+  const t = Date.parse(s);
+  if (!Number.isFinite(t)) throw reviewError(`Invalid ${label} date`);
+  // a bare day as the upper bound includes that whole day
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(s) ? t + 86400000 - 1 : t;
+}
+
+function starsBound(v, label) {
+  if (v === undefined || v === null || norm(v) === "") return null;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1 || n > 5) throw reviewError(`${label} must be a whole number from 1 to 5`);
+  return n;
+}
+
+// keyset cursor: the sort key of the last review on the page, so new reviews never shift the next page
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
+
+function decodeCursor(cursor, order) {
+  try {
+    const key = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (key.o === order && typeof key.id === "string") return key;
+  } catch {
+    // fall through
+  }
+  throw reviewError("Invalid cursor (expired or from another sort) - load the first page again");
+}
+
+function changesBetween(before, after, fields) {
+  return fields
+    .filter((f) => String(before?.[f] ?? "") !== String(after[f] ?? ""))
+    .map((f) => ({ field: f, before: before ? before[f] ?? "" : null, after: after[f] ?? "" }));
+}
+
+/**
+ * The JSON file backend: { reviews: [...] } loaded once and kept in memory, written tmp-then-rename.
+ * Revisions are appended to `historyFile` (JSONL, never rewritten).
+ * @param {{ file: string, historyFile?: string }} opts
+ */
+export function createFileReviewAdapter({ file, historyFile = file.replace(/\.json$/i, "") + "-history.jsonl" }) {
+  let reviews = null; // reviewId -> review
+  let history = null;
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (reviews) return reviews;
+    try {
+      const data = JSON.parse(await fs.readFile(file, "utf8"));
+      reviews = new Map((data.reviews || []).map((r) => [r.reviewId, normalizeReview(r)]));
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+      reviews = new Map();
+    }
+    return reviews;
+  }
+
+  async function loadHistory() {
+    if (history) return history;
+    try {
+      history = (await fs.readFile(historyFile, "utf8"))
+        .split("\n")
+        .filter((l) => l.trim())
+        .map((l) => {
+          try {
+            return normalizeHistoryEntry(JSON.parse(l));
+          } catch {
+            return null;
+          }
+        })
+        .filter(Boolean);
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+      history = [];
+    }
+    return history;
+  }
+
+  // serialized like every other store: one write at a time, a failed one never blocks the next
+  function queue(task) {
+    writing = writing.catch(() => {}).then(task);
+    return writing;
+  }
+
+  async function save() {
+    const snapshot = JSON.stringify({ reviews: Array.from(reviews.values()) }, null, 2);
+    return queue(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, snapshot, "utf8");
+      await fs.rename(tmp, file);
+    });
+  }
+
+  return {
+    backend: "file",
+
+    async all() {
+      return Array.from((await load()).values());
+    },
+
+    async putMany(list) {
+      const map = await load();
+      for (const r of list) map.set(r.reviewId, normalizeReview(r));
+      await save();
+      return list.length;
+    },
+
+    async allHistory() {
+      return [...(await loadHistory())];
+    },
+
+    async appendHistory(entries) {
+      const list = await loadHistory();
+      const rows = entries.map(normalizeHistoryEntry);
+      list.push(...rows);
+      await queue(async () => {
+        await fs.mkdir(path.dirname(historyFile), { recursive: true });
+        await fs.appendFile(historyFile, rows.map((h) => JSON.stringify(h) + "\n").join(""), "utf8");
+      });
+      return rows.length;
+    },
+
+    describe() {
+      return { backend: "file", file, historyFile };
+    },
+  };
+}
+
+/**
+ * Reviews on top of a storage adapter ({ backend, all(), putMany(reviews), allHistory(), appendHistory(entries),
+ * describe() }). One review per (email, call center): saving again updates it.
+ * With `requireApproval` new and edited reviews wait as "pending" until a moderator publishes them.
+ * With a `callCenters` registry (lib/callCenters.js) reviews can only be filed under an active center, and every
+ * spelling of a center (alias, stray spaces, old name) reads back as its display name - one center, one scorecard.
+ */
+export function createReviewStore({ adapter, requireApproval = false, callCenters = null, now = () => Date.now() }) {
+  // every mutation is read-modify-write of one review + a history append, so they run one at a time
+  let mutating = Promise.resolve();
+
+  function serial(task) {
+    const run = mutating.catch(() => {}).then(task);
+    mutating = run;
+    return run;
+  }
+
+  // (s) -> the registry's display name for s, or s itself when the registry does not know it
+  async function centerName() {
+    if (!callCenters) return norm;
+    const resolve = await callCenters.resolver();
+    return (s) => resolve(s)?.name || norm(s);
+  }
+
+  // adapters hand back what they stored (sheet cells are strings) - type everything once here
+  async function allReviews() {
+    const name = await centerName();
+    return (await adapter.all()).map((r) => {
+      const review = normalizeReview(r);
+      return { ...review, callCenter: name(review.callCenter) };
+    });
+  }
+
+  async function allHistory() {
+    const name = await centerName();
+    return (await adapter.allHistory()).map((h) => {
+      const entry = normalizeHistoryEntry(h);
+      return { ...entry, callCenter: name(entry.callCenter) };
+    });
+  }
+
+  // a call center filter in any spelling, as the key reviews are compared on
+  async function centerFilter(callCenter) {
+    return norm(callCenter) ? normKey((await centerName())(callCenter)) : "";
+  }
+
+  async function checkedCallCenter(callCenter) {
+    const cc = required(callCenter, "Call center");
+    if (!callCenters) return cc;
+    const center = await callCenters.resolve(cc);
+    if (!center) throw reviewError(`Unknown call center: ${cc}`);
+    if (!center.active) throw reviewError(`${center.name} is not taking reviews any more`);
+    return center.name;
+  }
+
+  async function find(reviewId) {
+    const r = (await allReviews()).find((x) => x.reviewId === norm(reviewId));
+    if (!r) throw reviewError("Review not found", 404);
+    return r;
+  }
+
+  // store the new copy of a review as the next revision
+  async function commit(before, after, { action, by, note: text = "", fields }) {
+    const ts = new Date(now()).toISOString();
+    const review = { ...after, revision: before ? before.revision + 1 : 1, updatedAt: after.updatedAt || ts };
+    await adapter.putMany([review]);
+    await adapter.appendHistory([
+      {
+        reviewId: review.reviewId,
+        revision: review.revision,
+        action,
+        by: normKey(by),
+        at: ts,
+        callCenter: review.callCenter,
+        note: text,
+        changes: changesBetween(before, review, fields),
+      },
+    ]);
+    return review;
+  }
+
+  return {
+    backend: adapter.backend,
+    requireApproval,
+
+    /**
+     * One page of reviews. email / callCenter are case-insensitive exact matches; q searches name + comment.
+     * status: one of REVIEW_STATUSES, "all" (default) or "deleted". Deleted reviews only show up under "deleted".
+     * sort: "date" (updatedAt, default) or "stars", order "desc" (default) or "asc"; ties go newest first.
+     * minStars / maxStars and from / to (on `dateField`, default updatedAt) narrow the result.
+     * Returns { reviews, total, nextCursor, summary, counts }: total / summary (average stars, per call center) cover
+     * every match, not just this page; counts are per status (+ deleted) over email / callCenter, for moderation tabs.
+     * Without `limit` every match is returned.
+     */
+    async list({
+      email,
+      callCenter,
+      status = "all",
+      q,
+      minStars,
+      maxStars,
+      from,
+      to,
+      dateField = "updatedAt",
+      sort = "date",
+      order = "desc",
+      limit,
+      cursor,
+    } = {}) {
+      if (!REVIEW_SORTS.includes(sort)) throw reviewError(`Invalid sort (use ${REVIEW_SORTS.join(" or ")})`);
+      if (!["asc", "desc"].includes(order)) throw reviewError("Invalid order (use asc or desc)");
+      if (!["createdAt", "updatedAt"].includes(dateField)) {
+        throw reviewError("Invalid dateField (use createdAt or updatedAt)");
+      }
+      const lo = starsBound(minStars, "minStars");
+      const hi = starsBound(maxStars, "maxStars");
+      const fromMs = parseDate(from, "from");
+      const toMs = parseDate(to, "to", { endOfDay: true });
+      const terms = searchTerms(q);
+      const e = normKey(email);
+      const c = await centerFilter(callCenter);
+
+      const scoped = (await allReviews())
+        .filter((r) => !e || normKey(r.email) === e)
+        .filter((r) => !c || normKey(r.callCenter) === c);
+
+      const counts = { pending: 0, published: 0, hidden: 0, deleted: 0 };
+      for (const r of scoped) counts[r.deletedAt ? "deleted" : r.status]++;
+
+      const sign = order === "asc" ? 1 : -1;
+      const keyOf = (r) => ({
+        o: `${sort}:${order}`,
+        v: sort === "stars" ? r.stars : reviewTime(r),
+        t: reviewTime(r),
+        id: r.reviewId,
+      });
+      const compare = (a, b) => sign * (a.v - b.v) || b.t - a.t || a.id.localeCompare(b.id);
+
+      const matches = scoped
+        .filter((r) =>
+          status === "deleted" ? !!r.deletedAt : !r.deletedAt && (!status || status === "all" || r.status === status)
+        )
+        .filter((r) => (lo === null || r.stars >= lo) && (hi === null || r.stars <= hi))
+        .filter((r) => {
+          if (fromMs === null && toMs === null) return true;
+          const t = Date.parse(r[dateField] || r.createdAt || "") || 0;
+          return (fromMs === null || t >= fromMs) && (toMs === null || t <= toMs);
+        })
+        .filter((r) => {
+          if (!terms.length) return true;
+          const hay = foldText(`${r.name}\n${r.comment}`);
+          return terms.every((t) => hay.includes(t));
+        })
+        .map((r) => ({ r, key: keyOf(r) }))
+        .sort((a, b) => compare(a.key, b.key));
+
+      const summary = { avgStars: null, byCallCenter: [] };
+      if (matches.length) {
+        const centers = new Map();
+        let sum = 0;
+        for (const { r } of matches) {
+          sum += r.stars;
+          const k = normKey(r.callCenter);
+          const agg = centers.get(k) || { callCenter: r.callCenter, total: 0, sum: 0 };
+          agg.total++;
+          agg.sum += r.stars;
+          centers.set(k, agg);
+        }
+        summary.avgStars = Math.round((sum / matches.length) * 10) / 10;
+        summary.byCallCenter = Array.from(centers.values()).map((x) => ({
+          callCenter: x.callCenter,
+          total: x.total,
+          avgStars: Math.round((x.sum / x.total) * 10) / 10,
+        }));
+      }
+
+      let start = 0;
+      if (cursor) {
+        const after = decodeCursor(cursor, `${sort}:${order}`);
+        const i = matches.findIndex((m) => compare(m.key, after) > 0);
+        start = i < 0 ? matches.length : i;
+      }
+      const size = limit === undefined || limit === null ? matches.length : Math.max(1, toInt(limit, 50));
+      const page = matches.slice(start, start + size);
+      const more = start + page.length < matches.length;
+
+      return {
+        reviews: page.map((m) => m.r),
+        total: matches.length,
+        nextCursor: more && page.length ? encodeCursor(page[page.length - 1].key) : null,
+        summary,
+        counts,
+      };
+    },
+
+    async get(reviewId) {
+      return (await allReviews()).find((r) => r.reviewId === norm(reviewId)) || null;
+    },
+
+    async upsert({ callCenter, name, email, stars, comment }) {
+      const cc = await checkedCallCenter(callCenter);
+      const nm = required(name, "Name");
+      const em = required(email, "Email");
+      if (!validateEmail(em)) throw reviewError("Invalid email");
+      const st = clamp(toInt(stars, 0), 1, 5);
+      const cm = norm(comment);
+
+      return serial(async () => {
+        const existing = (await allReviews()).find(
+          (r) => normKey(r.email) === normKey(em) && normKey(r.callCenter) === normKey(cc)
+        );
+        if (existing?.deletedAt) {
+          throw reviewError("This review was removed by a moderator - ask a QA lead to restore it", 409);
+        }
+
+        const next = { ...(existing || {}), callCenter: cc, name: nm, email: em, stars: st, comment: cm };
+        if (existing && !changesBetween(existing, next, CONTENT_FIELDS).length) {
+          return { review: existing, action: "unchanged" };
+        }
+
+        const ts = new Date(now()).toISOString();
+        const base = existing || normalizeReview({ reviewId: genId(), createdAt: ts });
+        // an edit goes back to the queue; without approval a hidden review stays hidden until a moderator decides
+        const status = requireApproval ? "pending" : existing?.status === "hidden" ? "hidden" : "published";
+        const review = await commit(
+          existing,
+          { ...base, ...next, status, updatedAt: ts },
+          { action: existing ? "edited" : "created", by: em, fields: [...CONTENT_FIELDS, "status"] }
+        );
+        return { review, action: existing ? "updated" : "created" };
+      });
+    },
+
+    /** Moderator decision: publish, hide or send back to pending, with an optional note. */
+    async moderate(reviewId, { status, note: text, by }) {
+      const s = normKey(status);
+      if (!REVIEW_STATUSES.includes(s)) throw reviewError(`Invalid status (use ${REVIEW_STATUSES.join(", ")})`);
+      const n = note(text);
+
+      return serial(async () => {
+        const existing = await find(reviewId);
+        if (existing.deletedAt) throw reviewError("Restore the review before moderating it", 409);
+        const ts = new Date(now()).toISOString();
+        return commit(
+          existing,
+          { ...existing, status: s, moderatedBy: normKey(by), moderatedAt: ts, moderationNote: n },
+          { action: "moderated", by, note: n, fields: ["status", "moderationNote"] }
+        );
+      });
+    },
+
+    /** Soft delete: the review disappears from every list but "deleted" and can be restored. */
+    async remove(reviewId, { by, reason }) {
+      const n = note(reason);
+      return serial(async () => {
+        const existing = await find(reviewId);
+        if (existing.deletedAt) return existing;
+        const ts = new Date(now()).toISOString();
+        return commit(
+          existing,
+          { ...existing, deletedAt: ts, deletedBy: normKey(by), deleteReason: n },
+          { action: "deleted", by, note: n, fields: ["deletedAt"] }
+        );
+      });
+    },
+
+    async restore(reviewId, { by }) {
+      return serial(async () => {
+        const existing = await find(reviewId);
+        if (!existing.deletedAt) return existing;
+        return commit(
+          existing,
+          { ...existing, deletedAt: "", deletedBy: "", deleteReason: "" },
+          { action: "restored", by, fields: ["deletedAt"] }
+        );
+      });
+    },
+
+    /** Scorecards (lib/reviewStats.js) over published reviews - what agents and vendors can see. */
+    async stats({ callCenter, ...opts } = {}) {
+      const c = await centerFilter(callCenter);
+      const live = (await allReviews()).filter(
+        (r) => r.status === "published" && !r.deletedAt && (!c || normKey(r.callCenter) === c)
+      );
+      return reviewStats(live, { now: now(), ...opts });
+    },
+
+    /** Revisions of one review, oldest first. */
+    async history(reviewId) {
+      const id = norm(reviewId);
+      return (await allHistory()).filter((h) => h.reviewId === id).sort((a, b) => a.revision - b.revision);
+    },
+
+    /** Latest changes across reviews (who changed what, when), newest first. */
+    async recentHistory({ callCenter, by, limit = 100 } = {}) {
+      const c = await centerFilter(callCenter);
+      const who = normKey(by);
+      return (await allHistory())
+        .filter((h) => !c || normKey(h.callCenter) === c)
+        .filter((h) => !who || h.by === who)
+        .sort((a, b) => String(b.at).localeCompare(String(a.at)))
+        .slice(0, Math.max(1, limit));
+    },
+
+    /** Every stored review as-is (migration source). */
+    async exportAll() {
+      return allReviews();
+    },
+
+    /**
+     * Copy reviews in keeping their ids and timestamps (migration target). Reviews already stored under the same
+     * reviewId are overwritten only when the incoming copy is newer. Returns { created, updated, skipped }.
+     */
+    async importReviews(list) {
+      const current = new Map((await allReviews()).map((r) => [r.reviewId, r]));
+      const out = { created: 0, updated: 0, skipped: 0 };
+      const writes = [];
+      for (const raw of list) {
+        const r = normalizeReview(raw);
+        if (!r.reviewId) {
+          out.skipped++;
+          continue;
+        }
+        const existing = current.get(r.reviewId);
+        if (existing && reviewTime(existing) >= reviewTime(r)) {
+          out.skipped++;
+          continue;
+        }
+        out[existing ? "updated" : "created"]++;
+        writes.push(r);
+      }
+      if (writes.length) await adapter.putMany(writes);
+      return out;
+    },
+
+    async exportHistory() {
+      return allHistory();
+    },
+
+    /** Append the revisions the target does not have yet (same reviewId + revision). Returns how many were added. */
+    async importHistory(list) {
+      const have = new Set((await allHistory()).map((h) => `${h.reviewId}#${h.revision}`));
+      const fresh = list
+        .map(normalizeHistoryEntry)
+        .filter((h) => h.reviewId && !have.has(`${h.reviewId}#${h.revision}`));
+      if (fresh.length) await adapter.appendHistory(fresh);
+      return fresh.length;
+    },
+
+    describe() {
+      return { ...adapter.describe(), requireApproval };
+    },
+  };
+}
+
+/**
+ * Which backend to use: REVIEWS_BACKEND (file | sheets); unset = sheets when the service account and
+ * GOOGLE_SHEETS_SPREADSHEET_ID are configured, otherwise the local file.
+ * Throws when REVIEWS_BACKEND is unset and the service account is there without a spreadsheet id: reviews used to
+ * go to a built-in spreadsheet, and quietly switching such a deployment to the (ephemeral) local file hides them.
+ * REVIEWS_REQUIRE_APPROVAL=true holds new and edited reviews as pending until a moderator publishes them.
+ */
+export function reviewsConfigFromEnv(env, { storageDir }) {
+  const tabName = norm(env.GOOGLE_SHEETS_TAB_NAME) || "reviews";
+  const sheets = {
+    spreadsheetId: norm(env.GOOGLE_SHEETS_SPREADSHEET_ID),
+    tabName,
+    historyTabName: norm(env.REVIEWS_HISTORY_TAB_NAME) || `${tabName}_history`,
+    clientEmail: norm(env.GOOGLE_SHEETS_CLIENT_EMAIL),
+    privateKey: String(env.GOOGLE_SHEETS_PRIVATE_KEY || "").replace(/\\n/g, "\n"),
+    cacheTtlMs: Math.max(0, Number(env.REVIEWS_SHEETS_CACHE_SECONDS ?? 60)) * 1000,
+  };
+  const sheetsReady = !!(sheets.spreadsheetId && sheets.clientEmail && sheets.privateKey.trim());
+  if (!normKey(env.REVIEWS_BACKEND) && !sheets.spreadsheetId && (sheets.clientEmail || sheets.privateKey.trim())) {
+    throw reviewError(
+      "GOOGLE_SHEETS_SPREADSHEET_ID is not set but a Google service account is. Reviews no longer default to a " +
+        "built-in spreadsheet: set GOOGLE_SHEETS_SPREADSHEET_ID to the reviews spreadsheet, or REVIEWS_BACKEND=file " +
+        "to keep reviews in a local file."
+    );
+  }
+  const backend = normKey(env.REVIEWS_BACKEND) || (sheetsReady ? "sheets" : "file");
+  return {
+    backend,
+    file: env.REVIEWS_FILE || path.join(storageDir, "reviews.json"),
+    sheets,
+    requireApproval: normKey(env.REVIEWS_REQUIRE_APPROVAL) === "true",
+  };
+}
+
+/** Adapter for a config from reviewsConfigFromEnv (or { backend, file, sheets } built by hand). */
+export function createReviewAdapter({ backend, file, sheets }) {
+  if (backend === "file") return createFileReviewAdapter({ file });
+  if (backend === "sheets") return createSheetsReviewAdapter(sheets);
+  throw reviewError(`Unknown reviews backend: ${backend} (use ${REVIEW_BACKENDS.join(" or ")})`);
+}
@@ -0,0 +1,328 @@
+// server/lib/rppCoverage.js
+// Deterministic Refund Protection Plan coverage check against rpp_protection_guide.json
+
+import { tokenize } from "./serviceMatrix.js";
+
+const DEFAULT_MATCH_ORDER = [
+  "exact_title_match",
+  "keyword_match",
+  "time_window_match",
+  "covered_parties_match",
+];
+
+// What agents type -> covered_parties ids used in the guide
+const PARTY_ALIASES = {
+  hotel_guest: ["guest", "hotel guest", "hotel_guest", "you", "self", "traveler", "booker"],
+  companion: ["companion", "travel companion", "friend", "partner"],
+  immediate_family_member: [
+    "immediate family",
+    "immediate family member",
+    "immediate_family_member",
+    "family",
+    "family member",
+    "family_member",
+    "parent",
+    "parents",
+    "father",
+    "mother",
+    "dad",
+    "mom",
+    "mum",
+    "child",
+    "children",
+    "son",
+    "daughter",
+    "sibling",
+    "brother",
+    "sister",
+    "grandparent",
+    "grandfather",
+    "grandmother",
+    "grandchild",
+    "grandson",
+    "granddaughter",
+    "stepfather",
+    "stepmother",
+    "stepson",
+    "stepdaughter",
+  ],
+  spouse: ["spouse", "husband", "wife"],
+};
+
+// How agents describe the event -> the words the guide's titles and keywords use ("my father died" = death)
+const EVENT_ALIASES = {
+  death: ["died", "dies", "dead", "deceased", "passed away", "passed on", "passing", "pass away"],
+  funeral: ["burial", "memorial service", "wake"],
+  illness: ["sick", "ill", "hospitalized", "hospitalised", "hospital"],
+  injury: ["injured", "hurt", "broke", "broken"],
+};
+
+// "my father", "the guest's wife" -> "father", "wife"
+const POSSESSIVE = /^(?:(?:the\s+)?(?:guest|caller|customer)s?\s+|my\s+|his\s+|her\s+|their\s+|our\s+)/;
+
+// The guide uses both "family_member" and "immediate_family_member"; a spouse is immediate family too
+const PARTY_COVERS = {
+  hotel_guest: ["hotel_guest"],
+  companion: ["companion"],
+  immediate_family_member: ["immediate_family_member", "family_member"],
+  spouse: ["spouse", "immediate_family_member", "family_member"],
+};
+
+// a month counts as 30 days
+const UNIT_HOURS = { hour: 1, day: 24, week: 168, month: 720 };
+
+// "within 48 hours" keywords describe the time window, not the reason
+const TIMING_KEYWORD = /^within \d+/i;
+
+function phrase(s) {
+  return tokenize(s).join(" ");
+}
+
+// tokens for keyword matching; the matrix tokenizer drops "guest" as noise, but here it is what tells the
+// "guest death" keyword apart from a family member's death
+function keywordTokens(s) {
+  const tokens = tokenize(s);
+  return /\bguests?\b/i.test(String(s || "")) ? [...tokens, "guest"] : tokens;
+}
+
+function containsPhrase(haystack, needle) {
+  return !!needle && ` ${haystack} `.includes(` ${needle} `);
+}
+
+function unitHours(unit) {
+  const u = String(unit || "")
+    .toLowerCase()
+    .replace(/s$/, "");
+  if (u === "h" || u === "hr") return UNIT_HOURS.hour;
+  if (u === "d") return UNIT_HOURS.day;
+  if (u === "wk") return UNIT_HOURS.week;
+  if (u === "mo" || u === "mth") return UNIT_HOURS.month;
+  return UNIT_HOURS[u] ?? null;
+}
+
+/**
+ * Normalise "who is affected" into a covered_parties id.
+ * Returns null when the value is missing or not recognised.
+ */
+export function normalizeAffectedParty(raw) {
+  const v = String(raw || "")
+    .toLowerCase()
+    .replace(/[_-]+/g, " ")
+    .replace(/['’]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(POSSESSIVE, "");
+  if (!v) return null;
+
+  for (const [id, aliases] of Object.entries(PARTY_ALIASES)) {
+    if (aliases.some((a) => a.replace(/_/g, " ") === v)) return id;
+  }
+  return null;
+}
+
+/**
+ * Normalise timing into hours between the event and the start of the stay.
+ * Accepts a number (hours), { value, unit }, or text like "36 hours", "2 days before", "a month before", "today",
+ * "tomorrow".
+ * Returns { hoursBeforeStay, raw } - hoursBeforeStay is null when it cannot be read.
+ */
+export function parseTiming(timing) {
+  if (timing === undefined || timing === null || timing === "") return { hoursBeforeStay: null, raw: null };
+
+  if (typeof timing === "number") {
+    return { hoursBeforeStay: Number.isFinite(timing) ? timing : null, raw: timing };
+  }
+
+  if (typeof timing === "object") {
+    const mult = unitHours(timing.unit || "hours");
+    const value = Number(timing.value);
+    return {
+      hoursBeforeStay: mult && Number.isFinite(value) ? value * mult : null,
+      raw: timing,
+    };
+  }
+
+  const text = String(timing).toLowerCase().trim();
+  if (/\btoday\b|\bsame day\b/.test(text)) return { hoursBeforeStay: 0, raw: timing };
+  if (/\btomorrow\b/.test(text)) return { hoursBeforeStay: 24, raw: timing };
+
+  const m = text
+    .replace(/\b(?:an?|one)\s+(?=hour|day|week|month)/, "1 ")
+    .match(/(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|days?|d|weeks?|wks?|months?|mos?|mths?)\b/);
+  if (!m) return { hoursBeforeStay: null, raw: timing };
+
+  const hours = Number(m[1]) * unitHours(m[2]);
+  return { hoursBeforeStay: /\bafter\b/.test(text) ? -hours : hours, raw: timing };
+}
+
+function windowHours(tw) {
+  const mult = unitHours(tw?.unit);
+  return mult && Number.isFinite(Number(tw?.value)) ? Number(tw.value) * mult : null;
+}
+
+function describeWindow(tw) {
+  if (!tw) return null;
+  return `within ${tw.value} ${tw.unit}${tw.direction === "prior" ? " prior to" : " of"} the start of the stay`;
+}
+
+function checkTimeWindow(reason, hoursBeforeStay) {
+  const tw = reason.time_window;
+  if (!tw) return { status: "not_applicable", detail: "No time window for this reason" };
+
+  const limit = windowHours(tw);
+  if (limit === null) return { status: "unknown", detail: `Unreadable time window: ${JSON.stringify(tw)}` };
+  if (hoursBeforeStay === null) {
+    return { status: "unknown", detail: `Confirm timing - must be ${describeWindow(tw)}` };
+  }
+  if (hoursBeforeStay < 0) {
+    return { status: "fail", detail: `Event is after the start of the stay (must be ${describeWindow(tw)})` };
+  }
+  if (hoursBeforeStay > limit) {
+    return {
+      status: "fail",
+      detail: `Event is ${hoursBeforeStay} hours before the stay (must be ${describeWindow(tw)})`,
+    };
+  }
+  return { status: "pass", detail: `Within ${describeWindow(tw)}` };
+}
+
+function checkCoveredParties(reason, party) {
+  const covered = reason.covered_parties || [];
+  if (!party) return { status: "unknown", detail: `Confirm who is affected - covers: ${covered.join(", ")}` };
+
+  const ok = PARTY_COVERS[party].some((p) => covered.includes(p));
+  return ok
+    ? { status: "pass", detail: `${party} is a covered party` }
+    : { status: "fail", detail: `${party} is not covered - covers: ${covered.join(", ")}` };
+}
+
+/**
+ * Steps 1-2 of the preferred match order: which coverage reasons does the stated reason point to?
+ * Returns [{ reason, matchedBy, matchedKeywords, score }], strongest first.
+ */
+function withEventAliases(statedReason) {
+  const raw = ` ${String(statedReason || "").toLowerCase().replace(/[^a-z0-9\s]/g, " ").replace(/\s+/g, " ")} `;
+  const extra = Object.entries(EVENT_ALIASES)
+    .filter(([, aliases]) => aliases.some((a) => raw.includes(` ${a} `)))
+    .map(([word]) => word);
+  return [statedReason, ...extra].join(" ");
+}
+
+function findCandidates(guide, statedReason) {
+  const reasons = guide?.coverage_reasons || [];
+  const stated = withEventAliases(statedReason);
+  const text = phrase(stated);
+  const textTokens = new Set(keywordTokens(stated));
+  const rawLower = String(statedReason || "").toLowerCase();
+  const examples = guide?.ai_helper_hints?.keyword_to_ids_examples || {};
+
+  // every word of the keyword present, in any order ("stolen car" still hits "car stolen")
+  const hasKeyword = (kw) => {
+    const kwTokens = keywordTokens(kw);
+    return kwTokens.length > 0 && kwTokens.every((t) => textTokens.has(t));
+  };
+
+  const exampleIds = new Set();
+  for (const [kw, ids] of Object.entries(examples)) {
+    if (hasKeyword(kw)) (ids || []).forEach((id) => exampleIds.add(id));
+  }
+
+  const out = [];
+  for (const r of reasons) {
+    const title = phrase(r.title);
+    if (containsPhrase(text, title) || rawLower.trim() === String(r.id).toLowerCase()) {
+      out.push({ reason: r, matchedBy: "exact_title_match", matchedKeywords: [], score: 100 });
+      continue;
+    }
+
+    const matchedKeywords = (r.keywords || []).filter((kw) => !TIMING_KEYWORD.test(kw) && hasKeyword(kw));
+    const fromExamples = exampleIds.has(r.id);
+
+    if (matchedKeywords.length || fromExamples) {
+      out.push({
+        reason: r,
+        matchedBy: "keyword_match",
+        matchedKeywords,
+        score: matchedKeywords.length * 10 + (fromExamples ? 5 : 0),
+      });
+    }
+  }
+
+  return out.sort((a, b) => b.score - a.score);
+}
+
+// how well a candidate does on each step of preferred_match_order (higher is better)
+const CHECK_RANK = { pass: 2, not_applicable: 2, unknown: 1, fail: 0 };
+const MATCH_STEPS = {
+  exact_title_match: (c) => (c.matchedBy === "exact_title_match" ? 1 : 0),
+  keyword_match: (c) => c.score,
+  time_window_match: (c) => CHECK_RANK[c.checks.timeWindow.status],
+  covered_parties_match: (c) => CHECK_RANK[c.checks.coveredParties.status],
+};
+
+/**
+ * Run the RPP coverage check.
+ * @param {object} guide parsed rpp_protection_guide.json
+ * @param {{ reason: string, affected?: string, timing?: number|string|{ value, unit } }} input
+ */
+export function checkRppCoverage(guide, { reason, affected, timing } = {}) {
+  const matchOrder = guide?.ai_helper_hints?.matching_rules?.preferred_match_order || DEFAULT_MATCH_ORDER;
+  const categories = new Map((guide?.categories || []).map((c) => [c.id, c]));
+
+  const party = normalizeAffectedParty(affected);
+  const { hoursBeforeStay } = parseTiming(timing);
+
+  const candidates = findCandidates(guide, reason).map(({ reason: r, matchedBy, matchedKeywords, score }) => {
+    const checks = {
+      timeWindow: checkTimeWindow(r, hoursBeforeStay),
+      coveredParties: checkCoveredParties(r, party),
+    };
+    const statuses = Object.values(checks).map((c) => c.status);
+    const eligibility = statuses.includes("fail")
+      ? "not_eligible"
+      : statuses.includes("unknown")
+      ? "needs_info"
+      : "eligible";
+
+    const category = categories.get(r.category_id);
+    return {
+      id: r.id,
+      title: r.title,
+      category: category ? { id: category.id, name: category.name } : { id: r.category_id, name: null },
+      matchedBy,
+      matchedKeywords,
+      score,
+      eligibility,
+      checks,
+      coveredParties: r.covered_parties || [],
+      timeWindow: r.time_window || null,
+      triggerSummary: r.trigger_summary || "",
+      policyText: r.policy_text,
+    };
+  });
+
+  // ranked by the guide's preferred match order: each step is a sort key, later steps only break ties
+  const keys = matchOrder.map((step) => MATCH_STEPS[step]).filter(Boolean);
+  candidates.sort((a, b) => {
+    for (const key of keys) {
+      const d = key(b) - key(a);
+      if (d) return d;
+    }
+    return 0;
+  });
+
+  const best = candidates[0];
+  return {
+    status: !best ? "no_match" : best.eligibility,
+    input: {
+      reason: String(reason || ""),
+      affected: affected ?? null,
+      affectedParty: party,
+      timing: timing ?? null,
+      hoursBeforeStay,
+    },
+    matchOrder,
+    candidates,
+    disclaimer: guide?.plan?.document?.disclaimer || guide?.ai_helper_hints?.matching_rules?.notes || null,
+  };
+}
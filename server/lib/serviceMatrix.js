@@ -0,0 +1,260 @@
+// server/lib/serviceMatrix.js
+// Service Matrix parsing (column-aware scenario records) + ranked scenario search
+
+// Column headers as they appear in the sheet (Slack has a zero-width space in the source file)
+const COLUMN_ALIASES = {
+  instructions: ["instructions"],
+  slack: ["slack"],
+  refundQueue: ["refund queue"],
+  ticket: ["create a ticket", "ticket"],
+  supervisor: ["supervisor"],
+};
+
+export const ROUTING_LABELS = {
+  slack: "Slack",
+  refundQueue: "Refund Queue",
+  ticket: "Ticket",
+  supervisor: "Supervisor",
+};
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be been but by can do does for from get got had has have he her his how i if in " +
+    "into is it its me my no not of on or our she so than that the their them then there they this to " +
+    "too us was we were what when where which who why will with would you your guest guests agent " +
+    "customer client caller call calls calling says said want wants need needs"
+  ).split(" ")
+);
+
+// Floor vocabulary -> words the matrix actually uses
+const SYNONYMS = {
+  uber: ["shuttle", "uber", "lyft"],
+  lyft: ["shuttle", "uber", "lyft"],
+  taxi: ["shuttle", "uber", "lyft"],
+  ride: ["shuttle", "uber", "lyft"],
+  transport: ["shuttle"],
+  transportation: ["shuttle"],
+  walked: ["overbooking", "relocation"],
+  overbooked: ["overbooking", "relocation"],
+  refund: ["refund", "refunds"],
+  cancel: ["cancelling", "cancellation"],
+  cancellation: ["cancelling", "cancellation"],
+  receipt: ["receipt", "invoice"],
+  invoice: ["receipt", "invoice"],
+  rpp: ["refund", "protection", "plan"],
+};
+
+function clean(v) {
+  return String(v ?? "")
+    .replace(/[\u200b-\u200d\ufeff]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function stem(w) {
+  if (w.length > 5 && w.endsWith("ing")) return w.slice(0, -3);
+  if (w.length > 4 && w.endsWith("ed")) return w.slice(0, -2);
+  if (w.length > 3 && w.endsWith("s") && !w.endsWith("ss")) return w.slice(0, -1);
+  return w;
+}
+
+export function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[\u2018\u2019']/g, "")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((w) => w.length >= 2 && !STOPWORDS.has(w))
+    .map(stem);
+}
+
+function expandQueryTokens(question) {
+  const raw = String(question || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const out = new Set(tokenize(question));
+  for (const w of raw) {
+    for (const syn of SYNONYMS[w] || []) out.add(stem(syn));
+  }
+  return out;
+}
+
+function normPhrase(s) {
+  return tokenize(s).join(" ");
+}
+
+export function slug(s) {
+  return clean(s)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// "YES - If they accept 15% compensation" -> { value: "conditional", note: "If they accept 15% compensation" }
+export function parseRoutingFlag(raw) {
+  const text = clean(raw);
+  if (!text) return { value: "unknown", note: "", raw: "" };
+
+  const m = text.match(/^(yes|no|none)\b[\s\-–—:,.]*(.*)$/i);
+  if (!m) return { value: "conditional", note: text, raw: text };
+
+  const head = m[1].toLowerCase();
+  const note = clean(m[2]);
+
+  if (head === "yes") {
+    const conditional = /\b(if|only|when|unless|for)\b/i.test(note);
+    return { value: conditional ? "conditional" : "yes", note, raw: text };
+  }
+  return { value: head === "none" ? "none" : "no", note, raw: text };
+}
+
+export function formatRoutingFlag(flag) {
+  if (!flag) return "Unknown";
+  const base =
+    flag.value === "yes" || flag.value === "conditional"
+      ? "Yes"
+      : flag.value === "none"
+      ? "None"
+      : flag.value === "no"
+      ? "No"
+      : "Unknown";
+  if (!flag.note) return base;
+  return flag.value === "conditional" && !/^(yes|no|none)\b/i.test(flag.raw)
+    ? flag.note
+    : `${base} (${flag.note})`;
+}
+
+export function formatRoutingSummary(routing = {}) {
+  return Object.keys(ROUTING_LABELS)
+    .map((k) => `${ROUTING_LABELS[k]}: ${formatRoutingFlag(routing[k])}`)
+    .join(" / ");
+}
+
+function headerIndexes(row) {
+  const cells = row.map((c) => clean(c).toLowerCase());
+  if (!cells.includes("instructions")) return null;
+
+  const idx = { issue: 0 };
+  for (const [key, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const i = cells.findIndex((c) => aliases.includes(c));
+    if (i >= 0) idx[key] = i;
+  }
+  return idx;
+}
+
+/**
+ * Turn the raw matrix doc ({ [sheetName]: rows[][] }) into scenario records.
+ * Rows are numbered 1-based exactly like the spreadsheet so citations line up.
+ */
+export function parseMatrix(matrixDoc) {
+  const scenarios = [];
+  const notes = [];
+
+  for (const [sheetName, rows] of Object.entries(matrixDoc || {})) {
+    if (sheetName === "__meta" || !Array.isArray(rows)) continue;
+
+    let cols = null;
+    let section = "";
+
+    rows.forEach((row, i) => {
+      const rowArr = Array.isArray(row) ? row : [row];
+      const rowNumber = i + 1;
+      if (!rowArr.some((c) => clean(c))) return;
+
+      const header = headerIndexes(rowArr);
+      if (header) {
+        cols = header;
+        section = clean(rowArr[0]);
+        return;
+      }
+
+      if (!cols) {
+        const text = rowArr.map(clean).filter(Boolean).join(" — ");
+        if (text) notes.push({ sheetName, rowNumber, text });
+        return;
+      }
+
+      const issue = clean(rowArr[cols.issue]);
+      const instructions = clean(rowArr[cols.instructions]);
+      if (!issue || !instructions) return;
+
+      const routing = {
+        slack: parseRoutingFlag(rowArr[cols.slack]),
+        refundQueue: parseRoutingFlag(rowArr[cols.refundQueue]),
+        ticket: parseRoutingFlag(rowArr[cols.ticket]),
+        supervisor: parseRoutingFlag(rowArr[cols.supervisor]),
+      };
+
+      scenarios.push({
+        id: `${slug(sheetName)}:${rowNumber}`,
+        sheetName,
+        rowNumber,
+        section,
+        issue,
+        instructions,
+        routing,
+        routingSummary: formatRoutingSummary(routing),
+      });
+    });
+  }
+
+  return { scenarios, notes };
+}
+
+function scoreScenario(scenario, qTokens, qPhrase) {
+  const issueTokens = new Set(tokenize(scenario.issue));
+  const instrTokens = new Set(tokenize(scenario.instructions));
+
+  let issueHits = 0;
+  let instrHits = 0;
+  for (const t of qTokens) {
+    if (issueTokens.has(t)) issueHits += 1;
+    if (instrTokens.has(t)) instrHits += 1;
+  }
+
+  // single-word issues ("Hotel Calls" -> "hotel") are too generic to count as a verbatim hit
+  const issuePhrase = normPhrase(scenario.issue);
+  const exact = issueTokens.size >= 2 && ` ${qPhrase} `.includes(` ${issuePhrase} `);
+
+  const issueCoverage = issueTokens.size ? issueHits / issueTokens.size : 0;
+  const queryCoverage = qTokens.size ? issueHits / qTokens.size : 0;
+
+  const score =
+    issueHits * 3 + Math.min(instrHits, 6) + issueCoverage * 4 + queryCoverage * 2 + (exact ? 10 : 0);
+
+  return {
+    score: Math.round(score * 100) / 100,
+    issueCoverage: Math.round(issueCoverage * 100) / 100,
+    queryCoverage: Math.round(queryCoverage * 100) / 100,
+    exact,
+  };
+}
+
+/**
+ * Rank scenarios for a free-text question.
+ * Returns [{ ...scenario, match: { score, issueCoverage, queryCoverage, exact } }], best first.
+ */
+export function searchMatrix(scenarios, question, { limit = 10, sheet } = {}) {
+  const qTokens = expandQueryTokens(question);
+  if (!qTokens.size) return [];
+
+  const qPhrase = normPhrase(question);
+  const sheetKey = clean(sheet).toLowerCase();
+
+  return (scenarios || [])
+    .filter((s) => !sheetKey || s.sheetName.toLowerCase() === sheetKey)
+    .map((s, order) => ({ ...s, match: scoreScenario(s, qTokens, qPhrase), order }))
+    .filter((s) => s.match.score > 0)
+    .sort((a, b) => b.match.score - a.match.score || a.order - b.order)
+    .slice(0, Math.max(1, limit))
+    .map(({ order, ...s }) => s);
+}
+
+export function formatScenarioForPrompt(s) {
+  return `[Sheet: ${s.sheetName} | Row: ${s.rowNumber}] ${s.section ? `(${s.section}) ` : ""}Issue: ${
+    s.issue
+  } | Instructions: ${s.instructions} | ${s.routingSummary}`;
+}
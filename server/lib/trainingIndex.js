@@ -0,0 +1,174 @@
+// server/lib/trainingIndex.js
+// In-process BM25 index over the training guide (knowledge_base chunks + scripts + slide chunks JSONL)
+
+import { tokenize } from "./serviceMatrix.js";
+
+const K1 = 1.2;
+const B = 0.75;
+const MIN_CHUNK_CHARS = 20;
+
+function clean(s) {
+  return String(s ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function baseName(file) {
+  return String(file || "")
+    .split(/[\\/]/)
+    .pop();
+}
+
+// "[Slide 9]\nDiscounts ..." -> [9]
+function slidesFromText(text) {
+  return [...String(text || "").matchAll(/\[Slide (\d+)\]/g)].map((m) => Number(m[1]));
+}
+
+function fromKnowledgeBase(guide) {
+  const kb = guide?.knowledge_base || {};
+  const out = [];
+
+  for (const c of kb.chunks || []) {
+    const text = clean(c.text);
+    if (text.length < MIN_CHUNK_CHARS) continue;
+    const src = c.source || {};
+    out.push({
+      id: c.chunk_id,
+      origin: "knowledge_base",
+      kind: c.kind || "chunk",
+      category: c.category || "",
+      text,
+      context: clean(c.context),
+      keywords: Array.isArray(c.keywords) ? c.keywords : [],
+      source: {
+        file: src.file || "",
+        slide: src.slide ?? null,
+        slideTitle: src.slide_title || "",
+        sheet: src.sheet || "",
+        cell: src.cell || "",
+      },
+    });
+  }
+
+  (kb.scripts || []).forEach((sc, i) => {
+    const text = clean(sc.text);
+    if (!text) return;
+    const src = sc.source || {};
+    out.push({
+      id: `script_${String(i + 1).padStart(3, "0")}`,
+      origin: "scripts",
+      kind: "script",
+      category: sc.category || "",
+      text,
+      context: "",
+      keywords: [],
+      source: { file: src.file || "", slide: src.slide ?? null, slideTitle: src.slide_title || "" },
+    });
+  });
+
+  return out;
+}
+
+function fromChunksJsonl(rows) {
+  return (rows || [])
+    .filter((r) => r && r.id && clean(r.text))
+    .map((r) => {
+      const slides = slidesFromText(r.text);
+      return {
+        id: r.id,
+        origin: "chunks_jsonl",
+        kind: r.type || "chunk",
+        category: "",
+        text: String(r.text).trim(),
+        context: "",
+        keywords: [],
+        source: { file: r.source_rel || "", slide: slides[0] ?? null, slides, slideTitle: "" },
+      };
+    });
+}
+
+/**
+ * Build the lexical index. Called from loadDocuments() whenever the training docs (re)load.
+ * @param {{ trainingGuide?: object, trainingChunks?: object[] }} docs
+ */
+export function buildTrainingIndex({ trainingGuide, trainingChunks } = {}) {
+  const docs = [...fromKnowledgeBase(trainingGuide), ...fromChunksJsonl(trainingChunks)];
+
+  const postings = new Map(); // term -> [[docIdx, tf], ...]
+  const lengths = new Array(docs.length);
+  let totalLen = 0;
+
+  docs.forEach((d, i) => {
+    const tokens = tokenize(`${d.context} ${d.text} ${d.keywords.join(" ")}`);
+    lengths[i] = tokens.length;
+    totalLen += tokens.length;
+
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const [t, n] of tf) {
+      if (!postings.has(t)) postings.set(t, []);
+      postings.get(t).push([i, n]);
+    }
+  });
+
+  return {
+    docs,
+    postings,
+    lengths,
+    avgdl: docs.length ? totalLen / docs.length : 0,
+    builtAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Top-k BM25 hits for a question.
+ * @returns {Array<{ id, score, origin, kind, category, text, source }>}
+ */
+export function searchTraining(index, question, { k = 8 } = {}) {
+  if (!index || !index.docs?.length) return [];
+
+  const terms = Array.from(new Set(tokenize(question)));
+  const N = index.docs.length;
+  const scores = new Map();
+
+  for (const t of terms) {
+    const list = index.postings.get(t);
+    if (!list) continue;
+    const idf = Math.log(1 + (N - list.length + 0.5) / (list.length + 0.5));
+    for (const [i, tf] of list) {
+      const norm = tf + K1 * (1 - B + (B * index.lengths[i]) / (index.avgdl || 1));
+      scores.set(i, (scores.get(i) || 0) + idf * ((tf * (K1 + 1)) / norm));
+    }
+  }
+
+  // the guide repeats the same bullet across decks - keep one copy per text
+  const seen = new Set();
+  return Array.from(scores.entries())
+    .sort((a, b) => b[1] - a[1])
+    .filter(([i]) => {
+      const key = index.docs[i].text.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, Math.max(1, k))
+    .map(([i, score]) => {
+      const d = index.docs[i];
+      return {
+        id: d.id,
+        score: Math.round(score * 1000) / 1000,
+        origin: d.origin,
+        kind: d.kind,
+        category: d.category,
+        text: d.text,
+        source: d.source,
+      };
+    });
+}
+
+export function formatTrainingHit(h) {
+  const where = [baseName(h.source?.file), h.source?.slide != null ? `Slide ${h.source.slide}` : ""]
+    .filter(Boolean)
+    .join(" | ");
+  return `[Training: ${h.id}${where ? ` | ${where}` : ""}]${h.category ? ` (${h.category})` : ""} ${h.text}`;
+}
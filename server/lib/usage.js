@@ -0,0 +1,214 @@
+// server/lib/usage.js
+// Per-user / per-call-center rate limits, daily token + cost ledger and budget checks
+
+import fs from "fs/promises";
+import path from "path";
+
+// USD per 1M tokens; override with USAGE_PRICES='{"anthropic":{"input":3,"output":15}}'
+export const DEFAULT_PRICES = {
+  anthropic: { input: 3, output: 15 },
+  nebius: { input: 0.13, output: 0.4 },
+  kimi: { input: 1.7, output: 1.7 },
+  local: { input: 0, output: 0 },
+};
+
+export const UNASSIGNED_CALL_CENTER = "Unassigned";
+
+function round(n, dp = 6) {
+  const f = 10 ** dp;
+  return Math.round(n * f) / f;
+}
+
+// ledger days are UTC (budgets reset at 00:00 UTC)
+export function usageDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Rough token count when a provider does not report usage (~4 chars per token).
+ */
+export function estimateUsage({ systemPrompt = "", history = [], question = "", answer = "" }) {
+  const inputChars = systemPrompt.length + question.length + history.reduce((n, t) => n + String(t.content).length, 0);
+  return {
+    inputTokens: Math.ceil(inputChars / 4),
+    outputTokens: Math.ceil(String(answer || "").length / 4),
+    estimated: true,
+  };
+}
+
+export function usageCost(provider, { inputTokens = 0, outputTokens = 0 }, prices = DEFAULT_PRICES) {
+  const p = prices[provider] || { input: 0, output: 0 };
+  return round((inputTokens * p.input + outputTokens * p.output) / 1e6);
+}
+
+/**
+ * Fixed one-minute-style windows per key: at most `max` requests per `windowMs`.
+ */
+export function createRateLimiter({ windowMs = 60000, max = 10, now = () => Date.now() } = {}) {
+  const windows = new Map(); // key -> { start, count }
+
+  return {
+    max,
+    windowMs,
+
+    /** Counts the request when allowed. Returns { ok, remaining, retryAfterSec }. */
+    hit(key) {
+      if (!max || max <= 0) return { ok: true, remaining: Infinity, retryAfterSec: 0 };
+
+      const t = now();
+      let w = windows.get(key);
+      if (!w || t - w.start >= windowMs) {
+        w = { start: t, count: 0 };
+        windows.set(key, w);
+      }
+
+      // opportunistic cleanup so the map doesn't grow with every user ever seen
+      if (windows.size > 5000) {
+        for (const [k, v] of windows) if (t - v.start >= windowMs) windows.delete(k);
+      }
+
+      if (w.count >= max) {
+        return { ok: false, remaining: 0, retryAfterSec: Math.max(1, Math.ceil((w.start + windowMs - t) / 1000)) };
+      }
+      w.count += 1;
+      return { ok: true, remaining: max - w.count, retryAfterSec: 0 };
+    },
+  };
+}
+
+function emptyTotals() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, estimatedRequests: 0 };
+}
+
+function addTo(totals, { inputTokens = 0, outputTokens = 0, estimated = false }, costUsd) {
+  totals.requests += 1;
+  totals.inputTokens += inputTokens;
+  totals.outputTokens += outputTokens;
+  totals.totalTokens += inputTokens + outputTokens;
+  totals.costUsd = round(totals.costUsd + costUsd);
+  if (estimated) totals.estimatedRequests += 1;
+}
+
+/**
+ * Daily usage ledger: one JSON file per UTC day ({ date, users, callCenters, providers }), kept in memory
+ * for today and written after every record (serialised, atomic rename).
+ * @param {{ dir: string, prices?: object }} opts
+ */
+export function createUsageLedger({ dir, prices = DEFAULT_PRICES, now = () => Date.now() }) {
+  let day = null; // { date, users, callCenters, providers }
+  let loading = null; // { date, promise } - requests arriving together (cold start, rollover) share one read
+  let writing = Promise.resolve();
+
+  const fileFor = (date) => path.join(dir, `usage-${date}.json`);
+
+  async function readDay(date) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(date), "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  async function current() {
+    const date = usageDay(now());
+    if (day?.date === date) return day;
+    if (loading?.date !== date) {
+      const promise = readDay(date).then((d) => {
+        const loaded = d || { date, users: {}, callCenters: {}, providers: {} };
+        if (!day || day.date < date) day = loaded;
+        return loaded;
+      });
+      loading = { date, promise };
+      // forget it either way: a failed read is retried by the next call
+      const done = () => {
+        if (loading?.promise === promise) loading = null;
+      };
+      promise.then(done, done);
+    }
+    return loading.promise;
+  }
+
+  function save(snapshot) {
+    const data = JSON.stringify(snapshot, null, 2);
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(dir, { recursive: true });
+        const file = fileFor(snapshot.date);
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, data, "utf8");
+        await fs.rename(tmp, file);
+      });
+    return writing;
+  }
+
+  return {
+    /** Today's totals for one user and their call center. */
+    async totals({ email, callCenter }) {
+      const d = await current();
+      return {
+        user: d.users[email] || emptyTotals(),
+        callCenter: d.callCenters[callCenter || UNASSIGNED_CALL_CENTER] || emptyTotals(),
+      };
+    },
+
+    /**
+     * @param {{ email: string, callCenter?: string, provider: string,
+     *           usage: { inputTokens, outputTokens, estimated? } }} entry
+     */
+    async record({ email, callCenter, provider, usage }) {
+      const d = await current();
+      const costUsd = usageCost(provider, usage, prices);
+      const cc = callCenter || UNASSIGNED_CALL_CENTER;
+
+      const user = (d.users[email] ||= emptyTotals());
+      user.callCenter = cc;
+      addTo(user, usage, costUsd);
+      addTo((d.callCenters[cc] ||= emptyTotals()), usage, costUsd);
+      addTo((d.providers[provider] ||= emptyTotals()), usage, costUsd);
+
+      await save(d);
+      return { costUsd };
+    },
+
+    /** Whole day for /api/usage (today from memory, other days from disk). */
+    async report(date = usageDay(now())) {
+      const d = date === usageDay(now()) ? await current() : await readDay(date);
+      return d || { date, users: {}, callCenters: {}, providers: {} };
+    },
+  };
+}
+
+/**
+ * First budget the user or their call center has used up today, or null.
+ * budgets: { user: { tokens, costUsd }, callCenter: { tokens, costUsd }, callCenters: { [name]: { tokens, costUsd } } }
+ * A limit of 0 / missing means "no limit".
+ */
+export function budgetExceeded(totals, budgets, callCenter) {
+  const key = Object.keys(budgets.callCenters || {}).find(
+    (k) => k.toLowerCase() === String(callCenter || "").toLowerCase()
+  );
+  const ccBudget = { ...budgets.callCenter, ...(key ? budgets.callCenters[key] : {}) };
+  const checks = [
+    { scope: "user", used: totals.user, limit: budgets.user || {} },
+    { scope: "call_center", used: totals.callCenter, limit: ccBudget },
+  ];
+
+  for (const { scope, used, limit } of checks) {
+    if (limit.tokens > 0 && used.totalTokens >= limit.tokens) {
+      return { scope, metric: "tokens", used: used.totalTokens, limit: limit.tokens };
+    }
+    if (limit.costUsd > 0 && used.costUsd >= limit.costUsd) {
+      return { scope, metric: "costUsd", used: used.costUsd, limit: limit.costUsd };
+    }
+  }
+  return null;
+}
+
+// seconds until the ledger day rolls over (when budgets reset)
+export function secondsUntilReset(now = Date.now()) {
+  const next = new Date(now);
+  next.setUTCHours(24, 0, 0, 0);
+  return Math.max(1, Math.ceil((next.getTime() - now) / 1000));
+}
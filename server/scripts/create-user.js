@@ -0,0 +1,85 @@
+// server/scripts/create-user.js
+// Create or update a login: npm run create-user -- --email a@b.com --name "Ana" --role admin [--call-center WNS]
+// The password is prompted for (or read from --password / CREATE_USER_PASSWORD for automation).
+
+import path from "path";
+import fs from "fs";
+import readline from "readline";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { createUserStore, ROLES } from "../lib/auth.js";
+import { createCallCenterRegistry } from "../lib/callCenters.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_ENV = path.join(__dirname, "..", "..", ".env");
+const SERVER_ENV = path.join(__dirname, "..", ".env");
+dotenv.config({ path: fs.existsSync(ROOT_ENV) ? ROOT_ENV : SERVER_ENV });
+
+const USERS_FILE = process.env.USERS_FILE || path.join(__dirname, "..", "storage", "users.json");
+const CALL_CENTERS_FILE =
+  process.env.CALL_CENTERS_FILE || path.join(__dirname, "..", "storage", "call-centers.json");
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!m) continue;
+    const key = m[1].replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (m[2] !== undefined) out[key] = m[2];
+    else if (argv[i + 1] && !argv[i + 1].startsWith("--")) out[key] = argv[++i];
+    else out[key] = true;
+  }
+  return out;
+}
+
+function promptHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = (s) => {
+      if (s.startsWith(question)) rl.output.write(question);
+    };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write("\n");
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.email || args.help) {
+    console.log(`Usage: npm run create-user -- --email <email> [--name <name>] [--role ${ROLES.join("|")}]`);
+    console.log("       [--call-center <name>] [--password <pw>] [--disable | --enable] [--keep-password]");
+    process.exit(args.help ? 0 : 1);
+  }
+
+  // --call-center must name an active center in the registry (any spelling; saved as its display name)
+  const callCenters = createCallCenterRegistry({ file: CALL_CENTERS_FILE });
+  const users = createUserStore({ file: USERS_FILE, callCenters });
+  const existing = await users.get(args.email);
+
+  let password;
+  if (!args.keepPassword || !existing) {
+    password = args.password || process.env.CREATE_USER_PASSWORD || (await promptHidden("Password (min 8 chars): "));
+  }
+
+  const out = await users.upsert({
+    email: args.email,
+    name: args.name,
+    role: args.role,
+    callCenter: args.callCenter,
+    password,
+    disabled: args.disable ? true : args.enable ? false : undefined,
+  });
+
+  const cc = out.user.callCenter ? `, ${out.user.callCenter}` : "";
+  const off = out.user.disabled ? " [disabled]" : "";
+  console.log(`✅ User ${out.action}: ${out.user.email} (${out.user.role}${cc})${off}`);
+  console.log(`📁 ${USERS_FILE}`);
+}
+
+main().catch((e) => {
+  console.error(`❌ ${e.message || e}`);
+  process.exit(1);
+});
@@ -0,0 +1,147 @@
+// server/scripts/golden.js
+// Golden-question regression run, offline: npm run golden -- [--matrix "<draft matrix.xlsx>"] [--update] [--json]
+// Runs test/golden/questions.json through the context builder with the stub provider (or --provider recorded),
+// checks every answer and prints the diff against test/golden/baseline.json.
+// Exits 1 when a check fails, a question regressed or the system prompt changed (until --update), so it can gate
+// matrix and prompt template updates.
+// --record <providerId> calls that real provider for the model-path questions and saves the answers for
+// --provider recorded (the only mode that needs network / API keys).
+
+import path from "path";
+import fs from "fs";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { localDocDirs, loadLocalDocState } from "../lib/docSources.js";
+import { providersFromEnv } from "../lib/providers.js";
+import {
+  loadGoldenSet,
+  runGoldenSet,
+  createStubProvider,
+  createRecordedProvider,
+  diffReports,
+  formatReport,
+  shortHash,
+} from "../lib/goldenHarness.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_ENV = path.join(__dirname, "..", "..", ".env");
+const SERVER_ENV = path.join(__dirname, "..", ".env");
+dotenv.config({ path: fs.existsSync(ROOT_ENV) ? ROOT_ENV : SERVER_ENV });
+
+const GOLDEN_DIR = path.join(__dirname, "..", "test", "golden");
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!m) continue;
+    const key = m[1].replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (m[2] !== undefined) out[key] = m[2];
+    else if (argv[i + 1] && !argv[i + 1].startsWith("--")) out[key] = argv[++i];
+    else out[key] = true;
+  }
+  return out;
+}
+
+function readJson(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + "\n", "utf8");
+  fs.renameSync(tmp, file);
+}
+
+// real provider, every answer kept for --provider recorded
+function createLiveRecorder(providerId, recordings) {
+  const providers = providersFromEnv();
+  if (!providers.has(providerId)) throw new Error(`Unknown provider "${providerId}" (use ${providers.ids().join(", ")})`);
+  if (!providers.isConfigured(providerId)) throw new Error(`Provider "${providerId}" is not configured in .env`);
+
+  return {
+    id: providerId,
+    async call({ caseId, question, systemPrompt, history }) {
+      const answer = await providers.call(providerId, { question, systemPrompt, history });
+      recordings[caseId] = {
+        answer,
+        provider: providerId,
+        model: providers.model(providerId),
+        promptHash: shortHash(systemPrompt),
+        recordedAt: new Date().toISOString(),
+      };
+      return { answer, provider: providerId, model: providers.model(providerId) };
+    },
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(
+      "Usage: npm run golden -- [--set <questions.json>] [--baseline <baseline.json>] [--matrix <matrix.xlsx>]\n" +
+        "       [--provider stub|recorded] [--recordings <file>] [--record <providerId>] [--only id,id]\n" +
+        "       [--update] [--json] [--out <report.json|report.txt>]"
+    );
+    process.exit(0);
+  }
+
+  const setFile = path.resolve(args.set || path.join(GOLDEN_DIR, "questions.json"));
+  const baselineFile = path.resolve(args.baseline || path.join(GOLDEN_DIR, "baseline.json"));
+  const recordingsFile = path.resolve(args.recordings || path.join(GOLDEN_DIR, "recordings.json"));
+  const only = args.only ? String(args.only).split(",").map((s) => s.trim()).filter(Boolean) : null;
+
+  const overrides = args.matrix ? { matrix: path.resolve(String(args.matrix)) } : {};
+  const { state, missing } = loadLocalDocState(localDocDirs(path.join(__dirname, "..")), overrides);
+  if (missing.includes("matrix")) throw new Error(`Service Matrix not found${args.matrix ? `: ${args.matrix}` : ""}`);
+  if (missing.length) console.warn(`⚠️ Docs not found locally (left out of the context): ${missing.join(", ")}`);
+
+  const set = loadGoldenSet(setFile);
+  const recordings = readJson(recordingsFile, { recordings: {} }).recordings || {};
+
+  const provider = args.record
+    ? createLiveRecorder(String(args.record), recordings)
+    : args.provider === "recorded"
+    ? createRecordedProvider(recordings)
+    : createStubProvider(state);
+
+  const report = await runGoldenSet(state, set, {
+    provider,
+    only,
+    docsInfo: args.matrix ? { matrixFile: path.basename(String(args.matrix)) } : {},
+  });
+
+  if (args.record) {
+    writeJson(recordingsFile, { recordings });
+    console.log(`🎙️ Recorded ${report.results.filter((r) => r.resolution === "model").length} answer(s) → ${recordingsFile}`);
+  }
+
+  const baseline = readJson(baselineFile, null);
+  const diff = baseline ? diffReports(baseline, report) : null;
+
+  if (args.json) console.log(JSON.stringify({ report, diff }, null, 2));
+  else console.log(formatReport(report, diff));
+
+  if (args.out) {
+    const out = path.resolve(String(args.out));
+    if (out.endsWith(".json")) writeJson(out, { report, diff });
+    else fs.writeFileSync(out, formatReport(report, diff) + "\n", "utf8");
+  }
+
+  if (args.update) {
+    if (only) throw new Error("--update writes the whole baseline; drop --only");
+    writeJson(baselineFile, report);
+    console.log(`📌 Baseline updated → ${baselineFile}`);
+  }
+
+  const failed =
+    report.summary.failed > 0 || (diff?.regressions || 0) > 0 || (!args.update && (diff?.promptChanges || 0) > 0);
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch((e) => {
+  console.error(`❌ ${e.message || e}`);
+  process.exit(1);
+});
@@ -0,0 +1,71 @@
+// server/scripts/migrate-reviews.js
+// Copy reviews (and their revision history) between storage backends, keeping review ids and timestamps:
+//   npm run migrate-reviews -- --from sheets --to file [--file ./storage/reviews.json] [--dry-run]
+// Backends are configured like the server (GOOGLE_SHEETS_* / REVIEWS_FILE); --file overrides the file path.
+// Re-running is safe: a review already in the target is only overwritten by a newer copy, revisions are not repeated.
+
+import path from "path";
+import fs from "fs";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { REVIEW_BACKENDS, createReviewAdapter, createReviewStore, reviewsConfigFromEnv } from "../lib/reviewStore.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_ENV = path.join(__dirname, "..", "..", ".env");
+const SERVER_ENV = path.join(__dirname, "..", ".env");
+dotenv.config({ path: fs.existsSync(ROOT_ENV) ? ROOT_ENV : SERVER_ENV });
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!m) continue;
+    const key = m[1].replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (m[2] !== undefined) out[key] = m[2];
+    else if (argv[i + 1] && !argv[i + 1].startsWith("--")) out[key] = argv[++i];
+    else out[key] = true;
+  }
+  return out;
+}
+
+function label(config, backend) {
+  if (backend === "file") return `file ${config.file}`;
+  return `sheet ${config.sheets.spreadsheetId || "(unset)"}/${config.sheets.tabName}`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const ok = REVIEW_BACKENDS.includes(args.from) && REVIEW_BACKENDS.includes(args.to) && args.from !== args.to;
+  if (args.help || !ok) {
+    const b = REVIEW_BACKENDS.join("|");
+    console.log(`Usage: npm run migrate-reviews -- --from <${b}> --to <${b}> [--file <path>] [--dry-run]`);
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const config = reviewsConfigFromEnv(process.env, { storageDir: path.join(__dirname, "..", "storage") });
+  if (args.file) config.file = path.resolve(args.file);
+
+  const source = createReviewStore({ adapter: createReviewAdapter({ ...config, backend: args.from }) });
+  const target = createReviewStore({ adapter: createReviewAdapter({ ...config, backend: args.to }) });
+
+  const reviews = await source.exportAll();
+  const history = await source.exportHistory();
+  console.log(`📥 ${reviews.length} review(s), ${history.length} revision(s) in ${label(config, args.from)}`);
+
+  if (args.dryRun) {
+    const existing = new Set((await target.exportAll()).map((r) => r.reviewId));
+    const fresh = reviews.filter((r) => !existing.has(r.reviewId)).length;
+    console.log(`🔍 Dry run: ${fresh} new, ${reviews.length - fresh} already in ${label(config, args.to)}`);
+    return;
+  }
+
+  const out = await target.importReviews(reviews);
+  const revisions = await target.importHistory(history);
+  console.log(`✅ ${label(config, args.to)}: ${out.created} created, ${out.updated} updated, ${out.skipped} skipped`);
+  console.log(`🕘 ${revisions} revision(s) copied`);
+}
+
+main().catch((e) => {
+  console.error(`❌ ${e.message || e}`);
+  process.exit(1);
+});
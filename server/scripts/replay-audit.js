@@ -0,0 +1,118 @@
+// server/scripts/replay-audit.js
+// Re-run an audited ask against the documents the server has loaded now and print the answer diff:
+//   npm run audit-replay -- <requestId> [--api http://localhost:5050] [--json]
+// Signs in with --token / AUDIT_TOKEN, or --email + --password (AUDIT_EMAIL / AUDIT_PASSWORD). Needs qa_lead.
+// Exits 2 when the answer changed, so it can gate scripted doc updates.
+
+import path from "path";
+import fs from "fs";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_ENV = path.join(__dirname, "..", "..", ".env");
+const SERVER_ENV = path.join(__dirname, "..", ".env");
+dotenv.config({ path: fs.existsSync(ROOT_ENV) ? ROOT_ENV : SERVER_ENV });
+
+function parseArgs(argv) {
+  const out = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!m) {
+      out._.push(argv[i]);
+      continue;
+    }
+    const key = m[1].replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (m[2] !== undefined) out[key] = m[2];
+    else if (argv[i + 1] && !argv[i + 1].startsWith("--")) out[key] = argv[++i];
+    else out[key] = true;
+  }
+  return out;
+}
+
+async function request(api, route, { method = "GET", token, body } = {}) {
+  const res = await fetch(`${api}${route}`, {
+    method,
+    headers: {
+      ...(body ? { "Content-Type": "application/json" } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok || !data?.ok) {
+    throw new Error(`${method} ${route} failed (HTTP ${res.status}): ${data?.error || "no response body"}`);
+  }
+  return data;
+}
+
+async function signIn(api, args) {
+  const token = args.token || process.env.AUDIT_TOKEN;
+  if (token) return token;
+
+  const email = args.email || process.env.AUDIT_EMAIL;
+  const password = args.password || process.env.AUDIT_PASSWORD;
+  if (!email || !password) throw new Error("Pass --token, or --email and --password (or AUDIT_* env vars)");
+  return (await request(api, "/api/auth/login", { method: "POST", body: { email, password } })).token;
+}
+
+function printReplay(out) {
+  const { original, replay, diff, docChanges } = out;
+  const line = (label, before, after) =>
+    console.log(`${label.padEnd(12)} ${before ?? "-"}${before === after ? "" : `  →  ${after ?? "-"}`}`);
+
+  console.log(`🔁 Replay ${out.requestId} of ${out.replayOf} (asked ${original.ts})`);
+  line("Resolution", diff.resolution.before, diff.resolution.after);
+  line("Provider", diff.provider.before, diff.provider.after);
+  line("Citations", diff.citationVerdict.before, diff.citationVerdict.after);
+  if (diff.contextChanged !== null) {
+    console.log(`${"Context".padEnd(12)} ${diff.contextChanged ? "changed" : "unchanged"}`);
+  }
+  line("Docs", original.docVersion?.id, replay.docVersion?.id);
+  if (docChanges?.matrix) {
+    const m = docChanges.matrix;
+    console.log(
+      `${"".padEnd(12)} matrix: +${m.summary.added} / -${m.summary.removed} / ~${m.summary.changed} rows` +
+        ` (${m.summary.flagChanges} routing flag change(s))`
+    );
+    for (const r of m.changed) {
+      const what = [...r.flags.map((f) => `${f.flag}: ${f.before} → ${f.after}`), ...r.fields.map((f) => f.field)];
+      console.log(`~ ${r.sheetName} #${r.rowNumber} ${r.issue}: ${what.join("; ")}`);
+    }
+    for (const r of m.removed) console.log(`- ${r.sheetName} #${r.rowNumber} ${r.issue}`);
+    for (const r of m.added) console.log(`+ ${r.sheetName} #${r.rowNumber} ${r.issue}`);
+  }
+  if (diff.citations.added.length) console.log(`+ cited: ${diff.citations.added.join(", ")}`);
+  if (diff.citations.removed.length) console.log(`- cited: ${diff.citations.removed.join(", ")}`);
+  console.log("");
+
+  if (!diff.answerChanged) {
+    console.log("✅ Answer unchanged");
+    return;
+  }
+  console.log(`✏️ Answer changed (+${diff.summary.added} / -${diff.summary.removed} lines)`);
+  for (const l of diff.lines) console.log(`${l.op} ${l.line}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const requestId = args._[0];
+  if (!requestId || args.help) {
+    console.log("Usage: npm run audit-replay -- <requestId> [--api <url>] [--token <t> | --email <e> --password <p>] [--json]");
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const defaultApi = `http://localhost:${process.env.PORT || 5050}`;
+  const api = String(args.api || process.env.AUDIT_API_BASE || defaultApi).replace(/\/+$/, "");
+  const token = await signIn(api, args);
+  const out = await request(api, `/api/audit/${encodeURIComponent(requestId)}/replay`, { method: "POST", token });
+
+  if (args.json) console.log(JSON.stringify(out, null, 2));
+  else printReplay(out);
+  process.exit(out.diff.answerChanged ? 2 : 0);
+}
+
+main().catch((e) => {
+  console.error(`❌ ${e.message || e}`);
+  process.exit(1);
+});
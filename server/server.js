@@ -4,9 +4,47 @@ import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs";
+import crypto from "crypto";
 import xlsx from "xlsx";
 import { google } from "googleapis";
-import { listReviews, upsertReview } from "./lib/googleSheetsReviews.js";
+import { createReviewStore, createReviewAdapter, reviewsConfigFromEnv, REVIEW_STATUSES } from "./lib/reviewStore.js";
+import { searchMatrix } from "./lib/serviceMatrix.js";
+import { resolveFromMatrix, buildMatrixAnswer, matrixCitation } from "./lib/matrixAnswer.js";
+import { searchTraining } from "./lib/trainingIndex.js";
+import {
+  DOC_SOURCES,
+  localDocDirs,
+  resolveLocalDocPath,
+  parseWorkbook,
+  parseJsonl,
+  buildDocState,
+} from "./lib/docSources.js";
+import { buildContext as buildDocContext } from "./lib/contextBuilder.js";
+import { buildSystemPrompt } from "./lib/promptBuilder.js";
+import { parseAnswer, buildRepairQuestion } from "./lib/answerFormat.js";
+import { verifyCitations, flagUnverifiedAnswer } from "./lib/citations.js";
+import { checkRppCoverage } from "./lib/rppCoverage.js";
+import { matrixView, rubricView, rppView, trainingDocuments, trainingDocument } from "./lib/docViewer.js";
+import { createDocVersionStore, versionStamp } from "./lib/docVersions.js";
+import { createDocRefresher } from "./lib/docRefresh.js";
+import { parseRubric, buildScoringPrompt, parseScoringResponse, scoreTranscript } from "./lib/qaScoring.js";
+import { createConversationStore, boundedHistory, isValidConversationId, isOwnedBy } from "./lib/conversationStore.js";
+import { parseProviderChain, createCircuitBreaker, runWithFailover } from "./lib/providerChain.js";
+import { providersFromEnv } from "./lib/providers.js";
+import { createUserStore, createAuth, publicUser, hasRole, ROLES } from "./lib/auth.js";
+import {
+  DEFAULT_PRICES,
+  UNASSIGNED_CALL_CENTER,
+  createRateLimiter,
+  createUsageLedger,
+  estimateUsage,
+  budgetExceeded,
+  secondsUntilReset,
+  usageDay,
+} from "./lib/usage.js";
+import { createAuditLog, toCsv, toJsonl, diffLines, diffSummary } from "./lib/auditLog.js";
+import { createFeedbackStore, feedbackByScenario, needsReview, FEEDBACK_STATUSES } from "./lib/feedbackStore.js";
+import { createCallCenterRegistry } from "./lib/callCenters.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,20 +60,195 @@ const PORT = Number(process.env.PORT || 5050);
 const DEBUG = String(process.env.DEBUG || "false").toLowerCase() === "true";
 const AI_PROVIDER = String(process.env.AI_PROVIDER || "anthropic").toLowerCase();
 
-const NEBIUS_API_KEY = process.env.NEBIUS_API_KEY || "";
-const KIMI_API_KEY = process.env.KIMI_API_KEY || "";
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || "";
+// ✅ Provider registry (keys, base URLs, models from env) - nebius, kimi, anthropic, local
+const PROVIDERS = providersFromEnv(process.env);
 
-const NEBIUS_MODEL = process.env.NEBIUS_MODEL || "meta-llama/Meta-Llama-3.1-70B-Instruct";
-const KIMI_MODEL = process.env.KIMI_MODEL || "moonshot-v1-8k";
-const ANTHROPIC_MODEL = process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20240620";
+// ✅ Matrix-first: answer straight from a Service Matrix row (no LLM) when the match is this confident
+const MATRIX_FIRST = String(process.env.MATRIX_FIRST || "true").toLowerCase() !== "false";
+const MATRIX_FIRST_MIN_CONFIDENCE = Number(process.env.MATRIX_FIRST_MIN_CONFIDENCE || 0.85);
+
+// ✅ Output contract: re-ask the same provider once when the answer drops required sections
+const ANSWER_REPAIR = String(process.env.ANSWER_REPAIR || "true").toLowerCase() !== "false";
+const ANSWER_REPAIR_TIMEOUT_MS = Number(process.env.ANSWER_REPAIR_TIMEOUT_MS || 20000);
+
+// ✅ Training guide retrieval: top-k BM25 chunks instead of the first 12k chars of the JSON
+const TRAINING_TOP_K = Number(process.env.TRAINING_TOP_K || 12);
+
+// ✅ Upper bound on any single provider call (Render kills requests at ~60s)
+const PROVIDER_TIMEOUT_MS = Number(process.env.PROVIDER_TIMEOUT_MS || 55000);
+
+// ✅ Failover: providers tried in this order (default: AI_PROVIDER, then the others that have keys)
+const PROVIDER_CHAIN = parseProviderChain(process.env.AI_PROVIDER_CHAIN, {
+  primary: AI_PROVIDER,
+  known: PROVIDERS.ids(),
+});
+// whole chain must finish inside this budget; later providers get what is left of it
+const PROVIDER_CHAIN_BUDGET_MS = Number(process.env.PROVIDER_CHAIN_BUDGET_MS || 58000);
+const MIN_ATTEMPT_MS = 5000;
+
+// ✅ Circuit breaker: skip a provider for COOLDOWN after FAILURES consecutive retryable errors
+const CIRCUIT_BREAKER_FAILURES = Number(process.env.CIRCUIT_BREAKER_FAILURES || 3);
+const CIRCUIT_BREAKER_COOLDOWN_MS = Number(process.env.CIRCUIT_BREAKER_COOLDOWN_MS || 60000);
+
+// ✅ QA transcript scoring - transcripts longer than this are rejected instead of silently truncated
+const QA_TRANSCRIPT_MAX_CHARS = Number(process.env.QA_TRANSCRIPT_MAX_CHARS || 40000);
+
+// ✅ Conversation memory: turns stored per conversation id; the last N (bounded by chars) go to the model
+const CONVERSATIONS_DIR = process.env.CONVERSATIONS_DIR || path.join(__dirname, "storage", "conversations");
+const CONVERSATION_HISTORY_TURNS = Number(process.env.CONVERSATION_HISTORY_TURNS || 6);
+const CONVERSATION_HISTORY_MAX_CHARS = Number(process.env.CONVERSATION_HISTORY_MAX_CHARS || 6000);
+
+// ✅ Auth: signed session tokens from POST /api/auth/login; roles agent < qa_lead < admin
+const AUTH_SECRET_FROM_ENV = process.env.AUTH_SECRET || "";
+// anyone who knows or guesses the secret can sign their own admin token - refuse to run with a weak one
+const AUTH_SECRET_MIN_BYTES = 32;
+if (
+  AUTH_SECRET_FROM_ENV &&
+  (/change-?me/i.test(AUTH_SECRET_FROM_ENV) || Buffer.byteLength(AUTH_SECRET_FROM_ENV) < AUTH_SECRET_MIN_BYTES)
+) {
+  console.error(
+    `❌ AUTH_SECRET is a placeholder or shorter than ${AUTH_SECRET_MIN_BYTES} bytes. ` +
+      "Set a random one (e.g. openssl rand -hex 32) or leave it unset."
+  );
+  process.exit(1);
+}
+// without AUTH_SECRET every restart signs everyone out (random per-boot secret)
+const AUTH_SECRET = AUTH_SECRET_FROM_ENV || crypto.randomBytes(32).toString("hex");
+const AUTH_TOKEN_TTL_HOURS = Number(process.env.AUTH_TOKEN_TTL_HOURS || 12);
+const USERS_FILE = process.env.USERS_FILE || path.join(__dirname, "storage", "users.json");
+// first admin on an empty user store (e.g. fresh Render disk); change the password after signing in
+const AUTH_BOOTSTRAP_ADMIN_EMAIL = process.env.AUTH_BOOTSTRAP_ADMIN_EMAIL || "";
+const AUTH_BOOTSTRAP_ADMIN_PASSWORD = process.env.AUTH_BOOTSTRAP_ADMIN_PASSWORD || "";
+// sign-in attempts per 15 minutes, per email and per client IP: scrypt makes a guess slow, this caps how many
+const LOGIN_ATTEMPTS_PER_EMAIL = Number(process.env.LOGIN_ATTEMPTS_PER_EMAIL || 10);
+const LOGIN_ATTEMPTS_PER_IP = Number(process.env.LOGIN_ATTEMPTS_PER_IP || 100);
+const LOGIN_WINDOW_MS = 15 * 60000;
+// reverse proxy hops in front of the server (Render: 1), so req.ip is the client's address and not the proxy's
+const TRUST_PROXY = Number(process.env.TRUST_PROXY ?? 1);
+
+// ✅ Limits on the model routes (ask + QA scoring). 0 = no limit
+// the client caps questions too, but only the server check actually protects the bill
+const MAX_QUESTION_CHARS = Number(process.env.MAX_QUESTION_CHARS || 1200);
+const RATE_LIMIT_USER_PER_MIN = Number(process.env.RATE_LIMIT_USER_PER_MIN || 10);
+const RATE_LIMIT_CALL_CENTER_PER_MIN = Number(process.env.RATE_LIMIT_CALL_CENTER_PER_MIN || 120);
+// daily budgets (UTC day) from provider-reported usage; prices are USD per 1M tokens
+const USAGE_BUDGETS = {
+  user: {
+    tokens: Number(process.env.DAILY_TOKEN_BUDGET_USER || 200000),
+    costUsd: Number(process.env.DAILY_COST_BUDGET_USER_USD || 0),
+  },
+  callCenter: {
+    tokens: Number(process.env.DAILY_TOKEN_BUDGET_CALL_CENTER || 0),
+    costUsd: Number(process.env.DAILY_COST_BUDGET_CALL_CENTER_USD || 25),
+  },
+  // per call center overrides, e.g. {"WNS":{"costUsd":40},"TEP":{"tokens":3000000}}
+  callCenters: parseJsonEnv("CALL_CENTER_BUDGETS", {}),
+};
+const USAGE_PRICES = { ...DEFAULT_PRICES, ...parseJsonEnv("USAGE_PRICES", {}) };
+const USAGE_DIR = process.env.USAGE_DIR || path.join(__dirname, "storage", "usage");
+
+// ✅ Ask audit log: every ask (question, docs, context sent, provider, answer, citations) as append-only JSONL
+const AUDIT_DIR = process.env.AUDIT_DIR || path.join(__dirname, "storage", "audit");
+
+// ✅ Answer feedback (helpful / wrong / unsafe + corrections) for the QA queue
+const FEEDBACK_FILE = process.env.FEEDBACK_FILE || path.join(__dirname, "storage", "feedback.json");
+
+// ✅ Doc versions: each load fingerprinted + a matrix snapshot, so answers can say which docs they used
+const DOC_VERSIONS_DIR = process.env.DOC_VERSIONS_DIR || path.join(__dirname, "storage", "doc-versions");
+const DOC_VERSIONS_MAX = Math.max(2, Number(process.env.DOC_VERSIONS_MAX || 50));
+
+// ✅ Call center registry (names, aliases, active flag); seeded with the original six until an admin edits it
+const CALL_CENTERS_FILE = process.env.CALL_CENTERS_FILE || path.join(__dirname, "storage", "call-centers.json");
+
+// ✅ Reviews storage: REVIEWS_BACKEND=file|sheets (unset = sheets when the service account + spreadsheet are set)
+const REVIEWS_CONFIG = (() => {
+  try {
+    return reviewsConfigFromEnv(process.env, { storageDir: path.join(__dirname, "storage") });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+})();
+
+// ✅ Background doc refresh: minutes per doc key ("*" = the rest), e.g. {"matrix":10,"*":360}. Unset = no schedule
+const DOC_REFRESH_MINUTES = parseJsonEnv("DOC_REFRESH_MINUTES", {});
+// Shared secret for POST /api/docs/webhook (sent as X-Docs-Webhook-Secret); unset = webhook disabled
+const DOCS_WEBHOOK_SECRET = process.env.DOCS_WEBHOOK_SECRET || "";
 
 const log = (...a) => DEBUG && console.log("[server]", ...a);
 const errlog = (...a) => console.error("[server]", ...a);
 
+function parseJsonEnv(name, fallback) {
+  const raw = process.env[name];
+  if (!raw || !String(raw).trim()) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    console.error(`[server] ${name} is not valid JSON - ignored`);
+    return fallback;
+  }
+}
+
+// Swapped as a whole by DOC_REFRESH once a load finishes - never emptied or filled in place
 let DOCUMENT_CACHE = {};
 let LAST_LOAD = 0;
-let DOCS_LOADING = false;
+
+// Parsed Service Matrix ({ scenarios, notes }) - rebuilt every time the matrix loads
+let MATRIX_INDEX = { scenarios: [], notes: [] };
+
+// BM25 index over training guide chunks - rebuilt every time the training docs load
+let TRAINING_INDEX = null;
+
+// The version (lib/docVersions.js) the cached docs belong to; every answer is stamped with it
+let DOC_VERSION = null;
+
+const CONVERSATIONS = createConversationStore({ dir: CONVERSATIONS_DIR });
+
+const CALL_CENTERS = createCallCenterRegistry({ file: CALL_CENTERS_FILE });
+
+// users' call centers are checked against (and read back through) the registry, like reviews'
+const USERS = createUserStore({ file: USERS_FILE, callCenters: CALL_CENTERS });
+const AUTH = createAuth({
+  secret: AUTH_SECRET,
+  users: USERS,
+  ttlSec: Math.round(AUTH_TOKEN_TTL_HOURS * 3600),
+  callCenters: CALL_CENTERS,
+});
+const requireRole = AUTH.requireRole;
+
+const USAGE = createUsageLedger({ dir: USAGE_DIR, prices: USAGE_PRICES });
+const USER_RATE_LIMIT = createRateLimiter({ windowMs: 60000, max: RATE_LIMIT_USER_PER_MIN });
+const CALL_CENTER_RATE_LIMIT = createRateLimiter({ windowMs: 60000, max: RATE_LIMIT_CALL_CENTER_PER_MIN });
+const LOGIN_EMAIL_LIMIT = createRateLimiter({ windowMs: LOGIN_WINDOW_MS, max: LOGIN_ATTEMPTS_PER_EMAIL });
+const LOGIN_IP_LIMIT = createRateLimiter({ windowMs: LOGIN_WINDOW_MS, max: LOGIN_ATTEMPTS_PER_IP });
+
+const AUDIT = createAuditLog({ dir: AUDIT_DIR });
+const FEEDBACK = createFeedbackStore({ file: FEEDBACK_FILE });
+const REVIEWS = createReviewStore({
+  adapter: createReviewAdapter(REVIEWS_CONFIG),
+  requireApproval: REVIEWS_CONFIG.requireApproval,
+  callCenters: CALL_CENTERS,
+});
+const DOC_VERSIONS = createDocVersionStore({ dir: DOC_VERSIONS_DIR, maxVersions: DOC_VERSIONS_MAX });
+const DOC_REFRESH = createDocRefresher({
+  sources: DOC_SOURCES,
+  loadDoc: (doc) =>
+    fetchDocument(doc).catch((e) => {
+      errlog(`❌ Failed to load ${doc.name}:`, e?.message || e);
+      throw e;
+    }),
+  onSwap: swapDocuments,
+  intervalsMs: Object.fromEntries(
+    Object.entries(DOC_REFRESH_MINUTES || {}).map(([key, min]) => [key, Math.max(0, Number(min) || 0) * 60000])
+  ),
+});
+
+const PROVIDER_BREAKERS = Object.fromEntries(
+  PROVIDERS.ids().map((p) => [
+    p,
+    createCircuitBreaker({ failureThreshold: CIRCUIT_BREAKER_FAILURES, cooldownMs: CIRCUIT_BREAKER_COOLDOWN_MS }),
+  ])
+);
 
 // -------------------- CORS (FIXED) --------------------
 const FRONTEND_URLS = String(
@@ -80,7 +293,7 @@ app.use((req, res, next) => {
     res.setHeader("Access-Control-Allow-Origin", cleanOrigin);
     res.setHeader("Vary", "Origin");
     res.setHeader("Access-Control-Allow-Credentials", "true");
-    res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+    res.setHeader("Access-Control-Allow-Methods", "GET,POST,DELETE,OPTIONS");
     res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
   }
 
@@ -100,6 +313,223 @@ app.use((req, res, next) => {
 // -------------------- body parser --------------------
 app.use(express.json({ limit: "2mb" }));
 
+// -------------------- auth --------------------
+// Every route below /health requires a token; the role each route needs is on the route itself
+// req.ip (login throttling) is the client's address only when the proxy hops in front are trusted
+app.set("trust proxy", TRUST_PROXY);
+
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (!email || !password) return res.status(400).json({ ok: false, error: "Missing email or password" });
+
+    // every attempt counts, so a guessed password is no cheaper than a wrong one
+    const byIp = LOGIN_IP_LIMIT.hit(`ip:${req.ip}`);
+    const attempt = byIp.ok ? LOGIN_EMAIL_LIMIT.hit(`email:${String(email).trim().toLowerCase()}`) : byIp;
+    if (!attempt.ok) {
+      log(`Login throttled: ${String(email).trim().toLowerCase()} from ${req.ip}`);
+      return sendLimited(res, {
+        error: `Too many sign-in attempts. Try again in ${Math.ceil(attempt.retryAfterSec / 60)} min.`,
+        code: "rate_limited",
+        scope: byIp.ok ? "email" : "ip",
+        retryAfterSec: attempt.retryAfterSec,
+      });
+    }
+
+    const session = await AUTH.login(email, password);
+    log(`Login: ${session.user.email} (${session.user.role})`);
+    res.json({ ok: true, ...session });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message || "Login failed", code: e.code || null });
+  }
+});
+
+app.get("/api/auth/me", requireRole("agent"), (req, res) => {
+  res.json({ ok: true, user: req.user });
+});
+
+// Admin: list / create / update users (role changes and disabling apply on the user's next request)
+app.get("/api/auth/users", requireRole("admin"), async (req, res) => {
+  try {
+    const users = (await USERS.list()).map((u) => ({ ...publicUser(u), disabled: !!u.disabled, updatedAt: u.updatedAt }));
+    res.json({ ok: true, roles: ROLES, users });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message || "Failed to list users" });
+  }
+});
+
+app.post("/api/auth/users", requireRole("admin"), async (req, res) => {
+  try {
+    const { email, name, role, callCenter, password, disabled } = req.body || {};
+    if (String(email || "").trim().toLowerCase() === req.user.email && ((role && role !== "admin") || disabled)) {
+      return res.status(400).json({ ok: false, error: "You cannot demote or disable your own account" });
+    }
+
+    const out = await USERS.upsert({ email, name, role, callCenter, password, disabled });
+    log(`User ${out.action}: ${out.user.email} (${out.user.role}) by ${req.user.email}`);
+    res.json({ ok: true, action: out.action, user: { ...publicUser(out.user), disabled: !!out.user.disabled } });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message || "Failed to save user" });
+  }
+});
+
+// -------------------- usage limits --------------------
+// 429 body: { ok:false, error, code: "rate_limited" | "budget_exceeded", scope: "user" | "call_center", retryAfterSec }
+function userCallCenter(user) {
+  return String(user?.callCenter || "").trim() || UNASSIGNED_CALL_CENTER;
+}
+
+function sendLimited(res, body) {
+  res.setHeader("Retry-After", String(body.retryAfterSec));
+  return res.status(429).json({ ok: false, ...body });
+}
+
+// Requests per minute, per user and per call center (applied to every route that can call a model)
+function limitRequests(req, res, next) {
+  const callCenter = userCallCenter(req.user);
+
+  const perUser = USER_RATE_LIMIT.hit(`user:${req.user.email}`);
+  if (!perUser.ok) {
+    return sendLimited(res, {
+      error: `Too many requests - limit is ${RATE_LIMIT_USER_PER_MIN} per minute per user. Try again in ${perUser.retryAfterSec}s.`,
+      code: "rate_limited",
+      scope: "user",
+      retryAfterSec: perUser.retryAfterSec,
+      limit: RATE_LIMIT_USER_PER_MIN,
+    });
+  }
+
+  const perCallCenter = CALL_CENTER_RATE_LIMIT.hit(`cc:${callCenter.toLowerCase()}`);
+  if (!perCallCenter.ok) {
+    return sendLimited(res, {
+      error: `${callCenter} is sending too many requests (${RATE_LIMIT_CALL_CENTER_PER_MIN} per minute). Try again in ${perCallCenter.retryAfterSec}s.`,
+      code: "rate_limited",
+      scope: "call_center",
+      callCenter,
+      retryAfterSec: perCallCenter.retryAfterSec,
+      limit: RATE_LIMIT_CALL_CENTER_PER_MIN,
+    });
+  }
+  next();
+}
+
+// Daily budget check before a model call; returns { status, body } to send instead, or null.
+// Fails closed: when today's ledger can't be read, nobody's spend can be checked, so model calls wait (503).
+async function budgetBlock(user) {
+  const callCenter = userCallCenter(user);
+  let totals;
+  try {
+    totals = await USAGE.totals({ email: user.email, callCenter });
+  } catch (e) {
+    errlog(`Usage ledger read failed for ${user.email}:`, e?.message || e);
+    return {
+      status: 503,
+      body: {
+        ok: false,
+        error: "Daily budgets can't be checked right now, so AI answers are paused. Please tell an admin.",
+        code: "budget_unavailable",
+        retryAfterSec: 60,
+      },
+    };
+  }
+  const over = budgetExceeded(totals, USAGE_BUDGETS, callCenter);
+  if (!over) return null;
+
+  const who = over.scope === "user" ? "Your" : `${callCenter}'s`;
+  const what = over.metric === "tokens" ? `${over.limit} tokens` : `$${over.limit}`;
+  return {
+    status: 429,
+    body: {
+      ok: false,
+      error: `${who} daily AI budget (${what}) is used up. It resets at 00:00 UTC.`,
+      code: "budget_exceeded",
+      scope: over.scope,
+      ...(over.scope === "call_center" ? { callCenter } : {}),
+      metric: over.metric,
+      used: over.used,
+      limit: over.limit,
+      retryAfterSec: secondsUntilReset(),
+    },
+  };
+}
+
+// onUsage callback for askProviders / streamProviders: charge the user and their call center
+// (and copy the usage onto the ask's audit entry when there is one)
+function usageRecorder(reqId, user, audit = null) {
+  return (provider, usage) => {
+    audit?.usage.push({ provider, ...usage });
+    USAGE.record({ email: user.email, callCenter: userCallCenter(user), provider, usage }).catch((e) =>
+      errlog(`[${reqId}] usage record failed:`, e?.message || e)
+    );
+  };
+}
+
+// Admin: spend per user / call center / provider for one UTC day (?date=YYYY-MM-DD, default today)
+app.get("/api/usage", requireRole("admin"), async (req, res) => {
+  try {
+    const date = String(req.query.date || usageDay()).trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ ok: false, error: "date must be YYYY-MM-DD" });
+
+    const day = await USAGE.report(date);
+    const byCost = (a, b) => b.costUsd - a.costUsd || b.totalTokens - a.totalTokens;
+    const users = Object.entries(day.users).map(([email, t]) => ({ email, ...t })).sort(byCost);
+    const callCenters = Object.entries(day.callCenters).map(([callCenter, t]) => ({ callCenter, ...t })).sort(byCost);
+    const providers = Object.entries(day.providers).map(([provider, t]) => ({ provider, ...t })).sort(byCost);
+
+    res.json({
+      ok: true,
+      date: day.date,
+      totals: providers.reduce(
+        (acc, p) => ({
+          requests: acc.requests + p.requests,
+          totalTokens: acc.totalTokens + p.totalTokens,
+          costUsd: Math.round((acc.costUsd + p.costUsd) * 1e6) / 1e6,
+        }),
+        { requests: 0, totalTokens: 0, costUsd: 0 }
+      ),
+      users,
+      callCenters,
+      providers,
+      budgets: USAGE_BUDGETS,
+      rateLimits: { userPerMin: RATE_LIMIT_USER_PER_MIN, callCenterPerMin: RATE_LIMIT_CALL_CENTER_PER_MIN },
+      prices: USAGE_PRICES,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message || "Usage report failed" });
+  }
+});
+
+// Anyone: their own usage today and what is left of the budgets
+app.get("/api/usage/me", requireRole("agent"), async (req, res) => {
+  try {
+    const callCenter = userCallCenter(req.user);
+    const totals = await USAGE.totals({ email: req.user.email, callCenter });
+    res.json({
+      ok: true,
+      date: usageDay(),
+      user: totals.user,
+      callCenter: { name: callCenter, ...totals.callCenter },
+      exceeded: budgetExceeded(totals, USAGE_BUDGETS, callCenter),
+      resetsInSec: secondsUntilReset(),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message || "Usage lookup failed" });
+  }
+});
+
+async function bootstrapAdmin() {
+  if (!AUTH_BOOTSTRAP_ADMIN_EMAIL || !AUTH_BOOTSTRAP_ADMIN_PASSWORD) return;
+  if ((await USERS.list()).length) return;
+
+  await USERS.upsert({
+    email: AUTH_BOOTSTRAP_ADMIN_EMAIL,
+    name: "Admin",
+    role: "admin",
+    password: AUTH_BOOTSTRAP_ADMIN_PASSWORD,
+  });
+  console.log(`👤 Bootstrap admin created: ${AUTH_BOOTSTRAP_ADMIN_EMAIL}`);
+}
+
 // -------------------- Google Sheets env sanity (logs) --------------------
 const SHEETS_EMAIL = process.env.GOOGLE_SHEETS_CLIENT_EMAIL || "";
 const SHEETS_KEY_RAW = process.env.GOOGLE_SHEETS_PRIVATE_KEY || "";
@@ -177,50 +607,186 @@ async function fetchMatrixFromGoogleSheet() {
   return { [MATRIX_TAB]: values };
 }
 
-// -------------------- Reviews (Google Sheets) --------------------
-// Stores: call center, name, email, stars(1-5), comment + timestamps
-app.get("/api/reviews", async (req, res) => {
+// -------------------- Reviews (lib/reviewStore.js: local file or Google Sheets) --------------------
+// Stores: call center, name, email, stars(1-5), comment + timestamps, moderation status and a revision history
+// Agents only see and write their own review (email comes from the token); QA leads and admins see all and moderate
+// GET: &q= (name + comment) &minStars= &maxStars= &from= &to= &dateField= &sort=date|stars &order=desc|asc
+//      &limit= (default 50, max 200) &cursor= (nextCursor of the previous page)
+app.get("/api/reviews", requireRole("agent"), async (req, res) => {
   try {
-    const email = String(req.query.email || "").trim();
-    const callCenter = String(req.query.callCenter || "").trim();
-    const out = await listReviews({
-      email: email || undefined,
-      callCenter: callCenter || undefined,
+    const q = (k) => String(req.query[k] || "").trim() || undefined;
+    const canViewAll = hasRole(req.user, "qa_lead");
+    const email = canViewAll ? q("email") : req.user.email;
+    const status = String(req.query.status || "all").trim().toLowerCase();
+    const statuses = ["all", ...REVIEW_STATUSES, ...(canViewAll ? ["deleted"] : [])];
+    if (!statuses.includes(status)) {
+      return res.status(400).json({ ok: false, error: `Invalid status (use ${statuses.join(", ")})` });
+    }
+    const out = await REVIEWS.list({
+      email,
+      callCenter: q("callCenter"),
+      status,
+      q: q("q"),
+      minStars: q("minStars"),
+      maxStars: q("maxStars"),
+      from: q("from"),
+      to: q("to"),
+      dateField: q("dateField"),
+      sort: q("sort"),
+      order: q("order"),
+      limit: Math.max(1, Math.min(200, Number(req.query.limit) || 50)),
+      cursor: q("cursor"),
     });
     res.json({ ok: true, ...out });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message || "Failed to load reviews" });
+    res.status(e.status || 500).json({ ok: false, error: e.message || "Failed to load reviews" });
   }
 });
 
-app.post("/api/reviews/upsert", async (req, res) => {
+app.post("/api/reviews/upsert", requireRole("agent"), async (req, res) => {
   try {
-    console.log("[REVIEWS] upsert body:", req.body);
-
-    const { callCenter, name, email, stars, comment } = req.body || {};
-    const out = await upsertReview({ callCenter, name, email, stars, comment });
+    console.log("[REVIEWS] upsert body:", req.body, "user:", req.user.email);
+
+    const { callCenter, name, stars, comment } = req.body || {};
+    const out = await REVIEWS.upsert({
+      callCenter,
+      name: name || req.user.name,
+      email: req.user.email,
+      stars,
+      comment,
+    });
 
     console.log("[REVIEWS] upsert result:", out.action, out.review?.reviewId);
     res.json({ ok: true, ...out });
   } catch (e) {
     console.error("[REVIEWS] upsert error:", e);
-    const msg = e.message || "Failed to save review";
-    const status = /missing field|invalid email/i.test(msg) ? 400 : 500;
-    res.status(status).json({ ok: false, error: msg });
+    res.status(e.status || 500).json({ ok: false, error: e.message || "Failed to save review" });
+  }
+});
+
+// Scorecards for vendor reviews: per-center averages, star histograms, weekly / monthly trend, period comparison
+app.get("/api/reviews/stats", requireRole("qa_lead"), async (req, res) => {
+  try {
+    const q = (k) => String(req.query[k] || "").trim() || undefined;
+    const stats = await REVIEWS.stats({
+      callCenter: q("callCenter"),
+      bucket: q("bucket"),
+      dateField: q("dateField"),
+      from: q("from"),
+      to: q("to"),
+      periods: q("periods"),
+    });
+    res.json({ ok: true, ...stats });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message || "Failed to compute review stats" });
+  }
+});
+
+// Who changed what, when - across reviews (call center managers' audit), newest first
+app.get("/api/reviews/history", requireRole("qa_lead"), async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(1000, Number(req.query.limit) || 200));
+    const history = await REVIEWS.recentHistory({
+      callCenter: String(req.query.callCenter || "").trim() || undefined,
+      by: String(req.query.by || "").trim() || undefined,
+      limit,
+    });
+    res.json({ ok: true, total: history.length, history });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message || "Failed to load review history" });
+  }
+});
+
+// Revisions of one review; agents only get the history of their own review
+app.get("/api/reviews/:id/history", requireRole("agent"), async (req, res) => {
+  try {
+    const review = await REVIEWS.get(req.params.id);
+    const canView = review && (hasRole(req.user, "qa_lead") || review.email.toLowerCase() === req.user.email);
+    if (!canView) return res.status(404).json({ ok: false, error: "Review not found" });
+    res.json({ ok: true, review, history: await REVIEWS.history(review.reviewId) });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message || "Failed to load review history" });
+  }
+});
+
+app.post("/api/reviews/:id/moderate", requireRole("qa_lead"), async (req, res) => {
+  try {
+    const { status, note } = req.body || {};
+    const review = await REVIEWS.moderate(req.params.id, { status, note, by: req.user.email });
+    log(`Review ${review.reviewId} -> ${review.status} by ${req.user.email}`);
+    res.json({ ok: true, review });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message || "Failed to moderate review" });
+  }
+});
+
+// Soft delete - the review keeps its history and can be restored
+app.delete("/api/reviews/:id", requireRole("qa_lead"), async (req, res) => {
+  try {
+    const reason = req.body?.reason ?? req.query.reason;
+    const review = await REVIEWS.remove(req.params.id, { by: req.user.email, reason });
+    log(`Review ${review.reviewId} deleted by ${req.user.email}`);
+    res.json({ ok: true, review });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message || "Failed to delete review" });
+  }
+});
+
+app.post("/api/reviews/:id/restore", requireRole("qa_lead"), async (req, res) => {
+  try {
+    const review = await REVIEWS.restore(req.params.id, { by: req.user.email });
+    log(`Review ${review.reviewId} restored by ${req.user.email}`);
+    res.json({ ok: true, review });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message || "Failed to restore review" });
+  }
+});
+
+// -------------------- Call centers (lib/callCenters.js) --------------------
+// Everyone signed in gets the active ones (review dropdowns); admins add / edit / deactivate without a redeploy
+app.get("/api/call-centers", requireRole("agent"), async (req, res) => {
+  try {
+    const includeInactive = hasRole(req.user, "admin") && ["1", "true"].includes(String(req.query.all || ""));
+    res.json({ ok: true, callCenters: await CALL_CENTERS.list({ includeInactive }) });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message || "Failed to list call centers" });
+  }
+});
+
+// Create, or update by id: { id?, name, aliases?: [], active?, site?, timezone? (IANA, e.g. Asia/Manila) }
+app.post("/api/call-centers", requireRole("admin"), async (req, res) => {
+  try {
+    const { id, name, aliases, active, site, timezone } = req.body || {};
+    const out = await CALL_CENTERS.upsert({ id, name, aliases, active, site, timezone });
+    log(`Call center ${out.action}: ${out.callCenter.id} (${out.callCenter.name}) by ${req.user.email}`);
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message || "Failed to save call center" });
+  }
+});
+
+app.delete("/api/call-centers/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const callCenter = await CALL_CENTERS.remove(req.params.id);
+    log(`Call center removed: ${callCenter.id} by ${req.user.email}`);
+    res.json({ ok: true, callCenter });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message || "Failed to remove call center" });
   }
 });
 
 // ✅ NEW: Reviews ping endpoint (you tried /api/reviews/ping)
-app.get("/api/reviews/ping", (req, res) => {
+app.get("/api/reviews/ping", requireRole("admin"), (req, res) => {
   res.json({
     ok: true,
     sheetsConfigured: sheetsConfigured(),
+    storage: REVIEWS.describe(),
     ts: new Date().toISOString(),
   });
 });
 
 // ✅ NEW: Matrix ping endpoint (helps verify Google Sheet matrix is connected)
-app.get("/api/matrix/ping", (req, res) => {
+app.get("/api/matrix/ping", requireRole("admin"), (req, res) => {
   res.json({
     ok: true,
     matrixGoogleConfigured: matrixGoogleConfigured(),
@@ -231,21 +797,282 @@ app.get("/api/matrix/ping", (req, res) => {
   });
 });
 
+// Structured scenario lookup (no LLM) - ranked rows with Slack / Refund Queue / Ticket / Supervisor flags
+app.get("/api/matrix/search", requireRole("agent"), async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    if (!q) return res.status(400).json({ ok: false, error: "Missing q" });
+
+    if (Object.keys(DOCUMENT_CACHE).length === 0) {
+      await loadDocuments();
+    }
+
+    const limit = Math.max(1, Math.min(50, Number(req.query.limit) || 10));
+    const sheet = String(req.query.sheet || "").trim();
+    const results = searchMatrix(MATRIX_INDEX.scenarios, q, { limit, sheet: sheet || undefined });
+
+    res.json({
+      ok: true,
+      query: q,
+      sheet: sheet || null,
+      total: results.length,
+      results,
+      matrixSource: DOCUMENT_CACHE.__meta?.matrixSource || null,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message || "Matrix search failed" });
+  }
+});
+
+// Training guide retrieval preview - the same top-k chunks buildContext() sends to the model
+app.get("/api/training/search", requireRole("agent"), async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    if (!q) return res.status(400).json({ ok: false, error: "Missing q" });
+
+    if (Object.keys(DOCUMENT_CACHE).length === 0) {
+      await loadDocuments();
+    }
+
+    const k = Math.max(1, Math.min(50, Number(req.query.k) || TRAINING_TOP_K));
+    const results = searchTraining(TRAINING_INDEX, q, { k });
+    res.json({ ok: true, query: q, total: results.length, results });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message || "Training search failed" });
+  }
+});
+
+// RPP coverage check (no LLM) - documented match order: exact title -> keyword -> time window -> covered parties
+app.post("/api/rpp/check", requireRole("agent"), async (req, res) => {
+  try {
+    const { reason, affected, timing } = req.body || {};
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ ok: false, error: "Missing reason" });
+    }
+
+    if (Object.keys(DOCUMENT_CACHE).length === 0) {
+      await loadDocuments();
+    }
+    if (!DOCUMENT_CACHE.rppGuide) {
+      return res.status(503).json({ ok: false, error: "RPP Protection Guide not loaded" });
+    }
+
+    const result = checkRppCoverage(DOCUMENT_CACHE.rppGuide, {
+      reason: String(reason).trim(),
+      affected,
+      timing,
+    });
+
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message || "RPP check failed" });
+  }
+});
+
+// -------------------- document viewer --------------------
+// Read-only views for the in-app viewer; the client deep-links into them (#matrix/row/42, #training/<chunk_id>)
+const DOC_VIEWS = {
+  matrix: { key: "matrix", name: "Service Matrix" },
+  qaVoice: { key: "qaVoice", name: "QA Voice" },
+  qaGroup: { key: "qaGroup", name: "QA Groups" },
+  training: { key: "trainingGuide", name: "Training Guide" },
+  rpp: { key: "rppGuide", name: "RPP Protection Guide" },
+};
+
+app.get("/api/docs/view", requireRole("agent"), async (req, res) => {
+  try {
+    if (Object.keys(DOCUMENT_CACHE).length === 0) {
+      await loadDocuments();
+    }
+
+    res.json({
+      ok: true,
+      views: Object.entries(DOC_VIEWS).map(([view, d]) => ({ view, name: d.name, loaded: !!DOCUMENT_CACHE[d.key] })),
+      matrixSource: DOCUMENT_CACHE.__meta?.matrixSource || null,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message || "Document list failed" });
+  }
+});
+
+app.get("/api/docs/view/:view", requireRole("agent"), async (req, res) => {
+  try {
+    const view = String(req.params.view || "");
+    const target = Object.prototype.hasOwnProperty.call(DOC_VIEWS, view) ? DOC_VIEWS[view] : null;
+    if (!target) return res.status(404).json({ ok: false, error: `Unknown document view: ${view}` });
+
+    if (Object.keys(DOCUMENT_CACHE).length === 0) {
+      await loadDocuments();
+    }
+    const doc = DOCUMENT_CACHE[target.key];
+    if (!doc) return res.status(503).json({ ok: false, error: `${target.name} not loaded` });
+
+    if (view === "matrix") {
+      return res.json({
+        ok: true,
+        view,
+        ...matrixView(doc, MATRIX_INDEX),
+        matrixSource: DOCUMENT_CACHE.__meta?.matrixSource || null,
+      });
+    }
+    if (view === "qaVoice" || view === "qaGroup") {
+      return res.json({ ok: true, view, ...rubricView(doc, { name: target.name }) });
+    }
+    if (view === "rpp") return res.json({ ok: true, view, ...rppView(doc) });
+
+    // training: ?chunk=<chunk_id> or ?file=<relative path> -> one document, otherwise the document list
+    const chunk = String(req.query.chunk || "").trim();
+    const file = String(req.query.file || "").trim();
+    if (!chunk && !file) {
+      return res.json({ ok: true, view, documents: trainingDocuments(doc, TRAINING_INDEX) });
+    }
+    const document = trainingDocument(doc, TRAINING_INDEX, { chunk, file });
+    if (!document) {
+      const error = chunk ? `Training chunk ${chunk} not found` : `Training document not found: ${file}`;
+      return res.status(404).json({ ok: false, error });
+    }
+    res.json({ ok: true, view, document });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message || "Document view failed" });
+  }
+});
+
+// Every recorded document load, newest first (a reload with identical content only bumps `loads`)
+app.get("/api/docs/versions", requireRole("qa_lead"), async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(DOC_VERSIONS_MAX, Number(req.query.limit) || DOC_VERSIONS_MAX));
+    const versions = await DOC_VERSIONS.list({ limit });
+    res.json({ ok: true, current: docVersionStamp(), total: versions.length, versions });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message || "Doc versions failed" });
+  }
+});
+
+// ?from=v3&to=v5 - `to` defaults to the latest version, `from` to the one before it
+app.get("/api/docs/diff", requireRole("qa_lead"), async (req, res) => {
+  try {
+    const from = String(req.query.from || "").trim();
+    const to = String(req.query.to || "").trim();
+    const diff = await DOC_VERSIONS.diff({ from: from || undefined, to: to || undefined });
+    res.json({ ok: true, ...diff });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message || "Doc diff failed" });
+  }
+});
+
+// -------------------- conversations --------------------
+// Resume a thread after reload (the client keeps the id in localStorage)
+app.get("/api/conversations/:id", requireRole("agent"), async (req, res) => {
+  try {
+    const id = String(req.params.id || "");
+    if (!isValidConversationId(id)) return res.status(400).json({ ok: false, error: "Invalid conversation id" });
+
+    const conversation = await CONVERSATIONS.get(id);
+    // someone else's thread looks exactly like a missing one
+    if (!conversation || (!isOwnedBy(conversation, req.user.email) && !hasRole(req.user, "admin"))) {
+      return res.status(404).json({ ok: false, error: "Conversation not found" });
+    }
+
+    res.json({ ok: true, conversation });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message || "Conversation lookup failed" });
+  }
+});
+
+// -------------------- QA scoring --------------------
+const QA_RUBRICS = {
+  voice: { key: "qaVoice", name: "QA Voice" },
+  group: { key: "qaGroup", name: "QA Groups" },
+};
+
+function qaRubricFor(kind) {
+  const k = String(kind || "voice").toLowerCase();
+  if (k === "qavoice" || k === "voice") return QA_RUBRICS.voice;
+  if (k === "qagroup" || k === "group" || k === "groups") return QA_RUBRICS.group;
+  return null;
+}
+
+// Transcript -> per-criterion Yes/No/N/A with evidence quotes; the total is computed from the rubric weights
+app.post("/api/qa/score", requireRole("qa_lead"), limitRequests, async (req, res) => {
+  const reqId = `qa_${Date.now()}`;
+  try {
+    const { transcript, rubric = "voice" } = req.body || {};
+    const text = String(transcript || "").trim();
+    if (!text) return res.status(400).json({ ok: false, error: "Missing transcript" });
+    if (text.length > QA_TRANSCRIPT_MAX_CHARS) {
+      return res.status(413).json({
+        ok: false,
+        error: `Transcript too long (${text.length} chars, max ${QA_TRANSCRIPT_MAX_CHARS})`,
+      });
+    }
+
+    const target = qaRubricFor(rubric);
+    if (!target) return res.status(400).json({ ok: false, error: `Unknown rubric: ${rubric}` });
+
+    if (Object.keys(DOCUMENT_CACHE).length === 0) {
+      await loadDocuments();
+    }
+    if (!DOCUMENT_CACHE[target.key]) {
+      return res.status(503).json({ ok: false, error: `${target.name} rubric not loaded` });
+    }
+
+    const parsed = parseRubric(DOCUMENT_CACHE[target.key], { name: target.name });
+    if (!parsed.criteria.length) {
+      return res.status(500).json({ ok: false, error: `No criteria found in ${target.name} rubric` });
+    }
+
+    if (!chainConfigured()) {
+      return res.status(500).json({
+        ok: false,
+        error: missingProvidersMessage(),
+      });
+    }
+
+    const blocked = await budgetBlock(req.user);
+    if (blocked) return sendPlanError(res, blocked);
+
+    const prompt = buildScoringPrompt(parsed);
+    const { provider, result: raw, attempts } = await askProviders(`CALL TRANSCRIPT:\n${text}`, prompt, {
+      onUsage: usageRecorder(reqId, req.user),
+    });
+    const result = scoreTranscript(parsed, parseScoringResponse(raw), text);
+    log(`[${reqId}] QA score ${target.name}: ${result.score.percent}%`);
+
+    res.json({ ok: true, ...result, provider, model: providerModel(provider), providerAttempts: attempts });
+  } catch (e) {
+    errlog(`[${reqId}] QA scoring error:`, e?.message || e);
+    res.status(e.status || 500).json({
+      ok: false,
+      error: e.message || "QA scoring failed",
+      providerAttempts: e.attempts || [],
+    });
+  }
+});
+
 // -------------------- health --------------------
 app.get("/health", (req, res) => {
   res.json({
     ok: true,
     port: PORT,
     provider: AI_PROVIDER,
-    nebiusConfigured: !!NEBIUS_API_KEY,
-    kimiConfigured: !!KIMI_API_KEY,
-    anthropicConfigured: !!ANTHROPIC_API_KEY,
+    providerChain: PROVIDER_CHAIN.map((p) => ({ provider: p, configured: providerConfigured(p), model: providerModel(p) })),
+    circuitBreakers: breakerSnapshot(),
+    matrixFirst: { enabled: MATRIX_FIRST, minConfidence: MATRIX_FIRST_MIN_CONFIDENCE },
+    nebiusConfigured: providerConfigured("nebius"),
+    kimiConfigured: providerConfigured("kimi"),
+    anthropicConfigured: providerConfigured("anthropic"),
+    localModel: PROVIDERS.describe("local"),
     sheetsConfigured: sheetsConfigured(),
+    reviewsBackend: REVIEWS.backend,
     docs: {
       cached: Object.keys(DOCUMENT_CACHE),
+      matrixScenarios: MATRIX_INDEX.scenarios.length,
+      trainingChunksIndexed: TRAINING_INDEX?.docs.length || 0,
       lastLoad: LAST_LOAD ? new Date(LAST_LOAD).toISOString() : null,
-      loading: DOCS_LOADING,
+      loading: DOC_REFRESH.loading(),
       matrixSource: DOCUMENT_CACHE.__meta?.matrixSource || null,
+      version: docVersionStamp(),
+      refresh: DOC_REFRESH.status(),
     },
     frontendAllowed: Array.from(ALLOWED_ORIGINS),
     ts: new Date().toISOString(),
@@ -254,12 +1081,8 @@ app.get("/health", (req, res) => {
 
 // -------------------- docs loading --------------------
 
-// ✅ Prefer local repo assets first (Render + local dev)
-// Repo paths:
-// - client/public/Assets/*  (source of truth)
-// - server/data/*           (fallback)
-const LOCAL_ASSETS_DIR = path.join(__dirname, "../client/public/Assets");
-const LOCAL_SERVER_DATA_DIR = path.join(__dirname, "data");
+// ✅ Prefer local repo assets first (Render + local dev) - see localDocDirs() for the lookup order
+const LOCAL_DOC_DIRS = localDocDirs(__dirname);
 
 // ✅ Netlify/Frontend base (only used as final fallback)
 function getDocsBase() {
@@ -271,32 +1094,12 @@ function getDocsBase() {
   );
 }
 
-function existsFile(p) {
-  try {
-    return fs.existsSync(p) && fs.statSync(p).isFile();
-  } catch {
-    return false;
-  }
-}
-
-// ✅ Resolve doc path locally first (Render-friendly)
-function resolveLocalDocPath(fileName) {
-  const p1 = path.join(LOCAL_ASSETS_DIR, fileName);
-  if (existsFile(p1)) return p1;
-
-  const p2 = path.join(LOCAL_SERVER_DATA_DIR, fileName);
-  if (existsFile(p2)) return p2;
-
-  return null;
-}
-
-async function fetchExcelDocument(docName, fileName) {
-  // ✅ 1) LOCAL FIRST
-  const localPath = resolveLocalDocPath(fileName);
-  if (localPath) {
-    log(`Loading ${docName} from local: ${localPath}`);
-    const workbook = xlsx.readFile(localPath);
-    return parseWorkbook(workbook, docName);
+async function fetchExcelDocument(docName, fileName) {
+  // ✅ 1) LOCAL FIRST
+  const localPath = resolveLocalDocPath(fileName, LOCAL_DOC_DIRS);
+  if (localPath) {
+    log(`Loading ${docName} from local: ${localPath}`);
+    return logWorkbook(parseWorkbook(xlsx.readFile(localPath)), docName);
   }
 
   // ✅ 2) REMOTE FALLBACK (Netlify/Frontend)
@@ -310,13 +1113,12 @@ async function fetchExcelDocument(docName, fileName) {
   if (!response.ok) throw new Error(`HTTP ${response.status} fetching ${netlifyUrl}`);
 
   const buffer = Buffer.from(await response.arrayBuffer());
-  const workbook = xlsx.read(buffer, { type: "buffer" });
-  return parseWorkbook(workbook, docName);
+  return logWorkbook(parseWorkbook(xlsx.read(buffer, { type: "buffer" })), docName);
 }
 
 async function fetchJsonDocument(docName, fileName) {
   // ✅ 1) LOCAL FIRST
-  const localPath = resolveLocalDocPath(fileName);
+  const localPath = resolveLocalDocPath(fileName, LOCAL_DOC_DIRS);
   if (localPath) {
     log(`Loading ${docName} from local: ${localPath}`);
     const raw = fs.readFileSync(localPath, "utf-8");
@@ -340,415 +1142,1297 @@ async function fetchJsonDocument(docName, fileName) {
   return json;
 }
 
-function parseWorkbook(workbook, docName) {
-  const result = {};
-  workbook.SheetNames.forEach((sheetName) => {
-    const sheet = workbook.Sheets[sheetName];
-    result[sheetName] = xlsx.utils.sheet_to_json(sheet, { header: 1 });
-  });
-  log(`✅ Parsed ${docName}: ${workbook.SheetNames.length} sheets`);
-  return result;
-}
-async function loadDocuments(force = false) {
-  if (DOCS_LOADING) {
-    while (DOCS_LOADING) {
-      await new Promise((r) => setTimeout(r, 50));
-    }
-    return;
+async function fetchJsonlDocument(docName, fileName) {
+  // ✅ 1) LOCAL FIRST
+  const localPath = resolveLocalDocPath(fileName, LOCAL_DOC_DIRS);
+  if (localPath) {
+    log(`Loading ${docName} from local: ${localPath}`);
+    const rows = parseJsonl(fs.readFileSync(localPath, "utf-8"));
+    log(`✅ Parsed ${docName}: ${rows.length} lines`);
+    return rows;
   }
 
-  if (Object.keys(DOCUMENT_CACHE).length > 0 && !force) return;
+  // ✅ 2) REMOTE FALLBACK (Netlify/Frontend) - JSONL lives at the public root, not /Assets
+  const docsBase = getDocsBase();
+  const netlifyUrl = `${String(docsBase).replace(/\/+$/, "")}/${encodeURIComponent(fileName)}`;
+  log(`Fetching ${docName} from remote: ${netlifyUrl}`);
 
-  DOCS_LOADING = true;
+  const response = await fetch(netlifyUrl, { cache: "no-store" });
+  if (!response.ok) throw new Error(`HTTP ${response.status} fetching ${netlifyUrl}`);
 
-  // reset cache when forced
-  if (force) DOCUMENT_CACHE = {};
+  const rows = parseJsonl(await response.text());
+  log(`✅ Parsed ${docName}: ${rows.length} lines`);
+  return rows;
+}
 
-  const docs = [
-    { key: "qaVoice", file: "qa-voice.xlsx", name: "QA Voice", kind: "excel" },
-    { key: "qaGroup", file: "qa-group.xlsx", name: "QA Groups", kind: "excel" },
-    { key: "matrix", file: "Service Matrix's 2026.xlsx", name: "Service Matrix", kind: "excel" },
-    {
-      key: "trainingGuide",
-      file: "hotelplanner_training_guide.json",
-      name: "Training Guide",
-      kind: "json",
-    },
-    {
-      key: "rppGuide",
-      file: "rpp_protection_guide.json",
-      name: "RPP Protection Guide",
-      kind: "json",
-    },
-  ];
-
-  const summary = [];
-  try {
-    for (const doc of docs) {
-      const t0 = Date.now();
-      try {
-        if (doc.key === "matrix" && matrixGoogleConfigured()) {
-          DOCUMENT_CACHE[doc.key] = await fetchMatrixFromGoogleSheet();
-          DOCUMENT_CACHE.__meta = {
-            ...(DOCUMENT_CACHE.__meta || {}),
-            matrixSource: "google-sheet",
-            matrixSheetId: MATRIX_SHEET_ID,
-            matrixTab: MATRIX_TAB,
-          };
-          summary.push(`✅ ${doc.name} (GoogleSheet:${MATRIX_TAB}) in ${Date.now() - t0}ms`);
-        } else {
-          DOCUMENT_CACHE[doc.key] =
-            doc.kind === "json"
-              ? await fetchJsonDocument(doc.name, doc.file)
-              : await fetchExcelDocument(doc.name, doc.file);
-
-          if (doc.key === "matrix") {
-            DOCUMENT_CACHE.__meta = {
-              ...(DOCUMENT_CACHE.__meta || {}),
-              matrixSource: "excel-file",
-              matrixFile: doc.file,
-            };
-          }
+function logWorkbook(workbook, docName) {
+  log(`✅ Parsed ${docName}: ${Object.keys(workbook).length} sheets`);
+  return workbook;
+}
 
-          summary.push(`✅ ${doc.name} (${doc.file}) in ${Date.now() - t0}ms`);
-        }
-      } catch (e) {
-        const msg = e?.message || String(e);
-        errlog(`❌ Failed to load ${doc.name}:`, msg);
-        summary.push(`❌ ${doc.name} (${doc.file}) -> ${msg}`);
-      }
-    }
-  } finally {
-    LAST_LOAD = Date.now();
-    DOCS_LOADING = false;
+// One document from its source. The matrix comes from the Google Sheet when configured, everything else local-first
+async function fetchDocument(doc) {
+  if (doc.key === "matrix" && matrixGoogleConfigured()) {
+    return {
+      data: await fetchMatrixFromGoogleSheet(),
+      meta: { matrixSource: "google-sheet", matrixSheetId: MATRIX_SHEET_ID, matrixTab: MATRIX_TAB },
+      from: `GoogleSheet:${MATRIX_TAB}`,
+    };
   }
 
-  console.log("📚 Document load summary:\n" + summary.join("\n"));
+  const data =
+    doc.kind === "json"
+      ? await fetchJsonDocument(doc.name, doc.file)
+      : doc.kind === "jsonl"
+      ? await fetchJsonlDocument(doc.name, doc.file)
+      : await fetchExcelDocument(doc.name, doc.file);
+
+  return {
+    data,
+    meta: doc.key === "matrix" ? { matrixSource: "excel-file", matrixFile: doc.file } : null,
+    from: doc.file,
+  };
+}
+
+// ✅ Atomic swap: indexes + version are built from the new docs first, then every global changes together,
+// so a request never sees new docs with an old index (or an empty cache mid-reload)
+async function swapDocuments(docs, report) {
+  const state = buildDocState(docs);
+  const version = await recordDocVersion(state);
+  DOCUMENT_CACHE = docs;
+  MATRIX_INDEX = state.matrix;
+  TRAINING_INDEX = state.training;
+  DOC_VERSION = version;
+  LAST_LOAD = Date.now();
+  logDocLoad(report);
+}
+
+function logDocLoad(report) {
+  const summary = report.results.map((r) =>
+    r.ok
+      ? `✅ ${r.name} (${r.from}) in ${r.ms}ms`
+      : `❌ ${r.name} -> ${r.error}${r.stale ? " (keeping last good copy)" : ""}`
+  );
+  console.log(`📚 Document load summary (${report.reason}):\n` + summary.join("\n"));
   console.log(`📦 Cached docs: ${Object.keys(DOCUMENT_CACHE).join(", ") || "(none)"}`);
   console.log(
     `📌 Matrix source: ${DOCUMENT_CACHE.__meta?.matrixSource || "unknown"}${
       DOCUMENT_CACHE.__meta?.matrixTab ? ` (${DOCUMENT_CACHE.__meta.matrixTab})` : ""
     }`
   );
+  console.log(`🧭 Matrix scenarios parsed: ${MATRIX_INDEX.scenarios.length}`);
+  console.log(`🔎 Training chunks indexed: ${TRAINING_INDEX?.docs.length || 0}`);
+  console.log(`🏷️ Doc version: ${DOC_VERSION ? `${DOC_VERSION.id} (${DOC_VERSION.fingerprint})` : "not recorded"}`);
   console.log("✅ Documents load finished.");
 }
 
-function extractRelevantMatrixRows(matrixDoc, question = "") {
+// Lazy load for request handlers: waits for a load already running instead of starting another one
+async function loadDocuments() {
+  await DOC_REFRESH.ensureLoaded();
+}
+
+// Best-effort: a failed version write keeps the previous version, it never fails the load
+async function recordDocVersion(state) {
   try {
-    const q = String(question || "").toLowerCase().trim();
+    const version = await DOC_VERSIONS.record({
+      docs: state.docs,
+      scenarios: state.matrix.scenarios,
+      source: { ...(state.docs.__meta || {}) },
+      counts: { notes: state.matrix.notes.length, trainingChunks: state.training?.docs.length || 0 },
+    });
+    if (version.changes?.matrix) log(`Doc version ${version.id}: matrix changes`, version.changes.matrix);
+    return version;
+  } catch (e) {
+    errlog("Doc version record failed:", e?.message || e);
+    return DOC_VERSION;
+  }
+}
+
+function docVersionStamp() {
+  return versionStamp(DOC_VERSION);
+}
+
+function citationContext() {
+  return { docs: DOCUMENT_CACHE, matrix: MATRIX_INDEX };
+}
+
+function buildContext(docsSelection, question = "") {
+  return buildDocContext(
+    { docs: DOCUMENT_CACHE, matrix: MATRIX_INDEX, training: TRAINING_INDEX },
+    docsSelection,
+    question,
+    { trainingTopK: TRAINING_TOP_K }
+  );
+}
+
+// -------------------- providers --------------------
+// Declared in lib/providers.js (kind, base URL, auth, model, params); "local" = any OpenAI-compatible server
+
+// Run one registry call under the shared timeout; also aborted when `signal` fires (client disconnected)
+async function withProviderTimeout(run, { signal, timeoutMs = PROVIDER_TIMEOUT_MS } = {}) {
+  const ctrl = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    ctrl.abort();
+  }, timeoutMs);
+  const onAbort = () => ctrl.abort();
+  signal?.addEventListener("abort", onAbort);
+
+  try {
+    return await run(ctrl.signal);
+  } catch (e) {
+    if (timedOut) throw Object.assign(new Error("Request timeout"), { status: 504 });
+    throw e;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+function providerModel(provider = AI_PROVIDER) {
+  return PROVIDERS.model(provider);
+}
+
+function providerConfigured(provider = AI_PROVIDER) {
+  return PROVIDERS.isConfigured(provider);
+}
+
+// An attempt the provider may have billed is charged even when it didn't finish: timeouts, client aborts and
+// streams that fail part way are charged what was reported, or an estimate from the prompt and the text so far.
+// Errors before any output (bad key, 429, 5xx) are not charged.
+function attemptBillable(error, { signal, partial = "" } = {}) {
+  return !error || partial.length > 0 || error.status === 504 || !!signal?.aborted;
+}
+
+// history = prior { role, content } turns; onUsage gets provider-reported tokens (estimated when missing)
+async function callProvider(
+  question,
+  systemPrompt,
+  { signal, provider = AI_PROVIDER, history = [], timeoutMs = PROVIDER_TIMEOUT_MS, onUsage } = {}
+) {
+  if (!PROVIDERS.has(provider)) throw new Error(`Unknown provider: ${provider}`);
+  let reported = null;
+  let answer = "";
+  let error = null;
+  try {
+    answer = await withProviderTimeout(
+      (s) => PROVIDERS.call(provider, { question, systemPrompt, history, signal: s, onUsage: (u) => (reported = u) }),
+      { signal, timeoutMs }
+    );
+    return answer;
+  } catch (e) {
+    error = e;
+    throw e;
+  } finally {
+    if (reported || attemptBillable(error, { signal })) {
+      onUsage?.(reported || estimateUsage({ systemPrompt, history, question, answer }));
+    }
+  }
+}
+
+// Streaming counterpart of callProvider(): onDelta(text) per token chunk, resolves with the full answer
+async function streamProvider(
+  question,
+  systemPrompt,
+  onDelta,
+  { signal, provider = AI_PROVIDER, history = [], timeoutMs = PROVIDER_TIMEOUT_MS, onUsage } = {}
+) {
+  if (!PROVIDERS.has(provider)) throw new Error(`Unknown provider: ${provider}`);
+  let reported = null;
+  let partial = "";
+  let error = null;
+  try {
+    partial = await withProviderTimeout(
+      (s) =>
+        PROVIDERS.stream(provider, {
+          question,
+          systemPrompt,
+          history,
+          onDelta: (text) => {
+            partial += text;
+            onDelta(text);
+          },
+          signal: s,
+          onUsage: (u) => (reported = u),
+        }),
+      { signal, timeoutMs }
+    );
+    return partial;
+  } catch (e) {
+    error = e;
+    throw e;
+  } finally {
+    if (reported || attemptBillable(error, { signal, partial })) {
+      onUsage?.(reported || estimateUsage({ systemPrompt, history, question, answer: partial }));
+    }
+  }
+}
 
-    const seedKeywords = [
-      "shuttle",
-      "uber",
-      "lyft",
-      "transport",
-      "transportation",
-      "airport",
-      "ride",
-      "taxi",
-    ];
+// ---- failover across PROVIDER_CHAIN ----
 
-    const questionWords = q
-      .replace(/[^a-z0-9\s]/g, " ")
-      .split(/\s+/)
-      .filter(Boolean)
-      .filter((w) => w.length >= 4);
+function chainConfigured() {
+  return PROVIDER_CHAIN.some((p) => providerConfigured(p));
+}
 
-    const keywords = Array.from(new Set([...seedKeywords, ...questionWords]));
-    const matches = [];
+function missingProvidersMessage() {
+  const needs = PROVIDER_CHAIN.map((p) => (p === "local" ? "LOCAL_LLM_BASE_URL" : `${p.toUpperCase()}_API_KEY`));
+  return `Server missing ${needs.join(" / ")}`;
+}
 
-    for (const [sheetName, rows] of Object.entries(matrixDoc || {})) {
-      if (sheetName === "__meta") continue;
-      if (!Array.isArray(rows)) continue;
+function breakerSnapshot() {
+  return Object.fromEntries(Object.entries(PROVIDER_BREAKERS).map(([p, b]) => [p, b.snapshot()]));
+}
 
-      rows.forEach((row, idx) => {
-        const rowArr = Array.isArray(row) ? row : [row];
-        const line = rowArr.map((v) => String(v ?? "")).join(" | ");
-        const lower = line.toLowerCase();
+// When an answer (the chain plus any format re-ask) has to be done by
+function chainDeadline() {
+  return Date.now() + PROVIDER_CHAIN_BUDGET_MS;
+}
 
-        if (!lower.trim()) return;
+// Returns { provider, result: answerText, attempts }; `chain` overrides PROVIDER_CHAIN (mode "local")
+function askProviders(
+  question,
+  systemPrompt,
+  { history = [], chain = PROVIDER_CHAIN, deadline = chainDeadline(), onUsage } = {}
+) {
+  const remaining = () => deadline - Date.now();
+
+  return runWithFailover(
+    chain,
+    (provider) =>
+      callProvider(question, systemPrompt, {
+        provider,
+        history,
+        timeoutMs: Math.min(PROVIDER_TIMEOUT_MS, remaining()),
+        onUsage: (usage) => onUsage?.(provider, usage),
+      }),
+    {
+      breakers: PROVIDER_BREAKERS,
+      isConfigured: providerConfigured,
+      canFailover: () => remaining() > MIN_ATTEMPT_MS,
+      onFailover: ({ from, error }) => errlog(`Provider ${from} failed (${error?.status || "-"}), failing over`),
+    }
+  );
+}
 
-        if (keywords.some((k) => lower.includes(k))) {
-          matches.push({
-            sheetName,
-            rowNumber: idx + 1,
-            row: rowArr,
-          });
+// Streaming failover only happens before the first token - a half-streamed answer is never mixed with another
+function streamProviders(
+  question,
+  systemPrompt,
+  onDelta,
+  { signal, history = [], chain = PROVIDER_CHAIN, deadline = chainDeadline(), onFailover, onUsage } = {}
+) {
+  const remaining = () => deadline - Date.now();
+  let streamed = false;
+
+  return runWithFailover(
+    chain,
+    (provider) =>
+      streamProvider(
+        question,
+        systemPrompt,
+        (text) => {
+          streamed = true;
+          onDelta(text, provider);
+        },
+        {
+          signal,
+          provider,
+          history,
+          timeoutMs: Math.min(PROVIDER_TIMEOUT_MS, remaining()),
+          onUsage: (usage) => onUsage?.(provider, usage),
         }
-      });
+      ),
+    {
+      breakers: PROVIDER_BREAKERS,
+      isConfigured: providerConfigured,
+      canFailover: () => !streamed && !signal?.aborted && remaining() > MIN_ATTEMPT_MS,
+      onFailover: (info) => {
+        errlog(`Provider ${info.from} failed (${info.error?.status || "-"}), failing over`);
+        onFailover?.(info);
+      },
     }
+  );
+}
+
+// -------------------- main handler --------------------
+function matrixFirstResult(matrixResolution) {
+  const s = matrixResolution.scenario;
+  const answer = buildMatrixAnswer(s);
+  const citationCheck = verifyCitations(answer, citationContext());
+  return {
+    answer,
+    citations: citationCheck.citations,
+    citationCheck: { verdict: citationCheck.verdict, ...citationCheck.summary },
+    structured: parseAnswer(answer),
+    provider: "matrix",
+    model: null,
+    resolution: "matrix-first",
+    docVersion: docVersionStamp(),
+    matrix: {
+      scenarioId: s.id,
+      sheetName: s.sheetName,
+      rowNumber: s.rowNumber,
+      section: s.section,
+      issue: s.issue,
+      routing: s.routing,
+      routingSummary: s.routingSummary,
+      citation: matrixCitation(s),
+      confidence: matrixResolution.confidence,
+      reason: matrixResolution.reason,
+      alternatives: matrixResolution.alternatives,
+    },
+  };
+}
 
-    if (!matches.length) {
-      // fallback if no keyword hit
-      return JSON.stringify(matrixDoc).slice(0, 30000);
+/**
+ * Parse the model answer against the output contract; when sections are missing, ask the same provider once
+ * (no failover, but through its circuit breaker) to resend the whole answer. The repaired answer is only used
+ * when it is more complete. `signal` (the stream's) cancels the re-ask; an abort is rethrown, other errors keep
+ * the first answer. The re-ask only gets what is left before `deadline` (the first answer's chain deadline), and
+ * is skipped when that is too little to be worth it.
+ * Returns { answer, structured, format: { missingSections, repaired, ... } }.
+ */
+async function repairAnswer(
+  reqId,
+  { question, history = [] },
+  rawAnswer,
+  systemPrompt,
+  { provider, deadline, signal, onUsage, onRepair }
+) {
+  const structured = parseAnswer(rawAnswer);
+  const format = { missingSections: structured.missingSections, repaired: false };
+  if (structured.complete || !ANSWER_REPAIR) return { answer: rawAnswer, structured, format };
+
+  const timeoutMs = Math.min(ANSWER_REPAIR_TIMEOUT_MS, deadline - Date.now());
+  if (timeoutMs < MIN_ATTEMPT_MS) {
+    log(`[${reqId}] Answer missing ${structured.missingSections.join(", ")} - no time left to re-ask ${provider}`);
+    return { answer: rawAnswer, structured, format: { ...format, stillMissing: structured.missingSections } };
+  }
+
+  log(`[${reqId}] Answer missing ${structured.missingSections.join(", ")} - re-asking ${provider}`);
+  onRepair?.(structured.missingSections);
+  try {
+    const { result: retry } = await runWithFailover(
+      [provider],
+      () =>
+        callProvider(buildRepairQuestion(structured.missingSections), systemPrompt, {
+          signal,
+          provider,
+          history: [...history, { role: "user", content: question }, { role: "assistant", content: rawAnswer }],
+          timeoutMs,
+          onUsage: (usage) => onUsage?.(provider, usage),
+        }),
+      { breakers: PROVIDER_BREAKERS, isConfigured: providerConfigured }
+    );
+    const repaired = parseAnswer(retry);
+    if (repaired.missingSections.length >= structured.missingSections.length) {
+      return { answer: rawAnswer, structured, format: { ...format, stillMissing: repaired.missingSections } };
     }
+    return {
+      answer: retry,
+      structured: repaired,
+      format: { ...format, repaired: true, stillMissing: repaired.missingSections },
+    };
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    errlog(`[${reqId}] Format repair failed:`, e?.message || e);
+    return { answer: rawAnswer, structured, format: { ...format, error: e?.message || String(e) } };
+  }
+}
+
+function modelResult(reqId, rawAnswer, matrixResolution, { provider, attempts, structured, format }) {
+  // ✅ Check every citation against DOCUMENT_CACHE; unverifiable answers get a visible warning
+  const citationCheck = verifyCitations(rawAnswer, citationContext());
+  const answer = flagUnverifiedAnswer(rawAnswer, citationCheck);
+  if (citationCheck.verdict !== "verified") {
+    log(`[${reqId}] Citation check: ${citationCheck.verdict}`, citationCheck.summary);
+  }
 
-    return matches
-      .slice(0, 60)
-      .map((m) => `[Sheet: ${m.sheetName} | Row: ${m.rowNumber}] ${JSON.stringify(m.row)}`)
-      .join("\n");
+  return {
+    answer,
+    citations: citationCheck.citations,
+    citationCheck: { verdict: citationCheck.verdict, ...citationCheck.summary },
+    structured: structured || parseAnswer(rawAnswer),
+    format: format || null,
+    provider,
+    model: providerModel(provider),
+    providerAttempts: attempts,
+    resolution: "model",
+    matrixConfidence: matrixResolution ? matrixResolution.confidence : null,
+    docVersion: docVersionStamp(),
+  };
+}
+
+// Persist one question/answer pair; memory is best-effort and never fails the answer itself
+async function rememberExchange(reqId, conversationId, question, answer) {
+  if (!conversationId) return;
+  try {
+    await CONVERSATIONS.append(conversationId, [
+      { role: "user", content: question },
+      { role: "assistant", content: answer },
+    ]);
   } catch (e) {
-    return `NOT FOUND IN DOCS (matrix parse error: ${e.message})`;
+    errlog(`[${reqId}] Conversation save failed:`, e?.message || e);
   }
 }
 
-function buildContext(docsSelection, question = "") {
-  const parts = [];
-  const MAX_CHARS = 12000;
+/**
+ * Everything both ask routes do before calling a model.
+ * Returns { error: { status, body } } | { result, question, conversationId } (answered without a model)
+ * | { question, docs, matrixResolution, conversationId, history, retrievalQuery }.
+ */
+async function planAsk(reqId, body, user) {
+  const {
+    question,
+    mode = "cloud",
+    docs = {},
+    matrixFirst = true,
+    conversationId: requestedConversationId,
+    history: clientHistory = [],
+  } = body || {};
 
-  // ✅ Matrix ALWAYS included
-  const wantMatrix = true;
+  log(`[${reqId}] Question: ${String(question || "").slice(0, 120)}...`);
+  if (!question) return { error: { status: 400, body: { ok: false, error: "Missing question" } } };
+  if (MAX_QUESTION_CHARS > 0 && String(question).length > MAX_QUESTION_CHARS) {
+    return {
+      error: {
+        status: 413,
+        body: {
+          ok: false,
+          error: `Question too long (${String(question).length} chars, max ${MAX_QUESTION_CHARS})`,
+          code: "input_too_long",
+          limit: MAX_QUESTION_CHARS,
+        },
+      },
+    };
+  }
 
-  if (docsSelection.qaVoice && DOCUMENT_CACHE.qaVoice) {
-    parts.push(`QA VOICE RUBRIC:\n${JSON.stringify(DOCUMENT_CACHE.qaVoice).slice(0, MAX_CHARS)}`);
+  // ✅ Conversation memory: stored turns win; the client's copy only seeds a conversation the server lost
+  let conversation = null;
+  try {
+    conversation = await CONVERSATIONS.ensure(requestedConversationId, clientHistory, { owner: user?.email || null });
+  } catch (e) {
+    errlog(`[${reqId}] Conversation load failed:`, e?.message || e);
   }
-  if (docsSelection.qaGroup && DOCUMENT_CACHE.qaGroup) {
-    parts.push(`QA GROUPS RUBRIC:\n${JSON.stringify(DOCUMENT_CACHE.qaGroup).slice(0, MAX_CHARS)}`);
+  const conversationId = conversation?.id || null;
+  const history = boundedHistory(conversation?.turns || [], {
+    maxTurns: CONVERSATION_HISTORY_TURNS,
+    maxChars: CONVERSATION_HISTORY_MAX_CHARS,
+  });
+
+  // follow-ups ("what if the supplier doesn't answer?") retrieve docs for the thread, not just the last line
+  const lastUserTurn = [...history].reverse().find((t) => t.role === "user");
+  const retrievalQuery = lastUserTurn ? `${lastUserTurn.content}\n${question}` : question;
+
+  return {
+    conversationId,
+    ...(await routeAsk(reqId, { question, mode, docs, matrixFirst, history, retrievalQuery }, user)),
+  };
+}
+
+/**
+ * Matrix-first / local / model routing for one question - shared by the ask routes and audit replay.
+ * Returns { error } | { result, question } | { question, docs, matrixResolution, history, retrievalQuery, chain? }.
+ */
+async function routeAsk(
+  reqId,
+  { question, mode = "cloud", docs = {}, matrixFirst = true, history = [], retrievalQuery = question },
+  user
+) {
+  // ✅ IMPORTANT: wait for docs before answering (fixes empty context on first request)
+  if (Object.keys(DOCUMENT_CACHE).length === 0) {
+    await loadDocuments();
   }
-  if (wantMatrix && DOCUMENT_CACHE.matrix) {
-    parts.push(`SERVICE MATRIX 2026:\n${extractRelevantMatrixRows(DOCUMENT_CACHE.matrix, question)}`);
+
+  // ✅ Matrix-first: exact/near-exact scenario hit => deterministic answer, no tokens spent.
+  // Only on a thread's first question: a follow-up needs the conversation, so there the row is just the candidate.
+  let matrixResolution = null;
+  if (MATRIX_FIRST && matrixFirst !== false) {
+    matrixResolution = resolveFromMatrix(MATRIX_INDEX.scenarios, retrievalQuery, {
+      minConfidence: MATRIX_FIRST_MIN_CONFIDENCE,
+    });
+
+    if (matrixResolution.matched && history.length) {
+      log(`[${reqId}] Matrix-first skipped for a follow-up: ${matrixResolution.scenario.id}`);
+    } else if (matrixResolution.matched) {
+      log(`[${reqId}] Matrix-first hit: ${matrixResolution.scenario.id} (${matrixResolution.confidence})`);
+      return { result: matrixFirstResult(matrixResolution), question };
+    }
   }
-  if (docsSelection.trainingGuide && DOCUMENT_CACHE.trainingGuide) {
-    parts.push(
-      `TRAINING GUIDE (JSON):\n${JSON.stringify(DOCUMENT_CACHE.trainingGuide).slice(0, MAX_CHARS)}`
-    );
+
+  // ✅ Local mode: the "local" OpenAI-compatible endpoint only (no cloud failover); echo stub when not set up
+  if (mode === "local") {
+    if (!providerConfigured("local")) {
+      return {
+        result: {
+          answer: `[LOCAL MODE]\nProvider: ${AI_PROVIDER}\nQ: ${question}\n\nSet LOCAL_LLM_BASE_URL and LOCAL_LLM_MODEL to answer with a local model.`,
+          provider: "local",
+          resolution: "local-stub",
+        },
+        question,
+      };
+    }
+    const blocked = user && (await budgetBlock(user));
+    if (blocked) return { error: blocked };
+    return { question, docs, matrixResolution, history, retrievalQuery, chain: ["local"] };
   }
-  if (docsSelection.rppGuide && DOCUMENT_CACHE.rppGuide) {
-    parts.push(
-      `RPP PROTECTION GUIDE (JSON):\n${JSON.stringify(DOCUMENT_CACHE.rppGuide).slice(0, MAX_CHARS)}`
-    );
+
+  if (!chainConfigured()) {
+    return {
+      error: {
+        status: 500,
+        body: {
+          ok: false,
+          error: missingProvidersMessage(),
+        },
+      },
+    };
   }
 
-  return parts.join("\n\n---\n\n") || "NOT FOUND IN DOCS";
+  const blocked = user && (await budgetBlock(user));
+  if (blocked) return { error: blocked };
+
+  return { question, docs, matrixResolution, history, retrievalQuery };
 }
 
-// -------------------- providers --------------------
-async function callNebius(question, systemPrompt) {
-  const response = await fetch("https://api.tokenfactory.nebius.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${NEBIUS_API_KEY}`,
-    },
-    body: JSON.stringify({
-      model: NEBIUS_MODEL,
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: question },
-      ],
-      temperature: 0.2,
-      max_tokens: 1500,
-    }),
-  });
+function sendPlanError(res, { status, body }) {
+  if (body.retryAfterSec) res.setHeader("Retry-After", String(body.retryAfterSec));
+  return res.status(status).json(body);
+}
 
-  if (!response.ok) {
-    const err = await response.json().catch(() => ({}));
-    const errorMsg = err.error?.message || `Nebius API error: ${response.status}`;
-    const e = new Error(errorMsg);
-    e.status = response.status;
-    throw e;
-  }
+// -------------------- ask audit --------------------
+// One entry per ask: who, what was asked, the context actually sent, which provider answered and what it said
 
-  const data = await response.json();
-  return data.choices[0]?.message?.content || "No response";
+function newRequestId(prefix = "req") {
+  return `${prefix}_${Date.now()}_${crypto.randomBytes(3).toString("hex")}`;
 }
 
-async function callKimi(question, systemPrompt) {
-  const response = await fetch("https://api.moonshot.cn/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${KIMI_API_KEY}`,
+// docs toggles only (the client also sends _availability / _activeDocsLabel for display)
+function auditDocs(docs) {
+  return Object.fromEntries(Object.entries(docs || {}).filter(([, v]) => typeof v === "boolean"));
+}
+
+function startAudit(reqId, route, user, body = {}) {
+  return {
+    requestId: reqId,
+    ts: new Date().toISOString(),
+    route,
+    user: { email: user?.email || null, role: user?.role || null },
+    callCenter: userCallCenter(user),
+    request: {
+      question: String(body.question || ""),
+      mode: body.mode || "cloud",
+      docs: auditDocs(body.docs),
+      matrixFirst: body.matrixFirst !== false,
     },
-    body: JSON.stringify({
-      model: KIMI_MODEL,
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: question },
-      ],
-      temperature: 0.2,
-      max_tokens: 1500,
-    }),
-  });
+    usage: [],
+    startedAt: Date.now(),
+  };
+}
 
-  if (!response.ok) {
-    const err = await response.json().catch(() => ({}));
-    const errorMsg = err.error?.message || `Kimi API error: ${response.status}`;
-    const e = new Error(errorMsg);
-    e.status = response.status;
-    throw e;
-  }
+function auditAnswer(result) {
+  return {
+    resolution: result.resolution || null,
+    provider: result.provider || null,
+    model: result.model ?? null,
+    providerAttempts: result.providerAttempts || [],
+    answer: result.answer || "",
+    citations: result.citations || [],
+    citationCheck: result.citationCheck || null,
+    format: result.format || null,
+    matrix: result.matrix
+      ? {
+          scenarioId: result.matrix.scenarioId,
+          issue: result.matrix.issue,
+          citation: result.matrix.citation,
+          confidence: result.matrix.confidence,
+        }
+      : null,
+  };
+}
+
+function auditPlan(plan, context = null) {
+  return {
+    conversationId: plan.conversationId || null,
+    history: plan.history || [],
+    retrievalQuery: plan.retrievalQuery || null,
+    matrixConfidence: plan.matrixResolution ? plan.matrixResolution.confidence : null,
+    // closest scenario even when it was below the matrix-first threshold (feedback groups answers by it)
+    matrixCandidate: plan.matrixResolution?.scenario
+      ? { scenarioId: plan.matrixResolution.scenario.id, issue: plan.matrixResolution.scenario.issue }
+      : null,
+    context,
+    contextChars: context ? context.length : 0,
+    docVersion: docVersionStamp(),
+  };
+}
 
-  const data = await response.json();
-  return data.choices[0]?.message?.content || "No response";
+// Best-effort like conversation memory: a failed audit write is logged, never turned into a failed answer
+function recordAudit(audit, fields) {
+  const { startedAt, ...entry } = audit;
+  return AUDIT.append({ ...entry, latencyMs: Date.now() - startedAt, ...fields }).catch((e) =>
+    errlog(`[${audit.requestId}] audit write failed:`, e?.message || e)
+  );
 }
 
-async function callAnthropic(question, systemPrompt) {
-  const { default: Anthropic } = await import("@anthropic-ai/sdk");
-  const anthropic = new Anthropic({ apiKey: ANTHROPIC_API_KEY });
+function auditError(error) {
+  return {
+    ok: false,
+    status: error.status || 500,
+    error: error.message || "Unknown server error",
+    provider: error.attempts?.at(-1)?.provider || null,
+    providerAttempts: error.attempts || [],
+  };
+}
 
-  const msg = await anthropic.messages.create({
-    model: ANTHROPIC_MODEL,
-    max_tokens: 1500,
-    temperature: 0.2,
-    system: systemPrompt,
-    messages: [{ role: "user", content: question }],
-  });
+function auditPlanError({ status, body }) {
+  return { ok: false, status, error: body.error, code: body.code || null };
+}
 
-  return msg.content[0]?.text || "No response";
+// Runs makePlan() (planAsk / routeAsk) for the ask and replay routes; a failure (docs, ledger, disk) is audited and
+// answered as JSON here so the async handler never rejects. Returns the plan, or null when the response has been sent.
+async function planOrFail(reqId, audit, res, makePlan, extra = {}) {
+  try {
+    return await makePlan();
+  } catch (error) {
+    errlog(`[${reqId}] Plan error:`, error?.message || error);
+    recordAudit(audit, auditError(error));
+    res.status(error.status || 500).json({
+      ok: false,
+      error: error.message || "Unknown server error",
+      requestId: reqId,
+      ...extra,
+    });
+    return null;
+  }
 }
 
-// -------------------- main handler --------------------
 async function handleAsk(req, res) {
-  const reqId = `req_${Date.now()}`;
-  const { question, mode = "cloud", docs = {} } = req.body || {};
+  const reqId = newRequestId();
+  const audit = startAudit(reqId, "ask", req.user, req.body);
+  const plan = await planOrFail(reqId, audit, res, () => planAsk(reqId, req.body, req.user));
+  if (!plan) return;
+  if (plan.error) {
+    recordAudit(audit, auditPlanError(plan.error));
+    return sendPlanError(res, plan.error);
+  }
+  if (plan.result) {
+    await rememberExchange(reqId, plan.conversationId, plan.question, plan.result.answer);
+    recordAudit(audit, { ok: true, status: 200, ...auditPlan(plan), ...auditAnswer(plan.result) });
+    return res.json({ ok: true, ...plan.result, conversationId: plan.conversationId, requestId: reqId });
+  }
 
-  log(`[${reqId}] Question: ${String(question || "").slice(0, 120)}...`);
-  if (!question) return res.status(400).json({ ok: false, error: "Missing question" });
+  const context = buildContext(plan.docs, plan.retrievalQuery);
+  try {
+    const systemPrompt = buildSystemPrompt(context);
+    const onUsage = usageRecorder(reqId, req.user, audit);
+    const deadline = chainDeadline();
+    const { provider, result: firstAnswer, attempts } = await askProviders(plan.question, systemPrompt, {
+      history: plan.history,
+      chain: plan.chain,
+      deadline,
+      onUsage,
+    });
+    const { answer: rawAnswer, structured, format } = await repairAnswer(reqId, plan, firstAnswer, systemPrompt, {
+      provider,
+      deadline,
+      onUsage,
+    });
+    await rememberExchange(reqId, plan.conversationId, plan.question, rawAnswer);
 
-  // ✅ IMPORTANT: wait for docs before answering (fixes empty context on first request)
-  if (Object.keys(DOCUMENT_CACHE).length === 0) {
-    await loadDocuments();
+    log(`[${reqId}] Success (${provider})`);
+    const result = modelResult(reqId, rawAnswer, plan.matrixResolution, { provider, attempts, structured, format });
+    recordAudit(audit, { ok: true, status: 200, ...auditPlan(plan, context), ...auditAnswer(result) });
+    return res.json({ ok: true, ...result, conversationId: plan.conversationId, requestId: reqId });
+  } catch (error) {
+    errlog(`[${reqId}] Error:`, error?.message || error);
+    const status = error.status || 500;
+    recordAudit(audit, { ...auditPlan(plan, context), resolution: "model", ...auditError(error) });
+
+    return res.status(status).json({
+      ok: false,
+      error: error.message || "Unknown server error",
+      provider: error.attempts?.at(-1)?.provider || AI_PROVIDER,
+      providerAttempts: error.attempts || [],
+      requestId: reqId,
+    });
   }
+}
 
-  if (mode === "local") {
-    return res.json({
-      ok: true,
-      answer: `[LOCAL MODE]\nProvider: ${AI_PROVIDER}\nQ: ${question}`,
-      provider: "local",
+// -------------------- streaming (SSE) --------------------
+function sseStart(res) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no"); // Render / nginx: don't buffer the stream
+  res.flushHeaders?.();
+}
+
+function sseSend(res, event, data) {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Same buckets the client already renders: error401 / errorNoCredits / rateLimit (429) / timeout / error
+function streamErrorKind(e) {
+  const status = Number(e?.status || 0);
+  const msg = String(e?.message || "").toLowerCase();
+  if (status === 401 || status === 403) return "error401";
+  if (status === 402 || /credit|billing|insufficient|balance|quota/.test(msg)) return "errorNoCredits";
+  if (status === 429) return "rateLimit";
+  if (status === 504) return "timeout";
+  return "error";
+}
+
+async function handleAskStream(req, res) {
+  const reqId = newRequestId();
+  const audit = startAudit(reqId, "ask_stream", req.user, req.body);
+  const plan = await planOrFail(reqId, audit, res, () => planAsk(reqId, req.body, req.user));
+  if (!plan) return;
+
+  // validation / config errors are sent before the stream opens, as plain JSON with a real status
+  if (plan.error) {
+    recordAudit(audit, auditPlanError(plan.error));
+    return sendPlanError(res, plan.error);
+  }
+
+  sseStart(res);
+
+  if (plan.result) {
+    sseSend(res, "meta", {
+      provider: plan.result.provider,
+      model: plan.result.model ?? null,
+      resolution: plan.result.resolution || null,
+      conversationId: plan.conversationId,
+      requestId: reqId,
     });
+    sseSend(res, "delta", { text: plan.result.answer });
+    await rememberExchange(reqId, plan.conversationId, plan.question, plan.result.answer);
+    recordAudit(audit, { ok: true, status: 200, ...auditPlan(plan), ...auditAnswer(plan.result) });
+    sseSend(res, "done", { ok: true, ...plan.result, conversationId: plan.conversationId, requestId: reqId });
+    return res.end();
   }
 
-  const keyCheck = {
-    nebius: NEBIUS_API_KEY,
-    kimi: KIMI_API_KEY,
-    anthropic: ANTHROPIC_API_KEY,
+  const ctrl = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) ctrl.abort();
+  });
+
+  // meta goes out with the first token, once we know which provider in the chain is answering
+  let metaSent = false;
+  let streamed = "";
+  const onDelta = (text, provider) => {
+    if (!metaSent) {
+      metaSent = true;
+      sseSend(res, "meta", {
+        provider,
+        model: providerModel(provider),
+        resolution: "model",
+        conversationId: plan.conversationId,
+        requestId: reqId,
+      });
+    }
+    streamed += text;
+    sseSend(res, "delta", { text });
   };
 
-  if (!keyCheck[AI_PROVIDER]) {
-    return res.status(500).json({
+  const context = buildContext(plan.docs, plan.retrievalQuery);
+  try {
+    const systemPrompt = buildSystemPrompt(context);
+    const onUsage = usageRecorder(reqId, req.user, audit);
+    const deadline = chainDeadline();
+    const { provider, result: firstAnswer, attempts } = await streamProviders(plan.question, systemPrompt, onDelta, {
+      signal: ctrl.signal,
+      history: plan.history,
+      chain: plan.chain,
+      deadline,
+      onUsage,
+      onFailover: ({ from, error }) =>
+        sseSend(res, "failover", { from, status: error?.status || null, error: error?.message || "" }),
+    });
+    // the streamed text stays on screen while the re-ask runs; "done" carries the repaired answer
+    const { answer: rawAnswer, structured, format } = await repairAnswer(reqId, plan, firstAnswer, systemPrompt, {
+      provider,
+      deadline,
+      signal: ctrl.signal,
+      onUsage,
+      onRepair: (missing) => sseSend(res, "repair", { missingSections: missing }),
+    });
+    await rememberExchange(reqId, plan.conversationId, plan.question, rawAnswer);
+
+    log(`[${reqId}] Stream success (${provider})`);
+    const result = modelResult(reqId, rawAnswer, plan.matrixResolution, { provider, attempts, structured, format });
+    recordAudit(audit, { ok: true, status: 200, ...auditPlan(plan, context), ...auditAnswer(result) });
+    sseSend(res, "done", { ok: true, ...result, conversationId: plan.conversationId, requestId: reqId });
+  } catch (error) {
+    if (ctrl.signal.aborted) {
+      log(`[${reqId}] Client closed stream`);
+      // 499 = client closed request; whatever had streamed so far is kept
+      recordAudit(audit, {
+        ...auditPlan(plan, context),
+        resolution: "model",
+        ...auditError(error),
+        status: 499,
+        error: "Client closed stream",
+        answer: streamed,
+      });
+      return res.end();
+    }
+    errlog(`[${reqId}] Stream error:`, error?.message || error);
+    recordAudit(audit, { ...auditPlan(plan, context), resolution: "model", ...auditError(error), answer: streamed });
+    sseSend(res, "error", {
       ok: false,
-      error: `Server missing ${AI_PROVIDER.toUpperCase()}_API_KEY`,
+      kind: streamErrorKind(error),
+      status: error.status || 500,
+      error: error.message || "Unknown server error",
+      provider: error.attempts?.at(-1)?.provider || AI_PROVIDER,
+      providerAttempts: error.attempts || [],
+      requestId: reqId,
     });
   }
+  res.end();
+}
+
+["/api/claude", "/api/ask", "/api/query", "/ask"].forEach((route) => {
+  app.post(route, requireRole("agent"), limitRequests, handleAsk);
+});
+
+["/api/claude/stream", "/api/ask/stream"].forEach((route) => {
+  app.post(route, requireRole("agent"), limitRequests, handleAskStream);
+});
+
+// -------------------- audit API --------------------
+// QA leads: search / export past asks, and re-run one against the documents loaded right now
+
+function auditQuery(q, defaultLimit) {
+  const pick = (k) => (q[k] === undefined ? undefined : String(q[k]));
+  return {
+    from: pick("from"),
+    to: pick("to"),
+    limit: pick("limit") || defaultLimit,
+    user: pick("user"),
+    callCenter: pick("callCenter"),
+    provider: pick("provider"),
+    resolution: pick("resolution"),
+    status: pick("status"),
+    route: pick("route"),
+    q: pick("q"),
+  };
+}
+
+// list view: the context and history sent to the model are only returned with ?full=1 or GET /api/audit/:id
+function auditListItem({ context, history, ...entry }) {
+  return { ...entry, historyTurns: (history || []).length };
+}
+
+function auditSummary(e) {
+  return {
+    requestId: e.requestId,
+    ts: e.ts,
+    resolution: e.resolution || null,
+    provider: e.provider || null,
+    model: e.model ?? null,
+    answer: e.answer || "",
+    citationCheck: e.citationCheck || null,
+    contextChars: e.contextChars || 0,
+    docVersion: e.docVersion || null,
+  };
+}
+
+function replayDiff(original, replay) {
+  const lines = diffLines(original.answer, replay.answer);
+  const before = new Set((original.citations || []).map((c) => c.raw));
+  const after = new Set((replay.citations || []).map((c) => c.raw));
+  return {
+    answerChanged: (original.answer || "") !== (replay.answer || ""),
+    summary: diffSummary(lines),
+    lines,
+    // null when either side answered without a model (matrix-first / stub), so no context was sent
+    contextChanged: original.context && replay.context ? original.context !== replay.context : null,
+    // entries written before doc versioning have no stamp -> null
+    docVersionChanged:
+      original.docVersion && replay.docVersion ? original.docVersion.fingerprint !== replay.docVersion.fingerprint : null,
+    resolution: { before: original.resolution || null, after: replay.resolution || null },
+    provider: { before: original.provider || null, after: replay.provider || null },
+    citationVerdict: { before: original.citationCheck?.verdict || null, after: replay.citationCheck?.verdict || null },
+    citations: {
+      added: [...after].filter((c) => !before.has(c)),
+      removed: [...before].filter((c) => !after.has(c)),
+    },
+  };
+}
+
+// When the docs changed since the original answer: the version diff, with matrix rows cut down to the
+// scenarios either answer used. null when both ran on the same version (or the original predates versioning).
+async function replayDocChanges(original, replay) {
+  const from = original.docVersion?.id;
+  const to = replay.docVersion?.id;
+  if (!from || !to || original.docVersion.fingerprint === replay.docVersion.fingerprint) return null;
 
   try {
-    const context = buildContext(docs, question);
-
-    const systemPrompt = `
-You are "QA Master" — the strictest, smartest HotelPlanner Call Center Quality & Compliance Analyst.
-
-YOUR JOB
-- Give agents the exact compliant procedure for the guest situation.
-- Use ONLY the provided documents as your source of truth:
-${context}
-
-NON-NEGOTIABLE RULES (HARD FAIL IF BROKEN)
-1) Do NOT use outside knowledge. If the docs do not cover it, say: "NOT FOUND IN DOCS" and ask 1–2 clarifying questions.
-2) Do NOT invent policies, time limits, fees, refund eligibility, or steps.
-3) ALWAYS prefer the most restrictive/compliance-safe option when multiple options exist, and explain why using citations.
-4) If there is a conflict between docs, resolve by priority:
-   Service Matrix 2026 > QA Voice > QA Groups > Training Guide
-   If still unclear, output: "CONFLICT IN DOCS" + quote the conflicting sections and ask what to follow.
-5) Never promise outcomes (refund approved / cancellation confirmed) unless docs explicitly say it can be confirmed.
-6) For any booking-related issue, require verification fields when applicable:
-   Itinerary/confirmation #, guest name, hotel name, check-in, check-out, destination/city.
-7) Keep it short, executable, and measurable.
-
-OUTPUT FORMAT (ALWAYS EXACTLY THIS)
-Acknowledge:
-- (1 sentence empathic acknowledgement)
-
-Decision:
-- One line: the correct path / dropdown / queue / action outcome
-
-Steps:
-1) ...
-2) ...
-3) ...
-
-Do/Don’t Script (agent lines):
-- Say: "..."
-- Say: "..."
-- Don’t say: "..."
-
-Citations:
-- [Doc: <name> | Sheet/Section: <sheet/heading> | Row/Cell: <reference>]
-- [Doc: ...]
-(If you cannot cite: write "NO CITATION AVAILABLE" and stop.)
-
-QUALITY CHECK
-- Compliance Risk: Low/Medium/High + 1 reason
-- Missing Info Needed: (list) or "None"
-
-Now answer the user question using the rules above.
-    `.trim();
-
-    let apiPromise;
-    switch (AI_PROVIDER) {
-      case "anthropic":
-        apiPromise = callAnthropic(question, systemPrompt);
-        break;
-      case "nebius":
-        apiPromise = callNebius(question, systemPrompt);
-        break;
-      case "kimi":
-        apiPromise = callKimi(question, systemPrompt);
-        break;
-      default:
-        throw new Error(`Unknown provider: ${AI_PROVIDER}`);
-    }
-
-    const timeoutPromise = new Promise((_, reject) =>
-      setTimeout(() => reject(Object.assign(new Error("Request timeout"), { status: 504 })), 55000)
+    const diff = await DOC_VERSIONS.diff({ from, to });
+    const used = new Set(
+      [original.matrix, original.matrixCandidate, replay.matrix, replay.matrixCandidate]
+        .map((m) => m?.scenarioId)
+        .filter(Boolean)
     );
+    const touches = (row) => used.has(row.id) || used.has(row.previousId);
+    return {
+      from: diff.from,
+      to: diff.to,
+      docs: diff.docs,
+      matrix: diff.matrix
+        ? {
+            summary: diff.matrix.summary,
+            added: diff.matrix.added.filter(touches),
+            removed: diff.matrix.removed.filter(touches),
+            changed: diff.matrix.changed.filter(touches),
+          }
+        : null,
+    };
+  } catch (e) {
+    return { from: original.docVersion, to: replay.docVersion, error: e.message };
+  }
+}
+
+// ?from=&to= (YYYY-MM-DD, default last 7 days) &user= &callCenter= &provider= &resolution= &status=ok|error
+// &route= &q= &limit= &format=json|csv|jsonl
+app.get("/api/audit", requireRole("qa_lead"), async (req, res) => {
+  const format = String(req.query.format || "json").toLowerCase();
+  if (!["json", "csv", "jsonl"].includes(format)) {
+    return res.status(400).json({ ok: false, error: "format must be json, csv or jsonl" });
+  }
 
-    const answer = await Promise.race([apiPromise, timeoutPromise]);
+  try {
+    const out = await AUDIT.query(auditQuery(req.query, format === "json" ? 200 : 5000));
+    const fileName = `audit-${out.from}-to-${out.to}`;
+
+    if (format !== "json") {
+      res.setHeader("X-Audit-Truncated", String(out.truncated));
+      res.setHeader("Content-Disposition", `attachment; filename="${fileName}.${format}"`);
+      if (format === "csv") {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        return res.send(toCsv(out.entries));
+      }
+      res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+      return res.send(toJsonl(out.entries));
+    }
 
-    log(`[${reqId}] Success (${AI_PROVIDER})`);
-    return res.json({
+    const full = String(req.query.full || "") === "1";
+    res.json({
       ok: true,
-      answer,
-      provider: AI_PROVIDER,
-      model:
-        AI_PROVIDER === "nebius" ? NEBIUS_MODEL : AI_PROVIDER === "kimi" ? KIMI_MODEL : ANTHROPIC_MODEL,
+      from: out.from,
+      to: out.to,
+      count: out.entries.length,
+      truncated: out.truncated,
+      entries: full ? out.entries : out.entries.map(auditListItem),
     });
-  } catch (error) {
-    errlog(`[${reqId}] Error:`, error?.message || error);
-    const status = error.status || 500;
+  } catch (e) {
+    errlog("Audit query failed:", e?.message || e);
+    res.status(500).json({ ok: false, error: "Failed to read audit log" });
+  }
+});
 
-    return res.status(status).json({
+app.get("/api/audit/:requestId", requireRole("qa_lead"), async (req, res) => {
+  try {
+    const entry = await AUDIT.get(req.params.requestId);
+    if (!entry) return res.status(404).json({ ok: false, error: "Audit entry not found" });
+    res.json({ ok: true, entry });
+  } catch (e) {
+    errlog("Audit read failed:", e?.message || e);
+    res.status(500).json({ ok: false, error: "Failed to read audit log" });
+  }
+});
+
+// Re-run a stored question (same docs toggles, mode and conversation history) against the current documents.
+// Nothing is written to the conversation; the replay itself is audited with replayOf and charged to the caller.
+app.post("/api/audit/:requestId/replay", requireRole("qa_lead"), limitRequests, async (req, res) => {
+  let original;
+  try {
+    original = await AUDIT.get(req.params.requestId);
+  } catch (e) {
+    errlog("Audit read failed:", e?.message || e);
+    return res.status(500).json({ ok: false, error: "Failed to read audit log" });
+  }
+  if (!original) return res.status(404).json({ ok: false, error: "Audit entry not found" });
+  if (!original.request?.question) {
+    return res.status(400).json({ ok: false, error: "Audit entry has no question to replay" });
+  }
+
+  const reqId = newRequestId("rpl");
+  const audit = { ...startAudit(reqId, "replay", req.user, original.request), replayOf: original.requestId };
+  log(`[${reqId}] Replaying ${original.requestId} for ${req.user.email}`);
+
+  const plan = await planOrFail(
+    reqId,
+    audit,
+    res,
+    () =>
+      routeAsk(
+        reqId,
+        {
+          ...original.request,
+          history: original.history || [],
+          retrievalQuery: original.retrievalQuery || original.request.question,
+        },
+        req.user
+      ),
+    { replayOf: original.requestId }
+  );
+  if (!plan) return;
+  if (plan.error) {
+    recordAudit(audit, auditPlanError(plan.error));
+    return sendPlanError(res, { ...plan.error, body: { ...plan.error.body, replayOf: original.requestId } });
+  }
+
+  let result = plan.result;
+  let context = null;
+  try {
+    if (!result) {
+      context = buildContext(plan.docs, plan.retrievalQuery);
+      const systemPrompt = buildSystemPrompt(context);
+      const onUsage = usageRecorder(reqId, req.user, audit);
+      const deadline = chainDeadline();
+      const { provider, result: firstAnswer, attempts } = await askProviders(plan.question, systemPrompt, {
+        history: plan.history,
+        chain: plan.chain,
+        deadline,
+        onUsage,
+      });
+      const { answer: rawAnswer, structured, format } = await repairAnswer(reqId, plan, firstAnswer, systemPrompt, {
+        provider,
+        deadline,
+        onUsage,
+      });
+      result = modelResult(reqId, rawAnswer, plan.matrixResolution, { provider, attempts, structured, format });
+    }
+  } catch (error) {
+    errlog(`[${reqId}] Replay error:`, error?.message || error);
+    recordAudit(audit, { ...auditPlan(plan, context), resolution: "model", ...auditError(error) });
+    return res.status(error.status || 500).json({
       ok: false,
       error: error.message || "Unknown server error",
-      provider: AI_PROVIDER,
+      providerAttempts: error.attempts || [],
+      requestId: reqId,
+      replayOf: original.requestId,
     });
   }
+
+  const fields = { ...auditPlan(plan, context), ...auditAnswer(result) };
+  const replay = { requestId: reqId, ts: audit.ts, ...fields };
+  recordAudit(audit, { ok: true, status: 200, ...fields });
+
+  res.json({
+    ok: true,
+    requestId: reqId,
+    replayOf: original.requestId,
+    original: auditSummary(original),
+    replay: auditSummary(replay),
+    diff: replayDiff(original, replay),
+    docChanges: await replayDocChanges(original, replay),
+  });
+});
+
+// -------------------- answer feedback --------------------
+// Agents rate answers they were given (by audit request id); QA leads work the queue of wrong / unsafe ones
+
+// the answer as the agent saw it, copied from the audit entry so the queue never needs the audit files
+function feedbackAsk(entry) {
+  return {
+    ts: entry.ts,
+    question: entry.request?.question || "",
+    answer: entry.answer || "",
+    provider: entry.provider || null,
+    model: entry.model ?? null,
+    resolution: entry.resolution || null,
+    citationVerdict: entry.citationCheck?.verdict || null,
+    scenario: entry.matrix?.scenarioId
+      ? { scenarioId: entry.matrix.scenarioId, issue: entry.matrix.issue || null }
+      : entry.matrixCandidate || null,
+  };
 }
 
-["/api/claude", "/api/ask", "/api/query", "/ask"].forEach((route) => {
-  app.post(route, handleAsk);
+// body: { requestId, verdict: "helpful" | "wrong" | "unsafe", correction?, matrixRow?: scenario id from /api/matrix/search }
+app.post("/api/feedback", requireRole("agent"), async (req, res) => {
+  try {
+    const { requestId, verdict, correction, matrixRow } = req.body || {};
+    if (!requestId) return res.status(400).json({ ok: false, error: "Missing field: requestId" });
+
+    const entry = await AUDIT.get(String(requestId));
+    if (!entry || !entry.ok) return res.status(404).json({ ok: false, error: "Answer not found in the audit log" });
+    if (entry.user?.email !== req.user.email && !hasRole(req.user, "qa_lead")) {
+      return res.status(403).json({ ok: false, error: "You can only rate answers you were given", code: "forbidden" });
+    }
+
+    let row = null;
+    if (matrixRow) {
+      if (Object.keys(DOCUMENT_CACHE).length === 0) await loadDocuments();
+      const s = MATRIX_INDEX.scenarios.find((x) => x.id === String(matrixRow));
+      if (!s) return res.status(400).json({ ok: false, error: `Unknown matrix row "${matrixRow}"` });
+      row = {
+        scenarioId: s.id,
+        sheetName: s.sheetName,
+        rowNumber: s.rowNumber,
+        issue: s.issue,
+        citation: matrixCitation(s),
+      };
+    }
+
+    const out = await FEEDBACK.submit({
+      requestId: entry.requestId,
+      verdict,
+      correction,
+      matrixRow: row,
+      user: req.user,
+      ask: feedbackAsk(entry),
+    });
+    log(`Feedback ${out.action}: ${out.item.verdict} on ${entry.requestId} by ${req.user.email}`);
+    res.json({ ok: true, action: out.action, feedback: out.item });
+  } catch (e) {
+    errlog("Feedback save failed:", e?.message || e);
+    res.status(e.status || 500).json({ ok: false, error: e.message || "Failed to save feedback" });
+  }
+});
+
+// QA queue: ?status=open|resolved|dismissed|all (default open) &verdict=wrong,unsafe|helpful|all &callCenter= &q= &limit=
+app.get("/api/feedback", requireRole("qa_lead"), async (req, res) => {
+  try {
+    const status = String(req.query.status || "open").toLowerCase();
+    if (status !== "all" && !FEEDBACK_STATUSES.includes(status)) {
+      return res.status(400).json({ ok: false, error: `status must be all or ${FEEDBACK_STATUSES.join(", ")}` });
+    }
+    const verdictParam = String(req.query.verdict || "wrong,unsafe").toLowerCase();
+    const verdicts = verdictParam === "all" ? [] : verdictParam.split(",").map((v) => v.trim()).filter(Boolean);
+    const callCenter = String(req.query.callCenter || "").trim();
+    const limit = Math.max(1, Math.min(1000, Number(req.query.limit) || 200));
+
+    const items = await FEEDBACK.list({ status, verdicts, callCenter, q: req.query.q });
+    const everything = await FEEDBACK.list({ callCenter });
+
+    res.json({
+      ok: true,
+      total: items.length,
+      items: items.slice(0, limit),
+      counts: {
+        open: everything.filter((f) => f.status === "open" && needsReview(f)).length,
+        resolved: everything.filter((f) => f.status === "resolved").length,
+        dismissed: everything.filter((f) => f.status === "dismissed").length,
+        helpful: everything.filter((f) => f.verdict === "helpful").length,
+        wrong: everything.filter((f) => f.verdict === "wrong").length,
+        unsafe: everything.filter((f) => f.verdict === "unsafe").length,
+      },
+      scenarios: feedbackByScenario(everything),
+    });
+  } catch (e) {
+    errlog("Feedback list failed:", e?.message || e);
+    res.status(500).json({ ok: false, error: "Failed to load feedback" });
+  }
+});
+
+// body: { status: "resolved" | "dismissed" | "open", note? }
+app.post("/api/feedback/:id/status", requireRole("qa_lead"), async (req, res) => {
+  try {
+    const { status, note } = req.body || {};
+    const item = await FEEDBACK.setStatus(req.params.id, { status, note, by: req.user.email });
+    log(`Feedback ${item.id} -> ${item.status} by ${req.user.email}`);
+    res.json({ ok: true, feedback: item });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message || "Failed to update feedback" });
+  }
 });
 
-app.post("/admin/reload-docs", async (req, res) => {
+// Optional { docs: ["matrix", ...] } limits a reload to some documents; the rest keep their cached copy
+function requestedDocKeys(body) {
+  const docs = body?.docs;
+  if (docs === undefined || docs === null || docs === "") return undefined;
+  return (Array.isArray(docs) ? docs : String(docs).split(",")).map((k) => String(k).trim()).filter(Boolean);
+}
+
+app.post("/admin/reload-docs", requireRole("admin"), async (req, res) => {
   try {
-    await loadDocuments(true);
-    res.json({ ok: true, message: "Documents reloaded", cached: Object.keys(DOCUMENT_CACHE) });
+    const keys = requestedDocKeys(req.body);
+    log(`Docs reload requested by ${req.user.email}${keys ? ` (${keys.join(", ")})` : ""}`);
+    // the old docs keep serving until the new ones are in; a doc that fails to load keeps its last good copy
+    const report = await DOC_REFRESH.refresh({ keys, reason: `manual (${req.user.email})` });
+    res.json({
+      ok: true,
+      message: "Documents reloaded",
+      cached: Object.keys(DOCUMENT_CACHE),
+      version: docVersionStamp(),
+      changes: DOC_VERSION?.changes || null,
+      refresh: report,
+    });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    res.status(e.status || 500).json({ ok: false, error: e.message });
   }
 });
 
+// ✅ Webhook for the sheet owner (e.g. an Apps Script onEdit trigger) - answers right away, the reload runs in the
+// background and bursts of calls collapse into one follow-up load
+function webhookSecretOk(req) {
+  const given = Buffer.from(String(req.get("x-docs-webhook-secret") || ""));
+  const expected = Buffer.from(DOCS_WEBHOOK_SECRET);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+app.post("/api/docs/webhook", (req, res) => {
+  if (!DOCS_WEBHOOK_SECRET) return res.status(503).json({ ok: false, error: "Docs webhook is not configured" });
+  if (!webhookSecretOk(req)) return res.status(401).json({ ok: false, error: "Invalid webhook secret" });
+
+  let refresh;
+  try {
+    refresh = DOC_REFRESH.refresh({ keys: requestedDocKeys(req.body), reason: "webhook" });
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+  refresh.catch((e) => errlog("webhook docs reload error:", e?.message || e));
+
+  const status = DOC_REFRESH.status();
+  log(`Docs webhook: reload ${status.queued ? "queued" : "started"}`);
+  res.status(202).json({ ok: true, message: "Reload scheduled", loading: status.loading, queued: status.queued });
+});
+
 app.use((req, res) => {
   res.status(404).json({
     ok: false,
     error: "Not found",
     endpoints: [
       "/health",
+      "/api/auth/login",
+      "/api/auth/me",
       "/api/claude",
+      "/api/claude/stream",
+      "/api/conversations/:id",
       "/api/reviews",
       "/api/reviews/upsert",
       "/api/reviews/ping",
+      "/api/reviews/stats",
+      "/api/reviews/history",
+      "/api/reviews/:id",
+      "/api/reviews/:id/history",
+      "/api/reviews/:id/moderate",
+      "/api/reviews/:id/restore",
+      "/api/call-centers",
+      "/api/call-centers/:id",
       "/api/matrix/ping",
+      "/api/matrix/search",
+      "/api/training/search",
+      "/api/rpp/check",
+      "/api/docs/view",
+      "/api/docs/view/:view",
+      "/api/docs/versions",
+      "/api/docs/diff",
+      "/api/docs/webhook",
+      "/api/qa/score",
+      "/api/usage",
+      "/api/usage/me",
+      "/api/audit",
+      "/api/audit/:requestId",
+      "/api/audit/:requestId/replay",
+      "/api/feedback",
+      "/api/feedback/:id/status",
     ],
     provider: AI_PROVIDER,
   });
@@ -758,12 +2442,28 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`🌐 Allowed Frontends: ${Array.from(ALLOWED_ORIGINS).join(", ")}`);
   console.log(`🤖 Current Provider: ${AI_PROVIDER.toUpperCase()}`);
-  console.log(`🔑 Nebius: ${NEBIUS_API_KEY ? "✅" : "❌"}`);
-  console.log(`🔑 Kimi: ${KIMI_API_KEY ? "✅" : "❌"}`);
-  console.log(`🔑 Anthropic: ${ANTHROPIC_API_KEY ? "✅" : "❌"}`);
+  console.log(`🔁 Provider chain: ${PROVIDER_CHAIN.join(" → ")}`);
+  console.log(`🔑 Nebius: ${providerConfigured("nebius") ? "✅" : "❌"}`);
+  console.log(`🔑 Kimi: ${providerConfigured("kimi") ? "✅" : "❌"}`);
+  console.log(`🔑 Anthropic: ${providerConfigured("anthropic") ? "✅" : "❌"}`);
+  console.log(`🖥️ Local model: ${providerConfigured("local") ? `✅ ${PROVIDERS.describe("local").baseUrl}` : "❌"}`);
   safeSheetsStatusLog();
+  const reviewsWhere = REVIEWS.backend === "file" ? REVIEWS_CONFIG.file : `tab ${REVIEWS_CONFIG.sheets.tabName}`;
+  console.log(`⭐ Reviews: ${REVIEWS.backend} (${reviewsWhere})`);
+  console.log(`🔐 Auth secret: ${AUTH_SECRET_FROM_ENV ? "✅" : "⚠️ AUTH_SECRET not set - sessions end on restart"}`);
+  bootstrapAdmin()
+    .then(() => USERS.list())
+    .then((users) => console.log(`👥 Users: ${users.length}${users.length ? "" : " (run npm run create-user)"}`))
+    .catch((e) => errlog("user store error:", e?.message || e));
 
   // ✅ Background preload (non-blocking)
   console.log("⏳ Loading documents (background)...");
-  loadDocuments().catch((e) => errlog("docs load error:", e?.message || e));
+  DOC_REFRESH.refresh({ reason: "startup" }).catch((e) => errlog("docs load error:", e?.message || e));
+  DOC_REFRESH.startSchedule();
+  const schedule = DOC_REFRESH.status().schedule;
+  console.log(
+    `🔄 Doc refresh: ${schedule.length ? schedule.map((d) => `${d.key} every ${d.everyMinutes}m`).join(", ") : "manual only"}${
+      DOCS_WEBHOOK_SECRET ? " + webhook" : ""
+    }`
+  );
 });
\ No newline at end of file
@@ -0,0 +1,112 @@
+// server/test/answerFormat.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseAnswer, splitSections, buildRepairQuestion } from "../lib/answerFormat.js";
+import { buildMatrixAnswer } from "../lib/matrixAnswer.js";
+
+const FULL = [
+  "Acknowledge:",
+  "- I understand how frustrating that is.",
+  "",
+  "Decision:",
+  "- Refund Queue: Yes (when applicable)",
+  "",
+  "Steps:",
+  "1) Verify the itinerary number.",
+  "2) Call the hotel and request FOC,",
+  "   note the staff member's name.",
+  "",
+  "Do/Don’t Script (agent lines):",
+  '- Say: "I\'ll be more than happy to assist you."',
+  '- Say: "Let me verify your reservation."',
+  '- Don’t say: "Your refund is approved."',
+  "",
+  "Citations:",
+  "- [Doc: Service Matrix 2026 | Sheet/Section: Voice Matrix | Row/Cell: 36]",
+  "- [Doc: Training Guide | Sheet/Section: Refunds | Row/Cell: chunk_00101]",
+  "",
+  "QUALITY CHECK",
+  "- Compliance Risk: Medium — the hotel may still deny the waiver",
+  "- Missing Info Needed: itinerary #, check-in date",
+].join("\n");
+
+test("parseAnswer turns the contract into a typed object", () => {
+  const a = parseAnswer(FULL);
+  assert.equal(a.complete, true);
+  assert.deepEqual(a.missingSections, []);
+  assert.equal(a.acknowledge, "I understand how frustrating that is.");
+  assert.equal(a.decision, "Refund Queue: Yes (when applicable)");
+  assert.deepEqual(a.steps, [
+    "Verify the itinerary number.",
+    "Call the hotel and request FOC, note the staff member's name.",
+  ]);
+  assert.deepEqual(a.sayLines, ["I'll be more than happy to assist you.", "Let me verify your reservation."]);
+  assert.deepEqual(a.dontSayLines, ["Your refund is approved."]);
+  assert.equal(a.citations.length, 2);
+  assert.deepEqual(a.complianceRisk, { level: "medium", reason: "the hotel may still deny the waiver" });
+  assert.deepEqual(a.missingInfo, ["itinerary #", "check-in date"]);
+});
+
+test("renamed and markdown headings are still recognised", () => {
+  const text = [
+    "## **Acknowledgement**",
+    "Sorry to hear that.",
+    "**Decision:** Supervisor: Yes",
+    "### Action Steps",
+    "- Escalate",
+    "Do's and Don'ts:",
+    "- Do say: Thanks for holding",
+    "- Avoid: guaranteeing a refund",
+    "Sources:",
+    "- [Doc: QA Voice | Sheet/Section: Voice | Row/Cell: 4]",
+    "Quality Check:",
+    "- Compliance Risk: HIGH because of a chargeback threat",
+    "- Missing Info Needed: None",
+  ].join("\n");
+  const a = parseAnswer(text);
+  assert.deepEqual(a.missingSections, []);
+  assert.equal(a.decision, "Supervisor: Yes");
+  assert.deepEqual(a.steps, ["Escalate"]);
+  assert.deepEqual(a.sayLines, ["Thanks for holding"]);
+  assert.deepEqual(a.dontSayLines, ["guaranteeing a refund"]);
+  assert.equal(a.complianceRisk.level, "high");
+  assert.deepEqual(a.missingInfo, []);
+});
+
+test("sentences that start with a section word are not headings", () => {
+  const { order } = splitSections("Decision:\n- Ticket\nSteps to follow are below.\nDecisions are final.");
+  assert.deepEqual(order, ["decision"]);
+});
+
+test("missing sections are listed; NO CITATION AVAILABLE may stop before the quality check", () => {
+  const partial = parseAnswer("Decision: Refund Queue\nSteps:\n1) Verify");
+  assert.equal(partial.complete, false);
+  assert.deepEqual(partial.missingSections, ["acknowledge", "script", "citations", "qualityCheck"]);
+
+  const stopped = parseAnswer(FULL.split("QUALITY CHECK")[0].replace(/Citations:[\s\S]*/, "Citations:\nNO CITATION AVAILABLE"));
+  assert.deepEqual(stopped.missingSections, []);
+  assert.deepEqual(stopped.citations, []);
+});
+
+test("matrix-first answers parse completely", () => {
+  const a = parseAnswer(
+    buildMatrixAnswer({
+      issue: "Double Charged",
+      sheetName: "Voice Matrix",
+      rowNumber: 47,
+      instructions: "1. Check the card statement. 2. Open a refund.",
+      routing: {},
+    })
+  );
+  assert.equal(a.complete, true);
+  assert.equal(a.complianceRisk.level, "low");
+  assert.equal(a.steps.length, 2);
+  assert.match(a.citations[0], /Row\/Cell: 47/);
+});
+
+test("buildRepairQuestion names the missing headings", () => {
+  const q = buildRepairQuestion(["script", "qualityCheck"]);
+  assert.match(q, /"Do\/Don’t Script \(agent lines\):", "QUALITY CHECK"/);
+  assert.match(q, /Acknowledge: \/ Decision:/);
+});
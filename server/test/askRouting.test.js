@@ -0,0 +1,83 @@
+// server/test/askRouting.test.js
+// Matrix-first routing of POST /api/ask against a real server process (mode "local" without a local model, so
+// anything that is not answered from the matrix comes back as the local stub - no provider, no network)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_DIR = path.join(__dirname, "..");
+
+async function waitForServer(base, child) {
+  for (let i = 0; i < 80; i++) {
+    if (child.exitCode !== null) throw new Error(`server exited with ${child.exitCode}`);
+    try {
+      await fetch(`${base}/health`);
+      return;
+    } catch {
+      await new Promise((r) => setTimeout(r, 250));
+    }
+  }
+  throw new Error("server did not start");
+}
+
+test("a follow-up in a thread is not answered from a matrix row, the thread's first question is", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ask-routing-"));
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const base = `http://localhost:${port}`;
+  const env = {
+    ...process.env,
+    PORT: String(port),
+    ANTHROPIC_API_KEY: "",
+    MATRIX_FIRST: "true",
+    AUTH_SECRET: "r".repeat(40),
+    AUTH_BOOTSTRAP_ADMIN_EMAIL: "admin@example.com",
+    AUTH_BOOTSTRAP_ADMIN_PASSWORD: "password123",
+    USERS_FILE: path.join(dir, "users.json"),
+    USAGE_DIR: path.join(dir, "usage"),
+    AUDIT_DIR: path.join(dir, "audit"),
+    CONVERSATIONS_DIR: path.join(dir, "conversations"),
+    FEEDBACK_FILE: path.join(dir, "feedback.json"),
+    DOC_VERSIONS_DIR: path.join(dir, "doc-versions"),
+    REVIEWS_BACKEND: "file",
+    REVIEWS_FILE: path.join(dir, "reviews.json"),
+    CALL_CENTERS_FILE: path.join(dir, "call-centers.json"),
+  };
+  delete env.LOCAL_LLM_BASE_URL;
+  const child = spawn(process.execPath, ["server.js"], { cwd: SERVER_DIR, stdio: "ignore", env });
+
+  try {
+    await waitForServer(base, child);
+    const login = await fetch(`${base}/api/auth/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ email: "admin@example.com", password: "password123" }),
+    }).then((r) => r.json());
+    const ask = (body) =>
+      fetch(`${base}/api/ask`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${login.token}` },
+        body: JSON.stringify({ mode: "local", docs: {}, ...body }),
+      }).then((r) => r.json());
+
+    const first = await ask({ question: "Guest was double charged" });
+    assert.equal(first.resolution, "matrix-first");
+
+    const followUp = await ask({
+      question: "Guest was double charged",
+      history: [
+        { role: "user", content: "The guest wants to cancel a prepaid booking" },
+        { role: "assistant", content: "Decision:\n- Check the cancellation policy first" },
+      ],
+    });
+    assert.equal(followUp.resolution, "local-stub");
+  } finally {
+    child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
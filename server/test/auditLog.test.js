@@ -0,0 +1,32 @@
+// server/test/auditLog.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toCsv } from "../lib/auditLog.js";
+
+test("CSV export quotes text and defuses cells a spreadsheet would run as formulas", () => {
+  const csv = toCsv(
+    [
+      { requestId: "a", latencyMs: -1, request: { question: '=HYPERLINK("http://x","y")' }, answer: "line 1\nline 2" },
+      { requestId: "b", request: { question: "+1 555 0100" }, answer: "@SUM(A1)", error: "-fail" },
+      { requestId: "c", request: { question: "plain, text" }, answer: "ok" },
+    ],
+    [
+      ["requestId", (e) => e.requestId],
+      ["latencyMs", (e) => e.latencyMs],
+      ["question", (e) => e.request?.question],
+      ["answer", (e) => e.answer],
+      ["error", (e) => e.error],
+    ]
+  );
+  assert.equal(
+    csv,
+    [
+      "requestId,latencyMs,question,answer,error",
+      `a,-1,"'=HYPERLINK(""http://x"",""y"")","line 1\nline 2",`,
+      "b,,'+1 555 0100,'@SUM(A1),'-fail",
+      'c,,"plain, text",ok,',
+      "",
+    ].join("\r\n")
+  );
+});
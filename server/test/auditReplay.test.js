@@ -0,0 +1,99 @@
+// server/test/auditReplay.test.js
+// POST /api/audit/:requestId/replay against a real server process whose doc load throws
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_DIR = path.join(__dirname, "..");
+
+// Preloaded into the server (node --import): every sheet comes back with a cell that throws when the matrix is
+// parsed, so the doc load itself fails (not just one doc) - as a broken matrix export would.
+const FAILING_DOCS = `data:text/javascript,${encodeURIComponent(`
+  import xlsx from ${JSON.stringify(import.meta.resolve("xlsx"))};
+  const poison = { toString() { throw new Error("matrix export is corrupt"); } };
+  xlsx.utils.sheet_to_json = () => [[poison]];
+`)}`;
+
+async function waitForServer(base, child) {
+  for (let i = 0; i < 80; i++) {
+    if (child.exitCode !== null) throw new Error(`server exited with ${child.exitCode}`);
+    try {
+      await fetch(`${base}/health`);
+      return;
+    } catch {
+      await new Promise((r) => setTimeout(r, 250));
+    }
+  }
+  throw new Error("server did not start");
+}
+
+test("a replay whose doc load throws is answered and audited, and the server keeps running", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "replay-"));
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const base = `http://localhost:${port}`;
+  const child = spawn(process.execPath, ["--import", FAILING_DOCS, "server.js"], {
+    cwd: SERVER_DIR,
+    stdio: ["ignore", "ignore", "pipe"],
+    env: {
+      ...process.env,
+      PORT: String(port),
+      ANTHROPIC_API_KEY: "",
+      AUTH_SECRET: "r".repeat(40),
+      AUTH_BOOTSTRAP_ADMIN_EMAIL: "admin@example.com",
+      AUTH_BOOTSTRAP_ADMIN_PASSWORD: "password123",
+      USERS_FILE: path.join(dir, "users.json"),
+      USAGE_DIR: path.join(dir, "usage"),
+      AUDIT_DIR: path.join(dir, "audit"),
+      CONVERSATIONS_DIR: path.join(dir, "conversations"),
+      FEEDBACK_FILE: path.join(dir, "feedback.json"),
+      DOC_VERSIONS_DIR: path.join(dir, "doc-versions"),
+      REVIEWS_BACKEND: "file",
+      REVIEWS_FILE: path.join(dir, "reviews.json"),
+      CALL_CENTERS_FILE: path.join(dir, "call-centers.json"),
+    },
+  });
+  let stderr = "";
+  child.stderr.on("data", (d) => (stderr += d));
+
+  try {
+    await waitForServer(base, child);
+
+    const original = { requestId: `req_${Date.now()}_abc123`, ts: new Date().toISOString(), route: "ask" };
+    fs.mkdirSync(path.join(dir, "audit"), { recursive: true });
+    fs.writeFileSync(
+      path.join(dir, "audit", `audit-${original.ts.slice(0, 10)}.jsonl`),
+      JSON.stringify({ ...original, request: { question: "Guest was double charged" }, ok: true }) + "\n"
+    );
+
+    const login = await fetch(`${base}/api/auth/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ email: "admin@example.com", password: "password123" }),
+    }).then((r) => r.json());
+    const headers = { Authorization: `Bearer ${login.token}` };
+
+    const res = await fetch(`${base}/api/audit/${original.requestId}/replay`, { method: "POST", headers });
+    const body = await res.json();
+    assert.equal(res.status, 500);
+    assert.equal(body.ok, false);
+    assert.equal(body.replayOf, original.requestId);
+    assert.match(body.error, /matrix export is corrupt/);
+    assert.match(body.requestId, /^rpl_/);
+
+    const audited = await fetch(`${base}/api/audit/${body.requestId}`, { headers }).then((r) => r.json());
+    assert.equal(audited.entry.replayOf, original.requestId);
+    assert.equal(audited.entry.ok, false);
+    assert.equal(audited.entry.status, 500);
+
+    assert.equal(child.exitCode, null, stderr);
+  } finally {
+    child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
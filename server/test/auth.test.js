@@ -0,0 +1,54 @@
+// server/test/auth.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createAuth, createUserStore } from "../lib/auth.js";
+
+function tmpFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "users-"));
+  return { dir, file: path.join(dir, "users.json") };
+}
+
+test("users created together on a cold start are all kept", async () => {
+  const { dir, file } = tmpFile();
+  try {
+    fs.writeFileSync(file, JSON.stringify({ users: [] }));
+    const users = createUserStore({ file });
+    await Promise.all([
+      users.upsert({ email: "a@x.com", password: "password1" }),
+      users.upsert({ email: "b@x.com", password: "password1" }),
+    ]);
+
+    const emails = (await createUserStore({ file }).list()).map((u) => u.email).sort();
+    assert.deepEqual(emails, ["a@x.com", "b@x.com"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("changing a password signs the user out of sessions issued before it", async () => {
+  const { dir, file } = tmpFile();
+  try {
+    const users = createUserStore({ file });
+    const auth = createAuth({ secret: "s".repeat(32), users });
+    const signedIn = (token) => auth.authenticate({ headers: { authorization: `Bearer ${token}` } });
+
+    await users.upsert({ email: "a@x.com", password: "password1" });
+    const before = await auth.login("a@x.com", "password1");
+    assert.equal((await signedIn(before.token)).email, "a@x.com");
+
+    // other edits keep the session
+    await users.upsert({ email: "a@x.com", name: "Ana" });
+    assert.equal((await signedIn(before.token)).name, "Ana");
+
+    await users.upsert({ email: "a@x.com", password: "password2" });
+    await assert.rejects(signedIn(before.token), (e) => e.status === 401 && e.code === "auth_expired");
+    const after = await auth.login("a@x.com", "password2");
+    assert.equal((await signedIn(after.token)).email, "a@x.com");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
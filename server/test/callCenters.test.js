@@ -0,0 +1,155 @@
+// server/test/callCenters.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { callCenterKey, createCallCenterRegistry, DEFAULT_CALL_CENTERS } from "../lib/callCenters.js";
+import { createFileReviewAdapter, createReviewStore } from "../lib/reviewStore.js";
+import { createAuth, createUserStore, hashPassword, signToken } from "../lib/auth.js";
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "call-centers-"));
+}
+
+test("registry starts with the default centers and resolves any spelling of a name, id or alias", async () => {
+  const dir = tmpDir();
+  try {
+    const file = path.join(dir, "call-centers.json");
+    const registry = createCallCenterRegistry({ file });
+    assert.equal((await registry.list()).length, DEFAULT_CALL_CENTERS.length);
+    assert.equal(fs.existsSync(file), false); // nothing written until an admin changes something
+
+    assert.equal((await registry.resolve("concentrix ")).id, "concentrix");
+    assert.equal((await registry.resolve("hotel planner")).name, "Hotel-Planner");
+    assert.equal(await registry.resolve("Nope"), null);
+    assert.equal(callCenterKey(" Télé-Perf "), "teleperf");
+
+    const created = await registry.upsert({
+      name: "Télé Perf Manila",
+      aliases: ["TP Manila", "tp-manila", "Tele Perf Manila"],
+      site: "Manila",
+      timezone: "Asia/Manila",
+    });
+    assert.equal(created.action, "created");
+    assert.equal(created.callCenter.id, "tele-perf-manila");
+    assert.deepEqual(created.callCenter.aliases, ["TP Manila"]); // duplicates of the name / each other dropped
+    assert.equal((await registry.resolve("tpmanila")).id, "tele-perf-manila");
+
+    // rename: the old name keeps resolving (as an alias, unless the id already spells it); deactivate hides it
+    await registry.upsert({ id: "bpo-7", name: "Seven BPO" });
+    const renamed = await registry.upsert({ id: "bpo-7", name: "Seven Global" });
+    assert.deepEqual(renamed.callCenter.aliases, ["Seven BPO"]);
+    assert.equal((await registry.resolve("seven bpo")).name, "Seven Global");
+    assert.deepEqual((await registry.upsert({ id: "wns", name: "WNS Global", active: false })).callCenter.aliases, []);
+    assert.equal((await registry.resolve("WNS")).name, "WNS Global");
+    assert.equal((await registry.list()).some((c) => c.id === "wns"), false);
+    assert.equal((await registry.list({ includeInactive: true })).some((c) => c.id === "wns"), true);
+
+    await assert.rejects(registry.upsert({ name: "Other", aliases: ["Concentrix"] }), (e) => e.status === 409);
+    await assert.rejects(registry.upsert({ name: "X", timezone: "Mars/Base" }), (e) => e.status === 400);
+    await assert.rejects(registry.upsert({ id: "Bad Id!", name: "X" }), (e) => e.status === 400);
+    await assert.rejects(registry.upsert({ name: " " }), (e) => e.status === 400);
+
+    await registry.remove("ideal");
+    await assert.rejects(registry.remove("ideal"), (e) => e.status === 404);
+
+    // a new process reads the saved file
+    const reopened = createCallCenterRegistry({ file });
+    assert.equal((await reopened.get("tele-perf-manila")).timezone, "Asia/Manila");
+    assert.equal(await reopened.get("ideal"), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("centers added together on a cold start are all kept", async () => {
+  const dir = tmpDir();
+  try {
+    const file = path.join(dir, "call-centers.json");
+    const registry = createCallCenterRegistry({ file });
+    await Promise.all([registry.upsert({ name: "Alorica" }), registry.upsert({ name: "Sitel" })]);
+
+    const names = (await createCallCenterRegistry({ file }).list()).map((c) => c.name);
+    assert.ok(names.includes("Alorica") && names.includes("Sitel"), names.join(", "));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("reviews only go to active registered centers and typos do not split a center", async () => {
+  const dir = tmpDir();
+  try {
+    const reviewsFile = path.join(dir, "reviews.json");
+    // a review written before the registry existed, with a stray space
+    const legacy = createReviewStore({ adapter: createFileReviewAdapter({ file: reviewsFile }) });
+    await legacy.upsert({ callCenter: "concentrix ", name: "Old", email: "old@x.com", stars: 2 });
+
+    const callCenters = createCallCenterRegistry({ file: path.join(dir, "call-centers.json") });
+    await callCenters.upsert({ id: "tep", active: false });
+    const store = createReviewStore({ adapter: createFileReviewAdapter({ file: reviewsFile }), callCenters });
+
+    const { review } = await store.upsert({ callCenter: "CONCENTRIX", name: "Ana", email: "ana@x.com", stars: 4 });
+    assert.equal(review.callCenter, "Concentrix");
+    await assert.rejects(
+      store.upsert({ callCenter: "Concentrx", name: "Ana", email: "ana@x.com", stars: 4 }),
+      (e) => e.status === 400 && /Unknown call center/.test(e.message)
+    );
+    await assert.rejects(
+      store.upsert({ callCenter: "TEP", name: "Ana", email: "ana@x.com", stars: 4 }),
+      (e) => e.status === 400 && /not taking reviews/.test(e.message)
+    );
+
+    assert.equal((await store.list({ callCenter: "concentrix" })).total, 2);
+    const stats = await store.stats();
+    assert.deepEqual(
+      stats.callCenters.map((c) => [c.callCenter, c.responses]),
+      [["Concentrix", 2]]
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("users are put in registered centers, and older spellings sign in as one center", async () => {
+  const dir = tmpDir();
+  try {
+    const usersFile = path.join(dir, "users.json");
+    // saved before users were checked against the registry
+    const passwordHash = hashPassword("password1");
+    const legacy = [
+      ["a@x.com", "concentrix "],
+      ["b@x.com", "Concentrix"],
+      ["c@x.com", "Acme"],
+    ].map(([email, callCenter]) => ({ email, role: "agent", callCenter, passwordHash }));
+    fs.writeFileSync(usersFile, JSON.stringify({ users: legacy }));
+
+    const callCenters = createCallCenterRegistry({ file: path.join(dir, "call-centers.json") });
+    await callCenters.upsert({ id: "tep", active: false });
+    const users = createUserStore({ file: usersFile, callCenters });
+    const auth = createAuth({ secret: "s".repeat(32), users, callCenters });
+    const signedIn = (email) =>
+      auth.authenticate({ headers: { authorization: `Bearer ${signToken({ sub: email }, "s".repeat(32))}` } });
+
+    assert.equal((await signedIn("a@x.com")).callCenter, "Concentrix");
+    assert.equal((await signedIn("b@x.com")).callCenter, "Concentrix");
+    assert.equal((await signedIn("c@x.com")).callCenter, "Acme"); // unknown to the registry: left as saved
+    assert.equal((await auth.login("a@x.com", "password1")).user.callCenter, "Concentrix");
+
+    const { user } = await users.upsert({ email: "d@x.com", callCenter: "hotel planner", password: "password1" });
+    assert.equal(user.callCenter, "Hotel-Planner");
+    await assert.rejects(
+      users.upsert({ email: "d@x.com", callCenter: "Concentrx" }),
+      (e) => e.status === 400 && /Unknown call center/.test(e.message)
+    );
+    await assert.rejects(
+      users.upsert({ email: "d@x.com", callCenter: "TEP" }),
+      (e) => e.status === 400 && /no longer an active/.test(e.message)
+    );
+    // leaving the center out keeps whatever was saved
+    assert.equal((await users.upsert({ email: "c@x.com", name: "Cy" })).user.callCenter, "Acme");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,34 @@
+// server/test/conversationStore.test.js
+// Conversation memory on disk: per-id write queue and failures that must not take the process down
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createConversationStore } from "../lib/conversationStore.js";
+
+test("a corrupt conversation file rejects the call without an unhandled rejection", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "conversations-"));
+  const unhandled = [];
+  const onUnhandled = (e) => unhandled.push(e);
+  process.on("unhandledRejection", onUnhandled);
+  try {
+    const id = "conv_corrupt_1234";
+    fs.writeFileSync(path.join(dir, `${id}.json`), "{ not json", "utf8");
+    const store = createConversationStore({ dir });
+
+    await assert.rejects(store.ensure(id, [], { owner: "ana" }), SyntaxError);
+    await assert.rejects(store.append(id, [{ role: "user", content: "hi" }]), SyntaxError);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepEqual(unhandled, []);
+
+    // the queue is not stuck behind the failure
+    fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify({ id, owner: "ana", turns: [] }), "utf8");
+    const conv = await store.append(id, [{ role: "user", content: "hi" }]);
+    assert.equal(conv.turns.length, 1);
+  } finally {
+    process.off("unhandledRejection", onUnhandled);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,124 @@
+// server/test/docRefresh.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createDocRefresher } from "../lib/docRefresh.js";
+
+const SOURCES = [
+  { key: "matrix", name: "Service Matrix", file: "matrix.xlsx" },
+  { key: "rppGuide", name: "RPP Protection Guide", file: "rpp.json" },
+];
+
+const tick = (ms = 0) => new Promise((r) => setTimeout(r, ms));
+
+// loadDoc driven by the test: `versions[key]` is what the next load returns, `failing` makes a key throw
+function fakeSource() {
+  const src = { versions: { matrix: 1, rppGuide: 1 }, failing: new Set(), calls: [], gate: null };
+  src.loadDoc = async (doc) => {
+    src.calls.push(doc.key);
+    if (src.gate) await src.gate;
+    if (src.failing.has(doc.key)) throw new Error(`${doc.key} unavailable`);
+    return { data: { v: src.versions[doc.key] }, meta: doc.key === "matrix" ? { matrixSource: "excel-file" } : null };
+  };
+  return src;
+}
+
+test("a reload swaps the whole cache at once and readers keep the old one until then", async () => {
+  const src = fakeSource();
+  const swaps = [];
+  const r = createDocRefresher({ sources: SOURCES, loadDoc: src.loadDoc, onSwap: (cache) => swaps.push(cache) });
+
+  await r.refresh();
+  const first = r.current();
+  assert.deepEqual(first, { matrix: { v: 1 }, rppGuide: { v: 1 }, __meta: { matrixSource: "excel-file" } });
+
+  let open;
+  src.gate = new Promise((resolve) => (open = resolve));
+  src.versions.matrix = 2;
+  const running = r.refresh({ reason: "manual" });
+  await tick();
+  assert.equal(r.loading(), true);
+  assert.equal(r.current(), first);
+
+  open();
+  const report = await running;
+  assert.equal(report.swapped, true);
+  assert.equal(r.current().matrix.v, 2);
+  assert.equal(swaps.length, 2);
+  assert.deepEqual(first.matrix, { v: 1 }); // the old object was never touched
+});
+
+test("a failing source keeps its last good copy and is reported stale", async () => {
+  const src = fakeSource();
+  const r = createDocRefresher({ sources: SOURCES, loadDoc: src.loadDoc });
+  await r.refresh();
+
+  src.failing.add("matrix");
+  src.versions.rppGuide = 2;
+  const report = await r.refresh();
+  assert.deepEqual(
+    report.results.map((x) => [x.key, x.ok, !!x.stale]),
+    [
+      ["matrix", false, true],
+      ["rppGuide", true, false],
+    ]
+  );
+  assert.deepEqual(r.current().matrix, { v: 1 });
+  assert.equal(r.current().rppGuide.v, 2);
+  assert.equal(r.current().__meta.matrixSource, "excel-file");
+
+  const matrix = r.status().docs.find((d) => d.key === "matrix");
+  assert.equal(matrix.stale, true);
+  assert.equal(matrix.failures, 1);
+  assert.match(matrix.lastError, /unavailable/);
+
+  // nothing loaded at all: no swap, same cache object
+  src.failing.add("rppGuide");
+  const before = r.current();
+  assert.equal((await r.refresh()).swapped, false);
+  assert.equal(r.current(), before);
+});
+
+test("refreshes asked for during a load collapse into one follow-up covering every key", async () => {
+  const src = fakeSource();
+  const r = createDocRefresher({ sources: SOURCES, loadDoc: src.loadDoc });
+
+  let open;
+  src.gate = new Promise((resolve) => (open = resolve));
+  const first = r.refresh({ reason: "startup" });
+  const a = r.refresh({ keys: ["matrix"], reason: "webhook" });
+  const b = r.refresh({ keys: ["matrix"], reason: "webhook" });
+  assert.equal(a, b);
+  assert.deepEqual(r.status().queued, { all: false, keys: ["matrix"] });
+
+  open();
+  await first;
+  src.gate = null;
+  const followUp = await a;
+  assert.deepEqual(followUp.keys, ["matrix"]);
+  assert.equal(followUp.reason, "webhook");
+  assert.deepEqual(src.calls, ["matrix", "rppGuide", "matrix"]);
+
+  assert.throws(() => r.refresh({ keys: ["nope"] }), (e) => e.status === 400);
+});
+
+test("ensureLoaded joins a running load and the schedule only refreshes due sources", async () => {
+  const src = fakeSource();
+  const r = createDocRefresher({ sources: SOURCES, loadDoc: src.loadDoc, intervalsMs: { matrix: 20 } });
+
+  const startup = r.refresh({ reason: "startup" });
+  await r.ensureLoaded();
+  await startup;
+  assert.equal(src.calls.length, 2);
+
+  r.startSchedule();
+  try {
+    assert.deepEqual(r.status().schedule.map((s) => s.key), ["matrix"]);
+    await tick(80);
+    assert.ok(src.calls.slice(2).length >= 1);
+    assert.ok(src.calls.slice(2).every((k) => k === "matrix"));
+    assert.equal(r.status().lastRefresh.reason, "schedule");
+  } finally {
+    r.stopSchedule();
+  }
+});
@@ -0,0 +1,112 @@
+// server/test/docVersions.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { parseRoutingFlag } from "../lib/serviceMatrix.js";
+import { createDocVersionStore, diffMatrix, fingerprintDocs, versionStamp } from "../lib/docVersions.js";
+
+function scenario(
+  rowNumber,
+  issue,
+  { instructions = "Follow the steps.", refundQueue = "No", sheetName = "Voice Matrix" } = {}
+) {
+  return {
+    id: `${sheetName.toLowerCase().replace(/\s+/g, "-")}:${rowNumber}`,
+    sheetName,
+    rowNumber,
+    section: "Cancellations",
+    issue,
+    instructions,
+    routing: {
+      slack: parseRoutingFlag("No"),
+      refundQueue: parseRoutingFlag(refundQueue),
+      ticket: parseRoutingFlag("Yes"),
+      supervisor: parseRoutingFlag("No"),
+    },
+  };
+}
+
+const V1 = [
+  scenario(35, "Cancelling Refundable"),
+  scenario(36, "Cancelling Non Refundable"),
+  scenario(37, "Hotel Calls"),
+];
+
+test("fingerprints ignore __meta and change with content", () => {
+  const a = fingerprintDocs({ matrix: { "Voice Matrix": [["a"]] }, __meta: { matrixSource: "excel-file" } });
+  const b = fingerprintDocs({ matrix: { "Voice Matrix": [["a"]] }, __meta: { matrixSource: "google-sheet" } });
+  const c = fingerprintDocs({ matrix: { "Voice Matrix": [["b"]] } });
+  assert.equal(a.fingerprint, b.fingerprint);
+  assert.notEqual(a.fingerprint, c.fingerprint);
+  assert.deepEqual(Object.keys(a.docs), ["matrix"]);
+});
+
+test("diffMatrix reports flag changes, additions, removals and pure moves separately", () => {
+  const v2 = [
+    scenario(35, "New Row At The Top"),
+    scenario(36, "Cancelling Refundable"),
+    scenario(37, "Cancelling Non Refundable", { refundQueue: "Yes - If the hotel approves" }),
+  ];
+  const d = diffMatrix(V1, v2);
+
+  assert.deepEqual(d.summary, { added: 1, removed: 1, changed: 1, moved: 1, flagChanges: 1 });
+  assert.equal(d.added[0].issue, "New Row At The Top");
+  assert.equal(d.removed[0].issue, "Hotel Calls");
+  assert.equal(d.moved[0].previousRow, 35);
+
+  const [changed] = d.changed;
+  assert.equal(changed.id, "voice-matrix:37");
+  assert.equal(changed.previousId, "voice-matrix:36");
+  assert.deepEqual(changed.flags, [{ flag: "refundQueue", before: "No", after: "Yes (If the hotel approves)" }]);
+  assert.deepEqual(changed.fields, []);
+});
+
+test("diffMatrix keeps duplicate issues apart and catches instruction edits", () => {
+  const before = [scenario(5, "Hotel Calls"), scenario(9, "Hotel Calls", { sheetName: "Ticket Matrix" })];
+  const after = [
+    scenario(5, "Hotel Calls", { instructions: "Transfer to the hotel team." }),
+    scenario(9, "Hotel Calls", { sheetName: "Ticket Matrix" }),
+  ];
+  const d = diffMatrix(before, after);
+  assert.equal(d.summary.changed, 1);
+  assert.equal(d.changed[0].sheetName, "Voice Matrix");
+  assert.equal(d.changed[0].fields[0].field, "instructions");
+});
+
+test("version store dedupes identical loads, diffs versions and prunes old snapshots", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "docversions-"));
+  try {
+    const store = createDocVersionStore({ dir, maxVersions: 2 });
+    const docs = (tag) => ({ matrix: { "Voice Matrix": [[tag]] }, rppGuide: { plan: "RPP" } });
+
+    const v1 = await store.record({ docs: docs("a"), scenarios: V1 });
+    const again = await store.record({ docs: docs("a"), scenarios: V1 });
+    assert.equal(again.id, "v1");
+    assert.equal(again.loads, 2);
+    assert.deepEqual(versionStamp(again), { id: "v1", fingerprint: v1.fingerprint });
+
+    const v2 = await store.record({ docs: docs("b"), scenarios: V1.slice(0, 2) });
+    assert.equal(v2.id, "v2");
+    assert.deepEqual(v2.changes.docs, { changed: ["matrix"], added: [], removed: [] });
+    assert.equal(v2.changes.matrix.removed, 1);
+
+    const diff = await store.diff();
+    assert.equal(diff.from.id, "v1");
+    assert.equal(diff.to.id, "v2");
+    assert.equal(diff.matrix.removed[0].issue, "Hotel Calls");
+
+    await store.record({ docs: docs("c"), scenarios: V1 });
+    assert.deepEqual((await store.list()).map((v) => v.id), ["v3", "v2"]);
+    assert.equal(fs.existsSync(path.join(dir, "matrix-v1.json")), false);
+    await assert.rejects(store.diff({ from: "v1" }), (e) => e.status === 404);
+
+    // a fresh store (server restart) reads the same index back
+    const reopened = createDocVersionStore({ dir, maxVersions: 2 });
+    assert.equal((await reopened.latest()).id, "v3");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,75 @@
+// server/test/docViewer.test.js
+// Viewer payloads built from the docs in the repo
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { localDocDirs, loadLocalDocState } from "../lib/docSources.js";
+import { matrixView, rubricView, rppView, trainingDocuments, trainingDocument } from "../lib/docViewer.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const { state } = loadLocalDocState(localDocDirs(path.join(__dirname, "..")));
+
+test("matrix view keeps sheet order and row numbers that match scenario ids", () => {
+  const view = matrixView(state.docs.matrix, state.matrix);
+  const voice = view.sheets.find((s) => s.sheetName === "Voice Matrix");
+  assert.ok(voice);
+  assert.equal(voice.slug, "voice-matrix");
+
+  const row = voice.scenarios.find((s) => s.rowNumber === 36);
+  assert.equal(row.id, "voice-matrix:36");
+  assert.match(row.issue, /cancel/i);
+  assert.equal(view.totalScenarios, state.matrix.scenarios.length);
+});
+
+test("rubric view lists criteria with their sheet rows", () => {
+  const view = rubricView(state.docs.qaVoice, { name: "QA Voice" });
+  assert.equal(view.name, "QA Voice");
+  assert.ok(view.criteria.length > 0);
+  for (const c of view.criteria) assert.ok(c.rowNumber > 0 && c.criterion);
+});
+
+test("rpp view groups every coverage reason under a category", () => {
+  const view = rppView(state.docs.rppGuide);
+  const grouped = view.categories.reduce((n, c) => n + c.reasons.length, 0);
+  assert.equal(grouped, view.totalReasons);
+  assert.ok(view.categories.some((c) => c.reasons.some((r) => r.id === "active_military_duty")));
+});
+
+test("training documents resolve by chunk id with the chunk's slide in focus", () => {
+  const docs = trainingDocuments(state.docs.trainingGuide, state.training);
+  assert.ok(docs.length > 0 && docs.every((d) => d.file && d.name));
+
+  const kbChunk = state.training.docs.find((d) => d.origin === "knowledge_base" && d.source.slide > 1);
+  const doc = trainingDocument(state.docs.trainingGuide, state.training, { chunk: kbChunk.id });
+  assert.equal(doc.file, kbChunk.source.file);
+  assert.deepEqual(doc.focus, { slide: kbChunk.source.slide, chunkId: kbChunk.id });
+  const slide = doc.slides.find((s) => s.slide === kbChunk.source.slide);
+  assert.ok(slide.chunks.some((c) => c.id === kbChunk.id));
+});
+
+test("JSONL chunk ids land on the document with the same file name", () => {
+  const line = state.training.docs.find((d) => d.origin === "chunks_jsonl" && /\.pptx::/.test(d.id));
+  const doc = trainingDocument(state.docs.trainingGuide, state.training, { chunk: line.id });
+  assert.equal(doc.name, line.source.file);
+  assert.equal(doc.focus.chunkId, line.id);
+});
+
+test("chunks too short for the index still open their slide", () => {
+  const indexed = new Set(state.training.docs.map((d) => d.id));
+  const short = state.docs.trainingGuide.knowledge_base.chunks.find((c) => !indexed.has(c.chunk_id) && c.source?.slide);
+  const doc = trainingDocument(state.docs.trainingGuide, state.training, { chunk: short.chunk_id });
+  assert.equal(doc.file, short.source.file);
+  assert.deepEqual(doc.focus, { slide: short.source.slide, chunkId: null });
+});
+
+test("training lookups by file accept the base name; unknown ids return null", () => {
+  const first = state.docs.trainingGuide.documents[0];
+  const doc = trainingDocument(state.docs.trainingGuide, state.training, {
+    file: first.relative_path.split("/").pop(),
+  });
+  assert.equal(doc.file, first.relative_path);
+  assert.equal(trainingDocument(state.docs.trainingGuide, state.training, { chunk: "chunk_nope" }), null);
+  assert.equal(trainingDocument(state.docs.trainingGuide, state.training, {}), null);
+});
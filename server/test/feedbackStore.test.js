@@ -0,0 +1,37 @@
+// server/test/feedbackStore.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createFeedbackStore } from "../lib/feedbackStore.js";
+
+const user = (email) => ({ email, name: "Agent", callCenter: "Concentrix" });
+
+test("feedback submitted together on a cold start is all kept", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "feedback-"));
+  const file = path.join(dir, "feedback.json");
+  fs.writeFileSync(file, JSON.stringify({ feedback: [] }));
+
+  const store = createFeedbackStore({ file });
+  await Promise.all([
+    store.submit({ requestId: "req_1", verdict: "wrong", user: user("a@example.com"), ask: {} }),
+    store.submit({ requestId: "req_2", verdict: "unsafe", user: user("b@example.com"), ask: {} }),
+  ]);
+
+  const reopened = createFeedbackStore({ file });
+  const ids = (await reopened.list()).map((f) => f.requestId).sort();
+  assert.deepEqual(ids, ["req_1", "req_2"]);
+});
+
+test("a failed first read is retried on the next call", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "feedback-"));
+  const file = path.join(dir, "feedback.json");
+  fs.writeFileSync(file, "{ not json");
+
+  const store = createFeedbackStore({ file });
+  await assert.rejects(store.list());
+  fs.writeFileSync(file, JSON.stringify({ feedback: [] }));
+  assert.deepEqual(await store.list(), []);
+});
@@ -0,0 +1,40 @@
+// server/test/golden.test.js
+// The golden set against the docs in the repo, stub provider only (no network)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { localDocDirs, loadLocalDocState } from "../lib/docSources.js";
+import { loadGoldenSet, runGoldenSet, createStubProvider, diffReports, formatReport } from "../lib/goldenHarness.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const GOLDEN_DIR = path.join(__dirname, "golden");
+
+const { state, missing } = loadLocalDocState(localDocDirs(path.join(__dirname, "..")));
+const set = loadGoldenSet(path.join(GOLDEN_DIR, "questions.json"));
+const report = await runGoldenSet(state, set, { provider: createStubProvider(state) });
+
+test("repo docs load for the golden run", () => {
+  assert.deepEqual(missing, []);
+  assert.ok(state.matrix.scenarios.length > 0);
+});
+
+test("every golden question passes", () => {
+  const failures = report.results.filter((r) => !r.passed);
+  assert.equal(failures.length, 0, formatReport({ ...report, results: failures }));
+});
+
+test("golden answers match the committed baseline", () => {
+  const baseline = JSON.parse(fs.readFileSync(path.join(GOLDEN_DIR, "baseline.json"), "utf8"));
+  const diff = diffReports(baseline, report);
+  assert.equal(diff.matrixChanged, false, "matrix changed: re-run `npm run golden -- --update` and review the diff");
+  assert.deepEqual(diff.added, []);
+  assert.deepEqual(diff.removed, []);
+  assert.deepEqual(
+    diff.changed.map((c) => c.id),
+    [],
+    formatReport(report, diff)
+  );
+});
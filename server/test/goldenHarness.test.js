@@ -0,0 +1,158 @@
+// server/test/goldenHarness.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ANSWER_SECTIONS, buildSystemPrompt } from "../lib/promptBuilder.js";
+import {
+  answerSections,
+  checkAnswer,
+  createRecordedProvider,
+  createStubProvider,
+  diffReports,
+  promptOutputHeadings,
+  shortHash,
+} from "../lib/goldenHarness.js";
+
+const ANSWER = [
+  "Acknowledge:",
+  "- I understand.",
+  "",
+  "**Decision:**",
+  "- Cancelling Non Refundable → Refund Queue: Yes",
+  "",
+  "Steps:",
+  "1) Check RPP.",
+  "",
+  "Do/Don’t Script (agent lines):",
+  '- Say: "Let me check."',
+  "",
+  "Citations:",
+  "- [Doc: Service Matrix 2026 | Sheet/Section: Voice Matrix | Row/Cell: 36]",
+  "",
+  "QUALITY CHECK",
+  "- Compliance Risk: Low",
+].join("\n");
+
+const VERIFIED = {
+  verdict: "verified",
+  citations: [{ valid: true, docKey: "matrix", section: "Voice Matrix", ref: "36" }],
+};
+
+test("every required section heading is part of the system prompt", () => {
+  const prompt = buildSystemPrompt("CONTEXT");
+  for (const s of ANSWER_SECTIONS) assert.ok(prompt.includes(s.heading), s.heading);
+});
+
+test("answerSections finds headings (markdown bold too) and the text under them", () => {
+  const s = answerSections(ANSWER);
+  assert.deepEqual(s.missing, []);
+  assert.match(s.text.decision, /Refund Queue: Yes/);
+  assert.doesNotMatch(s.text.decision, /Check RPP/);
+
+  const partial = answerSections("Decision:\n- NOT FOUND IN DOCS");
+  assert.deepEqual(partial.present, ["decision"]);
+  assert.ok(partial.missing.includes("citations"));
+});
+
+test("checkAnswer reports missing sections, decision text and citation targets", () => {
+  const ok = checkAnswer(
+    { answer: ANSWER, context: "SERVICE MATRIX 2026: ...", resolution: "model", citationCheck: VERIFIED },
+    {
+      resolution: "model",
+      decision: ["refund queue: yes"],
+      citations: [{ doc: "matrix", sheet: "Voice Matrix", row: 36 }],
+      citationVerdict: "verified",
+      context: ["service matrix"],
+    }
+  );
+  assert.ok(ok.every((c) => c.ok), JSON.stringify(ok));
+
+  const bad = checkAnswer(
+    { answer: "Decision:\n- Supervisor: Yes", context: null, resolution: "matrix-first", citationCheck: VERIFIED },
+    { resolution: "model", decision: ["Refund Queue"], citations: [{ sheet: "Voice Matrix", row: 3 }], context: ["x"] }
+  );
+  assert.deepEqual(
+    bad.filter((c) => !c.ok).map((c) => c.name),
+    ["sections", "resolution", "decision", "citation", "context"]
+  );
+});
+
+test("stub provider answers from the first matrix hit in the prompt, NOT FOUND without one", async () => {
+  const scenario = {
+    id: "voice-matrix:36",
+    sheetName: "Voice Matrix",
+    rowNumber: 36,
+    issue: "Cancelling Non Refundable",
+    instructions: "1. Check RPP. 2. Call the hotel.",
+    routing: {},
+  };
+  const stub = createStubProvider({ matrix: { scenarios: [scenario] } });
+
+  const hit = await stub.call({
+    systemPrompt: buildSystemPrompt(
+      "SERVICE MATRIX 2026:\n[Sheet: Voice Matrix | Row: 2] NOTE: x\n[Sheet: Voice Matrix | Row: 36] Issue: ..."
+    ),
+  });
+  assert.match(hit.answer, /Row\/Cell: 36\]/);
+  assert.deepEqual(answerSections(hit.answer).missing, []);
+
+  const miss = await stub.call({
+    systemPrompt: buildSystemPrompt("SERVICE MATRIX 2026:\n[Sheet: Voice Matrix | Row: 36] Cancelling -> x"),
+  });
+  assert.match(miss.answer, /NOT FOUND IN DOCS/);
+  assert.deepEqual(answerSections(miss.answer).missing, []);
+});
+
+test("stub answers use the prompt's OUTPUT FORMAT headings, so template edits fail the section check", async () => {
+  const prompt = buildSystemPrompt("SERVICE MATRIX 2026:\n(no rows)");
+  assert.deepEqual(
+    promptOutputHeadings(prompt),
+    ANSWER_SECTIONS.map((s) => s.heading)
+  );
+
+  const stub = createStubProvider({ matrix: { scenarios: [] } });
+  const renamed = await stub.call({ systemPrompt: prompt.replace("\nDecision:\n", "\nOutcome:\n") });
+  assert.deepEqual(answerSections(renamed.answer).missing, ["decision"]);
+
+  const dropped = await stub.call({ systemPrompt: prompt.replace("\nQUALITY CHECK\n", "\n") });
+  assert.deepEqual(answerSections(dropped.answer).missing, ["qualityCheck"]);
+});
+
+test("recorded provider replays answers and flags stale prompts", async () => {
+  const rec = createRecordedProvider({ a: { answer: "hi", provider: "nebius", promptHash: shortHash("P1") } });
+  assert.equal((await rec.call({ caseId: "a", systemPrompt: "P1" })).stale, false);
+  assert.equal((await rec.call({ caseId: "a", systemPrompt: "P2" })).stale, true);
+  await assert.rejects(rec.call({ caseId: "b", systemPrompt: "P1" }), /No recorded answer/);
+});
+
+test("diffReports flags regressions and line changes", () => {
+  const row = (id, passed, answer) => ({
+    id,
+    passed,
+    answer,
+    answerHash: shortHash(answer),
+    contextHash: null,
+    resolution: "matrix-first",
+    scenarioId: null,
+  });
+  const baseline = { docs: { matrixHash: "m1" }, results: [row("a", true, "x\ny"), row("b", true, "z"), row("gone", true, "")] };
+  const current = { docs: { matrixHash: "m2" }, results: [row("a", false, "x\nY"), row("b", true, "z"), row("new", true, "")] };
+
+  const diff = diffReports(baseline, current);
+  assert.equal(diff.matrixChanged, true);
+  assert.equal(diff.regressions, 1);
+  assert.deepEqual(diff.added, ["new"]);
+  assert.deepEqual(diff.removed, ["gone"]);
+  assert.deepEqual(diff.changed.map((c) => c.id), ["a"]);
+  assert.deepEqual(diff.changed[0].lines, [
+    { op: "-", line: "y" },
+    { op: "+", line: "Y" },
+  ]);
+});
+
+test("diffReports flags a system prompt change even when the answer is the same", () => {
+  const row = (promptHash) => ({ id: "a", passed: true, answer: "x", answerHash: "h", contextHash: "c", promptHash });
+  const diff = diffReports({ results: [row("p1")] }, { results: [row("p2")] });
+  assert.deepEqual(diff.changed.map((c) => [c.id, c.promptChanged, c.answerChanged]), [["a", true, false]]);
+  assert.deepEqual(diffReports({ results: [row("p1")] }, { results: [row("p1")] }).changed, []);
+});
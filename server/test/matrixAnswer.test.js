@@ -0,0 +1,48 @@
+// server/test/matrixAnswer.test.js
+// When the Service Matrix alone may answer a question (matrix-first), against the matrix in the repo
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { localDocDirs, loadLocalDocState } from "../lib/docSources.js";
+import { buildMatrixAnswer, resolveFromMatrix } from "../lib/matrixAnswer.js";
+import { parseAnswer } from "../lib/answerFormat.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const { state } = loadLocalDocState(localDocDirs(path.join(__dirname, "..")));
+const resolve = (q) => resolveFromMatrix(state.matrix.scenarios, q, { minConfidence: 0.85 });
+
+test("a question that is just the scenario resolves from the matrix", () => {
+  const r = resolve("Guest was double charged");
+  assert.equal(r.matched, true);
+  assert.equal(r.confidence, 1);
+  assert.match(r.scenario.issue, /Double Charged/);
+});
+
+test("a scenario phrase inside a longer question does not answer it alone", () => {
+  const r = resolve(
+    "The guest filed a chargeback with their bank after the hotel refused the refund, says they were double charged " +
+      "and wants the dispute escalated to a supervisor today"
+  );
+  assert.match(r.scenario.issue, /Double Charged/);
+  assert.equal(r.matched, false);
+  assert.ok(r.confidence < 0.85);
+});
+
+test("a one-word issue is not matched by a one-word question", () => {
+  const r = resolve("hotel");
+  assert.equal(r.matched, false);
+  assert.ok(r.confidence <= 0.5);
+  assert.match(r.reason, /too little of the question/);
+});
+
+test("matrix answers don't put words in the agent's mouth", () => {
+  const scenario = resolve("Double Charged").scenario;
+  const answer = buildMatrixAnswer(scenario);
+  const a = parseAnswer(answer);
+  assert.equal(a.complete, true);
+  assert.deepEqual(a.sayLines, []);
+  assert.deepEqual(a.dontSayLines, []);
+  assert.doesNotMatch(answer, /verbatim/);
+});
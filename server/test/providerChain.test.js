@@ -0,0 +1,33 @@
+// server/test/providerChain.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCircuitBreaker, runWithFailover } from "../lib/providerChain.js";
+
+const fail = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+test("non-retryable errors neither reset nor add to a provider's failure count", async () => {
+  let t = 0;
+  const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 1000, now: () => t });
+  const run = (error) =>
+    runWithFailover(
+      ["a"],
+      async () => {
+        throw error;
+      },
+      { breakers: { a: breaker }, isConfigured: () => true }
+    ).catch((e) => e);
+
+  await run(fail(503));
+  await run(fail(400));
+  assert.equal(breaker.snapshot().failures, 1);
+  await run(fail(503));
+  assert.equal(breaker.snapshot().state, "open");
+
+  // a bad request as the half-open trial frees the slot without closing or re-opening the breaker
+  t = 1000;
+  assert.equal(breaker.canRequest(), true);
+  breaker.recordNeutral();
+  assert.equal(breaker.snapshot().state, "half_open");
+  assert.equal(breaker.canRequest(), true);
+});
@@ -0,0 +1,103 @@
+// server/test/reviewStats.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { bucketKey, bucketStart, reviewStats } from "../lib/reviewStats.js";
+
+const review = (callCenter, stars, createdAt, extra = {}) => ({
+  callCenter,
+  stars,
+  comment: "",
+  createdAt,
+  updatedAt: createdAt,
+  ...extra,
+});
+
+const NOW = Date.parse("2026-03-15T12:00:00Z");
+
+test("monthly scorecards: per-center averages, histograms, response counts and trend", () => {
+  const stats = reviewStats(
+    [
+      review("WNS", 5, "2026-03-02T10:00:00Z", { comment: "great" }),
+      review("wns", 3, "2026-03-10T10:00:00Z"),
+      review("WNS", 4, "2026-02-20T10:00:00Z"),
+      review("TEP", 2, "2026-01-05T10:00:00Z"),
+      review("TEP", 5, "2025-11-30T23:59:59Z"), // outside the 3-month range
+    ],
+    { bucket: "month", periods: 3, now: NOW }
+  );
+
+  assert.equal(stats.from, "2026-01-01T00:00:00.000Z");
+  assert.equal(stats.to, "2026-04-01T00:00:00.000Z");
+  assert.deepEqual(stats.overall, {
+    responses: 4,
+    withComment: 1,
+    avg: 3.5,
+    histogram: { 1: 0, 2: 1, 3: 1, 4: 1, 5: 1 },
+  });
+  assert.deepEqual(
+    stats.trend.map((p) => [p.key, p.responses, p.avg]),
+    [
+      ["2026-01", 1, 2],
+      ["2026-02", 1, 4],
+      ["2026-03", 2, 4],
+    ]
+  );
+
+  const [wns, tep] = stats.callCenters;
+  assert.equal(wns.callCenter, "WNS");
+  assert.equal(wns.responses, 3);
+  assert.equal(wns.avg, 4);
+  assert.deepEqual(wns.histogram, { 1: 0, 2: 0, 3: 1, 4: 1, 5: 1 });
+  assert.deepEqual(
+    wns.trend.map((p) => p.responses),
+    [0, 1, 2]
+  );
+  assert.equal(tep.responses, 1);
+});
+
+test("period comparison is the last bucket against the one before, flagged partial while it runs", () => {
+  const rows = [
+    review("WNS", 2, "2026-02-03T00:00:00Z"),
+    review("WNS", 4, "2026-02-04T00:00:00Z"),
+    review("WNS", 5, "2026-03-01T00:00:00Z"),
+  ];
+  const { comparison } = reviewStats(rows, { now: NOW });
+  assert.equal(comparison.current.key, "2026-03");
+  assert.equal(comparison.current.partial, true);
+  assert.equal(comparison.previous.key, "2026-02");
+  assert.deepEqual(comparison.delta, { responses: -1, avg: 2 });
+
+  // a closed month: to = end of February
+  const closed = reviewStats(rows, { to: "2026-02-28", now: NOW }).comparison;
+  assert.equal(closed.current.key, "2026-02");
+  assert.equal(closed.current.partial, false);
+  assert.equal(closed.previous.responses, 0);
+  assert.deepEqual(closed.delta, { responses: 2, avg: null });
+});
+
+test("weeks start on Monday (UTC) and bad options are 400s", () => {
+  const sunday = Date.parse("2026-03-15T23:00:00Z");
+  assert.equal(bucketKey(bucketStart(sunday, "week"), "week"), "2026-03-09");
+  assert.equal(bucketKey(bucketStart(sunday, "month"), "month"), "2026-03");
+
+  const rows = [review("WNS", 4, "2026-03-09T00:00:00Z"), review("WNS", 2, "2026-03-08T23:59:59Z")];
+  rows[1].updatedAt = "2026-03-10T08:00:00Z";
+  const weeks = (dateField) =>
+    reviewStats(rows, { bucket: "week", dateField, periods: 2, now: NOW }).trend.map((p) => [p.key, p.responses]);
+  assert.deepEqual(weeks("createdAt"), [
+    ["2026-03-02", 1],
+    ["2026-03-09", 1],
+  ]);
+  assert.deepEqual(weeks("updatedAt"), [
+    ["2026-03-02", 0],
+    ["2026-03-09", 2],
+  ]);
+
+  const bad = (opts) => assert.throws(() => reviewStats([], { now: NOW, ...opts }), (e) => e.status === 400);
+  bad({ bucket: "day" });
+  bad({ dateField: "deletedAt" });
+  bad({ from: "not a date" });
+  bad({ from: "2026-03-01", to: "2026-01-01" });
+  bad({ bucket: "week", from: "2020-01-01" });
+});
@@ -0,0 +1,99 @@
+// server/test/rppCoverage.test.js
+// Deterministic RPP coverage check: input normalisation, the repo's guide, and the guide's match order
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { localDocDirs, loadLocalDocState } from "../lib/docSources.js";
+import { checkRppCoverage, normalizeAffectedParty, parseTiming } from "../lib/rppCoverage.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const { state } = loadLocalDocState(localDocDirs(path.join(__dirname, "..")));
+const guide = state.docs.rppGuide;
+
+test("parseTiming reads hours, days, weeks and months, in text or as { value, unit }", () => {
+  const hours = (t) => parseTiming(t).hoursBeforeStay;
+  assert.equal(hours(36), 36);
+  assert.equal(hours("36 hours"), 36);
+  assert.equal(hours("2 days before"), 48);
+  assert.equal(hours("1 week"), 168);
+  assert.equal(hours("2 months before"), 1440);
+  assert.equal(hours("a month before check-in"), 720);
+  assert.equal(hours({ value: 1, unit: "months" }), 720);
+  assert.equal(hours("3 days after check-in"), -72);
+  assert.equal(hours("today"), 0);
+  assert.equal(hours("tomorrow"), 24);
+  assert.equal(hours("soon"), null);
+  assert.equal(hours(""), null);
+});
+
+test("normalizeAffectedParty knows family words and possessives", () => {
+  const family = ["father", "Mother", "my dad", "the guest's mom", "grandmother", "son", "sister", "Immediate_Family"];
+  for (const v of family) {
+    assert.equal(normalizeAffectedParty(v), "immediate_family_member", v);
+  }
+  assert.equal(normalizeAffectedParty("his wife"), "spouse");
+  assert.equal(normalizeAffectedParty("travel companion"), "companion");
+  assert.equal(normalizeAffectedParty("guest"), "hotel_guest");
+  assert.equal(normalizeAffectedParty("neighbour"), null);
+  assert.equal(normalizeAffectedParty(""), null);
+});
+
+test("a bereavement described the way agents say it matches the family death reason", () => {
+  const within = checkRppCoverage(guide, { reason: "my father died", affected: "father", timing: "2 weeks before" });
+  assert.equal(within.status, "eligible");
+  assert.equal(within.candidates[0].id, "family_member_or_companion_death");
+
+  const tooEarly = checkRppCoverage(guide, {
+    reason: "mother passed away",
+    affected: "mother",
+    timing: "2 months before",
+  });
+  assert.equal(tooEarly.status, "not_eligible");
+  assert.equal(tooEarly.candidates[0].id, "family_member_or_companion_death");
+  assert.equal(tooEarly.candidates[0].checks.timeWindow.status, "fail");
+  // "guest death" needs the guest, not just any death
+  assert.equal(tooEarly.candidates.some((c) => c.id === "hotel_guest_death"), false);
+
+  const unknown = checkRppCoverage(guide, { reason: "the guest's father died" });
+  assert.equal(unknown.status, "needs_info");
+});
+
+test("an unrelated reason is no_match", () => {
+  assert.equal(checkRppCoverage(guide, { reason: "changed my mind" }).status, "no_match");
+});
+
+test("candidates are ranked by the guide's preferred match order", () => {
+  const reason = (id, extra) => ({
+    id,
+    title: id,
+    category_id: "c",
+    keywords: ["storm"],
+    covered_parties: ["hotel_guest"],
+    time_window: null,
+    ...extra,
+  });
+  const make = (order) => ({
+    ai_helper_hints: { matching_rules: { preferred_match_order: order } },
+    coverage_reasons: [
+      reason("wide_window", {
+        keywords: ["storm", "flood"],
+        time_window: { value: 1, unit: "days", direction: "prior" },
+      }),
+      reason("no_window"),
+    ],
+  });
+  const input = { reason: "storm and flood", affected: "guest", timing: "3 days before" };
+
+  // keywords first: two keyword hits win even though the time window fails
+  const byKeyword = checkRppCoverage(make(["keyword_match", "time_window_match"]), input);
+  assert.deepEqual(byKeyword.matchOrder, ["keyword_match", "time_window_match"]);
+  assert.deepEqual(byKeyword.candidates.map((c) => c.id), ["wide_window", "no_window"]);
+  assert.equal(byKeyword.status, "not_eligible");
+
+  // time window first: the reason whose window holds wins
+  const byWindow = checkRppCoverage(make(["time_window_match", "keyword_match"]), input);
+  assert.deepEqual(byWindow.candidates.map((c) => c.id), ["no_window", "wide_window"]);
+  assert.equal(byWindow.status, "eligible");
+});
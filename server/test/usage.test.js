@@ -0,0 +1,51 @@
+// server/test/usage.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createUsageLedger, usageDay } from "../lib/usage.js";
+
+const usage = { inputTokens: 100, outputTokens: 50 };
+const entry = (email) => ({ email, callCenter: "WNS", provider: "nebius", usage });
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "usage-"));
+}
+
+test("usage recorded together on a cold start is all counted", async () => {
+  const dir = tmpDir();
+  try {
+    const date = usageDay();
+    const empty = { date, users: {}, callCenters: {}, providers: {} };
+    fs.writeFileSync(path.join(dir, `usage-${date}.json`), JSON.stringify(empty));
+
+    const ledger = createUsageLedger({ dir });
+    await Promise.all(["a@x.com", "b@x.com", "a@x.com"].map((email) => ledger.record(entry(email))));
+
+    const totals = await createUsageLedger({ dir }).totals({ email: "a@x.com", callCenter: "WNS" });
+    assert.equal(totals.user.requests, 2);
+    assert.equal(totals.callCenter.requests, 3);
+    assert.equal(totals.callCenter.totalTokens, 450);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("the day rolls over to a fresh ledger once, for every request that sees it", async () => {
+  const dir = tmpDir();
+  try {
+    let t = Date.parse("2026-03-01T23:59:59Z");
+    const ledger = createUsageLedger({ dir, now: () => t });
+    await ledger.record(entry("a@x.com"));
+
+    t = Date.parse("2026-03-02T00:00:01Z");
+    await Promise.all([ledger.record(entry("a@x.com")), ledger.record(entry("a@x.com"))]);
+
+    assert.equal((await ledger.report("2026-03-01")).users["a@x.com"].requests, 1);
+    assert.equal((await ledger.report("2026-03-02")).users["a@x.com"].requests, 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});